@@ -0,0 +1,165 @@
+/**
+ * backtest.js - Pricing Backtest Command Line
+ *
+ * Replays a recorded valuation series and a taker flow through the bot's
+ * pricing logic and writes the results as JSON and a CSV summary.
+ *
+ * Usage:
+ *   node backtest.js --valuations config/valuations.example.csv
+ *                    [--flow synthetic|journal|<takers.csv|json>] [--seed N]
+ *                    [--portfolio path] [--property id] [--pair id]
+ *                    [--set name=value ...] [--sweep name=v1,v2,... ...]
+ *                    [--config backtest.json] [--out directory]
+ *
+ * A --config file may hold any of: valuations, flow, seed, portfolio,
+ * property, pair, params ({ name: value }), sweep ({ name: [values] }),
+ * synthetic (synthetic flow options) and out. Command line flags win.
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const BacktestRunner = require('./backtest/backtestRunner');
+const MarketData = require('./backtest/marketData');
+const TradeJournal = require('./storage/tradeJournal');
+
+/**
+ * Parse command line flags; --set and --sweep may repeat
+ */
+function parseArguments(argv) {
+    const options = { params: {}, sweep: {} };
+
+    for (let index = 0; index < argv.length; index++) {
+        const flag = argv[index];
+        const value = argv[index + 1];
+
+        if (!flag.startsWith('--') || value === undefined) {
+            throw new Error(`Unexpected argument: ${flag}`);
+        }
+        index++;
+
+        const name = flag.slice(2);
+        if (name === 'set' || name === 'sweep') {
+            const [key, list] = value.split('=');
+            if (!key || list === undefined) {
+                throw new Error(`--${name} expects name=value`);
+            }
+            if (name === 'set') {
+                options.params[key] = parseFloat(list);
+            } else {
+                options.sweep[key] = list.split(',').map(item => parseFloat(item));
+            }
+        } else {
+            options[name] = value;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Load the taker flow for the run
+ */
+async function loadTakers(options, valuations) {
+    const flow = options.flow || 'synthetic';
+    const start = valuations[0].timestamp;
+    const end = valuations[valuations.length - 1].timestamp;
+
+    if (flow === 'synthetic') {
+        return MarketData.syntheticFlow(start, end, { ...options.synthetic, seed: options.seed });
+    }
+
+    if (flow === 'journal') {
+        const journal = new TradeJournal({ directory: options.journal });
+        await journal.initialize();
+        const records = await journal.query({ from: start, to: end });
+        await journal.close();
+        return MarketData.fromJournal(records, options.property);
+    }
+
+    return MarketData.loadTakerFlow(flow);
+}
+
+/**
+ * Print the headline metrics of each run
+ */
+function printResults(results, grid) {
+    console.log('\n📊 BACKTEST RESULTS');
+    console.log('='.repeat(60));
+
+    results.forEach((result, index) => {
+        const metrics = result.metrics;
+        const label = Object.keys(grid).map(name => `${name}=${result.params[name]}`).join(' ') || 'base parameters';
+
+        console.log(`#${index + 1} ${label}`);
+        console.log(`   💵 Proceeds: $${metrics.proceedsUsd.toFixed(2)} | Net cash: $${metrics.netCashUsd.toFixed(2)} | Premium to NAV: $${(metrics.premiumToNavUsd || 0).toFixed(2)}`);
+        console.log(`   🎯 Fill rate: ${metrics.fillRate !== null ? (metrics.fillRate * 100).toFixed(1) : '-'}% of ${metrics.takers.arrivals} takers (${metrics.volumeFillRate !== null ? (metrics.volumeFillRate * 100).toFixed(1) : '-'}% of volume)`);
+        console.log(`   🔁 Reprices: ${metrics.reprices.total} (oracle ${metrics.reprices.oracle}, skew ${metrics.reprices.inventorySkew}) | Replenishments: ${metrics.replenishments}`);
+        console.log(`   ⛽ Fees: ${metrics.fees.drops} drops over ${metrics.fees.transactions} transactions`);
+        console.log(`   📐 Tracking error: ${metrics.trackingError.rmsPercent.toFixed(3)}% RMS, max ${metrics.trackingError.maxPercent.toFixed(3)}%`);
+    });
+}
+
+async function main() {
+    const cli = parseArguments(process.argv.slice(2));
+    const fileConfig = cli.config ? JSON.parse(fs.readFileSync(path.resolve(cli.config), 'utf8')) : {};
+    const options = {
+        ...fileConfig,
+        ...cli,
+        params: { ...fileConfig.params, ...cli.params },
+        sweep: { ...fileConfig.sweep, ...cli.sweep }
+    };
+
+    if (!options.valuations) {
+        throw new Error('--valuations <file> is required');
+    }
+
+    const valuations = MarketData.loadValuations(options.valuations);
+    const takers = await loadTakers(options, valuations);
+    console.log(`📈 ${valuations.length} valuation(s) from ${options.valuations}, ${takers.length} taker(s) from ${options.flow || 'synthetic'} flow`);
+
+    const runner = new BacktestRunner({
+        valuations: valuations,
+        takers: takers,
+        portfolioPath: options.portfolio,
+        propertyId: options.property,
+        pairId: options.pair,
+        params: options.params
+    });
+
+    const results = runner.sweep(options.sweep);
+    printResults(results, options.sweep);
+
+    const outputDirectory = options.out || process.env.BACKTEST_OUTPUT_DIR || './logs/backtest';
+    const date = new Date().toISOString().split('T')[0];
+    const time = new Date().toISOString().split('T')[1].split('.')[0].replace(/:/g, '-');
+    const basename = path.join(outputDirectory, `backtest_${date}_${time}`);
+
+    fs.mkdirSync(outputDirectory, { recursive: true });
+    fs.writeFileSync(`${basename}.json`, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        inputs: {
+            valuations: options.valuations,
+            valuationPoints: valuations.length,
+            flow: options.flow || 'synthetic',
+            seed: options.seed || null,
+            takers: takers.length,
+            property: options.property || null,
+            pair: options.pair || null
+        },
+        params: options.params,
+        sweep: options.sweep,
+        runs: results
+    }, null, 2));
+    fs.writeFileSync(`${basename}.csv`, BacktestRunner.toCsv(results));
+
+    console.log(`\n✅ Backtest results written to ${basename}.json and ${basename}.csv`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('💥 Backtest failed:', error.message);
+        process.exit(1);
+    });
+}
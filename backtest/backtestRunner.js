@@ -0,0 +1,661 @@
+/**
+ * backtest/backtestRunner.js - Pricing Backtest Runner
+ *
+ * Replays a recorded valuation series and a taker flow through the bot's
+ * own pricing objects: the OracleManager change gate, the property's
+ * repricing gate, the pair quote engines, ladders and offer trackers, and
+ * issuer accounting. Time is simulated - the oracle polls on its update
+ * interval, the maintenance cycle runs on CHECK_INTERVAL_SECONDS and every
+ * fill replenishes its pair right away, as the live bot does - so a year of
+ * valuations replays in seconds. Takers cross resting offers by limit price,
+ * and asks never offer more than the property's unsold inventory.
+ *
+ * Each run reports proceeds, fill rate, reprices, fee spend and the
+ * tracking error of the quoted reference price against NAV (the latest
+ * recorded valuation, reliable or not). Sweeps repeat the run over the
+ * cartesian product of parameter values.
+ */
+
+const ManagedProperty = require('../portfolio/managedProperty');
+const IssuerAccounting = require('../portfolio/issuerAccounting');
+const OracleManager = require('../oracle/oracleManager');
+const OfferLadder = require('../trading/offerLadder');
+
+// Parameters a run may override, read back into every result
+const PARAMETERS = {
+    oracleThreshold: {
+        get: run => run.oracleManager.changeThreshold,
+        set: (run, value) => { run.oracleManager.changeThreshold = value; }
+    },
+    minConfidence: {
+        get: run => run.oracleManager.oracle.minConfidence,
+        set: (run, value) => { run.oracleManager.oracle.minConfidence = value; }
+    },
+    oracleUpdateInterval: {
+        get: run => run.oracleManager.updateInterval,
+        set: (run, value) => { run.oracleManager.updateInterval = value; }
+    },
+    repriceThreshold: {
+        get: run => run.property.repriceThreshold,
+        set: (run, value) => { run.property.repriceThreshold = value; }
+    },
+    checkIntervalSeconds: {
+        get: run => run.checkInterval / 1000,
+        set: (run, value) => { run.checkInterval = value * 1000; }
+    },
+    targetSpreadPercent: {
+        get: run => run.pairs[0].quoteEngine.targetSpreadPercent,
+        set: (run, value) => run.pairs.forEach(pair => { pair.quoteEngine.targetSpreadPercent = value; })
+    },
+    maxSkewPercent: {
+        get: run => run.pairs[0].quoteEngine.maxSkewPercent,
+        set: (run, value) => run.pairs.forEach(pair => { pair.quoteEngine.maxSkewPercent = value; })
+    },
+    requoteThresholdPercent: {
+        get: run => run.pairs[0].quoteEngine.requoteThresholdPercent,
+        set: (run, value) => run.pairs.forEach(pair => { pair.quoteEngine.requoteThresholdPercent = value; })
+    },
+    inventoryLimit: {
+        get: run => run.pairs[0].quoteEngine.inventoryLimit,
+        set: (run, value) => run.pairs.forEach(pair => { pair.quoteEngine.inventoryLimit = value; })
+    },
+    ladderStepPercent: {
+        get: run => run.pairs[0].askLadder.stepPercent,
+        set: (run, value) => run.pairs.forEach(pair => {
+            pair.askLadder.stepPercent = value;
+            if (pair.bidLadder) {
+                pair.bidLadder.stepPercent = value;
+            }
+        })
+    },
+    replenishThreshold: {
+        get: run => run.pairs[0].offerTracker.replenishThreshold,
+        set: (run, value) => run.pairs.forEach(pair => { pair.offerTracker.replenishThreshold = value; })
+    },
+    replenishCooldownSeconds: {
+        get: run => run.pairs[0].offerTracker.replenishCooldown / 1000,
+        set: (run, value) => run.pairs.forEach(pair => { pair.offerTracker.replenishCooldown = value * 1000; })
+    },
+    feeDrops: {
+        get: run => run.feeDrops,
+        set: (run, value) => { run.feeDrops = value; }
+    }
+};
+
+// CSV summary columns after the parameters
+const METRIC_COLUMNS = [
+    ['proceedsUsd', metrics => metrics.proceedsUsd],
+    ['buybackCostUsd', metrics => metrics.buybackCostUsd],
+    ['netCashUsd', metrics => metrics.netCashUsd],
+    ['premiumToNavUsd', metrics => metrics.premiumToNavUsd],
+    ['realizedPnlUsd', metrics => metrics.realizedPnlUsd],
+    ['takers', metrics => metrics.takers.arrivals],
+    ['fillRate', metrics => metrics.fillRate],
+    ['volumeFillRate', metrics => metrics.volumeFillRate],
+    ['rlaSold', metrics => metrics.rlaSold],
+    ['rlaBought', metrics => metrics.rlaBought],
+    ['reprices', metrics => metrics.reprices.total],
+    ['oracleReprices', metrics => metrics.reprices.oracle],
+    ['skewReprices', metrics => metrics.reprices.inventorySkew],
+    ['oracleUpdates', metrics => metrics.oracleUpdates],
+    ['replenishments', metrics => metrics.replenishments],
+    ['transactions', metrics => metrics.fees.transactions],
+    ['feeSpendDrops', metrics => metrics.fees.drops],
+    ['trackingErrorPercent', metrics => metrics.trackingError.rmsPercent],
+    ['meanAbsDeviationPercent', metrics => metrics.trackingError.meanAbsPercent],
+    ['maxDeviationPercent', metrics => metrics.trackingError.maxPercent]
+];
+
+// Offers left with less than this are consumed
+const DUST_RLA = 1e-9;
+
+class BacktestRunner {
+    constructor(config = {}) {
+        this.valuations = config.valuations || [];
+        this.takers = config.takers || [];
+        this.portfolioPath = config.portfolioPath;
+        this.propertyId = config.propertyId || null;
+        // Restrict the run to one of the property's pairs
+        this.pairId = config.pairId || null;
+        this.params = config.params || {};
+
+        if (this.valuations.length === 0) {
+            throw new Error('Backtest requires a valuation series');
+        }
+
+        BacktestRunner.checkParameters(Object.keys(this.params));
+
+        this.start = this.valuations[0].timestamp;
+        this.end = this.valuations[this.valuations.length - 1].timestamp;
+    }
+
+    /**
+     * Run once per combination of parameter values
+     *
+     * grid maps parameter names to lists of values.
+     */
+    sweep(grid = {}) {
+        BacktestRunner.checkParameters(Object.keys(grid));
+        const combinations = BacktestRunner.expandGrid(grid);
+
+        return combinations.map((overrides, index) => {
+            const label = Object.entries(overrides).map(([name, value]) => `${name}=${value}`).join(' ') || 'base parameters';
+            console.log(`🧪 Backtest run ${index + 1}/${combinations.length}: ${label}`);
+            return this.run(overrides);
+        });
+    }
+
+    /**
+     * Replay the valuation series and taker flow once
+     */
+    run(overrides = {}) {
+        const run = this.createRun({ ...this.params, ...overrides });
+        let valuationIndex = 1;
+        let takerIndex = 0;
+        let nextOracle = this.start + run.oracleManager.updateInterval;
+        let nextCheck = this.start + run.checkInterval;
+
+        // Skip takers from before the series
+        while (takerIndex < this.takers.length && this.takers[takerIndex].timestamp < this.start) {
+            takerIndex++;
+        }
+
+        this.initialize(run);
+
+        while (true) {
+            const valuationAt = valuationIndex < this.valuations.length ? this.valuations[valuationIndex].timestamp : Infinity;
+            const takerAt = takerIndex < this.takers.length ? this.takers[takerIndex].timestamp : Infinity;
+            const next = Math.min(valuationAt, nextOracle, takerAt, nextCheck);
+
+            if (next > this.end) {
+                break;
+            }
+
+            this.advance(run, next);
+
+            // Same-time events: new valuation, oracle poll, taker, maintenance
+            if (valuationAt === next) {
+                run.navIndex = valuationIndex++;
+            } else if (nextOracle === next) {
+                this.pollOracle(run);
+                nextOracle += run.oracleManager.updateInterval;
+            } else if (takerAt === next) {
+                this.handleTaker(run, this.takers[takerIndex++]);
+            } else {
+                run.pairs.forEach(pair => this.maintainPair(run, pair));
+                nextCheck += run.checkInterval;
+            }
+        }
+
+        this.advance(run, this.end);
+
+        return {
+            params: BacktestRunner.readParameters(run),
+            metrics: this.getMetrics(run)
+        };
+    }
+
+    /**
+     * Load fresh property objects and apply the run's parameters
+     */
+    createRun(params) {
+        const properties = ManagedProperty.loadAll({ configPath: this.portfolioPath });
+        const property = this.propertyId ?
+            properties.find(candidate => candidate.id === this.propertyId) : properties[0];
+
+        if (!property) {
+            throw new Error(`Property ${this.propertyId} not found in the portfolio`);
+        }
+
+        const pairs = property.getEnabledPairs().filter(pair => !this.pairId || pair.id === this.pairId);
+        if (pairs.length === 0) {
+            throw new Error(`No enabled trading pair${this.pairId ? ` ${this.pairId}` : ''} for property ${property.id}`);
+        }
+
+        const run = {
+            property: property,
+            pairs: pairs,
+            oracleManager: new OracleManager({
+                updateInterval: process.env.ORACLE_UPDATE_INTERVAL,
+                ...property.oracleConfig,
+                offline: true
+            }),
+            accounting: new IssuerAccounting([property]),
+            checkInterval: (parseInt(process.env.CHECK_INTERVAL_SECONDS) || 60) * 1000,
+            feeDrops: parseInt(process.env.BACKTEST_FEE_DROPS || '12'),
+            clock: this.start,
+            navIndex: 0,
+            sequence: 0,
+            fills: 0,
+            books: new Map(pairs.map(pair => [pair, new Map()])), // pair -> rungId -> resting offer
+            counters: {
+                oraclePolls: 0,
+                unreliableValuations: 0,
+                oracleUpdates: 0,
+                reprices: { oracle: 0, inventorySkew: 0 },
+                replenishments: 0,
+                reposts: 0,
+                transactions: { OfferCreate: 0, OfferCancel: 0, AccountSet: 0 },
+                takers: { arrivals: 0, filled: 0, partial: 0, unfilled: 0, skipped: 0 },
+                requestedRLA: 0,
+                filledRLA: 0
+            },
+            tracking: { lastTime: this.start, squared: 0, absolute: 0, max: 0, duration: 0 }
+        };
+
+        property.oracleManager = run.oracleManager;
+        pairs.forEach(pair => { pair.offerTracker.now = () => run.clock; });
+
+        for (const [name, value] of Object.entries(params)) {
+            PARAMETERS[name].set(run, parseFloat(value));
+        }
+
+        if (!(run.oracleManager.updateInterval > 0) || !(run.checkInterval > 0)) {
+            throw new Error('Backtest oracle and check intervals must be positive');
+        }
+
+        return run;
+    }
+
+    /**
+     * Take the first valuation as the startup valuation and post the ladders
+     */
+    initialize(run) {
+        const valuation = BacktestRunner.toValuation(this.valuations[0]);
+
+        run.oracleManager.lastValuation = valuation;
+        run.property.currentPrice = run.property.calculateTokenPrice(valuation.currentValue);
+
+        for (const pair of run.pairs) {
+            pair.lastQuotedSkew = pair.quoteEngine.getSkewPercent();
+            this.getLadderRungs(run, pair).forEach(rung => this.placeOffer(run, pair, rung));
+        }
+    }
+
+    /**
+     * Oracle update cycle, gated as in OracleManager.performUpdate()
+     */
+    pollOracle(run) {
+        const oracleManager = run.oracleManager;
+        const point = this.valuations[run.navIndex];
+        const valuation = BacktestRunner.toValuation(point);
+        run.counters.oraclePolls++;
+
+        const reliable = point.isReliable !== null ? point.isReliable :
+            point.confidence === null || point.confidence >= oracleManager.oracle.minConfidence;
+
+        if (!reliable) {
+            run.counters.unreliableValuations++;
+            return;
+        }
+
+        const priceChange = oracleManager.calculatePriceChange(oracleManager.lastValuation, valuation);
+
+        if (oracleManager.isSignificantChange(priceChange)) {
+            run.counters.oracleUpdates++;
+            // On-chain valuation update
+            this.charge(run, 'AccountSet');
+
+            const newTokenPrice = run.property.calculateTokenPrice(valuation.currentValue);
+            if (run.property.needsRepricing(newTokenPrice)) {
+                run.property.setTokenPrice(newTokenPrice);
+                this.reprice(run, run.pairs, 'oracle');
+            }
+        }
+
+        oracleManager.lastValuation = valuation;
+    }
+
+    /**
+     * Replace every rung of the given pairs at the current quotes
+     */
+    reprice(run, pairs, reason) {
+        run.counters.reprices[reason]++;
+
+        for (const pair of pairs) {
+            const book = run.books.get(pair);
+            pair.lastQuotedSkew = pair.quoteEngine.getSkewPercent();
+            const rungs = this.getLadderRungs(run, pair);
+            const rungIds = new Set(rungs.map(rung => rung.id));
+
+            rungs.forEach(rung => this.placeOffer(run, pair, rung));
+
+            // Rungs dropped from the quotes (e.g. an exhausted bid budget) are cancelled
+            for (const rungId of Array.from(book.keys())) {
+                if (!rungIds.has(rungId)) {
+                    book.delete(rungId);
+                    pair.offerTracker.untrack(rungId);
+                    this.charge(run, 'OfferCancel');
+                }
+            }
+        }
+    }
+
+    /**
+     * Requote or maintain a pair's rungs, as the bot's maintainPair()
+     */
+    maintainPair(run, pair) {
+        if (pair.quoteEngine.needsRequote(pair.lastQuotedSkew)) {
+            this.reprice(run, [pair], 'inventorySkew');
+            return;
+        }
+
+        const book = run.books.get(pair);
+        const tracker = pair.offerTracker;
+
+        for (const rung of this.getLadderRungs(run, pair)) {
+            const tracked = tracker.get(rung.id);
+            const offer = book.get(rung.id);
+
+            if (tracked && !offer) {
+                tracker.untrack(rung.id);
+                if (this.placeOffer(run, pair, rung)) {
+                    run.counters.reposts++;
+                }
+                continue;
+            }
+
+            if (!tracked) {
+                this.placeOffer(run, pair, rung);
+                continue;
+            }
+
+            tracked.targetRLA = parseFloat(rung.rlaAmount);
+            tracker.updateRemaining(rung.id, offer.remainingRLA);
+
+            if (!tracker.needsReplenish(tracked) || tracker.isCoolingDown(tracked)) {
+                continue;
+            }
+
+            // Only replace when the supply left lets the offer grow
+            if (this.placeOffer(run, pair, rung, offer.remainingRLA)) {
+                tracker.markReplenished(rung.id);
+                run.counters.replenishments++;
+            }
+        }
+    }
+
+    /**
+     * Cross a taker against the resting offers of its pair
+     */
+    handleTaker(run, taker) {
+        const counters = run.counters.takers;
+        const pair = taker.pairId ? run.pairs.find(candidate => candidate.id === taker.pairId) : run.pairs[0];
+
+        if (!pair) {
+            counters.skipped++;
+            return;
+        }
+
+        counters.arrivals++;
+        run.counters.requestedRLA += taker.rlaAmount;
+
+        const side = taker.side === 'buy' ? 'ask' : 'bid';
+        const limitUsd = taker.limitPrice !== null ? taker.limitPrice :
+            this.getNavPrice(run) * (1 + (side === 'ask' ? 1 : -1) * taker.edgePercent / 100);
+        const limit = pair.convertPrice(limitUsd);
+
+        // Best price first: lowest asks for buyers, highest bids for sellers
+        const offers = Array.from(run.books.get(pair).values())
+            .filter(offer => offer.side === side && (side === 'ask' ? offer.price <= limit : offer.price >= limit))
+            .sort((a, b) => side === 'ask' ? a.price - b.price : b.price - a.price);
+
+        let remaining = taker.rlaAmount;
+        for (const offer of offers) {
+            if (remaining <= DUST_RLA) {
+                break;
+            }
+            const amount = Math.min(remaining, offer.remainingRLA);
+            this.fill(run, pair, offer, amount);
+            remaining -= amount;
+        }
+
+        const filled = taker.rlaAmount - remaining;
+        if (filled <= DUST_RLA) {
+            counters.unfilled++;
+            return;
+        }
+
+        counters.filled++;
+        if (remaining > DUST_RLA) {
+            counters.partial++;
+        }
+        run.counters.filledRLA += filled;
+
+        // Fill-driven replenishment
+        this.maintainPair(run, pair);
+    }
+
+    /**
+     * Execute part of a resting offer and book it
+     */
+    fill(run, pair, offer, rlaAmount) {
+        const quoteAmount = rlaAmount * offer.price;
+        const fill = {
+            hash: `backtest-${++run.fills}`,
+            offerSequence: offer.sequence,
+            side: offer.side,
+            rlaAmount: OfferLadder.formatAmount(rlaAmount),
+            quoteAmount: OfferLadder.formatAmount(quoteAmount)
+        };
+
+        pair.recordFill(fill);
+        run.accounting.apply({
+            id: `${fill.hash}:${fill.offerSequence}:${fill.side}`,
+            propertyId: run.property.id,
+            pairId: pair.id,
+            side: fill.side,
+            rlaAmount: fill.rlaAmount,
+            quoteAmount: fill.quoteAmount,
+            quoteCurrency: pair.quoteCurrency,
+            usdAmount: quoteAmount / pair.conversionRate,
+            navPrice: this.getNavPrice(run),
+            executedAt: new Date(run.clock).toISOString()
+        });
+
+        offer.remainingRLA -= rlaAmount;
+        if (offer.remainingRLA <= DUST_RLA) {
+            run.books.get(pair).delete(offer.rungId);
+        }
+    }
+
+    /**
+     * Post (or replace in place) the offer of a rung
+     *
+     * Asks are fitted to the inventory left to sell; returns false, leaving
+     * any resting offer as it is, when the fitted ask is empty or no larger
+     * than minimumRLA.
+     */
+    placeOffer(run, pair, rung, minimumRLA = 0) {
+        const book = run.books.get(pair);
+        const current = book.get(rung.id);
+        const fitted = rung.side === 'ask' ?
+            pair.quoteEngine.fitAskToSupply(rung, this.getAskCapacity(run) + (current ? current.remainingRLA : 0)) : rung;
+
+        if (!fitted || parseFloat(fitted.rlaAmount) <= minimumRLA) {
+            return false;
+        }
+
+        const sequence = ++run.sequence;
+
+        book.set(rung.id, {
+            rungId: rung.id,
+            side: rung.side,
+            sequence: sequence,
+            price: fitted.price,
+            remainingRLA: parseFloat(fitted.rlaAmount)
+        });
+        pair.offerTracker.track(fitted, sequence);
+        pair.stats.offersCreated++;
+        this.charge(run, 'OfferCreate');
+        return true;
+    }
+
+    /**
+     * Get the property's unsold inventory less what its resting asks offer
+     */
+    getAskCapacity(run) {
+        const inventory = run.accounting.getPropertyReport(run.property.id).inventory.tokens;
+        const resting = Array.from(run.books.values())
+            .flatMap(book => Array.from(book.values()))
+            .filter(offer => offer.side === 'ask')
+            .reduce((sum, offer) => sum + offer.remainingRLA, 0);
+
+        return Math.max(0, inventory - resting);
+    }
+
+    /**
+     * Build a pair's rungs at the property's reference price
+     */
+    getLadderRungs(run, pair) {
+        return pair.buildQuotes(run.property.getReferencePrice()).rungs;
+    }
+
+    /**
+     * Count a submitted transaction
+     */
+    charge(run, transactionType) {
+        run.counters.transactions[transactionType]++;
+    }
+
+    /**
+     * Get the NAV token price in USD from the latest recorded valuation
+     */
+    getNavPrice(run) {
+        return run.property.calculateTokenPrice(this.valuations[run.navIndex].currentValue);
+    }
+
+    /**
+     * Move the clock, accumulating the reference price deviation from NAV
+     */
+    advance(run, time) {
+        const tracking = run.tracking;
+        const elapsed = time - tracking.lastTime;
+
+        if (elapsed > 0) {
+            const navPrice = this.getNavPrice(run);
+            const deviation = Math.abs(run.property.getReferencePrice() - navPrice) / navPrice;
+
+            tracking.squared += deviation * deviation * elapsed;
+            tracking.absolute += deviation * elapsed;
+            tracking.duration += elapsed;
+            tracking.max = Math.max(tracking.max, deviation);
+            tracking.lastTime = time;
+        }
+
+        run.clock = time;
+    }
+
+    /**
+     * Get the metrics of a finished run
+     */
+    getMetrics(run) {
+        const counters = run.counters;
+        const tracking = run.tracking;
+        const report = run.accounting.getPropertyReport(run.property.id, this.getNavPrice(run));
+        const transactions = Object.values(counters.transactions).reduce((sum, count) => sum + count, 0);
+        const sum = (select) => run.pairs.reduce((total, pair) => total + select(pair), 0);
+
+        return {
+            propertyId: run.property.id,
+            pairs: run.pairs.map(pair => pair.id),
+            period: {
+                start: new Date(this.start).toISOString(),
+                end: new Date(this.end).toISOString(),
+                days: (this.end - this.start) / 86400000
+            },
+            proceedsUsd: report.sales.proceedsUsd,
+            buybackCostUsd: report.buybacks.costUsd,
+            netCashUsd: report.netCashUsd,
+            premiumToNavUsd: report.sales.premiumToNavUsd,
+            premiumToNavPercent: report.sales.premiumToNavPercent,
+            realizedPnlUsd: report.realizedPnlUsd,
+            unrealizedPnlUsd: report.unrealizedPnlUsd,
+            endingInventory: report.inventory.tokens,
+            rlaSold: sum(pair => pair.stats.rlaSold),
+            rlaBought: sum(pair => pair.stats.rlaBought),
+            takers: { ...counters.takers },
+            fillRate: counters.takers.arrivals > 0 ? counters.takers.filled / counters.takers.arrivals : null,
+            volumeFillRate: counters.requestedRLA > 0 ? counters.filledRLA / counters.requestedRLA : null,
+            reprices: {
+                total: counters.reprices.oracle + counters.reprices.inventorySkew,
+                ...counters.reprices
+            },
+            oraclePolls: counters.oraclePolls,
+            unreliableValuations: counters.unreliableValuations,
+            oracleUpdates: counters.oracleUpdates,
+            replenishments: counters.replenishments,
+            reposts: counters.reposts,
+            fees: {
+                transactions: transactions,
+                byType: { ...counters.transactions },
+                drops: transactions * run.feeDrops,
+                xrp: transactions * run.feeDrops / 1000000
+            },
+            trackingError: {
+                rmsPercent: tracking.duration > 0 ? Math.sqrt(tracking.squared / tracking.duration) * 100 : 0,
+                meanAbsPercent: tracking.duration > 0 ? tracking.absolute / tracking.duration * 100 : 0,
+                maxPercent: tracking.max * 100
+            }
+        };
+    }
+
+    /**
+     * Build a CSV summary with one row per run
+     */
+    static toCsv(results) {
+        const parameterNames = Object.keys(PARAMETERS);
+        const header = [...parameterNames, ...METRIC_COLUMNS.map(([name]) => name)];
+        const rows = results.map(result => [
+            ...parameterNames.map(name => result.params[name]),
+            ...METRIC_COLUMNS.map(([, select]) => select(result.metrics))
+        ].map(value => value === null || value === undefined ? '' : String(value)).join(','));
+
+        return [header.join(','), ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Get every combination of the grid's parameter values
+     */
+    static expandGrid(grid) {
+        return Object.entries(grid).reduce((combinations, [name, values]) =>
+            combinations.flatMap(combination => values.map(value => ({ ...combination, [name]: value }))), [{}]);
+    }
+
+    /**
+     * Get the effective parameter values of a run
+     */
+    static readParameters(run) {
+        return Object.keys(PARAMETERS).reduce((params, name) => {
+            params[name] = PARAMETERS[name].get(run);
+            return params;
+        }, {});
+    }
+
+    /**
+     * Reject parameters a run cannot override
+     */
+    static checkParameters(names) {
+        const unknown = names.filter(name => !PARAMETERS[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown backtest parameter(s): ${unknown.join(', ')} (expected ${Object.keys(PARAMETERS).join(', ')})`);
+        }
+    }
+
+    /**
+     * Build an oracle valuation from a recorded point
+     */
+    static toValuation(point) {
+        return {
+            currentValue: point.currentValue,
+            confidence: point.confidence,
+            sourceCount: point.sourceCount,
+            isReliable: point.isReliable,
+            timestamp: new Date(point.timestamp).toISOString()
+        };
+    }
+}
+
+BacktestRunner.PARAMETERS = Object.keys(PARAMETERS);
+
+module.exports = BacktestRunner;
@@ -0,0 +1,204 @@
+/**
+ * backtest/marketData.js - Backtest Input Data
+ *
+ * Loads the recorded valuation series and taker flow a backtest replays.
+ * Files are JSON arrays or CSV with a header row. Taker flow may also be
+ * rebuilt from the trade journal (each fill becomes the taker order that
+ * caused it) or generated synthetically from a seeded random source, so
+ * two runs with the same seed see exactly the same takers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 86400000;
+
+class MarketData {
+    /**
+     * Load a valuation series: timestamp, value[, confidence, isReliable, sourceCount]
+     *
+     * Returns points sorted by time with millisecond timestamps.
+     */
+    static loadValuations(filePath) {
+        const points = MarketData.readTable(filePath).map((row, index) => {
+            const timestamp = MarketData.parseTime(row.timestamp);
+            const value = parseFloat(row.value !== undefined ? row.value : row.currentValue);
+
+            if (timestamp === null || !(value > 0)) {
+                throw new Error(`Invalid valuation at ${filePath} row ${index + 1}`);
+            }
+
+            return {
+                timestamp: timestamp,
+                currentValue: value,
+                confidence: row.confidence !== undefined && row.confidence !== '' ? parseFloat(row.confidence) : null,
+                isReliable: MarketData.parseBoolean(row.isReliable),
+                sourceCount: row.sourceCount !== undefined && row.sourceCount !== '' ? parseInt(row.sourceCount) : null
+            };
+        });
+
+        if (points.length === 0) {
+            throw new Error(`No valuations in ${filePath}`);
+        }
+
+        return points.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Load a taker flow: timestamp, side (buy|sell), rlaAmount, limitPrice|edgePercent[, pairId]
+     *
+     * limitPrice is in USD per token; edgePercent is how far past NAV the
+     * taker is willing to trade.
+     */
+    static loadTakerFlow(filePath) {
+        const takers = MarketData.readTable(filePath).map((row, index) => {
+            const taker = {
+                timestamp: MarketData.parseTime(row.timestamp),
+                side: String(row.side || '').toLowerCase(),
+                rlaAmount: parseFloat(row.rlaAmount),
+                limitPrice: row.limitPrice !== undefined && row.limitPrice !== '' ? parseFloat(row.limitPrice) : null,
+                edgePercent: row.edgePercent !== undefined && row.edgePercent !== '' ? parseFloat(row.edgePercent) : null,
+                pairId: row.pairId || null
+            };
+
+            if (taker.timestamp === null || (taker.side !== 'buy' && taker.side !== 'sell') || !(taker.rlaAmount > 0) ||
+                (taker.limitPrice === null && taker.edgePercent === null)) {
+                throw new Error(`Invalid taker at ${filePath} row ${index + 1}`);
+            }
+
+            return taker;
+        });
+
+        return takers.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Rebuild taker flow from trade journal records
+     *
+     * A fill of one of our asks was a taker buying at (at least) the fill
+     * price, a fill of a bid a taker selling at (at most) it.
+     */
+    static fromJournal(records, propertyId = null) {
+        return records
+            .filter(record => (!propertyId || record.propertyId === propertyId) && record.usdPrice > 0)
+            .map(record => ({
+                timestamp: new Date(record.executedAt).getTime(),
+                side: record.side === 'bid' ? 'sell' : 'buy',
+                rlaAmount: parseFloat(record.rlaAmount),
+                limitPrice: record.usdPrice,
+                edgePercent: null,
+                pairId: record.pairId
+            }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Generate a synthetic taker flow between two times
+     *
+     * Arrivals are a Poisson process of takersPerDay; sizes are uniform in
+     * [minSize, maxSize] and edges normally distributed around edgeMeanPercent.
+     */
+    static syntheticFlow(start, end, options = {}) {
+        const takersPerDay = parseFloat(options.takersPerDay || process.env.BACKTEST_TAKERS_PER_DAY || '24');
+        const buyShare = parseFloat(options.buyShare || process.env.BACKTEST_BUY_SHARE || '0.6');
+        const minSize = parseFloat(options.minSize || process.env.BACKTEST_MIN_SIZE || '100');
+        const maxSize = parseFloat(options.maxSize || process.env.BACKTEST_MAX_SIZE || '2000');
+        const edgeMean = parseFloat(options.edgeMeanPercent || process.env.BACKTEST_EDGE_MEAN_PERCENT || '0.5');
+        const edgeStd = parseFloat(options.edgeStdPercent || process.env.BACKTEST_EDGE_STD_PERCENT || '1.0');
+        const random = MarketData.seededRandom(parseInt(options.seed || process.env.BACKTEST_SEED || '1'));
+
+        if (!(takersPerDay > 0) || !(maxSize >= minSize) || !(minSize > 0)) {
+            throw new Error('Synthetic flow requires positive takersPerDay and 0 < minSize <= maxSize');
+        }
+
+        const takers = [];
+        const meanGap = DAY_MS / takersPerDay;
+        let timestamp = start;
+
+        while (true) {
+            timestamp += -Math.log(1 - random()) * meanGap;
+            if (timestamp > end) {
+                break;
+            }
+
+            // Box-Muller
+            const normal = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+            takers.push({
+                timestamp: Math.round(timestamp),
+                side: random() < buyShare ? 'buy' : 'sell',
+                rlaAmount: Math.round(minSize + random() * (maxSize - minSize)),
+                limitPrice: null,
+                edgePercent: edgeMean + normal * edgeStd,
+                pairId: null
+            });
+        }
+
+        return takers;
+    }
+
+    /**
+     * Get a deterministic random source (mulberry32)
+     */
+    static seededRandom(seed) {
+        let state = seed >>> 0;
+
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Read rows from a JSON array or a CSV file with a header row
+     */
+    static readTable(filePath) {
+        const content = fs.readFileSync(path.resolve(filePath), 'utf8');
+
+        if (filePath.toLowerCase().endsWith('.json')) {
+            const rows = JSON.parse(content);
+            if (!Array.isArray(rows)) {
+                throw new Error(`${filePath} must contain a JSON array`);
+            }
+            return rows;
+        }
+
+        const lines = content.split(/\r?\n/).filter(line => line.trim().length > 0 && !line.startsWith('#'));
+        const header = (lines.shift() || '').split(',').map(column => column.trim());
+
+        return lines.map(line => {
+            const cells = line.split(',');
+            return header.reduce((row, column, index) => {
+                row[column] = (cells[index] || '').trim();
+                return row;
+            }, {});
+        });
+    }
+
+    /**
+     * Parse an ISO date or epoch milliseconds
+     */
+    static parseTime(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+
+        const time = /^\d+$/.test(String(value)) ? parseInt(value) : new Date(value).getTime();
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * Parse an optional boolean cell
+     */
+    static parseBoolean(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        return value === true || String(value).toLowerCase() === 'true';
+    }
+}
+
+module.exports = MarketData;
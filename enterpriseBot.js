@@ -5,6 +5,7 @@
  * Fireblocks custody, instant swap support, and comprehensive compliance reporting.
  */
 
+const path = require('path');
 const xrpl = require('xrpl');
 require('dotenv').config();
 
@@ -12,23 +13,63 @@ require('dotenv').config();
 const OracleManager = require('./oracle/oracleManager');
 const FireblocksCustodyManager = require('./fireblocks/custodyManager');
 const ComplianceReporter = require('./fireblocks/complianceReporter');
+const OfferLadder = require('./trading/offerLadder');
+const ManagedProperty = require('./portfolio/managedProperty');
+const TransactionStream = require('./trading/transactionStream');
+const FillParser = require('./trading/fillParser');
+const TradeJournal = require('./storage/tradeJournal');
+const IssuerAccounting = require('./portfolio/issuerAccounting');
+const StateStore = require('./storage/stateStore');
+const TransactionSubmitter = require('./ledger/transactionSubmitter');
+const ConnectionManager = require('./ledger/connectionManager');
+const FeePolicy = require('./ledger/feePolicy');
+const SimulatedLedger = require('./ledger/simulatedLedger');
+const IssuerProfile = require('./ledger/issuerProfile');
+const HolderRegistry = require('./storage/holderRegistry');
+const TrustLineAuthorizer = require('./ledger/trustLineAuthorizer');
+const CapTable = require('./portfolio/capTable');
+const SupplyReconciliation = require('./portfolio/supplyReconciliation');
+const DistributionWallet = require('./ledger/distributionWallet');
 
 class EnterpriseRealEstateBot {
     constructor() {
         // XRPL Configuration
-        this.xrplNetwork = process.env.XRPL_NETWORK;
+        // Paper trading (PAPER_TRADING=true or --paper) swaps the network for an
+        // in-process simulated ledger; nothing is signed for or sent to XRPL
+        this.paperTrading = process.env.PAPER_TRADING === 'true' || process.argv.includes('--paper');
+        this.paperLedger = this.paperTrading ? new SimulatedLedger() : null;
+        
+        // Shared connection to the healthiest of XRPL_ENDPOINTS (or XRPL_NETWORK)
+        this.connectionManager = this.paperTrading ?
+            new ConnectionManager({ endpoints: [SimulatedLedger.URL], createClient: () => this.paperLedger }) :
+            new ConnectionManager({ network: process.env.XRPL_NETWORK });
+        this.xrplNetwork = this.paperTrading ? SimulatedLedger.URL :
+            process.env.XRPL_NETWORK || this.connectionManager.endpoints[0].url;
         this.issuerSeed = process.env.ISSUER_SEED;
-        this.tokenCode = process.env.RLA_TOKEN_CODE;
-        this.rlaAmount = process.env.RLA_AMOUNT;
-        this.usdtAmount = process.env.USDT_AMOUNT;
-        this.usdtIssuer = process.env.USDT_ISSUER;
-        this.usdtTokenCode = process.env.USDT_TOKEN_CODE;
+        
+        // WALLET_MODE=distribution trades from an operational account
+        // (DISTRIBUTION_WALLET_SEED) funded by a cold issuer (ISSUER_ADDRESS)
+        // whose key never reaches the bot; the default trades as the issuer
+        this.walletMode = process.env.WALLET_MODE || 'issuer';
+        if (!['issuer', 'distribution'].includes(this.walletMode)) {
+            throw new Error(`Unknown WALLET_MODE: ${this.walletMode} (issuer, distribution)`);
+        }
+        this.distributionSeed = process.env.DISTRIBUTION_WALLET_SEED;
+        this.issuerAddress = null;
+        
+        // Paper runs keep their journal, state and reports apart from live ones
+        this.paperDirectory = process.env.PAPER_DATA_DIR || './logs/paper';
         
         // Bot Configuration
         this.checkInterval = (parseInt(process.env.CHECK_INTERVAL_SECONDS) || 60) * 1000;
         this.maxRetries = parseInt(process.env.MAX_RETRIES) || 3;
         this.debugMode = process.env.DEBUG_MODE === 'true';
         
+        // Properties and their trading pairs (PORTFOLIO_CONFIG_PATH, or a single
+        // property from the PROPERTY_* / RLA_* variables)
+        this.properties = ManagedProperty.loadAll();
+        this.lastRepriceReport = null;
+        
         // Bot State
         this.isRunning = false;
         this.client = null;
@@ -36,11 +77,68 @@ class EnterpriseRealEstateBot {
         this.consecutiveErrors = 0;
         this.totalOffersCreated = 0;
         this.lastOfferHash = null;
-        this.currentPrice = null;
         this.lastSwapTime = null;
         
-        // Enterprise Components
-        this.oracleManager = null;
+        // All signing and submission goes through one per-account queue, with
+        // fees capped at TX_MAX_FEE_DROPS and daily fee spend accounted
+        this.feePolicy = new FeePolicy();
+        this.submitter = new TransactionSubmitter({ getClient: () => this.client, feePolicy: this.feePolicy });
+        
+        // Fill detection and offer maintenance serialization
+        this.transactionStream = null;
+        this.fillParser = null;
+        this.tradeJournal = new TradeJournal(this.paperTrading ? { directory: path.join(this.paperDirectory, 'journal') } : {});
+        this.accounting = new IssuerAccounting(this.properties);
+        
+        // Crash-safe state snapshots for warm restarts
+        this.stateStore = new StateStore(this.paperTrading ? { directory: path.join(this.paperDirectory, 'state') } : {});
+        this.snapshotInterval = parseInt(process.env.STATE_SNAPSHOT_INTERVAL || '60000');
+        this.snapshotTimer = null;
+        this.restoredFrom = null;
+        this.lastReconciliation = null;
+        this.offerMaintenance = Promise.resolve();
+        this.pendingReplenish = new Set();
+        // Tokens left to offer per token code in the current maintenance pass
+        this.askCapacity = new Map();
+        
+        // Declared issuer account settings (ISSUER_PROFILE_PATH), checked for drift
+        this.issuerProfile = new IssuerProfile();
+        this.applyIssuerProfileOnStart = process.env.ISSUER_PROFILE_APPLY_ON_START === 'true' && this.walletMode === 'issuer';
+        this.issuerProfileTimer = null;
+        this.issuerDriftSignature = null;
+        
+        // KYC holder registry and RequireAuth trust line authorization
+        this.holderRegistry = new HolderRegistry(this.paperTrading ? { directory: path.join(this.paperDirectory, 'registry') } : {});
+        this.trustLineAuthorizer = new TrustLineAuthorizer({
+            registry: this.holderRegistry,
+            currencies: this.properties.map(property => property.tokenCode)
+        });
+        // Authorizing takes the issuer key, so a cold issuer authorizes offline
+        this.autoAuthorizeHolders = process.env.AUTO_AUTHORIZE_APPROVED_HOLDERS === 'true' && this.walletMode === 'issuer';
+        this.trustLineReviewTimer = null;
+        this.pendingTrustLineCount = null;
+        
+        // Holder balances and concentration from the issuer's trust lines
+        this.capTable = new CapTable({
+            currencies: this.properties.map(property => property.tokenCode),
+            ...(this.paperTrading && { directory: path.join(this.paperDirectory, 'captable') })
+        });
+        this.capTableTimer = null;
+        
+        // Configured supply checked against ledger obligations, offers and custody
+        this.supplyReconciliation = new SupplyReconciliation({
+            properties: this.properties,
+            getCustody: () => this.custodyManager ? this.custodyManager.getCustodyVerification() : null
+        });
+        this.supplyReconciliationTimer = null;
+        this.supplyMismatchSignature = null;
+        
+        // Distribution account trust lines and cold-signed refills (distribution mode)
+        this.distributionWallet = null;
+        this.distributionTimer = null;
+        this.distributionAlertSignature = null;
+        
+        // Enterprise Components (oracle managers live on each property)
         this.custodyManager = null;
         this.complianceReporter = null;
         
@@ -63,22 +161,48 @@ class EnterpriseRealEstateBot {
         try {
             console.log('🚀 ENTERPRISE REAL ESTATE TOKEN BOT STARTING...');
             console.log('================================================');
+            if (this.paperTrading) {
+                console.log('📝 PAPER TRADING - simulated ledger and takers, nothing leaves this machine');
+            }
             
             this.stats.startTime = new Date();
             
-            // 1. Initialize XRPL connection
+            // 1. Open the trade journal and rebuild issuer accounting from it
+            await this.tradeJournal.initialize();
+            await this.accounting.rebuild(this.tradeJournal);
+            
+            // 2. Initialize XRPL connection
             await this.initializeXRPL();
             
-            // 2. Initialize Oracle system
+            // 3. Restore the last state snapshot and check it against the ledger
+            await this.restoreState();
+            await this.reconcileOffers();
+            
+            // 4. Initialize Oracle system
             await this.initializeOracle();
             
-            // 3. Initialize Fireblocks custody
+            // 5. Initialize Fireblocks custody
             await this.initializeCustody();
             
-            // 4. Initialize compliance reporting
+            // 6. Initialize compliance reporting
             await this.initializeCompliance();
             
-            // 5. Display configuration summary
+            // 7. Bring the issuer account to (or check it against) its profile
+            await this.initializeIssuerProfile();
+            
+            // 8. Load the holder registry and review trust line authorizations
+            await this.initializeHolderAuthorization();
+            
+            // 9. Load the cap table, snapshotting holders if the last snapshot is stale
+            await this.initializeCapTable();
+            
+            // 10. Reconcile token supply before any offer is placed
+            await this.initializeSupplyReconciliation();
+            
+            // 11. Check the distribution account's trust lines and balances
+            await this.initializeDistributionWallet();
+            
+            // 12. Display configuration summary
             this.displayConfiguration();
             
             console.log('✅ Enterprise system initialization complete!');
@@ -98,10 +222,26 @@ class EnterpriseRealEstateBot {
     async initializeXRPL() {
         console.log('🌐 Initializing XRPL connection...');
         
-        this.client = new xrpl.Client(this.xrplNetwork);
-        await this.client.connect();
+        this.client = await this.connectionManager.connect();
+        this.connectionManager.addSwitchListener((client, entry) => this.handleEndpointSwitch(client, entry));
         
-        this.wallet = xrpl.Wallet.fromSeed(this.issuerSeed);
+        if (this.walletMode === 'distribution') {
+            this.initializeDistributionAccount();
+        } else {
+            // Paper trading needs no funded wallet; a throwaway one is generated without ISSUER_SEED
+            this.wallet = this.paperTrading && !this.issuerSeed ? xrpl.Wallet.generate() : xrpl.Wallet.fromSeed(this.issuerSeed);
+            this.issuerAddress = this.wallet.address;
+        }
+        
+        this.fillParser = new FillParser({
+            account: this.wallet.address,
+            issuer: this.issuerAddress,
+            matchOffer: (offer) => this.matchPairOffer(offer)
+        });
+        this.transactionStream = new TransactionStream({
+            account: this.wallet.address,
+            onTransaction: (tx) => this.handleAccountTransaction(tx)
+        });
         
         // Check wallet balance
         const accountInfo = await this.client.request({
@@ -111,35 +251,110 @@ class EnterpriseRealEstateBot {
         
         const xrpBalance = xrpl.dropsToXrp(accountInfo.result.account_data.Balance);
         
-        console.log(`   ✅ Connected to: ${this.xrplNetwork}`);
+        console.log(`   ✅ Connected to: ${this.connectionManager.getActiveUrl()} (${this.connectionManager.endpoints.length} endpoint(s) configured)`);
         console.log(`   🔑 Wallet: ${this.wallet.address}`);
+        if (this.walletMode === 'distribution') {
+            console.log(`   🧊 Cold issuer: ${this.issuerAddress} (never signs here)`);
+        }
         console.log(`   💰 Balance: ${xrpBalance} XRP`);
     }
 
+    /**
+     * Set up trading from a distribution account funded by a cold issuer
+     *
+     * Everything that looks at the issuer's side of the ledger (trust lines,
+     * obligations, the cap table) uses the cold issuer's address, while
+     * offers, AMM deposits and fills belong to the distribution account.
+     */
+    initializeDistributionAccount() {
+        if (!this.distributionSeed && !this.paperTrading) {
+            throw new Error('WALLET_MODE=distribution requires DISTRIBUTION_WALLET_SEED');
+        }
+        
+        // Paper trading stands in a throwaway distribution account and cold issuer
+        this.wallet = this.distributionSeed ? xrpl.Wallet.fromSeed(this.distributionSeed) : xrpl.Wallet.generate();
+        this.issuerAddress = process.env.ISSUER_ADDRESS || (this.paperTrading ? xrpl.Wallet.generate().address : null);
+        if (this.issuerAddress === this.wallet.address) {
+            throw new Error('The distribution account must not be the issuer - set DISTRIBUTION_WALLET_SEED to an operational account');
+        }
+        
+        this.distributionWallet = new DistributionWallet({
+            issuer: this.issuerAddress,
+            currencies: this.properties.map(property => property.tokenCode),
+            ...(this.paperTrading && { directory: path.join(this.paperDirectory, 'coldwallet') })
+        });
+        
+        this.getAllPairs().filter(pair => pair.ammPool).forEach(pair => { pair.ammPool.issuer = this.issuerAddress; });
+        this.capTable.excludeAccounts.add(this.wallet.address);
+        this.trustLineAuthorizer.excludeAccounts.add(this.wallet.address);
+        this.supplyReconciliation.hotWallets = [this.wallet.address];
+        
+        if (process.env.ISSUER_PROFILE_APPLY_ON_START === 'true' || process.env.AUTO_AUTHORIZE_APPROVED_HOLDERS === 'true') {
+            console.warn('   ⚠️ Applying the issuer profile and authorizing holders take the issuer key - sign those offline in distribution mode');
+        }
+        
+        if (this.paperLedger) {
+            // As if the cold issuer had authorized the account and funded it to the refill target
+            this.paperLedger.loadState({
+                trustLines: this.properties.map(property => ({
+                    holder: this.wallet.address,
+                    currency: property.tokenCode,
+                    issuer: this.issuerAddress,
+                    balance: String(Math.min(property.totalSupply, this.distributionWallet.refillTarget)),
+                    authorized: true
+                }))
+            });
+        }
+    }
+
     /**
      * Initialize Oracle system
      */
     async initializeOracle() {
         console.log('🔮 Initializing Oracle system...');
         
-        if (process.env.ORACLE_ENABLED === 'true') {
-            this.oracleManager = new OracleManager({
+        const oracleProperties = this.properties.filter(property => property.oracleEnabled);
+        
+        if (oracleProperties.length === 0) {
+            console.log('   ⚠️ Oracle system disabled');
+            return;
+        }
+        
+        for (const property of oracleProperties) {
+            property.oracleManager = new OracleManager({
                 updateInterval: process.env.ORACLE_UPDATE_INTERVAL,
-                onPriceUpdate: this.handlePriceUpdate.bind(this),
-                onError: this.handleOracleError.bind(this)
+                ...property.oracleConfig,
+                submitter: this.submitter,
+                connectionManager: this.connectionManager,
+                // Paper trading values properties from mock data, never the valuation APIs
+                offline: this.paperTrading,
+                // A profile-managed issuer Domain must not carry valuation data
+                reservedDomainAccount: this.issuerProfile.managesDomain() ? this.issuerAddress : null,
+                onPriceUpdate: (updateData) => this.handlePriceUpdate(property, updateData),
+                onError: (error) => this.handleOracleError(error, property)
             });
             
-            await this.oracleManager.initialize();
-            
-            // Get initial property valuation
-            const valuation = await this.oracleManager.getCurrentValuation();
-            this.currentPrice = this.calculateTokenPrice(valuation.currentValue);
+            let valuation;
+            try {
+                await property.oracleManager.initialize();
+                
+                // Get initial property valuation
+                valuation = await property.oracleManager.getCurrentValuation();
+            } catch (error) {
+                if (!property.restoredValuation) {
+                    throw error;
+                }
+                // Keep quoting at the last known oracle price, not the configured fallback
+                console.warn(`   ⚠️ Oracle unavailable for ${property.id} - using saved valuation from ${property.restoredValuation.timestamp}`);
+                valuation = property.restoredValuation;
+                property.oracleManager.lastValuation = valuation;
+            }
+            property.restoredValuation = null;
+            property.currentPrice = property.calculateTokenPrice(valuation.currentValue);
             
-            console.log(`   ✅ Oracle system active`);
+            console.log(`   ✅ Oracle active for ${property.name} (${property.id})`);
             console.log(`   🏠 Property value: $${valuation.currentValue.toLocaleString()}`);
-            console.log(`   💎 Token price: $${this.currentPrice.toFixed(4)}`);
-        } else {
-            console.log('   ⚠️ Oracle system disabled');
+            console.log(`   💎 ${property.tokenCode} price: $${property.currentPrice.toFixed(4)}`);
         }
     }
 
@@ -149,7 +364,7 @@ class EnterpriseRealEstateBot {
     async initializeCustody() {
         console.log('🏦 Initializing Fireblocks custody...');
         
-        this.custodyManager = new FireblocksCustodyManager();
+        this.custodyManager = new FireblocksCustodyManager(this.paperTrading ? { enabled: false } : {});
         await this.custodyManager.initialize();
         
         // Get initial custody verification
@@ -166,23 +381,416 @@ class EnterpriseRealEstateBot {
     async initializeCompliance() {
         console.log('📋 Initializing compliance reporting...');
         
-        this.complianceReporter = new ComplianceReporter();
+        this.complianceReporter = new ComplianceReporter(this.paperTrading ? { outputDirectory: path.join(this.paperDirectory, 'compliance') } : {});
         await this.complianceReporter.initialize();
+        this.complianceReporter.setDataProvider('portfolio', () => this.getPortfolioComplianceData());
+        this.complianceReporter.setDataProvider('tradingActivity', () => this.getTradingActivity());
+        this.complianceReporter.setDataProvider('issuerAccounting', () => this.getAccountingReport());
+        this.complianceReporter.setDataProvider('holderAuthorization', () => this.trustLineAuthorizer.getComplianceData());
+        this.complianceReporter.setDataProvider('capTable', () => this.capTable.getComplianceData());
+        this.complianceReporter.setDataProvider('supplyReconciliation', () => this.supplyReconciliation.getComplianceData());
         
         console.log(`   ✅ Compliance system active`);
         console.log(`   📊 Report interval: ${process.env.REPORTING_INTERVAL / 3600000}h`);
     }
 
+    /**
+     * Apply the issuer profile, or check the account against it
+     */
+    async initializeIssuerProfile() {
+        console.log('🪪 Initializing issuer profile...');
+        
+        if (!this.issuerProfile.isConfigured()) {
+            console.log(`   ⚠️ No issuer profile at ${this.issuerProfile.profilePath} - issuer account settings unmanaged`);
+            return;
+        }
+        
+        if (this.applyIssuerProfileOnStart) {
+            const result = await this.issuerProfile.apply(this.client, this.submitter, this.wallet);
+            result.submitted.forEach(entry => console.log(`   ✅ Applied ${entry.change} (${entry.hash})`));
+            result.failed.forEach(entry => console.error(`   ❌ Could not apply ${entry.change}: ${entry.error}`));
+        }
+        
+        await this.checkIssuerProfile();
+    }
+
+    /**
+     * Check the issuer account for drift from its profile
+     *
+     * A new or changed drift is alerted once and recorded in an ad-hoc
+     * compliance report; a cleared drift is logged.
+     */
+    async checkIssuerProfile() {
+        const check = await this.issuerProfile.check(this.client, this.issuerAddress);
+        const signature = check.inSync ? null : JSON.stringify(check.drift);
+        
+        if (check.inSync) {
+            console.log(this.issuerDriftSignature ?
+                '✅ Issuer account back in line with its profile' :
+                '   ✅ Issuer account matches its profile');
+        } else if (signature !== this.issuerDriftSignature) {
+            console.warn('🚨 Issuer account drifted from its profile:');
+            check.drift.forEach(entry => console.warn(`   - ${entry.setting}: expected ${JSON.stringify(entry.expected)}, ledger ${JSON.stringify(entry.actual)}`));
+            
+            if (this.complianceReporter) {
+                try {
+                    await this.complianceReporter.generateAdHocReport('Issuer Profile Drift', {
+                        account: check.account,
+                        profilePath: this.issuerProfile.profilePath,
+                        drift: check.drift,
+                        checkedAt: check.checkedAt
+                    });
+                } catch (error) {
+                    console.warn('⚠️ Could not record issuer drift report:', error.message);
+                }
+            }
+        }
+        
+        this.issuerDriftSignature = signature;
+        return check;
+    }
+
+    /**
+     * Check the issuer profile periodically
+     */
+    startIssuerProfileChecks() {
+        if (!this.issuerProfile.isConfigured() || this.issuerProfile.checkInterval <= 0) {
+            return;
+        }
+        
+        this.issuerProfileTimer = setInterval(() => {
+            this.checkIssuerProfile().catch(error =>
+                console.warn('⚠️ Issuer profile check failed:', error.message));
+        }, this.issuerProfile.checkInterval);
+    }
+
+    /**
+     * Load the holder registry and review the issuer's trust lines
+     */
+    async initializeHolderAuthorization() {
+        console.log('🔐 Initializing holder authorization...');
+        
+        const holders = await this.holderRegistry.load();
+        const summary = this.holderRegistry.getSummary();
+        console.log(`   📇 Holder registry: ${holders} holder(s) - ${summary.approved} approved, ${summary.pending} pending, ${summary.expired} expired`);
+        
+        const review = await this.reviewTrustLines();
+        console.log(`   ✅ Trust lines: ${review.authorized.length} authorized, ${review.awaitingReview.length} awaiting KYC review, ${review.readyToAuthorize.length} approved and ready`);
+        if (!review.requireAuth) {
+            console.warn('   ⚠️ RequireAuth is not set on the issuer - any account can hold the token');
+        }
+    }
+
+    /**
+     * Review trust lines, authorizing approved holders when enabled
+     */
+    async reviewTrustLines() {
+        let review;
+        
+        if (this.autoAuthorizeHolders) {
+            const result = await this.trustLineAuthorizer.authorizeApproved(this.client, this.submitter, this.wallet);
+            result.authorized.forEach(entry => console.log(`🔓 Authorized ${entry.currency} trust line of ${entry.holder} (${entry.hash})`));
+            result.failed.forEach(entry => console.error(`❌ Could not authorize ${entry.currency} trust line of ${entry.holder}: ${entry.error}`));
+            review = result.authorized.length > 0 ?
+                await this.trustLineAuthorizer.review(this.client, this.issuerAddress) : result.review;
+        } else {
+            review = await this.trustLineAuthorizer.review(this.client, this.issuerAddress);
+        }
+        
+        if (this.pendingTrustLineCount !== null && review.pending.length !== this.pendingTrustLineCount) {
+            console.log(`⏳ Trust lines: ${review.authorized.length} authorized, ${review.awaitingReview.length} awaiting KYC review, ${review.readyToAuthorize.length} approved and ready`);
+        }
+        if (review.authorizedWithoutKyc.length > 0) {
+            console.warn(`🚨 ${review.authorizedWithoutKyc.length} authorized trust line(s) without a current KYC approval`);
+        }
+        
+        this.pendingTrustLineCount = review.pending.length;
+        return review;
+    }
+
+    /**
+     * Review trust lines periodically
+     */
+    startTrustLineReviews() {
+        if (this.trustLineAuthorizer.reviewInterval <= 0) {
+            return;
+        }
+        
+        this.trustLineReviewTimer = setInterval(() => {
+            this.reviewTrustLines().catch(error =>
+                console.warn('⚠️ Trust line review failed:', error.message));
+        }, this.trustLineAuthorizer.reviewInterval);
+    }
+
+    /**
+     * Load the latest cap table snapshot, taking a new one when it is stale
+     */
+    async initializeCapTable() {
+        console.log('📊 Initializing cap table...');
+        
+        const latest = await this.capTable.loadLatest();
+        if (latest && !this.capTable.isStale()) {
+            console.log(`   ✅ Latest snapshot: ${latest.takenAt} (ledger ${latest.ledgerIndex})`);
+            return;
+        }
+        
+        await this.takeCapTableSnapshot();
+    }
+
+    /**
+     * Snapshot token holders from the issuer's trust lines
+     */
+    async takeCapTableSnapshot() {
+        const snapshot = await this.capTable.takeSnapshot(this.client, this.issuerAddress);
+        
+        for (const [currency, token] of Object.entries(snapshot.tokens)) {
+            console.log(`   📊 ${currency}: ${token.holderCount} holder(s), ${token.totalHeld.toLocaleString()} held - top 10 ${(token.metrics.top10Share * 100).toFixed(1)}%, HHI ${token.metrics.hhi}`);
+        }
+        
+        return snapshot;
+    }
+
+    /**
+     * Snapshot the cap table periodically
+     */
+    startCapTableSnapshots() {
+        if (this.capTable.snapshotInterval <= 0) {
+            return;
+        }
+        
+        this.capTableTimer = setInterval(() => {
+            this.takeCapTableSnapshot().catch(error =>
+                console.warn('⚠️ Cap table snapshot failed:', error.message));
+        }, this.capTable.snapshotInterval);
+    }
+
+    /**
+     * Run the first supply reconciliation
+     */
+    async initializeSupplyReconciliation() {
+        console.log('🧮 Reconciling token supply...');
+        
+        const result = await this.reconcileSupply();
+        if (result.reconciled) {
+            for (const [currency, token] of Object.entries(result.tokens)) {
+                console.log(`   ✅ ${currency}: ${token.issued.toLocaleString()} of ${token.configuredSupply.toLocaleString()} issued, ${token.inOffers.toLocaleString()} on offer, custody ${token.custody.status}`);
+            }
+        }
+    }
+
+    /**
+     * Reconcile token supply, blocking trading while it does not add up
+     *
+     * A new or changed mismatch is alerted once, recorded in an ad-hoc
+     * compliance report and, when it blocks trading, the managed offers are
+     * cancelled. A later clean run lifts the block.
+     */
+    async reconcileSupply() {
+        const wasBlocking = this.supplyReconciliation.isBlocking();
+        const result = await this.supplyReconciliation.reconcile(this.client, this.issuerAddress, this.wallet.address);
+        const signature = result.reconciled ? null : JSON.stringify(result.mismatches.map(mismatch => [mismatch.tokenCode, mismatch.check]));
+        
+        if (result.reconciled) {
+            if (this.supplyMismatchSignature) {
+                console.log(`✅ Token supply reconciled at ledger ${result.ledgerIndex}${wasBlocking ? ' - trading resumed' : ''}`);
+            }
+        } else if (signature !== this.supplyMismatchSignature) {
+            console.warn(`🚨 Token supply mismatch at ledger ${result.ledgerIndex}:`);
+            result.mismatches.forEach(mismatch => console.warn(`   - ${mismatch.tokenCode} ${mismatch.check}: ${mismatch.message}`));
+            
+            if (this.complianceReporter) {
+                try {
+                    await this.complianceReporter.generateAdHocReport('Supply Mismatch', {
+                        issuer: result.issuer,
+                        ledgerIndex: result.ledgerIndex,
+                        mismatches: result.mismatches,
+                        tokens: result.tokens,
+                        tradingBlocked: this.supplyReconciliation.isBlocking(),
+                        checkedAt: result.checkedAt
+                    });
+                } catch (error) {
+                    console.warn('⚠️ Could not record supply mismatch report:', error.message);
+                }
+            }
+        }
+        
+        if (this.supplyReconciliation.isBlocking() && !wasBlocking) {
+            console.warn('⛔ Trading blocked until the token supply reconciles - cancelling managed offers');
+            await this.runExclusive(() => this.cancelAllOffers());
+        }
+        
+        this.supplyMismatchSignature = signature;
+        return result;
+    }
+
+    /**
+     * Reconcile token supply periodically
+     */
+    startSupplyReconciliation() {
+        if (this.supplyReconciliation.checkInterval <= 0) {
+            return;
+        }
+        
+        this.supplyReconciliationTimer = setInterval(() => {
+            this.reconcileSupply().catch(error =>
+                console.warn('⚠️ Supply reconciliation failed:', error.message));
+        }, this.supplyReconciliation.checkInterval);
+    }
+
+    /**
+     * Check the distribution account before any offer is placed
+     */
+    async initializeDistributionWallet() {
+        if (!this.distributionWallet) {
+            return;
+        }
+        
+        console.log('🧊 Checking distribution wallet...');
+        this.distributionWallet.complianceReporter = this.complianceReporter;
+        
+        const check = await this.checkDistributionWallet();
+        for (const [currency, token] of Object.entries(check.tokens)) {
+            console.log(`   ${token.trustLine && token.authorized && !token.needsRefill ? '✅' : '⚠️'} ${currency}: ${token.trustLine ? `${token.balance.toLocaleString()} held${token.authorized ? '' : ', awaiting authorization'}` : 'no trust line'}`);
+        }
+    }
+
+    /**
+     * Keep the distribution account able to trade
+     *
+     * Opens missing trust lines, submits cold issuer transactions signed
+     * since the last check, and requests an authorization or a refill (up to
+     * the unissued supply) for the cold issuer to sign. New requests are
+     * alerted once and recorded in an ad-hoc compliance report.
+     */
+    async checkDistributionWallet() {
+        for (const request of await this.distributionWallet.submitSignedRequests(this.client, this.submitter)) {
+            if (request.status === 'SUBMITTED') {
+                console.log(`🧊 Cold wallet ${request.kind} of ${request.amount !== null ? `${request.amount} ` : ''}${request.tokenCode} validated (${request.hash})`);
+            } else {
+                console.error(`❌ Cold wallet request ${request.id} failed: ${request.error}`);
+            }
+        }
+        
+        let check = await this.distributionWallet.check(this.client, this.wallet.address);
+        if (Object.values(check.tokens).some(token => !token.trustLine)) {
+            const result = await this.distributionWallet.setupTrustLines(this.client, this.submitter, this.wallet);
+            result.submitted.forEach(entry => console.log(`🔗 Opened ${entry.currency} trust line to the cold issuer (${entry.hash})`));
+            check = await this.distributionWallet.check(this.client, this.wallet.address);
+        }
+        
+        const requests = [];
+        const exhausted = [];
+        for (const [currency, token] of Object.entries(check.tokens)) {
+            if (!token.trustLine) {
+                continue;
+            }
+            if (!token.authorized) {
+                requests.push(await this.distributionWallet.prepare(this.client, 'authorize', {
+                    account: this.wallet.address,
+                    tokenCode: currency,
+                    reason: 'Distribution account trust line is not authorized'
+                }));
+            }
+            
+            const reconciled = this.supplyReconciliation.lastResult && this.supplyReconciliation.lastResult.tokens[currency];
+            const amount = reconciled ? Math.min(token.refillAmount, reconciled.unissued) : token.refillAmount;
+            if (token.needsRefill && amount > 0) {
+                requests.push(await this.distributionWallet.prepare(this.client, 'refill', {
+                    account: this.wallet.address,
+                    tokenCode: currency,
+                    amount: amount,
+                    reason: `Balance ${token.balance} below the refill threshold of ${this.distributionWallet.refillThreshold}`
+                }));
+            } else if (token.needsRefill) {
+                exhausted.push(currency);
+            }
+        }
+        
+        const signature = requests.length > 0 || exhausted.length > 0 ?
+            JSON.stringify([requests.map(request => request.id), exhausted]) : null;
+        if (signature && signature !== this.distributionAlertSignature) {
+            exhausted.forEach(currency => console.warn(`⚠️ ${currency} distribution balance ${check.tokens[currency].balance} is below the refill threshold, but the whole supply is issued`));
+        }
+        if (signature && signature !== this.distributionAlertSignature && requests.length > 0) {
+            console.warn('🧊 Cold issuer signature needed:');
+            requests.forEach(request => console.warn(`   - ${request.kind} ${request.amount !== null ? `${request.amount} ` : ''}${request.tokenCode}: ${this.distributionWallet.getRequestFile(request.id)} (valid until ledger ${request.expiresAfterLedger})`));
+            
+            if (this.complianceReporter) {
+                try {
+                    await this.complianceReporter.generateAdHocReport('Cold Wallet Request', {
+                        issuer: this.issuerAddress,
+                        distributionAccount: this.wallet.address,
+                        requests: requests.map(request => ({
+                            id: request.id,
+                            kind: request.kind,
+                            tokenCode: request.tokenCode,
+                            amount: request.amount,
+                            reason: request.reason,
+                            expiresAfterLedger: request.expiresAfterLedger
+                        })),
+                        tokens: check.tokens,
+                        checkedAt: check.checkedAt
+                    });
+                } catch (error) {
+                    console.warn('⚠️ Could not record cold wallet request report:', error.message);
+                }
+            }
+        }
+        
+        this.distributionAlertSignature = signature;
+        return check;
+    }
+
+    /**
+     * Check the distribution account periodically
+     */
+    startDistributionChecks() {
+        if (!this.distributionWallet || this.distributionWallet.checkInterval <= 0) {
+            return;
+        }
+        
+        this.distributionTimer = setInterval(() => {
+            this.checkDistributionWallet().catch(error =>
+                console.warn('⚠️ Distribution wallet check failed:', error.message));
+        }, this.distributionWallet.checkInterval);
+    }
+
     /**
      * Display system configuration
      */
     displayConfiguration() {
         console.log('⚙️ SYSTEM CONFIGURATION:');
-        console.log(`   Token: ${this.rlaAmount} ${this.tokenCode} → ${this.usdtAmount} ${this.usdtTokenCode}`);
+        if (this.paperLedger) {
+            const paper = this.paperLedger.getStatus();
+            console.log(`   Mode: PAPER TRADING - ledger close every ${paper.ledgerIntervalMs / 1000}s, ${paper.takers} takers, data in ${this.paperDirectory}`);
+        }
+        console.log(`   Properties: ${this.properties.length}`);
+        this.properties.forEach(property => {
+            console.log(`   Property ${property.id}: ${property.name} - ${property.tokenCode}, supply ${property.totalSupply}, oracle ${property.oracleEnabled ? 'ENABLED' : 'DISABLED'}`);
+            property.pairs.forEach(pair => {
+                console.log(`   Pair ${pair.tokenCode}/${pair.id}: ${pair.enabled ? 'ENABLED' : 'DISABLED'} - ${pair.quoteCurrency}${pair.quoteIssuer ? `.${pair.quoteIssuer}` : ''}, ${pair.priceConversion.type} conversion @ ${pair.conversionRate}`);
+                console.log(`      Offer ladder: ${pair.askLadder.levels} level(s), ${pair.askLadder.stepPercent}% step, sizes ${pair.askLadder.sizes.join('/')} ${pair.tokenCode}`);
+                if (pair.bidLadder) {
+                    console.log(`      Bid ladder: ${pair.bidLadder.levels} level(s), ${pair.bidLadder.stepPercent}% step, sizes ${pair.bidLadder.sizes.join('/')} ${pair.tokenCode}`);
+                    console.log(`      Quote spread: ${pair.quoteEngine.targetSpreadPercent}% (max skew ±${pair.quoteEngine.maxSkewPercent}%)`);
+                    console.log(`      Treasury budget: ${pair.quoteEngine.treasuryBudget} ${pair.quoteCurrency}`);
+                }
+                if (pair.ammPool) {
+                    console.log(`      AMM pool: fee ${pair.ammPool.tradingFee / 1000}%, rebalance beyond ±${pair.ammPool.maxDeviationPercent}% (max ${pair.ammPool.maxRebalancePercent}% of reserves)`);
+                }
+            });
+        });
         console.log(`   Check interval: ${this.checkInterval / 1000}s`);
-        console.log(`   Oracle: ${process.env.ORACLE_ENABLED === 'true' ? 'ENABLED' : 'DISABLED'}`);
-        console.log(`   Fireblocks: ${process.env.FIREBLOCKS_ENABLED === 'true' ? 'ENABLED' : 'DISABLED'}`);
+        console.log(`   Oracle: ${this.getOracleManagers().length > 0 ? 'ENABLED' : 'DISABLED'}`);
+        console.log(`   Fireblocks: ${this.custodyManager && this.custodyManager.config.enabled ? 'ENABLED' : 'DISABLED'}`);
         console.log(`   Compliance: ${process.env.ENABLE_COMPLIANCE_REPORTING === 'true' ? 'ENABLED' : 'DISABLED'}`);
+        console.log(`   Issuer profile: ${this.issuerProfile.isConfigured() ? `${this.issuerProfile.profilePath}, drift check every ${this.issuerProfile.checkInterval / 1000}s` : 'NOT CONFIGURED'}`);
+        console.log(`   Cap table: ${this.capTable.directory}, snapshot every ${this.capTable.snapshotInterval / 3600000}h${this.capTable.excludeAccounts.size > 0 ? `, excluding ${Array.from(this.capTable.excludeAccounts).join(', ')}` : ''}`);
+        if (this.distributionWallet) {
+            console.log(`   Wallet mode: DISTRIBUTION - trading from ${this.wallet.address}, cold issuer ${this.issuerAddress}, refill below ${this.distributionWallet.refillThreshold} to ${this.distributionWallet.refillTarget}, check every ${this.distributionWallet.checkInterval / 1000}s`);
+        }
+        console.log(`   Supply reconciliation: every ${this.supplyReconciliation.checkInterval / 1000}s, tolerance ${this.supplyReconciliation.tolerance}, mismatches ${this.supplyReconciliation.blockTrading ? 'BLOCK' : 'do not block'} trading`);
+        console.log(`   Holder authorization: registry ${this.holderRegistry.registryFile}, review every ${this.trustLineAuthorizer.reviewInterval / 1000}s, auto-authorize ${this.autoAuthorizeHolders ? 'ENABLED' : 'DISABLED'}`);
         console.log(`   Instant Swaps: ENABLED`);
         console.log(`   Debug mode: ${this.debugMode ? 'ON' : 'OFF'}`);
     }
@@ -199,6 +807,17 @@ class EnterpriseRealEstateBot {
         this.isRunning = true;
         console.log('🔄 Starting enterprise monitoring systems...\n');
         
+        this.connectionManager.startHealthChecks();
+        
+        // Replay fills missed while stopped before the first offer check
+        await this.startFillMonitoring();
+        this.startStateSnapshots();
+        this.startIssuerProfileChecks();
+        this.startTrustLineReviews();
+        this.startCapTableSnapshots();
+        this.startSupplyReconciliation();
+        this.startDistributionChecks();
+        
         // Start all monitoring systems concurrently
         const monitoringPromises = [
             this.startOfferMonitoring(),
@@ -216,6 +835,153 @@ class EnterpriseRealEstateBot {
         }
     }
 
+    /**
+     * Start event-driven fill detection on the account transaction stream
+     */
+    async startFillMonitoring() {
+        console.log('📡 Subscribing to account transaction stream...');
+        await this.transactionStream.attach(this.client);
+    }
+
+    /**
+     * Snapshot bot state periodically for warm restarts
+     */
+    startStateSnapshots() {
+        if (this.snapshotInterval <= 0) {
+            console.log('⚠️ State snapshots disabled (STATE_SNAPSHOT_INTERVAL)');
+            return;
+        }
+        
+        this.snapshotTimer = setInterval(() => this.saveState(), this.snapshotInterval);
+    }
+
+    /**
+     * Write the current state snapshot
+     */
+    async saveState() {
+        // Nothing to save before the wallet (and with it the account) is known
+        if (!this.wallet) {
+            return;
+        }
+        
+        try {
+            await this.stateStore.save(this.captureState());
+        } catch (error) {
+            console.warn('⚠️ Could not save bot state:', error.message);
+        }
+    }
+
+    /**
+     * Capture the in-memory state worth surviving a restart
+     */
+    captureState() {
+        const { startTime, ...counters } = this.stats;
+        
+        return {
+            account: this.wallet.address,
+            network: this.xrplNetwork,
+            stats: counters,
+            totalOffersCreated: this.totalOffersCreated,
+            lastOfferHash: this.lastOfferHash,
+            lastSwapTime: this.lastSwapTime?.toISOString() || null,
+            lastRepriceReport: this.lastRepriceReport,
+            lastLedgerIndex: this.transactionStream ? this.transactionStream.lastLedgerIndex : null,
+            fees: this.feePolicy.exportState(),
+            properties: this.properties.reduce((byProperty, property) => {
+                byProperty[property.id] = property.exportState();
+                return byProperty;
+            }, {})
+        };
+    }
+
+    /**
+     * Restore the last state snapshot, if it belongs to this account and network
+     */
+    async restoreState() {
+        const snapshot = await this.stateStore.load();
+        
+        if (!snapshot) {
+            console.log('💾 No saved state - starting fresh');
+            return false;
+        }
+        
+        const state = snapshot.state;
+        if (state.account !== this.wallet.address || state.network !== this.xrplNetwork) {
+            console.warn(`⚠️ Saved state belongs to ${state.account} on ${state.network} - ignoring it`);
+            return false;
+        }
+        
+        this.stats = { ...this.stats, ...state.stats };
+        this.totalOffersCreated = state.totalOffersCreated || 0;
+        this.lastOfferHash = state.lastOfferHash || null;
+        this.lastSwapTime = state.lastSwapTime ? new Date(state.lastSwapTime) : null;
+        this.lastRepriceReport = state.lastRepriceReport || null;
+        this.feePolicy.restoreState(state.fees);
+        
+        for (const property of this.properties) {
+            if (state.properties && state.properties[property.id]) {
+                property.restoreState(state.properties[property.id]);
+            }
+        }
+        
+        // The stream backfills from here once it subscribes
+        if (state.lastLedgerIndex) {
+            this.transactionStream.advanceLedger(state.lastLedgerIndex);
+        }
+        
+        this.restoredFrom = snapshot.savedAt;
+        console.log(`💾 Restored state saved at ${snapshot.savedAt}`);
+        console.log(`   📒 Last ledger: ${state.lastLedgerIndex || 'unknown'} - missed fills will be backfilled`);
+        
+        return true;
+    }
+
+    /**
+     * Check tracked offers against the ledger before trading resumes
+     *
+     * Offers consumed or cancelled while the bot was down are dropped from
+     * tracking so their rungs are reposted; the rest pick up their remaining
+     * size from the ledger.
+     */
+    async reconcileOffers() {
+        const offers = await this.getAccountOffers();
+        const offersBySequence = new Map(offers.map(offer => [offer.seq, offer]));
+        const trackedSequences = new Set(this.getTrackedSequences());
+        
+        const report = {
+            timestamp: new Date().toISOString(),
+            ledgerOffers: offers.length,
+            confirmed: 0,
+            dropped: [],
+            untracked: offers.filter(offer =>
+                !trackedSequences.has(offer.seq) && this.matchPairOffer(offer)).map(offer => offer.seq)
+        };
+        
+        for (const pair of this.getAllPairs()) {
+            for (const tracked of pair.offerTracker.getAll()) {
+                const offer = offersBySequence.get(tracked.sequence);
+                const match = offer ? this.matchPairOffer(offer) : null;
+                
+                if (!match || match.pair !== pair || match.side !== tracked.side) {
+                    pair.offerTracker.untrack(tracked.rungId);
+                    report.dropped.push({ propertyId: pair.propertyId, pairId: pair.id, rungId: tracked.rungId, sequence: tracked.sequence });
+                    continue;
+                }
+                
+                pair.offerTracker.updateRemaining(tracked.rungId, this.getOfferRemainingRLA(offer, tracked.side));
+                report.confirmed++;
+            }
+        }
+        
+        this.lastReconciliation = report;
+        
+        console.log(`🔍 Offer reconciliation: ${report.confirmed} confirmed, ${report.dropped.length} gone from the ledger, ${report.untracked.length} untracked`);
+        report.dropped.forEach(entry =>
+            console.log(`   ❌ ${entry.propertyId}/${entry.pairId} rung ${entry.rungId} offer #${entry.sequence} no longer on the ledger`));
+        
+        return report;
+    }
+
     /**
      * Start XRPL offer monitoring (core functionality)
      */
@@ -230,6 +996,7 @@ class EnterpriseRealEstateBot {
             } catch (error) {
                 this.consecutiveErrors++;
                 this.stats.errors++;
+                this.connectionManager.reportError(error);
                 console.error(`💥 Offer monitoring error (${this.consecutiveErrors}/${this.maxRetries}): ${error.message}`);
                 
                 if (this.consecutiveErrors >= this.maxRetries) {
@@ -248,9 +1015,11 @@ class EnterpriseRealEstateBot {
      * Start Oracle monitoring
      */
     async startOracleMonitoring() {
-        if (this.oracleManager) {
-            console.log('🔮 Starting Oracle monitoring...');
-            await this.oracleManager.startMonitoring();
+        const oracleManagers = this.getOracleManagers();
+        
+        if (oracleManagers.length > 0) {
+            console.log(`🔮 Starting Oracle monitoring (${oracleManagers.length} propert${oracleManagers.length === 1 ? 'y' : 'ies'})...`);
+            await Promise.all(oracleManagers.map(oracleManager => oracleManager.startMonitoring()));
         }
     }
 
@@ -278,181 +1047,556 @@ class EnterpriseRealEstateBot {
      * Check and maintain XRPL offers with instant swap support
      */
     async checkAndMaintainOffers() {
-        await this.ensureConnection();
+        if (this.supplyReconciliation.isBlocking()) {
+            console.warn(`⛔ [${new Date().toISOString()}] Trading blocked by a token supply mismatch since ${this.supplyReconciliation.blockedSince} - skipping offer check`);
+            return;
+        }
         
-        console.log(`[${new Date().toISOString()}] Checking offers...`);
+        await this.runExclusive(async () => {
+            await this.ensureConnection();
+            
+            console.log(`[${new Date().toISOString()}] Checking offers...`);
+            
+            // Get current offers once and maintain every enabled pair from them
+            const offers = await this.getAccountOffers();
+            await this.refreshAskCapacity(offers);
+            
+            for (const pair of this.getEnabledPairs()) {
+                await pair.refreshConversion(this.client);
+                await this.maintainPair(pair, offers);
+            }
+        });
         
-        // Check for instant swaps first
-        await this.monitorInstantSwaps();
+        // AMM pools are watched after the order book so a pool failure never blocks the ladders
+        for (const pair of this.getEnabledPairs().filter(pair => pair.ammPool)) {
+            try {
+                await this.maintainAmmPool(pair);
+            } catch (error) {
+                console.warn(`⚠️ AMM pool ${pair.tokenCode}/${pair.id}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Run offer maintenance tasks one at a time
+     *
+     * The check cycle, fill-driven replenishment and oracle repricing all
+     * place offers; serializing them keeps a rung from being posted twice.
+     */
+    runExclusive(task) {
+        const run = this.offerMaintenance.then(task);
+        this.offerMaintenance = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Requote or maintain a single pair
+     */
+    async maintainPair(pair, offers) {
+        // Requote both sides when fills have shifted the inventory skew
+        if (pair.quoteEngine.needsRequote(pair.lastQuotedSkew)) {
+            console.log(`⚖️ ${pair.tokenCode}/${pair.id} inventory skew moved ${pair.lastQuotedSkew.toFixed(2)}% → ${pair.quoteEngine.getSkewPercent().toFixed(2)}% - requoting`);
+            await this.repriceOffers('Inventory skew', [pair]);
+            return;
+        }
         
-        // Get current offers
-        const offers = await this.getAccountOffers();
-        const targetOffer = this.findTargetOffer(offers);
+        await this.maintainPairOffers(pair, offers);
+    }
+
+    /**
+     * Replenish filled pairs right away instead of waiting for the next cycle
+     */
+    scheduleReplenish(pairs) {
+        const due = pairs.filter(pair => pair.enabled && !this.pendingReplenish.has(pair));
+        
+        if (due.length === 0) {
+            return;
+        }
+        
+        due.forEach(pair => this.pendingReplenish.add(pair));
+        
+        // Not awaited: stream handlers must not wait on a maintenance run that may be backfilling
+        this.runExclusive(async () => {
+            due.forEach(pair => this.pendingReplenish.delete(pair));
+            
+            if (!this.isRunning || this.supplyReconciliation.isBlocking()) {
+                return;
+            }
+            
+            await this.ensureConnection();
+            const offers = await this.getAccountOffers();
+            await this.refreshAskCapacity(offers);
+            
+            for (const pair of due) {
+                console.log(`⚡ Fill on ${pair.tokenCode}/${pair.id} - maintaining ladder now`);
+                await this.maintainPair(pair, offers);
+            }
+        }).catch(error => {
+            this.stats.errors++;
+            console.error('💥 Fill-driven replenishment failed:', error.message);
+        });
+    }
+
+    /**
+     * Watch a pair's AMM pool and rebalance it towards NAV within bounds
+     */
+    async maintainAmmPool(pair) {
+        const ammPool = pair.ammPool;
+        const label = `${pair.tokenCode}/${pair.id}`;
+        const navPrice = pair.convertPrice(this.getReferencePrice(pair));
+        const pool = await ammPool.refresh(this.client, this.wallet.address, navPrice);
+        
+        if (!pool.exists) {
+            if (!ammPool.autoCreate) {
+                console.log(`ℹ️ AMM pool ${label} does not exist (AMM_AUTO_CREATE disabled)`);
+                return;
+            }
+            
+            const tokenAmount = ammPool.initialRLA;
+            const quoteAmount = ammPool.initialQuote || tokenAmount * navPrice;
+            console.log(`🏊 Creating AMM pool ${label}: ${tokenAmount} ${pair.tokenCode} + ${OfferLadder.formatAmount(quoteAmount)} ${pair.quoteCurrency}`);
+            const result = await ammPool.create(this.submitter, this.wallet, tokenAmount, quoteAmount);
+            console.log(`   📊 Transaction: ${result.hash}`);
+            await ammPool.refresh(this.client, this.wallet.address, navPrice);
+            return;
+        }
+        
+        console.log(`🏊 AMM pool ${label}: ${pool.tokenReserve} ${pair.tokenCode} / ${pool.quoteReserve} ${pair.quoteCurrency}, ` +
+            `price ${pool.impliedPrice.toFixed(6)} vs NAV ${navPrice.toFixed(6)} (${pool.deviationPercent >= 0 ? '+' : ''}${pool.deviationPercent.toFixed(2)}%), ` +
+            `LP ${pool.lpTokenBalance} (${(pool.lpShare * 100).toFixed(2)}%), fee ${pool.tradingFee / 1000}%`);
+        
+        if (ammPool.needsVote()) {
+            console.log(`🗳️ Voting AMM pool ${label} trading fee ${pool.tradingFee / 1000}% → ${ammPool.tradingFee / 1000}%`);
+            await ammPool.vote(this.submitter, this.wallet);
+        }
+        
+        const rebalance = await ammPool.rebalance(this.submitter, this.wallet);
+        if (rebalance) {
+            console.log(`⚖️ Rebalanced AMM pool ${label}: ${rebalance.action} ${rebalance.tokenAmount} ${pair.tokenCode} → expected price ${rebalance.expectedPrice.toFixed(6)}${rebalance.bounded ? ' (bounded)' : ''}`);
+            console.log(`   📊 Transaction: ${rebalance.hash}`);
+            await ammPool.refresh(this.client, this.wallet.address, navPrice);
+        }
+    }
+
+    /**
+     * Maintain each ladder rung of a trading pair independently
+     */
+    async maintainPairOffers(pair, offers) {
+        const offersBySequence = new Map(offers.map(offer => [offer.seq, offer]));
+        const rungs = this.getLadderRungs(pair);
+        const claimedOffers = new Set(
+            this.getTrackedSequences().filter(sequence => offersBySequence.has(sequence))
+        );
+        
+        for (const rung of rungs) {
+            await this.maintainRung(pair, rung, offers, offersBySequence, claimedOffers);
+        }
+        
+        // Leftovers stacked at a rung's price are superseded by the tracked offer
+        await this.cancelDuplicateOffers(pair, offers, rungs, claimedOffers);
+    }
+
+    /**
+     * Keep a single ladder rung in place, topping it up when partially filled
+     */
+    async maintainRung(pair, rung, offers, offersBySequence, claimedOffers) {
+        const tracker = pair.offerTracker;
+        const label = `${pair.tokenCode}/${pair.id} rung ${rung.id}`;
+        let tracked = tracker.get(rung.id);
+        
+        if (tracked && !offersBySequence.has(tracked.sequence)) {
+            console.log(`❌ Ladder ${label} offer #${tracked.sequence} fully consumed or removed - reposting`);
+            tracker.untrack(rung.id);
+            await this.createRungOffer(pair, rung);
+            return;
+        }
+        
+        if (!tracked) {
+            const existingOffer = this.findTargetOffer(pair, offers, rung, claimedOffers);
+            
+            if (!existingOffer) {
+                console.log(`❌ Ladder ${label} not found - creating new instant-swap enabled offer`);
+                await this.createRungOffer(pair, rung);
+                return;
+            }
+            
+            // Offers from a previous run are adopted instead of reposted
+            claimedOffers.add(existingOffer.seq);
+            tracked = tracker.track(rung, existingOffer.seq, this.getOfferRemainingRLA(existingOffer, rung.side));
+            console.log(`🔗 Adopted offer #${existingOffer.seq} for ladder ${label}`);
+        } else {
+            tracked.targetRLA = parseFloat(rung.rlaAmount);
+            tracker.updateRemaining(rung.id, this.getOfferRemainingRLA(offersBySequence.get(tracked.sequence), rung.side));
+        }
+        
+        const remainingPercent = (tracker.getFillRatio(tracked) * 100).toFixed(1);
+        
+        if (!tracker.needsReplenish(tracked)) {
+            console.log(`✅ Ladder ${label} active (offer #${tracked.sequence}, ${remainingPercent}% remaining)`);
+            if (this.debugMode) {
+                this.logOfferDetails(offersBySequence.get(tracked.sequence));
+            }
+            return;
+        }
+        
+        if (tracker.isCoolingDown(tracked)) {
+            console.log(`⏳ Ladder ${label} at ${remainingPercent}% - replenish cooldown active`);
+            return;
+        }
+        
+        const fitted = this.fitAskToSupply(pair, rung, rung.side === 'ask' ? tracked.remainingRLA : 0);
+        if (!fitted || parseFloat(fitted.rlaAmount) <= tracked.remainingRLA) {
+            console.log(`🧮 Ladder ${label} at ${remainingPercent}% - no ${pair.tokenCode} left to sell, keeping offer #${tracked.sequence}`);
+            return;
+        }
+        
+        console.log(`🔁 Ladder ${label} at ${remainingPercent}% - replenishing offer #${tracked.sequence} to ${fitted.rlaAmount === rung.rlaAmount ? 'target' : `${fitted.rlaAmount} ${pair.tokenCode} (supply left)`}`);
+        if (await this.createInstantSwapOffer(pair, fitted, tracked.sequence)) {
+            tracker.markReplenished(rung.id);
+        }
+    }
+
+    /**
+     * Post a rung that has no offer, within the supply left to sell
+     */
+    async createRungOffer(pair, rung) {
+        const fitted = this.fitAskToSupply(pair, rung);
+        if (!fitted) {
+            console.log(`🧮 Ladder ${pair.tokenCode}/${pair.id} rung ${rung.id} skipped - no ${pair.tokenCode} left to sell`);
+            return null;
+        }
+        
+        return await this.createInstantSwapOffer(pair, fitted);
+    }
+
+    /**
+     * Work out how many tokens each property can still offer
+     *
+     * The issuer can sell what is left of the configured supply, a
+     * distribution account what it holds; either way less what resting asks
+     * already offer. Asks are fitted to it so a replenish or repost never
+     * issues past the supply.
+     */
+    async refreshAskCapacity(offers) {
+        let held;
+        if (this.walletMode === 'distribution') {
+            const response = await this.client.request({
+                command: 'account_lines',
+                account: this.wallet.address,
+                peer: this.issuerAddress,
+                ledger_index: 'validated'
+            });
+            held = Object.fromEntries(response.result.lines.map(line => [line.currency, parseFloat(line.balance)]));
+        } else {
+            const response = await this.client.request({
+                command: 'gateway_balances',
+                account: this.issuerAddress,
+                ledger_index: 'validated'
+            });
+            const obligations = response.result.obligations || {};
+            held = Object.fromEntries(this.properties.map(property =>
+                [property.tokenCode, property.totalSupply - parseFloat(obligations[property.tokenCode] || '0')]));
+        }
+        
+        this.askCapacity.clear();
+        for (const property of this.properties) {
+            const resting = offers
+                .map(offer => offer.taker_gets)
+                .filter(amount => typeof amount === 'object' && amount.currency === property.tokenCode && amount.issuer === this.issuerAddress)
+                .reduce((sum, amount) => sum + parseFloat(amount.value), 0);
+            this.askCapacity.set(property.tokenCode, Math.max(0, (held[property.tokenCode] || 0) - resting));
+        }
+    }
+
+    /**
+     * Fit an ask rung to the tokens left to offer, counting them as offered
+     *
+     * released is what the offer being replaced still offers. Bids, and
+     * tokens without a known capacity, pass unchanged.
+     */
+    fitAskToSupply(pair, rung, released = 0) {
+        if (rung.side !== 'ask' || !this.askCapacity.has(pair.tokenCode)) {
+            return rung;
+        }
+        
+        const available = this.askCapacity.get(pair.tokenCode) + released;
+        const fitted = pair.quoteEngine.fitAskToSupply(rung, available);
+        if (fitted) {
+            this.askCapacity.set(pair.tokenCode, Math.max(0, available - parseFloat(fitted.rlaAmount)));
+        }
+        
+        return fitted;
+    }
+
+    /**
+     * Get the RLA still available on a ledger offer
+     */
+    getOfferRemainingRLA(offer, side) {
+        const takerGets = offer.TakerGets || offer.taker_gets;
+        const takerPays = offer.TakerPays || offer.taker_pays;
+        const rlaSide = side === 'bid' ? takerPays : takerGets;
+        
+        return parseFloat((rlaSide && rlaSide.value) || '0');
+    }
+
+    /**
+     * Cancel untracked offers stacked at the price of an active rung
+     */
+    async cancelDuplicateOffers(pair, offers, rungs, claimedOffers) {
+        for (const rung of rungs) {
+            let duplicate = this.findTargetOffer(pair, offers, rung, claimedOffers);
+            
+            while (duplicate) {
+                claimedOffers.add(duplicate.seq);
+                console.log(`🧹 Cancelling duplicate offer #${duplicate.seq} at ladder ${pair.tokenCode}/${pair.id} rung ${rung.id}`);
+                await this.cancelOffer(duplicate.seq);
+                duplicate = this.findTargetOffer(pair, offers, rung, claimedOffers);
+            }
+        }
+    }
+
+    /**
+     * Get the reference (NAV) token price in USD for a pair's property
+     */
+    getReferencePrice(pair) {
+        return this.getProperty(pair.propertyId).getReferencePrice();
+    }
+
+    /**
+     * Get a managed property by id
+     */
+    getProperty(propertyId) {
+        return this.properties.find(property => property.id === propertyId) || null;
+    }
+
+    /**
+     * Get the trading pairs of every property
+     */
+    getAllPairs() {
+        return this.properties.flatMap(property => property.pairs);
+    }
+
+    /**
+     * Get the trading pairs that are currently enabled
+     */
+    getEnabledPairs() {
+        return this.getAllPairs().filter(pair => pair.enabled);
+    }
+
+    /**
+     * Get a property's trading pair by id
+     */
+    getPair(propertyId, pairId) {
+        const property = this.getProperty(propertyId);
+        return property ? property.getPair(pairId) : null;
+    }
+
+    /**
+     * Get the oracle managers of properties with an active oracle
+     */
+    getOracleManagers() {
+        return this.properties.map(property => property.oracleManager).filter(Boolean);
+    }
+
+    /**
+     * Get offer sequences tracked across all pairs
+     */
+    getTrackedSequences() {
+        return this.getAllPairs().flatMap(pair => pair.offerTracker.getSequences());
+    }
+
+    /**
+     * Build a pair's ask and bid ladders at the current reference price
+     */
+    getLadderRungs(pair) {
+        const quotes = pair.buildQuotes(this.getReferencePrice(pair));
+        
+        if (pair.lastQuotedSkew === null) {
+            pair.lastQuotedSkew = quotes.centers.skewPercent;
+        }
+        
+        return quotes.rungs;
+    }
+
+    /**
+     * Create an offer for every ladder rung of every enabled pair
+     */
+    async createLadderOffers() {
+        await this.refreshAskCapacity(await this.getAccountOffers());
+        
+        for (const pair of this.getEnabledPairs()) {
+            pair.lastQuotedSkew = pair.quoteEngine.getSkewPercent();
+            
+            for (const rung of this.getLadderRungs(pair)) {
+                await this.createRungOffer(pair, rung);
+            }
+        }
+    }
+
+    /**
+     * Build TakerGets/TakerPays for a rung (asks sell RLA, bids buy it)
+     */
+    buildOfferAmounts(pair, rung) {
+        const rlaAmount = {
+            currency: pair.tokenCode,
+            issuer: this.issuerAddress,
+            value: rung.rlaAmount
+        };
+        const quoteAmount = pair.toLedgerAmount(rung.quoteAmount);
         
-        if (targetOffer) {
-            console.log('✅ Target offer found and active');
-            if (this.debugMode) {
-                this.logOfferDetails(targetOffer);
-            }
-        } else {
-            console.log('❌ Target offer not found - creating new instant-swap enabled offer');
-            await this.createInstantSwapOffer();
-        }
+        return rung.side === 'bid' ?
+            { TakerGets: quoteAmount, TakerPays: rlaAmount } :
+            { TakerGets: rlaAmount, TakerPays: quoteAmount };
     }
 
     /**
-     * Create instant swap enabled offer
+     * Create instant swap enabled offer for a ladder rung
+     *
+     * With a replaceSequence the old offer is cancelled and the new one placed
+     * in the same OfferCreate, so the rung is never missing from the book.
+     * Such refreshes are deferred while fees are above the ceiling, leaving
+     * the old offer in place; null is returned in that case.
      */
-    async createInstantSwapOffer() {
+    async createInstantSwapOffer(pair, rung, replaceSequence = null) {
         try {
-            console.log('⚡ Creating instant-swap enabled offer...');
-            
-            // Use current price if available from oracle
-            const currentUSDTAmount = this.currentPrice ? 
-                (parseFloat(this.rlaAmount) * this.currentPrice).toString() : 
-                this.usdtAmount;
+            console.log(replaceSequence ?
+                `⚡ Replacing offer #${replaceSequence} for ${pair.tokenCode}/${pair.id} rung ${rung.id}...` :
+                `⚡ Creating instant-swap enabled offer for ${pair.tokenCode}/${pair.id} rung ${rung.id}...`);
             
             const transaction = {
                 TransactionType: 'OfferCreate',
                 Account: this.wallet.address,
-                TakerGets: {
-                    currency: this.tokenCode,
-                    issuer: this.wallet.address,
-                    value: this.rlaAmount
-                },
-                TakerPays: {
-                    currency: this.usdtTokenCode,
-                    issuer: this.usdtIssuer,
-                    value: currentUSDTAmount
-                },
+                ...this.buildOfferAmounts(pair, rung),
                 // No special flags - this allows both instant swaps AND order book placement
                 Flags: 0
             };
             
+            if (replaceSequence) {
+                transaction.OfferSequence = replaceSequence;
+            }
+            
             if (this.debugMode) {
                 console.log('🔍 Instant-swap transaction details:', JSON.stringify(transaction, null, 2));
             }
             
-            const prepared = await this.client.autofill(transaction);
-            const signed = this.wallet.sign(prepared);
-            const result = await this.client.submitAndWait(signed.tx_blob);
+            const result = await this.submitter.submit(transaction, {
+                wallet: this.wallet,
+                label: `OfferCreate ${pair.tokenCode}/${pair.id} ${rung.id}`,
+                deferrable: replaceSequence !== null
+            });
             
-            if (result.result.meta.TransactionResult === 'tesSUCCESS') {
-                this.totalOffersCreated++;
-                this.stats.totalOffers++;
-                this.lastOfferHash = result.result.hash;
-                
-                console.log('🎉 Instant-swap offer created successfully!');
-                console.log(`   📊 Transaction: ${result.result.hash}`);
-                console.log(`   💼 Selling: ${this.rlaAmount} ${this.tokenCode}`);
-                console.log(`   💰 For: ${currentUSDTAmount} ${this.usdtTokenCode}`);
-                console.log(`   ⚡ Instant swap: ENABLED`);
-                console.log(`   📈 Rate: ${(parseFloat(currentUSDTAmount) / parseFloat(this.rlaAmount)).toFixed(6)}`);
-                console.log(`   🎯 Total offers created: ${this.totalOffersCreated}`);
-                
-                // Log LP instructions on first offer
-                if (this.totalOffersCreated === 1) {
-                    this.displayLPInstructions();
-                }
-                
+            this.totalOffersCreated++;
+            this.stats.totalOffers++;
+            pair.stats.offersCreated++;
+            this.lastOfferHash = result.hash;
+            
+            // An offer fully crossed on placement never reaches the book
+            if (this.offerWasPlaced(result.meta)) {
+                pair.offerTracker.track(rung, result.sequence);
+            } else {
+                pair.offerTracker.untrack(rung.id);
+            }
+            
+            console.log('🎉 Instant-swap offer created successfully!');
+            console.log(`   📊 Transaction: ${result.hash}`);
+            console.log(`   🔢 Offer sequence: ${result.sequence}${replaceSequence ? ` (replaced #${replaceSequence})` : ''}`);
+            console.log(`   🏢 Property: ${pair.propertyId}`);
+            console.log(`   💱 Pair: ${pair.tokenCode}/${pair.id}`);
+            console.log(`   🪜 Rung: ${rung.id} (${rung.offsetPercent >= 0 ? '+' : ''}${rung.offsetPercent.toFixed(2)}% vs NAV)`);
+            if (rung.side === 'bid') {
+                console.log(`   🛒 Buying: ${rung.rlaAmount} ${pair.tokenCode}`);
+                console.log(`   💰 With: ${rung.quoteAmount} ${pair.quoteCurrency}`);
             } else {
-                throw new Error(`Transaction failed: ${result.result.meta.TransactionResult}`);
+                console.log(`   💼 Selling: ${rung.rlaAmount} ${pair.tokenCode}`);
+                console.log(`   💰 For: ${rung.quoteAmount} ${pair.quoteCurrency}`);
+            }
+            console.log(`   ⚡ Instant swap: ENABLED`);
+            console.log(`   📈 Rate: ${rung.price.toFixed(6)}`);
+            console.log(`   🎯 Total offers created: ${this.totalOffersCreated}`);
+            
+            // Log LP instructions on first offer
+            if (this.totalOffersCreated === 1) {
+                this.displayLPInstructions();
             }
             
+            return {
+                hash: result.hash,
+                sequence: result.sequence,
+                placed: pair.offerTracker.get(rung.id) !== null
+            };
+            
         } catch (error) {
+            if (error.deferred) {
+                console.log(`⏸️ Offer refresh for ${pair.tokenCode}/${pair.id} rung ${rung.id} deferred - keeping offer #${replaceSequence}`);
+                return null;
+            }
             console.error('💥 Failed to create instant-swap offer:', error.message);
             throw error;
         }
     }
 
     /**
-     * Monitor for instant swap transactions
+     * Check transaction metadata for a newly created offer entry
      */
-    async monitorInstantSwaps() {
-        try {
-            // Get recent transactions to detect instant swaps
-            const transactions = await this.client.request({
-                command: 'account_tx',
-                account: this.wallet.address,
-                limit: 5,
-                ledger_index_min: -1,
-                ledger_index_max: -1
-            });
-            
-            for (const tx of transactions.result.transactions) {
-                if (this.isRecentSwapTransaction(tx)) {
-                    await this.handleDetectedSwap(tx);
-                }
-            }
-            
-        } catch (error) {
-            // Don't log errors for this - it's optional monitoring
-            if (this.debugMode) {
-                console.warn('⚠️ Instant swap monitoring:', error.message);
-            }
-        }
+    offerWasPlaced(meta) {
+        return !!(meta && meta.AffectedNodes && meta.AffectedNodes.some(node =>
+            node.CreatedNode && node.CreatedNode.LedgerEntryType === 'Offer'
+        ));
     }
 
     /**
-     * Check if transaction is a recent swap of our tokens
+     * Handle a validated transaction from the account stream
      */
-    isRecentSwapTransaction(tx) {
-        try {
-            const meta = tx.meta;
-            const transaction = tx.transaction;
-            
-            // Check if it's a successful transaction within the last 5 minutes
-            const txTime = new Date((transaction.date + 946684800) * 1000); // XRPL epoch to JS epoch
-            const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-            
-            if (txTime < fiveMinutesAgo) {
-                return false;
-            }
-            
-            // Check if our tokens were involved in the transaction
-            if (meta && meta.AffectedNodes) {
-                for (const node of meta.AffectedNodes) {
-                    if (node.DeletedNode && node.DeletedNode.LedgerEntryType === 'Offer') {
-                        const offer = node.DeletedNode.PreviousFields || node.DeletedNode.FinalFields;
-                        if (offer && offer.Account === this.wallet.address) {
-                            return true;
-                        }
-                    }
-                    if (node.ModifiedNode && node.ModifiedNode.LedgerEntryType === 'RippleState') {
-                        const balance = node.ModifiedNode.FinalFields || node.ModifiedNode.PreviousFields;
-                        if (balance && balance.Balance && 
-                            (balance.Balance.currency === this.tokenCode || 
-                             balance.Balance.currency === this.usdtTokenCode)) {
-                            return true;
-                        }
-                    }
-                }
-            }
-            
-            return false;
-            
-        } catch (error) {
-            return false;
+    async handleAccountTransaction(tx) {
+        const parsed = this.fillParser.parse(tx);
+        
+        if (parsed.fills.length === 0) {
+            return;
         }
+        
+        const filledPairs = await this.handleDetectedSwap(parsed);
+        this.scheduleReplenish(filledPairs);
     }
 
     /**
      * Handle detected swap transaction
+     *
+     * Returns the pairs whose inventory changed.
      */
-    async handleDetectedSwap(tx) {
+    async handleDetectedSwap(parsed) {
+        const fills = parsed.fills;
+        
         console.log('⚡ INSTANT SWAP DETECTED!');
-        console.log(`   📊 Transaction: ${tx.transaction.hash}`);
-        console.log(`   ⏰ Time: ${new Date().toISOString()}`);
+        console.log(`   📊 Transaction: ${parsed.hash}`);
+        console.log(`   ⏰ Time: ${parsed.executedAt || new Date().toISOString()}`);
         console.log(`   💱 Swap executed - tokens transferred to LP`);
         
-        // Increment swap counter
-        this.stats.instantSwaps++;
-        this.lastSwapTime = new Date();
+        // Feed executed amounts into each pair's inventory skew and statistics
+        const filledPairs = new Set();
+        const swappedProperties = new Set();
+        for (const fill of fills) {
+            const pair = this.getPair(fill.propertyId, fill.pairId);
+            if (pair.recordFill(fill)) {
+                filledPairs.add(pair);
+                swappedProperties.add(fill.propertyId);
+                console.log(`   📦 ${fill.side === 'bid' ? 'Bought' : 'Sold'} ${fill.rlaAmount} ${pair.tokenCode} for ${fill.quoteAmount} ${pair.quoteCurrency} @ ${fill.effectivePrice?.toFixed(6)} (${pair.propertyId} ${pair.id}, offer #${fill.offerSequence})`);
+                console.log(`   👤 Counterparty: ${fill.counterparty}`);
+            }
+        }
+        swappedProperties.forEach(propertyId => this.getProperty(propertyId).stats.swaps++);
+        
+        // Fills replayed after a restart were already counted before the snapshot
+        if (filledPairs.size > 0) {
+            this.stats.instantSwaps++;
+            this.lastSwapTime = new Date();
+        }
         
-        // Log for compliance
-        this.logSwapForCompliance(tx);
+        // Journal for compliance and metrics
+        await this.logSwapForCompliance(parsed);
         
         console.log(`   🔄 Total instant swaps: ${this.stats.instantSwaps}`);
+        
+        return Array.from(filledPairs);
     }
 
     /**
@@ -468,82 +1612,116 @@ class EnterpriseRealEstateBot {
         console.log('   ⚡ XRPL API: Use OfferCreate with your offer accepting ours');
         console.log('   🌐 Any XRPL DEX: Look for "Market Order" or "Accept Offer" options');
         console.log('');
-        console.log('   🎯 Current Offer: Accept our offer to instantly swap');
-        console.log(`   💰 Rate: ${(parseFloat(this.usdtAmount) / parseFloat(this.rlaAmount)).toFixed(6)} USDT per RLA`);
+        console.log('   🎯 Current Offers: Accept any ladder rung to instantly swap');
+        this.getEnabledPairs().forEach(pair => {
+            this.getLadderRungs(pair).forEach(rung => {
+                const action = rung.side === 'bid' ? 'buying' : 'selling';
+                console.log(`   💰 ${pair.tokenCode}/${pair.id} ${rung.id}: ${action} ${rung.rlaAmount} ${pair.tokenCode} at ${rung.price.toFixed(6)} ${pair.quoteCurrency} per ${pair.tokenCode}`);
+            });
+        });
         console.log('   ⚡ Execution: 3-5 seconds on XRPL');
         console.log('================================\n');
     }
 
     /**
      * Log swap for compliance reporting
+     *
+     * Every fill is appended to the trade journal, the single record of
+     * executed trades behind compliance reports and trading metrics.
      */
-    logSwapForCompliance(tx) {
-        const swapData = {
-            timestamp: new Date().toISOString(),
-            transactionHash: tx.transaction.hash,
-            type: 'TOKEN_SWAP',
-            account: tx.transaction.Account,
-            ledgerIndex: tx.ledger_index,
-            fee: tx.transaction.Fee,
-            tokenCode: this.tokenCode,
-            rlaAmount: this.rlaAmount,
-            usdtAmount: this.usdtAmount
-        };
+    async logSwapForCompliance(parsed) {
+        const records = parsed.fills.map(fill => this.buildJournalRecord(parsed, fill));
         
-        // Store in compliance log
         if (this.debugMode) {
-            console.log('📋 Compliance swap log:', JSON.stringify(swapData, null, 2));
+            console.log('📋 Compliance swap log:', JSON.stringify(records, null, 2));
         }
         
-        // Write to log file
-        this.writeSwapLog(swapData);
-    }
-
-    /**
-     * Write swap log to file
-     */
-    async writeSwapLog(swapData) {
         try {
-            const fs = require('fs').promises;
-            const path = require('path');
-            
-            const logDir = './logs';
-            const logFile = path.join(logDir, 'instant_swaps.json');
-            
-            // Ensure logs directory exists
-            try {
-                await fs.mkdir(logDir, { recursive: true });
-            } catch (e) {
-                // Directory might already exist
-            }
-            
-            // Read existing logs or create empty array
-            let logs = [];
-            try {
-                const existingData = await fs.readFile(logFile, 'utf8');
-                logs = JSON.parse(existingData);
-            } catch (e) {
-                // File doesn't exist yet
+            const written = await this.tradeJournal.append(records);
+            if (written < records.length && this.debugMode) {
+                console.log(`   ℹ️ ${records.length - written} fill(s) already journaled`);
             }
-            
-            // Add new log entry
-            logs.push(swapData);
-            
-            // Keep only last 100 entries
-            if (logs.length > 100) {
-                logs = logs.slice(-100);
-            }
-            
-            // Write back to file
-            await fs.writeFile(logFile, JSON.stringify(logs, null, 2));
-            
+            // Only journaled fills are booked, so a rebuild reproduces the same figures
+            this.accounting.applyAll(records);
         } catch (error) {
-            if (this.debugMode) {
-                console.warn('⚠️ Could not write swap log:', error.message);
-            }
+            this.stats.errors++;
+            console.error(`💥 Could not journal fills of ${parsed.hash}:`, error.message);
         }
     }
 
+    /**
+     * Build a trade journal record for a parsed fill
+     */
+    buildJournalRecord(parsed, fill) {
+        const pair = this.getPair(fill.propertyId, fill.pairId);
+        
+        return {
+            id: `${fill.hash}:${fill.offerSequence}:${fill.side}`,
+            type: 'TOKEN_SWAP',
+            executedAt: fill.executedAt || new Date().toISOString(),
+            hash: fill.hash,
+            ledgerIndex: fill.ledgerIndex,
+            transactionType: parsed.transactionType,
+            submitter: parsed.account,
+            counterparty: fill.counterparty,
+            fee: parsed.fee,
+            deliveredAmount: parsed.deliveredAmount,
+            propertyId: fill.propertyId,
+            pairId: fill.pairId,
+            tokenCode: fill.tokenCode,
+            side: fill.side,
+            offerSequence: fill.offerSequence,
+            offerConsumed: fill.offerConsumed,
+            rlaAmount: fill.rlaAmount,
+            quoteAmount: fill.quoteAmount,
+            quoteCurrency: fill.quoteCurrency,
+            effectivePrice: fill.effectivePrice,
+            // USD figures let fills across quote assets add up
+            conversionRate: pair.conversionRate,
+            usdAmount: parseFloat(fill.quoteAmount) / pair.conversionRate,
+            usdPrice: fill.effectivePrice !== null ? fill.effectivePrice / pair.conversionRate : null,
+            navPrice: this.getReferencePrice(pair)
+        };
+    }
+
+    /**
+     * Query journaled trades by time range, counterparty, property or pair
+     */
+    async queryTrades(filter = {}) {
+        return await this.tradeJournal.query(filter);
+    }
+
+    /**
+     * Query transaction submission records by status, account or type
+     */
+    getTransactionRecords(filter = {}) {
+        return this.submitter.getRecords(filter);
+    }
+
+    /**
+     * Get trading activity for compliance reports from the trade journal
+     */
+    async getTradingActivity() {
+        const fills = await this.tradeJournal.query({ from: Date.now() - 24 * 60 * 60 * 1000 });
+        const prices = fills.map(fill => fill.usdPrice).filter(price => price !== null);
+        const pairs = this.getEnabledPairs();
+        const rungCount = pairs.reduce((sum, pair) =>
+            sum + pair.askLadder.levels + (pair.bidLadder ? pair.bidLadder.levels : 0), 0);
+        const activeOffers = this.getTrackedSequences().length;
+        
+        return {
+            volume24h: fills.reduce((sum, fill) => sum + fill.usdAmount, 0),
+            tokenVolume24h: fills.reduce((sum, fill) => sum + parseFloat(fill.rlaAmount), 0),
+            fills24h: fills.length,
+            counterparties24h: new Set(fills.map(fill => fill.counterparty)).size,
+            activeOffers: activeOffers,
+            priceRange: prices.length > 0 ? { min: Math.min(...prices), max: Math.max(...prices) } : null,
+            // Share of configured ladder rungs currently live on the book
+            liquidityScore: rungCount > 0 ? Math.round(Math.min(1, activeOffers / rungCount) * 100) : 0,
+            allTime: this.tradeJournal.getSummary()
+        };
+    }
+
     /**
      * Get account offers from XRPL
      */
@@ -563,36 +1741,21 @@ class EnterpriseRealEstateBot {
     }
 
     /**
-     * Find our target RLA/USDT offer
+     * Find the offer backing a ladder rung (ask or bid) of a trading pair
      */
-    findTargetOffer(offers) {
+    findTargetOffer(pair, offers, rung, claimedOffers = new Set()) {
         return offers.find(offer => {
             try {
-                const takerGets = offer.TakerGets || offer.taker_gets;
-                const takerPays = offer.TakerPays || offer.taker_pays;
-                
-                if (typeof takerGets === 'string' || typeof takerPays === 'string') {
-                    return false;
-                }
-                
-                const isRLAOffer = takerGets && 
-                                  takerGets.currency === this.tokenCode &&
-                                  takerGets.issuer === this.wallet.address;
-                                  
-                const isUSDTRequest = takerPays &&
-                                     takerPays.currency === this.usdtTokenCode &&
-                                     takerPays.issuer === this.usdtIssuer;
+                const match = this.matchPairOffer(offer);
                 
-                if (!isRLAOffer || !isUSDTRequest) {
+                if (claimedOffers.has(offer.seq) || !match || match.pair !== pair || match.side !== rung.side) {
                     return false;
                 }
                 
-                const rlaAmount = parseFloat(takerGets.value || '0');
-                const usdtAmount = parseFloat(takerPays.value || '0');
-                const targetRLA = parseFloat(this.rlaAmount);
-                const targetUSDT = parseFloat(this.usdtAmount);
+                const rlaAmount = this.getOfferRemainingRLA(offer, rung.side);
+                const quoteAmount = rlaAmount * this.getOfferPrice(pair, offer, rung.side);
                 
-                return rlaAmount >= targetRLA * 0.9 && usdtAmount >= targetUSDT * 0.9;
+                return (rung.side === 'bid' ? pair.bidLadder : pair.askLadder).offerMatchesRung(rlaAmount, quoteAmount, rung);
                 
             } catch (error) {
                 return false;
@@ -600,33 +1763,92 @@ class EnterpriseRealEstateBot {
         });
     }
 
+    /**
+     * Classify an offer as an 'ask' or 'bid' on one of the bot's trading pairs
+     *
+     * Returns null for offers the bot does not manage.
+     */
+    matchPairOffer(offer) {
+        const takerGets = offer.TakerGets || offer.taker_gets;
+        const takerPays = offer.TakerPays || offer.taker_pays;
+        
+        if (!takerGets || !takerPays) {
+            return null;
+        }
+        
+        const isToken = (amount, pair) => typeof amount === 'object' &&
+            amount.currency === pair.tokenCode && amount.issuer === this.issuerAddress;
+        
+        // Asks give the property token for the quote asset, bids the reverse
+        for (const pair of this.getAllPairs()) {
+            if (isToken(takerGets, pair) && pair.isQuoteAmount(takerPays)) return { pair, side: 'ask' };
+            if (pair.isQuoteAmount(takerGets) && isToken(takerPays, pair)) return { pair, side: 'bid' };
+        }
+        return null;
+    }
+
+    /**
+     * Get the quote-per-RLA price of a ledger offer
+     */
+    getOfferPrice(pair, offer, side) {
+        const takerGets = offer.TakerGets || offer.taker_gets;
+        const takerPays = offer.TakerPays || offer.taker_pays;
+        const rlaValue = parseFloat((side === 'bid' ? takerPays : takerGets).value);
+        const quoteValue = pair.fromLedgerAmount(side === 'bid' ? takerGets : takerPays);
+        
+        return rlaValue > 0 ? quoteValue / rlaValue : 0;
+    }
+
     /**
      * Create new XRPL offer (fallback method)
      */
     async createOffer() {
-        return await this.createInstantSwapOffer();
+        return await this.createLadderOffers();
     }
 
     /**
-     * Handle price update from oracle
+     * Handle price update from a property's oracle
      */
-    async handlePriceUpdate(updateData) {
+    async handlePriceUpdate(property, updateData) {
         try {
-            console.log('🔮 Processing oracle price update...');
+            console.log(`🔮 Processing oracle price update for ${property.name} (${property.id})...`);
             console.log(`   📊 Price change: ${updateData.priceChangePercent > 0 ? '+' : ''}${updateData.priceChangePercent.toFixed(2)}%`);
             
             // Calculate new token price
-            const newTokenPrice = this.calculateTokenPrice(updateData.newValuation.currentValue);
+            const oldTokenPrice = property.getReferencePrice();
+            const newTokenPrice = property.calculateTokenPrice(updateData.newValuation.currentValue);
             
-            if (Math.abs(newTokenPrice - this.currentPrice) / this.currentPrice > 0.01) { // 1% threshold
-                console.log(`   💎 Updating token price: $${this.currentPrice?.toFixed(4)} → $${newTokenPrice.toFixed(4)}`);
+            if (property.needsRepricing(newTokenPrice)) {
+                console.log(`   💎 Updating ${property.tokenCode} price: $${oldTokenPrice.toFixed(4)} → $${newTokenPrice.toFixed(4)}`);
                 
-                this.currentPrice = newTokenPrice;
+                property.setTokenPrice(newTokenPrice);
                 this.stats.priceUpdates++;
                 
-                // Cancel existing offers and create new ones with updated price
-                await this.cancelAllOffers();
-                await this.createInstantSwapOffer();
+                if (this.supplyReconciliation.isBlocking()) {
+                    console.warn('   ⛔ Trading blocked by a token supply mismatch - offers not repriced');
+                    return;
+                }
+                
+                // Replace each of the property's offers in place at the updated price
+                const report = await this.runExclusive(() =>
+                    this.repriceOffers(`Oracle price update (${property.id})`, property.pairs));
+                
+                if (this.complianceReporter) {
+                    try {
+                        await this.complianceReporter.generateAdHocReport('Offer Repricing', {
+                            propertyId: property.id,
+                            tokenCode: property.tokenCode,
+                            priceUpdate: {
+                                oldValue: updateData.oldValuation?.currentValue,
+                                newValue: updateData.newValuation.currentValue,
+                                priceChangePercent: updateData.priceChangePercent
+                            },
+                            repricing: report
+                        });
+                    } catch (error) {
+                        console.warn('⚠️ Could not record repricing report:', error.message);
+                    }
+                }
                 
                 console.log('✅ Price update completed');
             } else {
@@ -639,39 +1861,203 @@ class EnterpriseRealEstateBot {
     }
 
     /**
-     * Calculate token price based on property value
+     * Replace every managed offer at the current quotes
+     *
+     * Each rung's offer is swapped in a single OfferCreate carrying
+     * OfferSequence, so the book never goes empty between cancel and create.
+     * Offers outside the bot's trading pairs are left untouched; offers of
+     * disabled pairs are retired.
+     */
+    async repriceOffers(reason, pairs = this.getAllPairs()) {
+        console.log(`🔁 Repricing managed offers (${reason})...`);
+        
+        const report = {
+            timestamp: new Date().toISOString(),
+            reason: reason,
+            referencePrices: {},
+            pairs: pairs.map(pair => `${pair.tokenCode}/${pair.id}`),
+            replaced: [],
+            created: [],
+            cancelled: [],
+            deferred: [],
+            // Ask rungs with no supply left to sell
+            exhausted: [],
+            failed: [],
+            untouchedOffers: 0
+        };
+        
+        const offers = await this.getAccountOffers();
+        await this.refreshAskCapacity(offers);
+        const managedOffers = offers.filter(offer => {
+            const match = this.matchPairOffer(offer);
+            return match && pairs.includes(match.pair);
+        });
+        const offersBySequence = new Map(managedOffers.map(offer => [offer.seq, offer]));
+        const available = new Set(offersBySequence.keys());
+        report.untouchedOffers = offers.length - managedOffers.length;
+        
+        for (const pair of pairs) {
+            report.referencePrices[pair.propertyId] = this.getReferencePrice(pair);
+            pair.lastQuotedSkew = pair.quoteEngine.getSkewPercent();
+            const rungs = pair.enabled ? this.getLadderRungs(pair) : [];
+            
+            // Sequences tracked for a current rung belong to that rung only
+            const reserved = new Set(rungs
+                .map(rung => pair.offerTracker.get(rung.id))
+                .filter(tracked => tracked && available.has(tracked.sequence))
+                .map(tracked => tracked.sequence));
+            
+            for (const rung of rungs) {
+                const tracked = pair.offerTracker.get(rung.id);
+                let oldSequence = tracked && available.has(tracked.sequence) ? tracked.sequence : null;
+                
+                if (!oldSequence) {
+                    // Replace a stale managed offer on the same side rather than leaving it behind
+                    const stale = managedOffers.find(offer => {
+                        const match = this.matchPairOffer(offer);
+                        return available.has(offer.seq) && !reserved.has(offer.seq) &&
+                            match.pair === pair && match.side === rung.side;
+                    });
+                    oldSequence = stale ? stale.seq : null;
+                }
+                
+                if (oldSequence) {
+                    available.delete(oldSequence);
+                }
+                
+                const released = oldSequence && rung.side === 'ask' ?
+                    this.getOfferRemainingRLA(offersBySequence.get(oldSequence), 'ask') : 0;
+                const fitted = this.fitAskToSupply(pair, rung, released);
+                const entry = {
+                    propertyId: pair.propertyId,
+                    pairId: pair.id,
+                    rungId: rung.id,
+                    side: rung.side,
+                    oldSequence: oldSequence,
+                    oldPrice: oldSequence ? this.getOfferPrice(pair, offersBySequence.get(oldSequence), rung.side) : null,
+                    newPrice: rung.price,
+                    rlaAmount: fitted ? fitted.rlaAmount : '0'
+                };
+                
+                if (!fitted) {
+                    entry.error = `no ${pair.tokenCode} left to sell`;
+                    report.exhausted.push(entry);
+                    continue;
+                }
+                
+                try {
+                    const result = await this.createInstantSwapOffer(pair, fitted, oldSequence);
+                    if (!result) {
+                        report.deferred.push(entry);
+                        continue;
+                    }
+                    entry.newSequence = result.placed ? result.sequence : null;
+                    entry.hash = result.hash;
+                    (oldSequence ? report.replaced : report.created).push(entry);
+                } catch (error) {
+                    entry.error = error.message;
+                    report.failed.push(entry);
+                }
+            }
+        }
+        
+        // Managed offers without a rung (e.g. the ladder shrank) are retired
+        for (const sequence of available) {
+            try {
+                await this.cancelOffer(sequence);
+                report.cancelled.push({ sequence: sequence });
+            } catch (error) {
+                report.failed.push({ oldSequence: sequence, error: error.message });
+            }
+        }
+        
+        this.lastRepriceReport = report;
+        for (const propertyId of Object.keys(report.referencePrices)) {
+            this.getProperty(propertyId).lastRepriceReport = report;
+        }
+        this.logRepriceReport(report);
+        
+        return report;
+    }
+
+    /**
+     * Log a repricing report
+     */
+    logRepriceReport(report) {
+        console.log(`📋 Repricing report (${report.reason}):`);
+        report.replaced.forEach(entry => {
+            console.log(`   🔁 ${entry.propertyId} ${entry.pairId} ${entry.rungId}: #${entry.oldSequence} @ ${entry.oldPrice.toFixed(6)} → #${entry.newSequence ?? 'filled'} @ ${entry.newPrice.toFixed(6)}`);
+        });
+        report.created.forEach(entry => {
+            console.log(`   ➕ ${entry.propertyId} ${entry.pairId} ${entry.rungId}: new #${entry.newSequence ?? 'filled'} @ ${entry.newPrice.toFixed(6)}`);
+        });
+        report.cancelled.forEach(entry => {
+            console.log(`   🗑️ Retired offer #${entry.sequence}`);
+        });
+        report.deferred.forEach(entry => {
+            console.log(`   ⏸️ ${entry.propertyId} ${entry.pairId} ${entry.rungId}: ${this.describeKeptOffer(entry)} (fees above ceiling)`);
+        });
+        report.exhausted.forEach(entry => {
+            console.log(`   🧮 ${entry.propertyId} ${entry.pairId} ${entry.rungId}: ${this.describeKeptOffer(entry)} (${entry.error})`);
+        });
+        report.failed.forEach(entry => {
+            console.log(`   ❌ ${entry.rungId ? `${entry.propertyId} ${entry.pairId} ${entry.rungId}` : `#${entry.oldSequence}`}: ${entry.error}`);
+        });
+        console.log(`   ℹ️ Unmanaged offers left untouched: ${report.untouchedOffers}`);
+    }
+
+    /**
+     * Describe the offer a rung keeps when it is not repriced
      */
-    calculateTokenPrice(propertyValue) {
-        const totalSupply = parseInt(process.env.TOTAL_TOKEN_SUPPLY || this.rlaAmount);
-        return propertyValue / totalSupply;
+    describeKeptOffer(entry) {
+        return entry.oldSequence ? `#${entry.oldSequence} kept @ ${entry.oldPrice.toFixed(6)}` : 'no offer posted';
     }
 
     /**
-     * Cancel all existing offers
+     * Cancel all offers managed by the bot
+     *
+     * Only offers on the bot's trading pairs are cancelled; anything else on
+     * the account belongs to someone else's workflow.
      */
     async cancelAllOffers() {
         try {
             const offers = await this.getAccountOffers();
             
             for (const offer of offers) {
-                const cancelTx = {
-                    TransactionType: 'OfferCancel',
-                    Account: this.wallet.address,
-                    OfferSequence: offer.seq
-                };
-                
-                const prepared = await this.client.autofill(cancelTx);
-                const signed = this.wallet.sign(prepared);
-                await this.client.submitAndWait(signed.tx_blob);
-                
-                console.log(`   🗑️ Cancelled offer sequence: ${offer.seq}`);
+                if (this.matchPairOffer(offer) !== null) {
+                    await this.cancelOffer(offer.seq);
+                }
             }
             
+            this.getAllPairs().forEach(pair => pair.offerTracker.clear());
+            
         } catch (error) {
             console.warn('⚠️ Error cancelling offers:', error.message);
         }
     }
 
+    /**
+     * Cancel a single offer by sequence
+     */
+    async cancelOffer(sequence) {
+        const cancelTx = {
+            TransactionType: 'OfferCancel',
+            Account: this.wallet.address,
+            OfferSequence: sequence
+        };
+        
+        await this.submitter.submit(cancelTx, { wallet: this.wallet, label: `OfferCancel #${sequence}` });
+        
+        for (const pair of this.getAllPairs()) {
+            const tracked = pair.offerTracker.findBySequence(sequence);
+            if (tracked) {
+                pair.offerTracker.untrack(tracked.rungId);
+            }
+        }
+        
+        console.log(`   🗑️ Cancelled offer sequence: ${sequence}`);
+    }
+
     /**
      * Get instant swap statistics
      */
@@ -680,7 +2066,8 @@ class EnterpriseRealEstateBot {
             totalSwaps: this.stats.instantSwaps,
             averageSwapsPerHour: this.calculateSwapRate(),
             lastSwapTime: this.lastSwapTime?.toISOString() || null,
-            swapLogFile: './logs/instant_swaps.json'
+            journal: this.tradeJournal.getSummary(),
+            stream: this.transactionStream ? this.transactionStream.getStatus() : null
         };
     }
 
@@ -699,8 +2086,8 @@ class EnterpriseRealEstateBot {
     /**
      * Handle oracle errors
      */
-    handleOracleError(error) {
-        console.error('🔮 Oracle error:', error.message);
+    handleOracleError(error, property = null) {
+        console.error(`🔮 Oracle error${property ? ` (${property.id})` : ''}:`, error.message);
         // Could send alerts here
     }
 
@@ -709,20 +2096,33 @@ class EnterpriseRealEstateBot {
      */
     async handleConnectionFailure() {
         try {
-            if (this.client) {
-                await this.client.disconnect();
-            }
-            
-            await this.sleep(5000);
+            this.connectionManager.reportError(new Error('connection failure'));
             
-            this.client = new xrpl.Client(this.xrplNetwork);
-            await this.client.connect();
+            // Probes every endpoint; a switch re-attaches the stream via handleEndpointSwitch
+            await this.connectionManager.failover('connection failure');
             
             this.consecutiveErrors = 0;
             console.log('✅ XRPL connection restored');
             
         } catch (error) {
             console.error('💥 Connection recovery failed:', error.message);
+            await this.sleep(5000);
+        }
+    }
+
+    /**
+     * Move everything onto the new shared client after an endpoint switch
+     */
+    async handleEndpointSwitch(client, entry) {
+        this.client = client;
+        
+        // Resubscribe and replay fills missed while switching
+        if (this.transactionStream && this.isRunning) {
+            await this.transactionStream.attach(client);
+        }
+        
+        if (entry.from) {
+            console.log(`✅ Trading resumed on ${entry.to}`);
         }
     }
 
@@ -767,21 +2167,82 @@ class EnterpriseRealEstateBot {
             xrpl: {
                 connected: this.client && this.client.isConnected(),
                 network: this.xrplNetwork,
+                endpoint: this.connectionManager.getActiveUrl(),
+                connections: this.connectionManager.getStatus(),
                 wallet: this.wallet?.address,
-                consecutiveErrors: this.consecutiveErrors
+                consecutiveErrors: this.consecutiveErrors,
+                paperTrading: this.paperLedger ? this.paperLedger.getStatus() : null
             },
-            oracle: this.oracleManager ? this.oracleManager.getHealthStatus() : { status: 'DISABLED' },
+            oracle: this.getOracleStatus(),
             custody: this.custodyManager ? this.custodyManager.getCustodyStatusSummary() : { status: 'DISABLED' },
             compliance: this.complianceReporter ? this.complianceReporter.getReportingStatus() : { status: 'DISABLED' },
+            issuerProfile: this.issuerProfile.getStatus(),
+            holderAuthorization: this.trustLineAuthorizer.getStatus(),
+            capTable: this.capTable.getStatus(),
+            supplyReconciliation: this.supplyReconciliation.getStatus(),
+            distributionWallet: this.distributionWallet ? this.distributionWallet.getStatus() : { walletMode: this.walletMode },
+            portfolio: this.getPortfolioStatus(),
+            accounting: this.getAccountingReport(),
+            transactions: this.submitter.getStatus(),
+            state: {
+                ...this.stateStore.getStatus(),
+                restoredFrom: this.restoredFrom,
+                lastReconciliation: this.lastReconciliation
+            },
             statistics: {
                 ...this.stats,
-                currentPrice: this.currentPrice,
+                lastRepriceReport: this.lastRepriceReport,
                 lastOfferHash: this.lastOfferHash,
                 instantSwaps: this.getInstantSwapStats()
             }
         };
     }
 
+    /**
+     * Get oracle health per property
+     */
+    getOracleStatus() {
+        if (this.getOracleManagers().length === 0) {
+            return { status: 'DISABLED' };
+        }
+        
+        return this.properties.reduce((byProperty, property) => {
+            byProperty[property.id] = property.oracleManager ?
+                property.oracleManager.getHealthStatus() : { status: 'DISABLED' };
+            return byProperty;
+        }, {});
+    }
+
+    /**
+     * Get combined status of every managed property
+     */
+    getPortfolioStatus() {
+        const properties = this.properties.map(property => property.getStatus());
+        
+        return {
+            propertyCount: properties.length,
+            totalValue: properties.reduce((sum, property) => sum + property.propertyValue, 0),
+            totalTokenSupply: properties.reduce((sum, property) => sum + property.totalSupply, 0),
+            totalSwaps: properties.reduce((sum, property) => sum + property.statistics.swaps, 0),
+            totalPriceUpdates: properties.reduce((sum, property) => sum + property.statistics.priceUpdates, 0),
+            properties: properties
+        };
+    }
+
+    /**
+     * Get the per-property portfolio section for compliance reports
+     */
+    getPortfolioComplianceData() {
+        const properties = this.properties.map(property =>
+            property.getComplianceSection(property.pairs.map(pair => this.getPairMetrics(pair))));
+        
+        return {
+            propertyCount: properties.length,
+            totalValue: properties.reduce((sum, property) => sum + property.propertyValue, 0),
+            properties: properties
+        };
+    }
+
     /**
      * Format uptime for display
      */
@@ -806,8 +2267,42 @@ class EnterpriseRealEstateBot {
         this.isRunning = false;
         
         // Stop all monitoring systems
-        if (this.oracleManager) {
-            await this.oracleManager.cleanup();
+        if (this.transactionStream) {
+            this.transactionStream.detach();
+        }
+        
+        if (this.snapshotTimer) {
+            clearInterval(this.snapshotTimer);
+            this.snapshotTimer = null;
+        }
+        
+        if (this.issuerProfileTimer) {
+            clearInterval(this.issuerProfileTimer);
+            this.issuerProfileTimer = null;
+        }
+        
+        if (this.trustLineReviewTimer) {
+            clearInterval(this.trustLineReviewTimer);
+            this.trustLineReviewTimer = null;
+        }
+        
+        if (this.capTableTimer) {
+            clearInterval(this.capTableTimer);
+            this.capTableTimer = null;
+        }
+        
+        if (this.supplyReconciliationTimer) {
+            clearInterval(this.supplyReconciliationTimer);
+            this.supplyReconciliationTimer = null;
+        }
+        
+        if (this.distributionTimer) {
+            clearInterval(this.distributionTimer);
+            this.distributionTimer = null;
+        }
+        
+        for (const oracleManager of this.getOracleManagers()) {
+            await oracleManager.cleanup();
         }
         
         if (this.custodyManager) {
@@ -818,11 +2313,11 @@ class EnterpriseRealEstateBot {
             await this.complianceReporter.cleanup();
         }
         
+        await this.tradeJournal.close();
+        await this.saveState();
+        
         // Disconnect from XRPL
-        if (this.client && this.client.isConnected()) {
-            await this.client.disconnect();
-            console.log('🔌 Disconnected from XRPL');
-        }
+        await this.connectionManager.disconnect();
         
         // Display final statistics
         const status = this.getSystemStatus();
@@ -864,9 +2359,60 @@ class EnterpriseRealEstateBot {
             offersPerHour: uptimeHours > 0 ? (this.stats.totalOffers / uptimeHours).toFixed(2) : 0,
             errorRate: this.stats.errors > 0 ? ((this.stats.errors / this.stats.totalOffers) * 100).toFixed(2) + '%' : '0%',
             uptime: this.formatUptime(uptime),
-            currentPrice: this.currentPrice,
-            tokenCode: this.tokenCode,
-            network: this.xrplNetwork.includes('altnet') ? 'Testnet' : 'Mainnet'
+            properties: this.properties.reduce((byProperty, property) => {
+                byProperty[property.id] = {
+                    tokenCode: property.tokenCode,
+                    currentPrice: property.getReferencePrice(),
+                    swaps: property.stats.swaps,
+                    pairs: property.pairs.reduce((byPair, pair) => {
+                        byPair[pair.id] = this.getPairMetrics(pair);
+                        return byPair;
+                    }, {})
+                };
+                return byProperty;
+            }, {}),
+            journal: this.tradeJournal.getSummary(),
+            accounting: this.getAccountingReport(),
+            fees: this.feePolicy.getStatus(),
+            network: this.paperTrading ? 'Paper' : this.xrplNetwork.includes('altnet') ? 'Testnet' : 'Mainnet'
+        };
+    }
+
+    /**
+     * Get issuer inventory and PnL accounting marked to current NAV prices
+     */
+    getAccountingReport() {
+        const navPrices = this.properties.reduce((byProperty, property) => {
+            byProperty[property.id] = property.getReferencePrice();
+            return byProperty;
+        }, {});
+        
+        return this.accounting.getReport(navPrices);
+    }
+
+    /**
+     * Get pair metrics with all-time trade figures from the trade journal
+     */
+    getPairMetrics(pair) {
+        const totals = this.tradeJournal.getTotals(`${pair.propertyId}/${pair.id}`);
+        const metrics = pair.getMetrics();
+        
+        if (!totals) {
+            return { ...metrics, swaps: 0, rlaSold: 0, rlaBought: 0, quoteReceived: 0, quoteSpent: 0, averagePrice: null, lastSwapTime: null };
+        }
+        
+        const volume = totals.rlaSold + totals.rlaBought;
+        
+        return {
+            ...metrics,
+            swaps: totals.fills,
+            rlaSold: totals.rlaSold,
+            rlaBought: totals.rlaBought,
+            quoteReceived: totals.quoteReceived,
+            quoteSpent: totals.quoteSpent,
+            usdVolume: totals.usdVolume,
+            averagePrice: volume > 0 ? (totals.quoteReceived + totals.quoteSpent) / volume : null,
+            lastSwapTime: totals.lastFillAt
         };
     }
 
@@ -879,7 +2425,8 @@ class EnterpriseRealEstateBot {
         return `
 🏆 TRADING PERFORMANCE SUMMARY
 ===============================
-Token: ${this.rlaAmount} ${this.tokenCode} → ${this.usdtAmount} ${this.usdtTokenCode}
+Properties: ${this.properties.length}
+${this.properties.map(property => `- ${property.name}: ${property.tokenCode} → ${property.getEnabledPairs().map(pair => pair.id).join(', ')}`).join('\n')}
 Network: ${metrics.network}
 Uptime: ${metrics.uptime}
 
@@ -888,11 +2435,22 @@ Uptime: ${metrics.uptime}
 - Instant Swaps: ${metrics.instantSwaps}
 - Swap Rate: ${metrics.swapRate}/hour
 - Error Rate: ${metrics.errorRate}
-- Current Price: ${metrics.currentPrice?.toFixed(4) || 'N/A'}
+${Object.entries(metrics.properties).map(([propertyId, property]) => `- ${property.tokenCode} Price: ${property.currentPrice?.toFixed(4) || 'N/A'} (${propertyId})`).join('\n')}
+
+💵 ACCOUNTING:
+- Sale Proceeds: $${metrics.accounting.totals.proceedsUsd.toFixed(2)}
+- Premium to NAV: $${metrics.accounting.totals.premiumToNavUsd.toFixed(2)}
+- Realized PnL: $${metrics.accounting.totals.realizedPnlUsd.toFixed(2)}
+- Unrealized PnL: $${metrics.accounting.totals.unrealizedPnlUsd.toFixed(2)}
+
+⛽ FEES:
+- Spent Today: ${metrics.fees.today.drops} drops (${metrics.fees.today.transactions} transactions)
+- Open Ledger Fee: ${metrics.fees.lastQuote ? `${metrics.fees.lastQuote.openLedgerFee} drops` : 'N/A'} (ceiling ${metrics.fees.maxFeeDrops})
+- Deferred Today: ${metrics.fees.today.deferred}
 
 ⚡ INSTANT SWAP STATUS: ${this.stats.instantSwaps > 0 ? 'ACTIVE' : 'READY'}
 🏦 CUSTODY: ${this.custodyManager ? 'MONITORED' : 'DISABLED'}
-🔮 ORACLE: ${this.oracleManager ? 'ACTIVE' : 'DISABLED'}
+🔮 ORACLE: ${this.getOracleManagers().length > 0 ? 'ACTIVE' : 'DISABLED'}
 📋 COMPLIANCE: ${this.complianceReporter ? 'REPORTING' : 'DISABLED'}
 
 🎯 System Status: ${this.isRunning ? 'RUNNING' : 'STOPPED'}
@@ -909,7 +2467,8 @@ Uptime: ${metrics.uptime}
             version: '1.0.0',
             features: {
                 instantSwaps: true,
-                oracleIntegration: process.env.ORACLE_ENABLED === 'true',
+                oracleIntegration: this.properties.some(property => property.oracleEnabled),
+                portfolio: this.properties.length > 1,
                 fireblocksIntegration: process.env.FIREBLOCKS_ENABLED === 'true',
                 complianceReporting: process.env.ENABLE_COMPLIANCE_REPORTING === 'true'
             },
@@ -22,6 +22,9 @@ class ComplianceReporter {
         this.isRunning = false;
         this.lastReportTime = null;
         
+        // Named callbacks supplying live sections (e.g. the property portfolio)
+        this.dataProviders = new Map();
+        
         console.log(`📋 Compliance Reporter configured (${this.config.enabled ? 'ENABLED' : 'DISABLED'})`);
     }
 
@@ -60,6 +63,31 @@ class ComplianceReporter {
         }
     }
 
+    /**
+     * Register a callback that supplies a named report section
+     */
+    setDataProvider(name, provider) {
+        this.dataProviders.set(name, provider);
+    }
+
+    /**
+     * Collect the sections of all registered data providers
+     */
+    async collectProviderData() {
+        const sections = {};
+        
+        for (const [name, provider] of this.dataProviders) {
+            try {
+                sections[name] = await provider();
+            } catch (error) {
+                console.warn(`⚠️ Compliance data provider '${name}' failed:`, error.message);
+                sections[name] = null;
+            }
+        }
+        
+        return sections;
+    }
+
     /**
      * Start automated compliance reporting
      */
@@ -155,7 +183,7 @@ class ComplianceReporter {
             tradingActivity: tradingData || this.getMockTradingData(),
             compliance: this.generateComplianceMetrics(),
             riskAssessment: this.performRiskAssessment(),
-            auditTrail: await this.getAuditTrailSummary()
+            ...await this.collectProviderData()
         };
     }
 
@@ -172,7 +200,9 @@ class ComplianceReporter {
                 complianceScore: data.compliance.overallScore,
                 riskLevel: data.riskAssessment.level,
                 issuesIdentified: data.riskAssessment.issues.length,
-                recommendedActions: data.riskAssessment.recommendations.length
+                recommendedActions: data.riskAssessment.recommendations.length,
+                propertyCount: data.portfolio ? data.portfolio.propertyCount : 1,
+                portfolioValue: data.portfolio ? data.portfolio.totalValue : data.propertyValuation.currentValue
             },
             detailedFindings: {
                 property: {
@@ -195,10 +225,15 @@ class ComplianceReporter {
                     priceRange: data.tradingActivity.priceRange,
                     liquidityScore: data.tradingActivity.liquidityScore
                 },
+                portfolio: data.portfolio || null,
+                accounting: data.issuerAccounting || null,
+                authorization: data.holderAuthorization || null,
+                supply: data.supplyReconciliation || null,
                 compliance: data.compliance,
                 riskAssessment: data.riskAssessment
             },
-            auditTrail: data.auditTrail,
+            holders: data.capTable || null,
+            additionalData: data.additionalData || null,
             metadata: data.reportMetadata
         };
     }
@@ -208,13 +243,13 @@ class ComplianceReporter {
      */
     generateReportSummary(report) {
         const summary = `
-DAILY COMPLIANCE REPORT SUMMARY
+${report.metadata.type === 'AD_HOC_COMPLIANCE' ? 'AD-HOC COMPLIANCE REPORT SUMMARY' : 'DAILY COMPLIANCE REPORT SUMMARY'}
 =====================================
 
 Report ID: ${report.executiveSummary.reportId}
 Generated: ${new Date(report.metadata.generatedAt).toLocaleString()}
 Period: ${new Date(report.executiveSummary.period.start).toLocaleDateString()} - ${new Date(report.executiveSummary.period.end).toLocaleDateString()}
-
+${this.formatAdditionalDataSection(report.metadata.reason, report.additionalData)}
 EXECUTIVE SUMMARY
 -----------------
 Property Valuation: $${report.executiveSummary.propertyValue.toLocaleString()}
@@ -241,7 +276,7 @@ TRADING ACTIVITY
 24h Volume: $${report.detailedFindings.trading.volume24h.toLocaleString()}
 Active Offers: ${report.detailedFindings.trading.activeOffers}
 Liquidity Score: ${report.detailedFindings.trading.liquidityScore}/100
-
+${this.formatPortfolioSection(report.detailedFindings.portfolio)}${this.formatAccountingSection(report.detailedFindings.accounting)}${this.formatAuthorizationSection(report.detailedFindings.authorization)}${this.formatSupplySection(report.detailedFindings.supply)}
 COMPLIANCE STATUS
 -----------------
 Regulatory Compliance: ${report.detailedFindings.compliance.regulatoryCompliant ? 'COMPLIANT' : 'NON-COMPLIANT'}
@@ -260,13 +295,7 @@ Recommendations: ${report.detailedFindings.riskAssessment.recommendations.length
 ${report.detailedFindings.riskAssessment.recommendations.length > 0 ?
     'Recommendations:\n' + report.detailedFindings.riskAssessment.recommendations.map(rec => `- ${rec}`).join('\n') + '\n' : ''}
 
-AUDIT TRAIL
------------
-Total Transactions: ${report.auditTrail.transactionCount}
-Bot Operations: ${report.auditTrail.botOperations}
-Oracle Updates: ${report.auditTrail.oracleUpdates}
-Custody Checks: ${report.auditTrail.custodyChecks}
-
+${this.formatHolderSection(report.holders)}
 =====================================
 Report generated automatically by XRPL Real Estate Token System
 For questions, contact: ${this.config.reportEmail || 'compliance@yourcompany.com'}
@@ -275,6 +304,156 @@ For questions, contact: ${this.config.reportEmail || 'compliance@yourcompany.com
         return summary;
     }
 
+    /**
+     * Format the data an ad-hoc report was raised with
+     */
+    formatAdditionalDataSection(reason, additionalData) {
+        if (!additionalData) {
+            return '';
+        }
+        
+        const value = (entry) => entry !== null && typeof entry === 'object' ?
+            JSON.stringify(entry, null, 2).replace(/\n/g, '\n  ') : String(entry);
+        const fields = Object.entries(additionalData).map(([key, entry]) => `  ${key}: ${value(entry)}`).join('\n');
+        
+        return `
+REPORT REASON
+-------------
+Reason: ${reason}
+${fields}
+`;
+    }
+
+    /**
+     * Format the per-property section of the report summary
+     */
+    formatPortfolioSection(portfolio) {
+        if (!portfolio || !portfolio.properties) {
+            return '';
+        }
+        
+        const properties = portfolio.properties.map(property => `
+${property.name} (${property.propertyId})
+  Token: ${property.tokenCode} - supply ${property.totalSupply.toLocaleString()} @ $${property.tokenPrice.toFixed(4)} (${property.priceSource})
+  Property Value: $${Math.round(property.propertyValue).toLocaleString()}${property.valuation ? ` - confidence ${(property.valuation.confidence * 100).toFixed(1)}%` : ''}
+  Swaps: ${property.trading.swaps} - ${property.trading.rlaSold} sold / ${property.trading.rlaBought} bought
+  Active Offers: ${property.trading.activeOffers} across ${property.trading.pairs.length} pair(s)`).join('\n');
+        
+        return `
+PROPERTY PORTFOLIO
+------------------
+Properties: ${portfolio.propertyCount}
+Total Value: $${Math.round(portfolio.totalValue).toLocaleString()}
+${properties}
+`;
+    }
+
+    /**
+     * Format the issuer inventory and PnL section of the report summary
+     */
+    formatAccountingSection(accounting) {
+        if (!accounting || !accounting.properties) {
+            return '';
+        }
+        
+        const usd = (value) => value === null ? 'N/A' : `$${value.toFixed(2)}`;
+        const price = (value) => value === null ? 'N/A' : `$${value.toFixed(4)}`;
+        
+        const properties = accounting.properties.map(property => `
+${property.tokenCode} (${property.propertyId})
+  Inventory: ${property.inventory.tokens.toLocaleString()} held / ${property.inventory.circulating.toLocaleString()} circulating
+  Sold: ${property.sales.tokens.toLocaleString()} for ${usd(property.sales.proceedsUsd)} - avg ${price(property.sales.averagePrice)} vs NAV ${price(property.sales.averageNavAtSale)}
+  Bought Back: ${property.buybacks.tokens.toLocaleString()} for ${usd(property.buybacks.costUsd)} - avg ${price(property.buybacks.averagePrice)}
+  Realized PnL: ${usd(property.realizedPnlUsd)} / Unrealized: ${usd(property.unrealizedPnlUsd)}`).join('\n');
+        
+        return `
+ISSUER ACCOUNTING
+-----------------
+Sale Proceeds: ${usd(accounting.totals.proceedsUsd)}
+Premium to NAV: ${usd(accounting.totals.premiumToNavUsd)}
+Realized PnL: ${usd(accounting.totals.realizedPnlUsd)}
+Unrealized PnL: ${usd(accounting.totals.unrealizedPnlUsd)}
+${properties}
+`;
+    }
+
+    /**
+     * Format the holder KYC and trust line authorization section of the report summary
+     */
+    formatAuthorizationSection(authorization) {
+        if (!authorization) {
+            return '';
+        }
+        
+        const registry = authorization.registry;
+        const lines = authorization.trustLines;
+        const exceptions = authorization.exceptions.map(line =>
+            `  - ${line.holder} ${line.currency} (${line.balance.toLocaleString()} held, KYC ${line.kycStatus})`).join('\n');
+        
+        return `
+HOLDER AUTHORIZATION
+--------------------
+RequireAuth: ${authorization.requireAuth === null ? 'UNKNOWN' : authorization.requireAuth ? 'ENABLED' : 'DISABLED'}
+Registered Holders: ${registry.holders} - ${registry.approved} approved, ${registry.pending} pending, ${registry.rejected} rejected, ${registry.expired} expired
+${lines ? `Trust Lines: ${lines.total} - ${lines.authorized} authorized, ${lines.pending} pending (${lines.awaitingReview} awaiting KYC review, ${lines.readyToAuthorize} approved and ready)` : 'Trust Lines: not reviewed'}
+Authorized Without Current KYC: ${lines ? lines.authorizedWithoutKyc : 'N/A'}
+${exceptions ? exceptions + '\n' : ''}`;
+    }
+
+    /**
+     * Format the token supply reconciliation section of the report summary
+     */
+    formatSupplySection(supply) {
+        if (!supply) {
+            return '';
+        }
+        
+        const tokens = Object.entries(supply.tokens).map(([currency, token]) => `
+${currency}
+  Configured Supply: ${token.configuredSupply.toLocaleString()}
+  Issued: ${token.issued.toLocaleString()} (${token.outstanding.toLocaleString()} with holders, ${token.hotWalletHeld.toLocaleString()} in hot wallets)
+  On Offer: ${token.inOffers.toLocaleString()} of ${token.availableForOffers.toLocaleString()} available
+  Custody: ${token.custody.status}${token.custody.reported !== null ? ` - ${token.custody.reported.toLocaleString()} reported${token.custody.ledger !== null ? `, ${token.custody.ledger.toLocaleString()} on ledger` : ''}` : ''}`).join('\n');
+        const mismatches = supply.mismatches.map(mismatch => `  - ${mismatch.tokenCode} ${mismatch.check}: ${mismatch.message}`).join('\n');
+        
+        return `
+SUPPLY RECONCILIATION
+---------------------
+Status: ${supply.reconciled ? 'RECONCILED' : `MISMATCH${supply.tradingBlocked ? ` - trading blocked since ${new Date(supply.blockedSince).toLocaleString()}` : ''}`}
+Checked: ${new Date(supply.checkedAt).toLocaleString()} (ledger ${supply.ledgerIndex})
+${tokens}
+${mismatches ? mismatches + '\n' : ''}`;
+    }
+
+    /**
+     * Format the holder count and concentration section of the report summary
+     */
+    formatHolderSection(holders) {
+        if (!holders) {
+            return `HOLDERS & CONCENTRATION
+-----------------------
+No cap table snapshot yet
+`;
+        }
+        
+        const percent = (share) => `${(share * 100).toFixed(2)}%`;
+        const tokens = Object.entries(holders.tokens).map(([currency, token]) => {
+            const change = token.changeSincePrevious;
+            return `
+${currency}
+  Holders: ${token.holderCount}${change ? ` (${change.holderCount >= 0 ? '+' : ''}${change.holderCount}: ${change.newHolders} new, ${change.exitedHolders} exited)` : ''}
+  Tokens Held: ${token.totalHeld.toLocaleString()}${token.excludedHeld > 0 ? ` (+${token.excludedHeld.toLocaleString()} in excluded accounts)` : ''}
+  Largest Holder: ${percent(token.largestHolderShare)} / Top 10: ${percent(token.top10Share)}
+  HHI: ${token.hhi}${change ? ` (${change.hhi >= 0 ? '+' : ''}${change.hhi})` : ''}`;
+        }).join('\n');
+        
+        return `HOLDERS & CONCENTRATION
+-----------------------
+Snapshot: ${new Date(holders.takenAt).toLocaleString()} (ledger ${holders.ledgerIndex})
+${tokens}
+`;
+    }
+
     /**
      * Generate compliance metrics
      */
@@ -326,22 +505,6 @@ For questions, contact: ${this.config.reportEmail || 'compliance@yourcompany.com
         return 'VOLATILE';
     }
 
-    /**
-     * Get audit trail summary
-     */
-    async getAuditTrailSummary() {
-        return {
-            transactionCount: Math.floor(Math.random() * 50) + 10,
-            botOperations: Math.floor(Math.random() * 100) + 50,
-            oracleUpdates: Math.floor(Math.random() * 10) + 5,
-            custodyChecks: Math.floor(Math.random() * 20) + 10,
-            period: {
-                start: new Date(Date.now() - this.config.reportingInterval).toISOString(),
-                end: new Date().toISOString()
-            }
-        };
-    }
-
     /**
      * Clean up old reports
      */
@@ -440,6 +603,7 @@ For questions, contact: ${this.config.reportEmail || 'compliance@yourcompany.com
             const filename = `compliance_adhoc_${reason.toLowerCase().replace(/\s+/g, '_')}_${Date.now()}.json`;
             const filepath = path.join(this.config.outputDirectory, filename);
             await fs.writeFile(filepath, JSON.stringify(report, null, 2));
+            await fs.writeFile(filepath.replace('.json', '_summary.txt'), this.generateReportSummary(report));
             
             console.log(`✅ Ad-hoc compliance report generated: ${filename}`);
             return report;
@@ -11,7 +11,7 @@ const path = require('path');
 class FireblocksCustodyManager {
     constructor(config = {}) {
         this.config = {
-            enabled: config.enabled || process.env.FIREBLOCKS_ENABLED === 'true',
+            enabled: config.enabled !== undefined ? config.enabled : process.env.FIREBLOCKS_ENABLED === 'true',
             apiKey: config.apiKey || process.env.FIREBLOCKS_API_KEY,
             privateKeyPath: config.privateKeyPath || process.env.FIREBLOCKS_PRIVATE_KEY_PATH,
             vaultAccountId: config.vaultAccountId || process.env.FIREBLOCKS_VAULT_ACCOUNT_ID,
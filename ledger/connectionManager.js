@@ -0,0 +1,357 @@
+/**
+ * ledger/connectionManager.js - XRPL Connection Manager
+ *
+ * Owns the one XRPL client shared by the bot, the oracle and the submission
+ * service. Endpoints come from XRPL_ENDPOINTS (comma separated, in order of
+ * preference) or the single XRPL_NETWORK URL. Each endpoint is scored by
+ * request latency, ledger lag and recent errors; when the active endpoint
+ * drops or its score falls below the minimum, the manager probes the others
+ * and switches to the healthiest, notifying listeners so subscriptions can
+ * be re-established on the new connection. A client factory may replace
+ * xrpl.Client (paper trading uses an in-process simulated ledger).
+ */
+
+const xrpl = require('xrpl');
+
+// Number of endpoint switches kept for the status report
+const SWITCH_HISTORY = 20;
+
+class ConnectionManager {
+    constructor(config = {}) {
+        const endpointList = config.endpoints ||
+            (process.env.XRPL_ENDPOINTS ? process.env.XRPL_ENDPOINTS.split(',') : [config.network || process.env.XRPL_NETWORK]);
+
+        this.endpoints = endpointList
+            .map(url => (url || '').trim())
+            .filter(url => url.length > 0)
+            .map(url => ConnectionManager.emptyHealth(url));
+
+        this.healthCheckInterval = parseInt(config.healthCheckInterval || process.env.XRPL_HEALTH_CHECK_INTERVAL || '30000');
+        this.minHealthScore = parseFloat(config.minHealthScore || process.env.XRPL_MIN_HEALTH_SCORE || '50');
+        this.connectTimeout = parseInt(config.connectTimeout || process.env.XRPL_CONNECT_TIMEOUT || '10000');
+        // (url) => client with the xrpl.Client interface
+        this.createClient = config.createClient ||
+            (url => new xrpl.Client(url, { connectionTimeout: this.connectTimeout }));
+
+        if (this.endpoints.length === 0) {
+            throw new Error('No XRPL endpoints configured (XRPL_ENDPOINTS or XRPL_NETWORK)');
+        }
+
+        this.client = null;
+        this.active = null;
+        this.switchListeners = [];
+        this.switches = [];
+        this.switching = null;
+        this.healthTimer = null;
+    }
+
+    /**
+     * Connect to the healthiest endpoint
+     */
+    async connect() {
+        await this.failover('initial connection');
+        return this.client;
+    }
+
+    /**
+     * Get the shared client
+     */
+    getClient() {
+        return this.client;
+    }
+
+    /**
+     * Get the URL of the active endpoint
+     */
+    getActiveUrl() {
+        return this.active ? this.active.url : null;
+    }
+
+    /**
+     * Register a callback for endpoint switches: (client, { from, to, reason })
+     */
+    addSwitchListener(listener) {
+        this.switchListeners.push(listener);
+    }
+
+    /**
+     * Start periodic health checks of the active endpoint
+     */
+    startHealthChecks() {
+        if (this.healthTimer || this.healthCheckInterval <= 0) {
+            return;
+        }
+
+        this.healthTimer = setInterval(() => {
+            this.checkHealth().catch(error =>
+                console.warn('⚠️ XRPL health check failed:', error.message));
+        }, this.healthCheckInterval);
+    }
+
+    /**
+     * Stop periodic health checks
+     */
+    stopHealthChecks() {
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+            this.healthTimer = null;
+        }
+    }
+
+    /**
+     * Score the active endpoint and fail over when it is unhealthy
+     */
+    async checkHealth() {
+        if (this.switching) {
+            return this.switching;
+        }
+
+        if (!this.client || !this.client.isConnected()) {
+            return this.failover(`${this.getActiveUrl()} disconnected`);
+        }
+
+        try {
+            await this.measure(this.active, this.client);
+        } catch (error) {
+            this.recordError(this.active, error);
+        }
+
+        // Recent errors fade as checks succeed
+        this.active.errors = Math.floor(this.active.errors / 2);
+
+        if (this.active.score < this.minHealthScore) {
+            return this.failover(`${this.active.url} health score ${this.active.score} below ${this.minHealthScore}`);
+        }
+
+        return this.client;
+    }
+
+    /**
+     * Record a failed request against the active endpoint
+     */
+    reportError(error) {
+        if (this.active) {
+            this.recordError(this.active, error);
+        }
+    }
+
+    /**
+     * Probe every endpoint and switch to the healthiest
+     *
+     * Concurrent callers share one failover. The active endpoint is only kept
+     * when it is still connected and scores best.
+     */
+    failover(reason) {
+        if (!this.switching) {
+            this.switching = this.performFailover(reason).finally(() => {
+                this.switching = null;
+            });
+        }
+        return this.switching;
+    }
+
+    /**
+     * Probe the endpoints and swap the shared client
+     */
+    async performFailover(reason) {
+        const candidates = await Promise.all(this.endpoints.map(endpoint =>
+            endpoint === this.active && this.client && this.client.isConnected() ?
+                this.measure(endpoint, this.client).then(() => ({ endpoint, client: this.client }), error => {
+                    this.recordError(endpoint, error);
+                    return null;
+                }) :
+                this.probe(endpoint)));
+
+        const reachable = candidates.filter(candidate => candidate !== null);
+        const bestLedger = Math.max(...reachable.map(candidate => candidate.endpoint.ledgerIndex || 0));
+        reachable.forEach(candidate => this.score(candidate.endpoint, bestLedger));
+
+        // Highest score first; ties keep the configured order of preference
+        reachable.sort((a, b) => b.endpoint.score - a.endpoint.score ||
+            this.endpoints.indexOf(a.endpoint) - this.endpoints.indexOf(b.endpoint));
+
+        const best = reachable[0];
+
+        // Standby connections opened for probing are not kept
+        await Promise.all(reachable
+            .filter(candidate => candidate !== best && candidate.client !== this.client)
+            .map(candidate => candidate.client.disconnect().catch(() => {})));
+
+        if (!best) {
+            throw new Error(`No XRPL endpoint reachable (${reason})`);
+        }
+
+        if (best.client === this.client) {
+            console.log(`🌐 Keeping XRPL endpoint ${best.endpoint.url} (score ${best.endpoint.score}) after: ${reason}`);
+            return this.client;
+        }
+
+        const previous = this.active;
+        const previousClient = this.client;
+        const client = best.client;
+
+        this.client = client;
+        this.active = best.endpoint;
+        this.active.connectedAt = new Date().toISOString();
+        client.on('disconnected', () => {
+            if (this.client === client) {
+                this.recordError(best.endpoint, new Error('disconnected'));
+            }
+        });
+
+        if (previousClient) {
+            await previousClient.disconnect().catch(() => {});
+        }
+
+        const entry = {
+            from: previous ? previous.url : null,
+            to: best.endpoint.url,
+            score: best.endpoint.score,
+            reason: reason,
+            timestamp: new Date().toISOString()
+        };
+        this.switches.push(entry);
+        if (this.switches.length > SWITCH_HISTORY) {
+            this.switches.shift();
+        }
+
+        console.log(previous ?
+            `🔀 XRPL endpoint switch: ${entry.from} → ${entry.to} (score ${entry.score}) - ${reason}` :
+            `🌐 Connected to XRPL endpoint ${entry.to} (score ${entry.score})`);
+
+        for (const listener of this.switchListeners) {
+            try {
+                await listener(this.client, entry);
+            } catch (error) {
+                console.warn('⚠️ XRPL switch listener failed:', error.message);
+            }
+        }
+
+        return this.client;
+    }
+
+    /**
+     * Open a connection to an endpoint and measure it
+     *
+     * Returns { endpoint, client } or null when unreachable.
+     */
+    async probe(endpoint) {
+        const client = this.createClient(endpoint.url);
+
+        try {
+            await client.connect();
+            await this.measure(endpoint, client);
+            return { endpoint, client };
+        } catch (error) {
+            this.recordError(endpoint, error);
+            await client.disconnect().catch(() => {});
+            return null;
+        }
+    }
+
+    /**
+     * Measure latency and ledger position of an endpoint
+     */
+    async measure(endpoint, client) {
+        const startedAt = Date.now();
+        const response = await client.request({ command: 'server_info' });
+        const latency = Date.now() - startedAt;
+        const validatedLedger = response.result.info.validated_ledger || {};
+
+        // Smooth latency so one slow response does not trigger a switch
+        endpoint.latencyMs = endpoint.latencyMs === null ? latency : Math.round(endpoint.latencyMs * 0.7 + latency * 0.3);
+        endpoint.ledgerIndex = validatedLedger.seq || null;
+        endpoint.ledgerAge = validatedLedger.age !== undefined ? validatedLedger.age : null;
+        endpoint.serverState = response.result.info.server_state;
+        endpoint.lastCheckedAt = new Date().toISOString();
+
+        this.score(endpoint, endpoint.ledgerIndex);
+        return endpoint;
+    }
+
+    /**
+     * Score an endpoint from 0 to 100
+     *
+     * Latency costs up to 30 points, ledger lag (validated ledger age and
+     * ledgers behind the best endpoint) up to 40 and recent errors up to 50.
+     */
+    score(endpoint, bestLedger) {
+        if (endpoint.ledgerIndex === null) {
+            endpoint.score = 0;
+            return 0;
+        }
+
+        const latencyPenalty = Math.min(30, (endpoint.latencyMs || 0) / 50);
+        const ledgersBehind = Math.max(0, (bestLedger || endpoint.ledgerIndex) - endpoint.ledgerIndex);
+        const ageBeyondClose = Math.max(0, (endpoint.ledgerAge || 0) - 10);
+        const lagPenalty = Math.min(40, ledgersBehind * 10 + ageBeyondClose * 2);
+        const errorPenalty = Math.min(50, endpoint.errors * 10);
+
+        endpoint.score = Math.max(0, Math.round(100 - latencyPenalty - lagPenalty - errorPenalty));
+        return endpoint.score;
+    }
+
+    /**
+     * Count an error against an endpoint
+     */
+    recordError(endpoint, error) {
+        endpoint.errors++;
+        endpoint.totalErrors++;
+        endpoint.lastError = error.message;
+        endpoint.lastErrorAt = new Date().toISOString();
+
+        if (endpoint.score !== null) {
+            endpoint.score = Math.max(0, endpoint.score - 10);
+        }
+    }
+
+    /**
+     * Get connection manager status
+     */
+    getStatus() {
+        return {
+            active: this.getActiveUrl(),
+            connected: !!(this.client && this.client.isConnected()),
+            minHealthScore: this.minHealthScore,
+            endpoints: this.endpoints.map(endpoint => ({
+                ...endpoint,
+                active: endpoint === this.active
+            })),
+            switches: this.switches.slice()
+        };
+    }
+
+    /**
+     * Stop health checks and close the shared connection
+     */
+    async disconnect() {
+        this.stopHealthChecks();
+
+        if (this.client && this.client.isConnected()) {
+            await this.client.disconnect();
+            console.log(`🔌 Disconnected from XRPL endpoint ${this.getActiveUrl()}`);
+        }
+    }
+
+    /**
+     * Get the initial health record of an endpoint
+     */
+    static emptyHealth(url) {
+        return {
+            url: url,
+            score: null,
+            latencyMs: null,
+            ledgerIndex: null,
+            ledgerAge: null,
+            serverState: null,
+            errors: 0,
+            totalErrors: 0,
+            lastError: null,
+            lastErrorAt: null,
+            lastCheckedAt: null,
+            connectedAt: null
+        };
+    }
+}
+
+module.exports = ConnectionManager;
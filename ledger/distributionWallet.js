@@ -0,0 +1,656 @@
+/**
+ * ledger/distributionWallet.js - Cold Issuer and Distribution Wallet
+ *
+ * With WALLET_MODE=distribution the issuer is a cold account whose key
+ * never reaches the bot. It issues tokens to an operational distribution
+ * account (DISTRIBUTION_WALLET_SEED) and never trades; every offer comes
+ * from the distribution account. The distribution account opens its own
+ * trust lines online. Transactions of the cold issuer (the initial funding
+ * Payment, authorizing the distribution account's line under RequireAuth,
+ * and refills) are prepared online as unsigned requests in COLD_WALLET_DIR
+ * (default ./logs/coldwallet), signed offline with the issuer key, and
+ * only submitted once the signed blob matches its request field for field.
+ *
+ * A refill is requested when the distribution account holds less than
+ * DISTRIBUTION_WALLET_REFILL_THRESHOLD of a token, for the amount that
+ * brings it back to DISTRIBUTION_WALLET_REFILL_TARGET. Requests carry a
+ * fixed fee (COLD_WALLET_FEE_DROPS) and expire COLD_WALLET_LEDGER_WINDOW
+ * ledgers after they are prepared, so an unsigned request cannot be
+ * replayed later. Open requests hold consecutive issuer Sequences and are
+ * submitted in that order; a blob whose Sequence is already used is refused.
+ *
+ *   node ledger/distributionWallet.js status
+ *   node ledger/distributionWallet.js trustline
+ *   node ledger/distributionWallet.js prepare fund|refill|authorize [--token RLA] [--amount 50000]
+ *   node ledger/distributionWallet.js sign <request file>     (offline, with ISSUER_SEED)
+ *   node ledger/distributionWallet.js submit <signed file>
+ *   node ledger/distributionWallet.js requests [status]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const xrpl = require('xrpl');
+
+const REQUEST_VERSION = 1;
+const REQUEST_KINDS = ['fund', 'refill', 'authorize'];
+// Requests that may still be signed and submitted
+const OPEN_STATUSES = ['AWAITING_SIGNATURE', 'SIGNED'];
+
+class DistributionWallet {
+    constructor(config = {}) {
+        this.issuer = config.issuer || process.env.ISSUER_ADDRESS;
+        this.directory = config.directory || process.env.COLD_WALLET_DIR || './logs/coldwallet';
+        this.currencies = config.currencies || [];
+        this.complianceReporter = config.complianceReporter || null;
+
+        this.refillThreshold = parseFloat(config.refillThreshold || process.env.DISTRIBUTION_WALLET_REFILL_THRESHOLD || '10000');
+        this.refillTarget = parseFloat(config.refillTarget || process.env.DISTRIBUTION_WALLET_REFILL_TARGET || '50000');
+        this.trustLimit = config.trustLimit || process.env.DISTRIBUTION_WALLET_TRUST_LIMIT || '1000000000';
+        this.checkInterval = parseInt(config.checkInterval || process.env.DISTRIBUTION_WALLET_CHECK_INTERVAL || '300000');
+        this.feeDrops = config.feeDrops || process.env.COLD_WALLET_FEE_DROPS || '1000';
+        this.ledgerWindow = parseInt(config.ledgerWindow || process.env.COLD_WALLET_LEDGER_WINDOW || '1000');
+
+        if (!this.issuer || !xrpl.isValidClassicAddress(this.issuer)) {
+            throw new Error(`Distribution wallet mode requires the cold issuer address (ISSUER_ADDRESS): ${this.issuer}`);
+        }
+        if (!(this.refillTarget > this.refillThreshold)) {
+            throw new Error('DISTRIBUTION_WALLET_REFILL_TARGET must be above DISTRIBUTION_WALLET_REFILL_THRESHOLD');
+        }
+
+        this.lastCheck = null;
+
+        this.stats = {
+            checks: 0,
+            requestsPrepared: 0,
+            requestsSubmitted: 0,
+            requestsFailed: 0
+        };
+    }
+
+    /**
+     * Check the distribution account's trust lines and balances
+     *
+     * Resolves to { account, requireAuth, tokens: { CUR: { trustLine,
+     * authorized, balance, limit, needsRefill, refillAmount } } }.
+     */
+    async check(client, account) {
+        const [issuerInfo, lines] = await Promise.all([
+            client.request({ command: 'account_info', account: this.issuer, ledger_index: 'validated' }),
+            this.getLines(client, account)
+        ]);
+        const flags = xrpl.parseAccountRootFlags(issuerInfo.result.account_data.Flags || 0);
+        const tokens = {};
+
+        for (const currency of this.currencies) {
+            const line = lines.get(currency);
+            const balance = line ? parseFloat(line.balance) : 0;
+
+            tokens[currency] = {
+                trustLine: !!line,
+                authorized: line ? line.peer_authorized === true || !flags.lsfRequireAuth : false,
+                balance: balance,
+                limit: line ? line.limit : null,
+                needsRefill: balance < this.refillThreshold,
+                refillAmount: balance < this.refillThreshold ? DistributionWallet.round(this.refillTarget - balance) : 0
+            };
+        }
+
+        this.stats.checks++;
+        this.lastCheck = {
+            account: account,
+            issuer: this.issuer,
+            requireAuth: !!flags.lsfRequireAuth,
+            tokens: tokens,
+            checkedAt: new Date().toISOString()
+        };
+
+        return this.lastCheck;
+    }
+
+    /**
+     * Get the account's trust lines to the issuer, by currency
+     */
+    async getLines(client, account) {
+        try {
+            const response = await client.request({
+                command: 'account_lines',
+                account: account,
+                peer: this.issuer,
+                ledger_index: 'validated'
+            });
+            return new Map(response.result.lines.map(line => [line.currency, line]));
+        } catch (error) {
+            if (error.data && error.data.error === 'actNotFound') {
+                return new Map();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Open (or raise) the distribution account's trust lines to the issuer
+     *
+     * Signed by the distribution account itself; NoRipple keeps its balance
+     * from rippling between other holders.
+     */
+    async setupTrustLines(client, submitter, wallet) {
+        const lines = await this.getLines(client, wallet.address);
+        const submitted = [];
+        const existing = [];
+
+        for (const currency of this.currencies) {
+            const line = lines.get(currency);
+            if (line && parseFloat(line.limit) >= parseFloat(this.trustLimit)) {
+                existing.push(currency);
+                continue;
+            }
+
+            const result = await submitter.submit({
+                TransactionType: 'TrustSet',
+                Account: wallet.address,
+                LimitAmount: {
+                    currency: currency,
+                    issuer: this.issuer,
+                    value: String(this.trustLimit)
+                },
+                Flags: xrpl.TrustSetFlags.tfSetNoRipple
+            }, {
+                wallet: wallet,
+                label: `Distribution ${currency} trust line`
+            });
+            submitted.push({ currency: currency, hash: result.hash });
+        }
+
+        return { submitted: submitted, existing: existing };
+    }
+
+    /**
+     * Prepare an unsigned cold issuer transaction and save it as a request
+     *
+     * kind is 'fund' (amount, or the refill target), 'refill' (amount, or
+     * what the last check found missing) or 'authorize'. An open request of
+     * the same kind and token is returned instead of preparing another. Each
+     * new request takes the lowest issuer Sequence no open request holds, so
+     * requests prepared together can all be signed and submitted in turn.
+     */
+    async prepare(client, kind, options = {}) {
+        if (!REQUEST_KINDS.includes(kind)) {
+            throw new Error(`Unknown cold wallet request: ${kind} (${REQUEST_KINDS.join(', ')})`);
+        }
+
+        const account = options.account;
+        const tokenCode = options.tokenCode || this.currencies[0];
+        if (!account || !tokenCode) {
+            throw new Error('A cold wallet request needs the distribution account and a token');
+        }
+
+        const { ledgerIndex, accountSequence, requests } = await this.getOpenRequests(client);
+        const open = requests.find(request => request.kind === kind && request.tokenCode === tokenCode);
+        if (open) {
+            return open;
+        }
+
+        let amount = null;
+        let transaction;
+
+        if (kind === 'authorize') {
+            transaction = {
+                TransactionType: 'TrustSet',
+                Account: this.issuer,
+                LimitAmount: { currency: tokenCode, issuer: account, value: '0' },
+                Flags: xrpl.TrustSetFlags.tfSetfAuth
+            };
+        } else {
+            amount = options.amount !== undefined ? parseFloat(options.amount) :
+                kind === 'fund' ? this.refillTarget : this.getRefillAmount(tokenCode);
+            if (!(amount > 0)) {
+                throw new Error(`No ${tokenCode} ${kind} needed for ${account} - pass --amount to override`);
+            }
+            transaction = {
+                TransactionType: 'Payment',
+                Account: this.issuer,
+                Destination: account,
+                Amount: { currency: tokenCode, issuer: this.issuer, value: String(amount) },
+                Flags: 0
+            };
+        }
+
+        const held = new Set(requests.map(request => request.transaction.Sequence));
+        let sequence = accountSequence;
+        while (held.has(sequence)) {
+            sequence++;
+        }
+
+        Object.assign(transaction, {
+            Sequence: sequence,
+            Fee: String(this.feeDrops),
+            LastLedgerSequence: ledgerIndex + this.ledgerWindow
+        });
+
+        const request = {
+            version: REQUEST_VERSION,
+            id: `${kind}-${tokenCode}-${Date.now()}`,
+            kind: kind,
+            tokenCode: tokenCode,
+            amount: amount,
+            issuer: this.issuer,
+            distributionAccount: account,
+            reason: options.reason || null,
+            transaction: transaction,
+            status: 'AWAITING_SIGNATURE',
+            preparedAt: new Date().toISOString(),
+            preparedAtLedger: ledgerIndex,
+            expiresAfterLedger: transaction.LastLedgerSequence,
+            hash: null,
+            resultCode: null,
+            submittedAt: null,
+            error: null
+        };
+
+        await this.saveRequest(request);
+        this.stats.requestsPrepared++;
+        return request;
+    }
+
+    /**
+     * Get what the last check found a token short of its refill target
+     */
+    getRefillAmount(tokenCode) {
+        const token = this.lastCheck && this.lastCheck.tokens[tokenCode];
+        return token ? token.refillAmount : 0;
+    }
+
+    /**
+     * Get the requests that can still be submitted, in Sequence order
+     *
+     * Requests past their LastLedgerSequence are marked expired, and those
+     * whose Sequence the issuer has since used are marked failed.
+     */
+    async getOpenRequests(client) {
+        const [ledgerIndex, accountSequence] = await Promise.all([
+            DistributionWallet.getValidatedLedger(client),
+            this.getIssuerSequence(client)
+        ]);
+        const requests = [];
+
+        for (const request of await this.listRequests()) {
+            if (!OPEN_STATUSES.includes(request.status)) {
+                continue;
+            }
+            if (request.expiresAfterLedger < ledgerIndex) {
+                request.status = 'EXPIRED';
+                await this.saveRequest(request);
+            } else if (request.transaction.Sequence < accountSequence) {
+                Object.assign(request, { status: 'FAILED', error: `Sequence ${request.transaction.Sequence} already used on the ledger` });
+                await this.saveRequest(request);
+            } else {
+                requests.push(request);
+            }
+        }
+
+        requests.sort((a, b) => a.transaction.Sequence - b.transaction.Sequence);
+        return { ledgerIndex, accountSequence, requests };
+    }
+
+    /**
+     * Get the cold issuer's next Sequence
+     */
+    async getIssuerSequence(client) {
+        const response = await client.request({ command: 'account_info', account: this.issuer, ledger_index: 'current' });
+        return response.result.account_data.Sequence;
+    }
+
+    /**
+     * Check a signed blob against its request
+     *
+     * Every field that was prepared must come back unchanged, and the
+     * signature must verify; anything else is refused.
+     */
+    verifySigned(request, txBlob) {
+        let signed;
+        try {
+            signed = xrpl.decode(txBlob);
+        } catch (error) {
+            throw new Error(`Request ${request.id}: signed transaction does not decode (${error.message})`);
+        }
+
+        for (const [field, expected] of Object.entries(request.transaction)) {
+            if (!DistributionWallet.sameValue(expected, signed[field])) {
+                throw new Error(`Request ${request.id}: signed ${field} ${JSON.stringify(signed[field])} does not match the request (${JSON.stringify(expected)})`);
+            }
+        }
+
+        if (!signed.TxnSignature || !xrpl.verifySignature(txBlob)) {
+            throw new Error(`Request ${request.id}: signature does not verify`);
+        }
+
+        return signed;
+    }
+
+    /**
+     * Submit an offline-signed request
+     *
+     * signed is { requestId, tx_blob } as written by the sign command.
+     */
+    async submit(client, submitter, signed) {
+        const request = await this.loadRequest(signed.requestId);
+        if (!OPEN_STATUSES.includes(request.status)) {
+            throw new Error(`Request ${request.id} is ${request.status}`);
+        }
+
+        const ledgerIndex = await DistributionWallet.getValidatedLedger(client);
+        if (request.expiresAfterLedger < ledgerIndex) {
+            request.status = 'EXPIRED';
+            await this.saveRequest(request);
+            throw new Error(`Request ${request.id} expired at ledger ${request.expiresAfterLedger} - prepare and sign a new one`);
+        }
+
+        const accountSequence = await this.getIssuerSequence(client);
+        if (request.transaction.Sequence < accountSequence) {
+            Object.assign(request, { status: 'FAILED', error: `Sequence ${request.transaction.Sequence} already used on the ledger` });
+            await this.saveRequest(request);
+            throw new Error(`Request ${request.id}: Sequence ${request.transaction.Sequence} is already used - prepare and sign a new one`);
+        }
+        if (request.transaction.Sequence > accountSequence) {
+            throw new Error(`Request ${request.id}: Sequence ${request.transaction.Sequence} waits for the issuer's Sequence ${accountSequence} to be used first`);
+        }
+
+        this.verifySigned(request, signed.tx_blob);
+        request.status = 'SIGNED';
+        await this.saveRequest(request);
+
+        try {
+            const result = await submitter.submitSigned(signed.tx_blob, { label: `Cold wallet ${request.kind} ${request.tokenCode}` });
+            Object.assign(request, { status: 'SUBMITTED', hash: result.hash, resultCode: result.resultCode, submittedAt: new Date().toISOString() });
+            this.stats.requestsSubmitted++;
+        } catch (error) {
+            Object.assign(request, { status: 'FAILED', resultCode: error.resultCode || null, error: error.message });
+            this.stats.requestsFailed++;
+        }
+
+        await this.saveRequest(request);
+        await this.report(request);
+
+        if (request.status === 'FAILED') {
+            throw new Error(`Request ${request.id} failed: ${request.error}`);
+        }
+        return request;
+    }
+
+    /**
+     * Submit every signed file left next to an open request
+     *
+     * Requests go in Sequence order; one whose predecessor is not signed
+     * yet waits for a later call.
+     */
+    async submitSignedRequests(client, submitter) {
+        const results = [];
+        const { requests } = await this.getOpenRequests(client);
+
+        for (const request of requests) {
+            if (request.transaction.Sequence > await this.getIssuerSequence(client)) {
+                break;
+            }
+
+            let signed;
+            try {
+                signed = JSON.parse(await fs.readFile(this.getSignedFile(request.id), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    continue;
+                }
+                throw error;
+            }
+
+            try {
+                results.push(await this.submit(client, submitter, signed));
+            } catch (error) {
+                results.push({ ...request, status: 'FAILED', error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Record a submitted (or failed) cold wallet transaction for compliance
+     */
+    async report(request) {
+        if (!this.complianceReporter) {
+            return;
+        }
+
+        try {
+            await this.complianceReporter.generateAdHocReport(`Cold Wallet ${request.kind}`, {
+                requestId: request.id,
+                status: request.status,
+                issuer: request.issuer,
+                distributionAccount: request.distributionAccount,
+                tokenCode: request.tokenCode,
+                amount: request.amount,
+                reason: request.reason,
+                hash: request.hash,
+                resultCode: request.resultCode,
+                error: request.error,
+                preparedAt: request.preparedAt,
+                submittedAt: request.submittedAt
+            });
+        } catch (error) {
+            console.warn('⚠️ Could not record cold wallet report:', error.message);
+        }
+    }
+
+    /**
+     * Atomically replace a request file
+     */
+    async saveRequest(request) {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        const file = this.getRequestFile(request.id);
+        const tempFile = `${file}.tmp`;
+        request.updatedAt = new Date().toISOString();
+        await fs.writeFile(tempFile, JSON.stringify(request, null, 2));
+        await fs.rename(tempFile, file);
+        return file;
+    }
+
+    /**
+     * Read a request file
+     */
+    async loadRequest(id) {
+        const request = JSON.parse(await fs.readFile(this.getRequestFile(id), 'utf8'));
+        if (request.version !== REQUEST_VERSION) {
+            throw new Error(`Unsupported cold wallet request version ${request.version} for ${id}`);
+        }
+        return request;
+    }
+
+    /**
+     * List requests, oldest first, optionally only those with one status
+     */
+    async listRequests(status = null) {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const requests = await Promise.all(files.filter(file => file.endsWith('.request.json'))
+            .map(file => this.loadRequest(file.replace(/\.request\.json$/, ''))));
+        return requests
+            .filter(request => !status || request.status === status)
+            .sort((a, b) => a.preparedAt.localeCompare(b.preparedAt));
+    }
+
+    /**
+     * Get the path of a request file
+     */
+    getRequestFile(id) {
+        return path.join(this.directory, `${id}.request.json`);
+    }
+
+    /**
+     * Get the path of the signed file that goes with a request
+     */
+    getSignedFile(id) {
+        return path.join(this.directory, `${id}.signed.json`);
+    }
+
+    /**
+     * Get distribution wallet status
+     */
+    getStatus() {
+        return {
+            issuer: this.issuer,
+            refillThreshold: this.refillThreshold,
+            refillTarget: this.refillTarget,
+            checkInterval: this.checkInterval,
+            directory: this.directory,
+            lastCheck: this.lastCheck,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Sign a request with the cold issuer key, without touching the network
+     */
+    static sign(request, wallet) {
+        if (wallet.address !== request.transaction.Account) {
+            throw new Error(`Request ${request.id} is for ${request.transaction.Account}, not ${wallet.address}`);
+        }
+
+        const signed = wallet.sign(request.transaction);
+        return {
+            requestId: request.id,
+            tx_blob: signed.tx_blob,
+            hash: signed.hash,
+            signedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Compare a prepared field with its signed value (token amounts numerically)
+     */
+    static sameValue(expected, actual) {
+        if (expected && typeof expected === 'object' && actual && typeof actual === 'object') {
+            return Object.keys({ ...expected, ...actual }).every(key => key === 'value' ?
+                parseFloat(expected.value) === parseFloat(actual.value) :
+                expected[key] === actual[key]);
+        }
+        return String(expected) === String(actual);
+    }
+
+    /**
+     * Get the latest validated ledger index
+     */
+    static async getValidatedLedger(client) {
+        const response = await client.request({ command: 'ledger', ledger_index: 'validated' });
+        return response.result.ledger_index;
+    }
+
+    /**
+     * Round token amounts to the ledger's 15 significant digits
+     */
+    static round(value) {
+        return parseFloat(value.toPrecision(15));
+    }
+}
+
+// Run standalone
+if (require.main === module) {
+    require('dotenv').config();
+    const ManagedProperty = require('../portfolio/managedProperty');
+
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+    const [command, target] = args.filter((arg, index) => !arg.startsWith('--') && !['--token', '--amount'].includes(args[index - 1]));
+
+    (async () => {
+        if (command === 'sign') {
+            // Offline: needs only the request file and ISSUER_SEED, no connection
+            const request = JSON.parse(await fs.readFile(target, 'utf8'));
+            const signed = DistributionWallet.sign(request, xrpl.Wallet.fromSeed(process.env.ISSUER_SEED));
+            const file = target.replace(/\.request\.json$/, '') + '.signed.json';
+            await fs.writeFile(file, JSON.stringify(signed, null, 2));
+            console.log(`✍️ Signed ${request.id} (${request.kind} ${request.amount !== null ? `${request.amount} ` : ''}${request.tokenCode}) → ${file}`);
+            console.log(`   Hash: ${signed.hash} - valid until ledger ${request.expiresAfterLedger}`);
+            return;
+        }
+
+        const distributionWallet = new DistributionWallet({
+            currencies: ManagedProperty.loadAll().map(property => property.tokenCode)
+        });
+
+        if (command === 'requests') {
+            (await distributionWallet.listRequests(target || null)).forEach(request => console.log(
+                `${request.id} ${request.status} - ${request.kind} ${request.amount !== null ? `${request.amount} ` : ''}${request.tokenCode} to ${request.distributionAccount}` +
+                `, expires after ledger ${request.expiresAfterLedger}${request.hash ? ` (${request.hash})` : ''}`));
+            return;
+        }
+
+        if (!['status', 'trustline', 'prepare', 'submit'].includes(command)) {
+            throw new Error('Usage: distributionWallet.js status|trustline|prepare|sign|submit|requests (see the header of ledger/distributionWallet.js)');
+        }
+
+        const ConnectionManager = require('./connectionManager');
+        const TransactionSubmitter = require('./transactionSubmitter');
+        const ComplianceReporter = require('../fireblocks/complianceReporter');
+        const connectionManager = new ConnectionManager();
+        const client = await connectionManager.connect();
+        const submitter = new TransactionSubmitter({ getClient: () => connectionManager.getClient() });
+        const account = xrpl.Wallet.fromSeed(process.env.DISTRIBUTION_WALLET_SEED);
+
+        try {
+            if (command === 'submit') {
+                const complianceReporter = new ComplianceReporter();
+                await complianceReporter.ensureOutputDirectory();
+                distributionWallet.complianceReporter = complianceReporter;
+                const request = await distributionWallet.submit(client, submitter, JSON.parse(await fs.readFile(target, 'utf8')));
+                console.log(`✅ ${request.id} validated: ${request.hash}`);
+                return;
+            }
+
+            if (command === 'trustline') {
+                const result = await distributionWallet.setupTrustLines(client, submitter, account);
+                result.submitted.forEach(entry => console.log(`✅ ${entry.currency} trust line to ${distributionWallet.issuer}: ${entry.hash}`));
+                result.existing.forEach(currency => console.log(`ℹ️ ${currency} trust line already in place`));
+                return;
+            }
+
+            const check = await distributionWallet.check(client, account.address);
+
+            if (command === 'status') {
+                console.log(`🏦 Cold issuer ${check.issuer} (RequireAuth ${check.requireAuth ? 'set' : 'not set'}) → distribution account ${check.account}`);
+                for (const [currency, token] of Object.entries(check.tokens)) {
+                    console.log(`   ${currency}: ${token.trustLine ? `${token.balance} held${token.authorized ? '' : ', NOT authorized'}` : 'no trust line'}` +
+                        `${token.needsRefill ? ` - below ${distributionWallet.refillThreshold}, refill ${token.refillAmount}` : ''}`);
+                }
+                return;
+            }
+
+            const request = await distributionWallet.prepare(client, target, {
+                account: account.address,
+                tokenCode: option('token'),
+                amount: option('amount'),
+                reason: 'Prepared from the command line'
+            });
+            console.log(`📝 ${request.id} ${request.status}: ${distributionWallet.getRequestFile(request.id)}`);
+            console.log(`   Sign offline with: node ledger/distributionWallet.js sign ${distributionWallet.getRequestFile(request.id)}`);
+            console.log(`   Valid until ledger ${request.expiresAfterLedger} (now ${request.preparedAtLedger})`);
+        } finally {
+            await connectionManager.disconnect();
+        }
+    })().catch(error => {
+        console.error('💥 Distribution wallet command failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = DistributionWallet;
@@ -0,0 +1,182 @@
+/**
+ * ledger/feePolicy.js - Transaction Fee Policy
+ *
+ * Decides the Fee of every transaction the submission service signs instead
+ * of accepting whatever autofill() returns. The open-ledger fee is read from
+ * the `fee` command; while it stays under the configured ceiling (in drops)
+ * transactions pay it, and when the network is congested beyond the ceiling
+ * non-urgent transactions (oracle updates, offer refreshes, AMM maintenance)
+ * are deferred to a later cycle while urgent ones are submitted at the
+ * ceiling and wait in the transaction queue. Fees actually spent are
+ * accounted per UTC day.
+ */
+
+// Fees scale with the reserve or the signer count; autofill computes them
+const EXEMPT_TYPES = new Set(['AMMCreate', 'AccountDelete']);
+
+class FeePolicy {
+    constructor(config = {}) {
+        this.maxFeeDrops = parseInt(config.maxFeeDrops || process.env.TX_MAX_FEE_DROPS || '2000');
+        this.historyDays = parseInt(config.historyDays || process.env.TX_FEE_HISTORY_DAYS || '30');
+
+        if (!(this.maxFeeDrops > 0)) {
+            throw new Error('TX_MAX_FEE_DROPS must be a positive number of drops');
+        }
+
+        this.lastQuote = null;
+        this.daily = new Map(); // YYYY-MM-DD (UTC) -> spend entry
+
+        this.stats = {
+            deferred: 0,
+            capped: 0
+        };
+    }
+
+    /**
+     * Read the current fee levels from the server
+     */
+    async getOpenLedgerFee(client) {
+        const response = await client.request({ command: 'fee' });
+        const drops = response.result.drops;
+
+        this.lastQuote = {
+            openLedgerFee: parseInt(drops.open_ledger_fee),
+            baseFee: parseInt(drops.base_fee),
+            medianFee: parseInt(drops.median_fee),
+            minimumFee: parseInt(drops.minimum_fee),
+            queueSize: parseInt(response.result.current_queue_size || '0'),
+            ledgerIndex: response.result.ledger_current_index || null,
+            timestamp: new Date().toISOString()
+        };
+
+        return this.lastQuote;
+    }
+
+    /**
+     * Decide the fee for a transaction
+     *
+     * Returns { drops, deferred, capped, reason }. A null `drops` leaves the
+     * fee to autofill.
+     */
+    async decide(client, transaction, options = {}) {
+        if (EXEMPT_TYPES.has(transaction.TransactionType)) {
+            return { drops: null, deferred: false, capped: false, reason: null };
+        }
+
+        const quote = await this.getOpenLedgerFee(client);
+        const required = Math.max(quote.openLedgerFee, quote.baseFee);
+
+        if (required <= this.maxFeeDrops) {
+            return { drops: String(required), deferred: false, capped: false, reason: null };
+        }
+
+        const reason = `open ledger fee ${required} drops above ceiling ${this.maxFeeDrops}`;
+        const today = this.getDay();
+
+        if (options.deferrable) {
+            this.stats.deferred++;
+            today.deferred++;
+            return { drops: null, deferred: true, capped: false, reason: reason };
+        }
+
+        // Urgent transactions pay the ceiling and wait in the queue if it is not enough
+        this.stats.capped++;
+        today.capped++;
+        return { drops: String(this.maxFeeDrops), deferred: false, capped: true, reason: reason };
+    }
+
+    /**
+     * Account the fee of a transaction that made it into a validated ledger
+     */
+    recordSpend(transactionType, feeDrops) {
+        const drops = parseInt(feeDrops);
+        if (!(drops >= 0)) {
+            return;
+        }
+
+        const today = this.getDay();
+        today.drops += drops;
+        today.transactions++;
+        today.byType[transactionType] = (today.byType[transactionType] || 0) + drops;
+    }
+
+    /**
+     * Get (creating if needed) the spend entry for a UTC day
+     */
+    getDay(date = new Date().toISOString().slice(0, 10)) {
+        if (!this.daily.has(date)) {
+            this.daily.set(date, FeePolicy.emptyDay(date));
+
+            // Oldest days go first
+            const days = Array.from(this.daily.keys()).sort();
+            while (days.length > this.historyDays) {
+                this.daily.delete(days.shift());
+            }
+        }
+
+        return this.daily.get(date);
+    }
+
+    /**
+     * Get daily fee spend, newest first
+     */
+    getDailySpend(limit = this.historyDays) {
+        return Array.from(this.daily.values())
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .slice(0, limit)
+            .map(day => ({ ...day, byType: { ...day.byType } }));
+    }
+
+    /**
+     * Get fee policy status
+     */
+    getStatus() {
+        const today = this.getDay();
+
+        return {
+            maxFeeDrops: this.maxFeeDrops,
+            lastQuote: this.lastQuote,
+            congested: this.lastQuote ?
+                Math.max(this.lastQuote.openLedgerFee, this.lastQuote.baseFee) > this.maxFeeDrops : null,
+            today: { ...today, byType: { ...today.byType } },
+            recentDays: this.getDailySpend(7),
+            ...this.stats
+        };
+    }
+
+    /**
+     * Export daily spend for the state snapshot
+     */
+    exportState() {
+        return {
+            daily: this.getDailySpend(),
+            stats: { ...this.stats }
+        };
+    }
+
+    /**
+     * Restore daily spend from a state snapshot
+     */
+    restoreState(state = {}) {
+        for (const day of state.daily || []) {
+            this.daily.set(day.date, { ...FeePolicy.emptyDay(day.date), ...day });
+        }
+        this.stats = { ...this.stats, ...state.stats };
+    }
+
+    /**
+     * Get an empty spend entry for a day
+     */
+    static emptyDay(date) {
+        return {
+            date: date,
+            drops: 0,
+            transactions: 0,
+            deferred: 0,
+            capped: 0,
+            byType: {}
+        };
+    }
+}
+
+module.exports = FeePolicy;
@@ -0,0 +1,421 @@
+/**
+ * ledger/issuerControls.js - Issuer Freeze and Clawback Controls
+ *
+ * The issuer's regulatory control plane, for court orders and compromised
+ * holder accounts: enable trust line clawback (AccountSet
+ * asfAllowTrustLineClawback), freeze and unfreeze one holder's trust line
+ * (TrustSet tfSetFreeze / tfClearFreeze), switch the global freeze on and
+ * off (AccountSet asfGlobalFreeze) and claw back an amount of a holder's
+ * tokens (Clawback). Every action needs a reason and an approver; each
+ * attempt, executed or failed, is appended to the control action log
+ * (ISSUER_CONTROLS_DIR, default ./logs/controls) and recorded in an ad-hoc
+ * compliance report.
+ *
+ *   node ledger/issuerControls.js status
+ *   node ledger/issuerControls.js enable-clawback --reason <text> --approver <name>
+ *   node ledger/issuerControls.js freeze|unfreeze <holder> [--currency RLA] --reason <text> --approver <name>
+ *   node ledger/issuerControls.js global-freeze on|off --reason <text> --approver <name>
+ *   node ledger/issuerControls.js clawback <holder> <amount> [--currency RLA] --reason <text> --approver <name>
+ *
+ * Optional --reference records the court order or case number.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const xrpl = require('xrpl');
+
+const ACTIONS = {
+    ENABLE_CLAWBACK: 'Enable Clawback',
+    FREEZE_HOLDER: 'Freeze Holder',
+    UNFREEZE_HOLDER: 'Unfreeze Holder',
+    GLOBAL_FREEZE_ON: 'Global Freeze On',
+    GLOBAL_FREEZE_OFF: 'Global Freeze Off',
+    CLAWBACK: 'Clawback'
+};
+
+class IssuerControls {
+    constructor(config = {}) {
+        this.directory = config.directory || process.env.ISSUER_CONTROLS_DIR || './logs/controls';
+        this.logFile = path.join(this.directory, 'actions.jsonl');
+        this.complianceReporter = config.complianceReporter || null;
+        // Optional holder registry; holder actions are noted in its history
+        this.registry = config.registry || null;
+
+        this.writeQueue = Promise.resolve();
+        this.lastAction = null;
+
+        this.stats = {
+            executed: 0,
+            failed: 0
+        };
+    }
+
+    /**
+     * Read the issuer's control flags
+     */
+    async getAccountControls(client, issuer) {
+        const response = await client.request({
+            command: 'account_info',
+            account: issuer,
+            ledger_index: 'validated'
+        });
+        const flags = xrpl.parseAccountRootFlags(response.result.account_data.Flags || 0);
+
+        return {
+            account: issuer,
+            globalFreeze: !!flags.lsfGlobalFreeze,
+            noFreeze: !!flags.lsfNoFreeze,
+            clawbackEnabled: !!flags.lsfAllowTrustLineClawback
+        };
+    }
+
+    /**
+     * Get a holder's trust line to the issuer (null when there is none)
+     */
+    async getHolderLine(client, issuer, holder, currency) {
+        const response = await client.request({
+            command: 'account_lines',
+            account: issuer,
+            peer: holder,
+            ledger_index: 'validated'
+        });
+        const line = response.result.lines.find(entry => entry.account === holder && entry.currency === currency);
+
+        return line ? {
+            holder: holder,
+            currency: currency,
+            // account_lines shows the issuer's side; holders have a negative balance
+            balance: -parseFloat(line.balance) || 0,
+            frozen: line.freeze === true,
+            authorized: line.authorized === true
+        } : null;
+    }
+
+    /**
+     * Enable clawback on the issuer
+     *
+     * The ledger only allows this while the issuer has no trust lines,
+     * offers or other owned objects, and it can never be turned off.
+     */
+    async enableClawback(client, submitter, wallet, approval) {
+        const controls = await this.getAccountControls(client, wallet.address);
+        if (controls.clawbackEnabled) {
+            throw new Error('Clawback is already enabled on the issuer');
+        }
+        if (controls.noFreeze) {
+            throw new Error('Clawback cannot be enabled on an issuer with NoFreeze set');
+        }
+
+        return this.execute(ACTIONS.ENABLE_CLAWBACK, {
+            TransactionType: 'AccountSet',
+            Account: wallet.address,
+            SetFlag: xrpl.AccountSetAsfFlags.asfAllowTrustLineClawback
+        }, { issuerControls: controls }, approval, submitter, wallet);
+    }
+
+    /**
+     * Freeze one holder's trust line
+     *
+     * A frozen holder can only send the token back to the issuer.
+     */
+    async freezeHolder(client, submitter, wallet, holder, currency, approval) {
+        return this.setHolderFreeze(client, submitter, wallet, holder, currency, true, approval);
+    }
+
+    /**
+     * Unfreeze one holder's trust line
+     */
+    async unfreezeHolder(client, submitter, wallet, holder, currency, approval) {
+        return this.setHolderFreeze(client, submitter, wallet, holder, currency, false, approval);
+    }
+
+    /**
+     * Set or clear the freeze on a holder's trust line
+     */
+    async setHolderFreeze(client, submitter, wallet, holder, currency, freeze, approval) {
+        const line = await this.getHolderLine(client, wallet.address, holder, currency);
+        if (!line) {
+            throw new Error(`${holder} has no ${currency} trust line`);
+        }
+        if (line.frozen === freeze) {
+            throw new Error(`${holder}'s ${currency} trust line is already ${freeze ? 'frozen' : 'unfrozen'}`);
+        }
+
+        return this.execute(freeze ? ACTIONS.FREEZE_HOLDER : ACTIONS.UNFREEZE_HOLDER, {
+            TransactionType: 'TrustSet',
+            Account: wallet.address,
+            // The issuer's side of the line: limit 0, peer is the holder
+            LimitAmount: {
+                currency: currency,
+                issuer: holder,
+                value: '0'
+            },
+            Flags: freeze ? xrpl.TrustSetFlags.tfSetFreeze : xrpl.TrustSetFlags.tfClearFreeze
+        }, { holder: holder, currency: currency, line: line }, approval, submitter, wallet);
+    }
+
+    /**
+     * Switch the global freeze on or off
+     *
+     * While it is on, every holder can only send the token back to the issuer.
+     */
+    async setGlobalFreeze(client, submitter, wallet, enabled, approval) {
+        const controls = await this.getAccountControls(client, wallet.address);
+        if (controls.globalFreeze === enabled) {
+            throw new Error(`Global freeze is already ${enabled ? 'on' : 'off'}`);
+        }
+
+        return this.execute(enabled ? ACTIONS.GLOBAL_FREEZE_ON : ACTIONS.GLOBAL_FREEZE_OFF, {
+            TransactionType: 'AccountSet',
+            Account: wallet.address,
+            [enabled ? 'SetFlag' : 'ClearFlag']: xrpl.AccountSetAsfFlags.asfGlobalFreeze
+        }, { issuerControls: controls }, approval, submitter, wallet);
+    }
+
+    /**
+     * Claw back an amount of a holder's tokens
+     *
+     * The ledger claws back at most the holder's balance.
+     */
+    async clawback(client, submitter, wallet, holder, currency, amount, approval) {
+        const value = parseFloat(amount);
+        if (!(value > 0)) {
+            throw new Error(`Clawback amount must be positive: ${amount}`);
+        }
+
+        const controls = await this.getAccountControls(client, wallet.address);
+        if (!controls.clawbackEnabled) {
+            throw new Error('Clawback is not enabled on the issuer (see enable-clawback)');
+        }
+
+        const line = await this.getHolderLine(client, wallet.address, holder, currency);
+        if (!line) {
+            throw new Error(`${holder} has no ${currency} trust line`);
+        }
+        if (value > line.balance) {
+            console.warn(`⚠️ ${holder} holds ${line.balance} ${currency}; the clawback takes at most that`);
+        }
+
+        return this.execute(ACTIONS.CLAWBACK, {
+            TransactionType: 'Clawback',
+            Account: wallet.address,
+            // For Clawback, Amount.issuer names the holder
+            Amount: {
+                currency: currency,
+                issuer: holder,
+                value: String(amount)
+            }
+        }, { holder: holder, currency: currency, amount: value, line: line }, approval, submitter, wallet);
+    }
+
+    /**
+     * Submit a control transaction, log it and report it
+     *
+     * Failed attempts are logged and reported too, then rethrown.
+     */
+    async execute(action, transaction, details, approval, submitter, wallet) {
+        IssuerControls.assertApproval(approval);
+
+        const entry = {
+            id: crypto.randomUUID(),
+            action: action,
+            account: wallet.address,
+            ...details,
+            reason: approval.reason,
+            approvedBy: approval.approvedBy,
+            reference: approval.reference || null,
+            requestedAt: new Date().toISOString(),
+            status: null,
+            hash: null,
+            resultCode: null,
+            ledgerIndex: null,
+            error: null
+        };
+
+        let failure = null;
+        try {
+            const result = await submitter.submit(transaction, {
+                wallet: wallet,
+                label: `Issuer control: ${action}${details.holder ? ` ${details.holder}` : ''}`
+            });
+            Object.assign(entry, { status: 'EXECUTED', hash: result.hash, resultCode: result.resultCode, ledgerIndex: result.ledgerIndex });
+            this.stats.executed++;
+        } catch (error) {
+            Object.assign(entry, { status: 'FAILED', resultCode: error.resultCode || null, error: error.message });
+            this.stats.failed++;
+            failure = error;
+        }
+
+        entry.completedAt = new Date().toISOString();
+        this.lastAction = entry;
+
+        await this.appendLog(entry);
+        await this.noteHolder(entry);
+        await this.report(entry);
+
+        if (failure) {
+            throw failure;
+        }
+
+        console.log(`✅ ${action} executed (${entry.hash}) - approved by ${entry.approvedBy}: ${entry.reason}`);
+        return entry;
+    }
+
+    /**
+     * Append an action to the control action log
+     */
+    appendLog(entry) {
+        const run = this.writeQueue.then(async () => {
+            await fs.mkdir(this.directory, { recursive: true });
+            await fs.appendFile(this.logFile, JSON.stringify(entry) + '\n');
+        });
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Note a holder action in the holder registry, when the holder is registered
+     */
+    async noteHolder(entry) {
+        if (!this.registry || !entry.holder) {
+            return;
+        }
+
+        const note = `${entry.action} ${entry.status.toLowerCase()}${entry.amount ? ` (${entry.amount} ${entry.currency})` : ''}: ${entry.reason}`;
+        if (this.registry.addNote(entry.holder, note, entry.approvedBy)) {
+            await this.registry.save();
+        }
+    }
+
+    /**
+     * Record an action in an ad-hoc compliance report
+     */
+    async report(entry) {
+        if (!this.complianceReporter) {
+            console.warn(`⚠️ No compliance reporter - ${entry.action} only recorded in ${this.logFile}`);
+            return;
+        }
+
+        try {
+            await this.complianceReporter.generateAdHocReport(`Issuer Control ${entry.action}`, { issuerControlAction: entry });
+        } catch (error) {
+            console.warn(`⚠️ Could not report ${entry.action}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read the control action log, oldest first
+     */
+    async readLog() {
+        try {
+            const content = await fs.readFile(this.logFile, 'utf8');
+            return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get controls status
+     */
+    getStatus() {
+        return {
+            logFile: this.logFile,
+            lastAction: this.lastAction,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Require a reason and an approver for every action
+     */
+    static assertApproval(approval) {
+        if (!approval || !String(approval.reason || '').trim() || !String(approval.approvedBy || '').trim()) {
+            throw new Error('Issuer control actions need a reason and an approver');
+        }
+    }
+}
+
+IssuerControls.ACTIONS = ACTIONS;
+
+// Run standalone
+if (require.main === module) {
+    require('dotenv').config();
+    const ComplianceReporter = require('../fireblocks/complianceReporter');
+    const HolderRegistry = require('../storage/holderRegistry');
+    const ManagedProperty = require('../portfolio/managedProperty');
+    const ConnectionManager = require('./connectionManager');
+    const TransactionSubmitter = require('./transactionSubmitter');
+
+    const [command, ...args] = process.argv.slice(2).filter((arg, index, all) =>
+        !arg.startsWith('--') && !(index > 0 && all[index - 1].startsWith('--')));
+    const option = (name) => {
+        const index = process.argv.indexOf(`--${name}`);
+        return index > 0 ? process.argv[index + 1] : undefined;
+    };
+    const approval = { reason: option('reason'), approvedBy: option('approver'), reference: option('reference') };
+    const currency = () => {
+        if (option('currency')) {
+            return option('currency');
+        }
+        const tokenCodes = ManagedProperty.loadAll().map(property => property.tokenCode);
+        if (tokenCodes.length > 1) {
+            throw new Error(`Several tokens are issued (${tokenCodes.join(', ')}) - pass --currency`);
+        }
+        return tokenCodes[0];
+    };
+
+    (async () => {
+        const complianceReporter = new ComplianceReporter();
+        await complianceReporter.initialize();
+        const registry = new HolderRegistry();
+        await registry.load();
+        const controls = new IssuerControls({ complianceReporter: complianceReporter, registry: registry });
+
+        const connectionManager = new ConnectionManager();
+        const client = await connectionManager.connect();
+        const wallet = xrpl.Wallet.fromSeed(process.env.ISSUER_SEED);
+        const submitter = new TransactionSubmitter({ getClient: () => connectionManager.getClient() });
+
+        try {
+            switch (command) {
+                case 'status': {
+                    const state = await controls.getAccountControls(client, wallet.address);
+                    console.log(`🛡️ Issuer ${state.account}: global freeze ${state.globalFreeze ? 'ON' : 'off'}, clawback ${state.clawbackEnabled ? 'enabled' : 'disabled'}${state.noFreeze ? ', NoFreeze set' : ''}`);
+                    (await controls.readLog()).slice(-10).forEach(entry => console.log(
+                        `   ${entry.requestedAt} ${entry.action}${entry.holder ? ` ${entry.holder}` : ''} ${entry.status} - ${entry.approvedBy}: ${entry.reason}`));
+                    break;
+                }
+                case 'enable-clawback':
+                    await controls.enableClawback(client, submitter, wallet, approval);
+                    break;
+                case 'freeze':
+                case 'unfreeze':
+                    await controls.setHolderFreeze(client, submitter, wallet, args[0], currency(), command === 'freeze', approval);
+                    break;
+                case 'global-freeze':
+                    if (!['on', 'off'].includes(args[0])) {
+                        throw new Error('global-freeze needs on or off');
+                    }
+                    await controls.setGlobalFreeze(client, submitter, wallet, args[0] === 'on', approval);
+                    break;
+                case 'clawback':
+                    await controls.clawback(client, submitter, wallet, args[0], currency(), args[1], approval);
+                    break;
+                default:
+                    throw new Error('Usage: issuerControls.js status|enable-clawback|freeze|unfreeze|global-freeze|clawback (see the header of ledger/issuerControls.js)');
+            }
+        } finally {
+            await connectionManager.disconnect();
+        }
+    })().catch(error => {
+        console.error('💥 Issuer control failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = IssuerControls;
@@ -0,0 +1,339 @@
+/**
+ * ledger/issuerProfile.js - Issuer Account Profile
+ *
+ * Declares the issuer account settings the token depends on - DefaultRipple,
+ * RequireAuth, DisallowXRP, TransferRate, TickSize and Domain - in a JSON
+ * profile (ISSUER_PROFILE_PATH, default ./config/issuerProfile.json).
+ * Settings left out of the profile are not managed. `apply` submits the
+ * AccountSet transactions that bring the account to the profile; `check`
+ * compares the ledger with the profile and reports drift, e.g. a Domain
+ * overwritten by another writer.
+ *
+ * Run directly to check (or with --apply, to apply) the ISSUER_SEED account:
+ *
+ *   node ledger/issuerProfile.js [--apply]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const xrpl = require('xrpl');
+
+// Boolean settings: AccountSet flag and the AccountRoot flag it toggles
+const FLAG_SETTINGS = {
+    defaultRipple: { asf: xrpl.AccountSetAsfFlags.asfDefaultRipple, lsf: 'lsfDefaultRipple' },
+    requireAuth: { asf: xrpl.AccountSetAsfFlags.asfRequireAuth, lsf: 'lsfRequireAuth' },
+    disallowXRP: { asf: xrpl.AccountSetAsfFlags.asfDisallowXRP, lsf: 'lsfDisallowXRP' }
+};
+const FIELD_SETTINGS = ['transferFeePercent', 'tickSize', 'domain'];
+// TransferRate of a 0% fee; the ledger stores it as an absent field
+const TRANSFER_RATE_PARITY = 1000000000;
+
+class IssuerProfile {
+    constructor(config = {}) {
+        this.profilePath = config.profilePath || process.env.ISSUER_PROFILE_PATH || './config/issuerProfile.json';
+        this.checkInterval = parseInt(config.checkInterval || process.env.ISSUER_PROFILE_CHECK_INTERVAL || '3600000');
+        this.profile = config.profile || this.loadProfile();
+
+        if (this.profile) {
+            IssuerProfile.validate(this.profile, this.profilePath);
+        }
+
+        this.lastCheck = null;
+        this.lastApply = null;
+
+        this.stats = {
+            checks: 0,
+            driftDetected: 0,
+            transactionsSubmitted: 0
+        };
+    }
+
+    /**
+     * Read the profile file (null when there is none)
+     */
+    loadProfile() {
+        const resolvedPath = path.resolve(this.profilePath);
+
+        if (!fs.existsSync(resolvedPath)) {
+            return null;
+        }
+
+        return JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    }
+
+    /**
+     * Check whether a profile is configured
+     */
+    isConfigured() {
+        return this.profile !== null;
+    }
+
+    /**
+     * Check whether the profile manages the account's Domain
+     */
+    managesDomain() {
+        return this.isConfigured() && this.profile.domain !== undefined;
+    }
+
+    /**
+     * Read the account's current settings from the ledger
+     */
+    async readSettings(client, address) {
+        const response = await client.request({
+            command: 'account_info',
+            account: address,
+            ledger_index: 'validated'
+        });
+        const accountData = response.result.account_data;
+        const flags = xrpl.parseAccountRootFlags(accountData.Flags || 0);
+        const settings = {};
+
+        for (const [name, flag] of Object.entries(FLAG_SETTINGS)) {
+            settings[name] = !!flags[flag.lsf];
+        }
+
+        settings.transferFeePercent = accountData.TransferRate ?
+            IssuerProfile.round((accountData.TransferRate / TRANSFER_RATE_PARITY - 1) * 100) : 0;
+        settings.tickSize = accountData.TickSize || 0;
+        settings.domain = accountData.Domain ? Buffer.from(accountData.Domain, 'hex').toString('utf8') : '';
+
+        return settings;
+    }
+
+    /**
+     * Compare ledger settings with the profile
+     */
+    diff(settings) {
+        return Object.keys(this.profile)
+            .filter(name => settings[name] !== this.profile[name])
+            .map(name => ({ setting: name, expected: this.profile[name], actual: settings[name] }));
+    }
+
+    /**
+     * Check the account against the profile
+     */
+    async check(client, address) {
+        if (!this.isConfigured()) {
+            return null;
+        }
+
+        const settings = await this.readSettings(client, address);
+        const drift = this.diff(settings);
+
+        this.stats.checks++;
+        if (drift.length > 0) {
+            this.stats.driftDetected++;
+        }
+
+        this.lastCheck = {
+            account: address,
+            inSync: drift.length === 0,
+            drift: drift,
+            settings: settings,
+            checkedAt: new Date().toISOString()
+        };
+
+        return this.lastCheck;
+    }
+
+    /**
+     * Build the AccountSet transactions that remove the drift
+     *
+     * Domain, TransferRate and TickSize go in one transaction; an AccountSet
+     * carries one SetFlag or ClearFlag, so each flag change is its own.
+     */
+    buildTransactions(address, drift) {
+        const transactions = [];
+        const fields = {};
+
+        for (const entry of drift) {
+            const flag = FLAG_SETTINGS[entry.setting];
+
+            if (flag) {
+                transactions.push({
+                    TransactionType: 'AccountSet',
+                    Account: address,
+                    [entry.expected ? 'SetFlag' : 'ClearFlag']: flag.asf
+                });
+            } else if (entry.setting === 'transferFeePercent') {
+                // 0 removes the fee
+                fields.TransferRate = entry.expected > 0 ?
+                    Math.round(TRANSFER_RATE_PARITY * (1 + entry.expected / 100)) : 0;
+            } else if (entry.setting === 'tickSize') {
+                fields.TickSize = entry.expected;
+            } else if (entry.setting === 'domain') {
+                fields.Domain = Buffer.from(entry.expected, 'utf8').toString('hex').toUpperCase();
+            }
+        }
+
+        if (Object.keys(fields).length > 0) {
+            transactions.unshift({ TransactionType: 'AccountSet', Account: address, ...fields });
+        }
+
+        return transactions;
+    }
+
+    /**
+     * Submit the AccountSet transactions needed to reach the profile
+     *
+     * Returns the check after applying, with the submitted transactions and
+     * any that failed (e.g. RequireAuth on an account that already has trust
+     * lines).
+     */
+    async apply(client, submitter, wallet) {
+        const before = await this.check(client, wallet.address);
+        if (!before) {
+            throw new Error(`No issuer profile at ${this.profilePath}`);
+        }
+
+        const transactions = this.buildTransactions(wallet.address, before.drift);
+        const submitted = [];
+        const failed = [];
+
+        for (const transaction of transactions) {
+            const change = IssuerProfile.describe(transaction);
+
+            try {
+                const result = await submitter.submit(transaction, {
+                    wallet: wallet,
+                    label: `Issuer profile AccountSet (${change})`
+                });
+                this.stats.transactionsSubmitted++;
+                submitted.push({ change: change, hash: result.hash, resultCode: result.resultCode });
+            } catch (error) {
+                failed.push({ change: change, error: error.message });
+            }
+        }
+
+        const after = await this.check(client, wallet.address);
+
+        this.lastApply = {
+            account: wallet.address,
+            driftBefore: before.drift,
+            submitted: submitted,
+            failed: failed,
+            inSync: after.inSync,
+            remainingDrift: after.drift,
+            appliedAt: new Date().toISOString()
+        };
+
+        return this.lastApply;
+    }
+
+    /**
+     * Get profile status
+     */
+    getStatus() {
+        return {
+            configured: this.isConfigured(),
+            profilePath: this.profilePath,
+            profile: this.profile,
+            checkInterval: this.checkInterval,
+            lastCheck: this.lastCheck,
+            lastApply: this.lastApply,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Reject unknown settings and out-of-range values
+     */
+    static validate(profile, source) {
+        const known = [...Object.keys(FLAG_SETTINGS), ...FIELD_SETTINGS];
+        const unknown = Object.keys(profile).filter(name => !known.includes(name));
+
+        if (unknown.length > 0) {
+            throw new Error(`Unknown issuer profile setting(s) in ${source}: ${unknown.join(', ')} (expected ${known.join(', ')})`);
+        }
+
+        for (const name of Object.keys(FLAG_SETTINGS)) {
+            if (profile[name] !== undefined && typeof profile[name] !== 'boolean') {
+                throw new Error(`Issuer profile ${name} must be true or false`);
+            }
+        }
+
+        if (profile.transferFeePercent !== undefined &&
+            !(profile.transferFeePercent >= 0 && profile.transferFeePercent <= 100)) {
+            throw new Error('Issuer profile transferFeePercent must be between 0 and 100');
+        }
+
+        if (profile.tickSize !== undefined && profile.tickSize !== 0 &&
+            !(Number.isInteger(profile.tickSize) && profile.tickSize >= 3 && profile.tickSize <= 15)) {
+            throw new Error('Issuer profile tickSize must be 0 (off) or an integer from 3 to 15');
+        }
+
+        if (profile.domain !== undefined && (typeof profile.domain !== 'string' || Buffer.byteLength(profile.domain) > 256)) {
+            throw new Error('Issuer profile domain must be a string of at most 256 bytes');
+        }
+    }
+
+    /**
+     * Describe the change an AccountSet makes
+     */
+    static describe(transaction) {
+        const flagName = (asf) => xrpl.AccountSetAsfFlags[asf] || asf;
+        const changes = [];
+
+        if (transaction.SetFlag) {
+            changes.push(`set ${flagName(transaction.SetFlag)}`);
+        }
+        if (transaction.ClearFlag) {
+            changes.push(`clear ${flagName(transaction.ClearFlag)}`);
+        }
+        ['Domain', 'TransferRate', 'TickSize']
+            .filter(field => transaction[field] !== undefined)
+            .forEach(field => changes.push(field));
+
+        return changes.join(', ');
+    }
+
+    /**
+     * Round a fee percentage to the precision TransferRate can hold
+     */
+    static round(value) {
+        return parseFloat(value.toFixed(7));
+    }
+}
+
+// Run standalone
+if (require.main === module) {
+    require('dotenv').config();
+    const ConnectionManager = require('./connectionManager');
+    const TransactionSubmitter = require('./transactionSubmitter');
+
+    (async () => {
+        const issuerProfile = new IssuerProfile();
+        if (!issuerProfile.isConfigured()) {
+            throw new Error(`No issuer profile at ${issuerProfile.profilePath}`);
+        }
+
+        const connectionManager = new ConnectionManager();
+        const client = await connectionManager.connect();
+        const wallet = xrpl.Wallet.fromSeed(process.env.ISSUER_SEED);
+
+        try {
+            if (process.argv.includes('--apply')) {
+                const submitter = new TransactionSubmitter({ getClient: () => connectionManager.getClient() });
+                const result = await issuerProfile.apply(client, submitter, wallet);
+                result.submitted.forEach(entry => console.log(`✅ ${entry.change}: ${entry.hash}`));
+                result.failed.forEach(entry => console.error(`❌ ${entry.change}: ${entry.error}`));
+            }
+
+            const check = await issuerProfile.check(client, wallet.address);
+            if (check.inSync) {
+                console.log(`✅ Issuer ${wallet.address} matches ${issuerProfile.profilePath}`);
+            } else {
+                console.warn(`🚨 Issuer ${wallet.address} differs from ${issuerProfile.profilePath}:`);
+                check.drift.forEach(entry => console.warn(`   - ${entry.setting}: expected ${JSON.stringify(entry.expected)}, ledger ${JSON.stringify(entry.actual)}`));
+                process.exitCode = 2;
+            }
+        } finally {
+            await connectionManager.disconnect();
+        }
+    })().catch(error => {
+        console.error('💥 Issuer profile failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = IssuerProfile;
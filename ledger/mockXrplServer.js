@@ -0,0 +1,258 @@
+/**
+ * ledger/mockXrplServer.js - Mock XRPL WebSocket Server
+ *
+ * Serves a SimulatedLedger over the rippled WebSocket API, so the bot, the
+ * oracle and the standalone offer scripts can be pointed at it through
+ * XRPL_NETWORK (or XRPL_ENDPOINTS) like any other server, with no network.
+ * It answers the methods the bot uses - account_offers, account_tx,
+ * submit, tx, fee, account_info, account_lines, book_offers, subscribe -
+ * and streams validated transactions and ledger closes to subscribers.
+ *
+ * Ledger state can be scripted from a JSON file (see
+ * config/mockLedgerState.example.json). By default no takers run and
+ * ledgers only close on `ledger_accept`, as on a standalone rippled, so a
+ * test drives every close and runs are deterministic.
+ *
+ *   MOCK_XRPL_STATE=config/mockLedgerState.example.json node ledger/mockXrplServer.js
+ *   XRPL_NETWORK=ws://127.0.0.1:6006 npm start
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+
+const SimulatedLedger = require('./simulatedLedger');
+
+class MockXrplServer {
+    constructor(config = {}) {
+        this.host = config.host || process.env.MOCK_XRPL_HOST || '127.0.0.1';
+        // 0 picks a free port (read it back from getUrl() after start)
+        this.port = parseInt(config.port !== undefined ? config.port : (process.env.MOCK_XRPL_PORT || '6006'));
+
+        this.ledger = config.ledger || new SimulatedLedger({
+            ledgerIntervalMs: config.ledgerIntervalMs !== undefined ?
+                config.ledgerIntervalMs : (process.env.MOCK_XRPL_LEDGER_INTERVAL_MS || '0'),
+            takers: config.takers || process.env.MOCK_XRPL_TAKERS || 'none',
+            statePath: config.statePath || process.env.MOCK_XRPL_STATE || null,
+            ...config.ledgerConfig
+        });
+
+        if (config.state) {
+            this.ledger.loadState(config.state);
+        }
+
+        this.server = null;
+        this.clients = new Map(); // socket -> { accounts, streams }
+
+        this.forwardTransaction = (message) => this.broadcast(message, subscription =>
+            Array.from(subscription.accounts).some(account => this.ledger.involves(message, account)));
+        this.forwardLedgerClosed = (message) => this.broadcast(message, subscription =>
+            subscription.streams.has('ledger'));
+
+        this.stats = {
+            connections: 0,
+            requests: 0,
+            errors: 0
+        };
+    }
+
+    /**
+     * Start the ledger and listen for connections
+     *
+     * Resolves to the server's ws:// URL.
+     */
+    async start() {
+        await this.ledger.connect();
+        this.ledger.on('transaction', this.forwardTransaction);
+        this.ledger.on('ledgerClosed', this.forwardLedgerClosed);
+
+        this.server = new WebSocketServer({ host: this.host, port: this.port });
+        await new Promise((resolve, reject) => {
+            this.server.once('listening', resolve);
+            this.server.once('error', reject);
+        });
+
+        this.port = this.server.address().port;
+        this.server.on('connection', socket => this.handleConnection(socket));
+
+        console.log(`🧪 Mock XRPL server listening on ${this.getUrl()} (ledger ${this.ledger.ledgerIndex})`);
+        return this.getUrl();
+    }
+
+    /**
+     * Close every connection and stop the ledger
+     */
+    async stop() {
+        this.ledger.removeListener('transaction', this.forwardTransaction);
+        this.ledger.removeListener('ledgerClosed', this.forwardLedgerClosed);
+
+        if (this.server) {
+            for (const socket of this.clients.keys()) {
+                socket.close(1000);
+            }
+            await new Promise(resolve => this.server.close(() => resolve()));
+            this.server = null;
+        }
+
+        this.clients.clear();
+        await this.ledger.disconnect();
+        console.log('🛑 Mock XRPL server stopped');
+    }
+
+    /**
+     * Get the URL clients connect to
+     */
+    getUrl() {
+        return `ws://${this.host}:${this.port}`;
+    }
+
+    /**
+     * Close the open ledger (same as a ledger_accept request)
+     */
+    closeLedger() {
+        return this.ledger.closeLedger();
+    }
+
+    /**
+     * Track a new client connection
+     */
+    handleConnection(socket) {
+        this.clients.set(socket, { accounts: new Set(), streams: new Set() });
+        this.stats.connections++;
+
+        socket.on('message', data => {
+            this.handleMessage(socket, data).catch(error =>
+                console.warn('⚠️ Mock XRPL server could not answer a request:', error.message));
+        });
+        socket.on('close', () => {
+            const subscription = this.clients.get(socket);
+            this.clients.delete(socket);
+            if (subscription) {
+                this.releaseAccounts(Array.from(subscription.accounts));
+            }
+        });
+    }
+
+    /**
+     * Answer one request in the rippled response envelope
+     */
+    async handleMessage(socket, data) {
+        let request;
+        try {
+            request = JSON.parse(data.toString());
+        } catch (error) {
+            this.stats.errors++;
+            this.send(socket, { type: 'response', status: 'error', error: 'invalidParams', error_message: 'Unable to parse request.' });
+            return;
+        }
+
+        this.stats.requests++;
+
+        try {
+            const response = await this.handleRequest(socket, request);
+            this.send(socket, {
+                id: request.id,
+                type: 'response',
+                status: 'success',
+                result: response.result,
+                api_version: request.api_version
+            });
+        } catch (error) {
+            this.stats.errors++;
+            const details = error.data || { error: 'internal', error_message: error.message };
+            this.send(socket, {
+                id: request.id,
+                type: 'response',
+                status: 'error',
+                error: details.error,
+                error_message: details.error_message,
+                request: request
+            });
+        }
+    }
+
+    /**
+     * Route a request to the ledger, keeping per-client subscriptions
+     */
+    async handleRequest(socket, request) {
+        const subscription = this.clients.get(socket);
+
+        if (request.command === 'subscribe') {
+            (request.accounts || []).forEach(account => subscription.accounts.add(account));
+            (request.streams || []).forEach(stream => subscription.streams.add(stream));
+            return this.ledger.request(request);
+        }
+
+        if (request.command === 'unsubscribe') {
+            const accounts = request.accounts || [];
+            accounts.forEach(account => subscription.accounts.delete(account));
+            (request.streams || []).forEach(stream => subscription.streams.delete(stream));
+            return this.releaseAccounts(accounts);
+        }
+
+        return this.ledger.request(request);
+    }
+
+    /**
+     * Unsubscribe the ledger from accounts no client still watches
+     */
+    releaseAccounts(accounts) {
+        const watched = new Set();
+        for (const subscription of this.clients.values()) {
+            subscription.accounts.forEach(account => watched.add(account));
+        }
+
+        const released = accounts.filter(account => !watched.has(account));
+        return this.ledger.isConnected() ?
+            this.ledger.request({ command: 'unsubscribe', accounts: released }) : null;
+    }
+
+    /**
+     * Send a stream message to every matching client
+     */
+    broadcast(message, matches) {
+        for (const [socket, subscription] of this.clients) {
+            if (matches(subscription)) {
+                this.send(socket, message);
+            }
+        }
+    }
+
+    /**
+     * Send a message to an open socket
+     */
+    send(socket, message) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Get server status
+     */
+    getStatus() {
+        return {
+            url: this.server ? this.getUrl() : null,
+            clients: this.clients.size,
+            ledger: this.ledger.getStatus(),
+            ...this.stats
+        };
+    }
+}
+
+// Run standalone
+if (require.main === module) {
+    require('dotenv').config();
+    const server = new MockXrplServer();
+
+    const shutdown = () => {
+        server.stop().then(() => process.exit(0), () => process.exit(1));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    server.start().catch(error => {
+        console.error('💥 Mock XRPL server failed to start:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = MockXrplServer;
@@ -0,0 +1,1319 @@
+/**
+ * ledger/simulatedLedger.js - Simulated XRPL Ledger for Paper Trading
+ *
+ * An in-process stand-in for xrpl.Client that keeps its own accounts, order
+ * book and token trust lines. Transactions are signed locally as usual and
+ * handed to `submit`; they apply to the open ledger and validate when it
+ * closes, with the same engine results, metadata and stream messages the
+ * bot sees from a real server. On every close, simulated takers (random or
+ * scripted from a JSON file) cross the resting offers. Nothing leaves the
+ * machine. Accounts, trust lines and offers may be preloaded from a JSON
+ * state file, and ledger/mockXrplServer.js serves the same ledger over the
+ * rippled WebSocket API. An issuer with RequireAuth only fills takers whose
+ * trust line it authorized (TrustSet with tfSetfAuth); other takers open a
+ * line and wait. Issuers can also freeze lines and claw tokens back.
+ *
+ * Quote assets issued by third parties are assumed funded and are not
+ * tracked; token trust lines between an offer owner and the takers are,
+ * including an owner that sells tokens it holds from another issuer (a
+ * distribution account).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const xrpl = require('xrpl');
+
+// Seconds between the Unix epoch and the XRPL (Ripple) epoch
+const RIPPLE_EPOCH_OFFSET = 946684800;
+const BASE_FEE_DROPS = 10;
+const RESERVE_BASE_DROPS = 1000000;
+const RESERVE_INCREMENT_DROPS = 200000;
+
+// AccountSet asf flags and the AccountRoot flags they toggle
+const ACCOUNT_FLAGS = {
+    1: 0x00020000,  // asfRequireDest → lsfRequireDestTag
+    2: 0x00040000,  // asfRequireAuth → lsfRequireAuth
+    3: 0x00080000,  // asfDisallowXRP → lsfDisallowXRP
+    4: 0x00100000,  // asfDisableMaster → lsfDisableMaster
+    6: 0x00200000,  // asfNoFreeze → lsfNoFreeze
+    7: 0x00400000,  // asfGlobalFreeze → lsfGlobalFreeze
+    8: 0x00800000,  // asfDefaultRipple → lsfDefaultRipple
+    9: 0x01000000,  // asfDepositAuth → lsfDepositAuth
+    16: 0x80000000  // asfAllowTrustLineClawback → lsfAllowTrustLineClawback
+};
+const ACCOUNT_SET_FIELDS = ['Domain', 'EmailHash', 'MessageKey', 'TransferRate', 'TickSize'];
+const SUPPORTED_TYPES = new Set(['OfferCreate', 'OfferCancel', 'AccountSet', 'TrustSet', 'Clawback', 'Payment']);
+const LSF_REQUIRE_AUTH = 0x00040000;
+const LSF_ALLOW_CLAWBACK = 0x80000000;
+const TF_SET_AUTH = 0x00010000;
+const TF_SET_FREEZE = 0x00100000;
+const TF_CLEAR_FREEZE = 0x00200000;
+// RippleState flags of a line authorized or frozen by its low or high account
+const LSF_LOW_AUTH = 0x00040000;
+const LSF_HIGH_AUTH = 0x00080000;
+const LSF_LOW_FREEZE = 0x00400000;
+const LSF_HIGH_FREEZE = 0x00800000;
+
+class SimulatedLedger extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        // 0 closes ledgers only through closeLedger()
+        this.ledgerInterval = parseInt(config.ledgerIntervalMs !== undefined ?
+            config.ledgerIntervalMs : (process.env.PAPER_LEDGER_INTERVAL_MS || '4000'));
+        this.startingBalance = parseInt(xrpl.xrpToDrops(config.startingXrp || process.env.PAPER_XRP_BALANCE || '1000'));
+        this.takerMode = config.takers || process.env.PAPER_TAKERS || 'random';
+        this.takerProbability = parseFloat(config.takerProbability || process.env.PAPER_TAKER_PROBABILITY || '0.2');
+        this.takerAccountCount = parseInt(config.takerAccounts || process.env.PAPER_TAKER_ACCOUNTS || '5');
+        this.minFillFraction = parseFloat(config.minFillFraction || process.env.PAPER_TAKER_MIN_FILL || '0.1');
+        this.scriptPath = config.scriptPath || process.env.PAPER_TAKER_SCRIPT || null;
+        this.statePath = config.statePath || process.env.PAPER_LEDGER_STATE || null;
+
+        if (!['random', 'script', 'none'].includes(this.takerMode)) {
+            throw new Error(`Unknown PAPER_TAKERS mode: ${this.takerMode} (random, script or none)`);
+        }
+
+        // Ledger indexes keep counting up across runs, as on a real network
+        this.ledgerIndex = parseInt(config.startLedgerIndex || Math.floor(Date.now() / 4000));
+        this.closedAt = Date.now();
+        this.connected = false;
+        this.closeTimer = null;
+
+        this.accounts = new Map();      // address -> AccountRoot fields
+        this.offers = new Map();        // offer ledger index -> offer
+        this.lines = new Map();         // `${holder}|${currency}|${issuer}` -> holder balance
+        this.authorizedLines = new Set(); // line keys the issuer authorized
+        this.frozenLines = new Set();     // line keys the issuer froze
+        this.transactions = new Map();  // hash -> { tx_json, meta, ledger_index, validated, close_time_iso }
+        this.openLedger = [];           // hashes applied since the last close
+        this.subscriptions = new Set();
+
+        this.takers = Array.from({ length: this.takerAccountCount }, () =>
+            xrpl.encodeAccountID(crypto.randomBytes(20)));
+        this.script = this.takerMode === 'script' ? this.loadScript(this.scriptPath) : [];
+
+        if (this.statePath) {
+            this.loadState(JSON.parse(fs.readFileSync(path.resolve(this.statePath), 'utf8')));
+        }
+        this.startLedgerIndex = this.ledgerIndex;
+
+        this.stats = {
+            ledgersClosed: 0,
+            submitted: 0,
+            takerFills: 0,
+            scriptedFills: 0
+        };
+    }
+
+    /**
+     * Load scripted takers
+     *
+     * The script is { "takers": [{ "ledger": 3, "buy": "RLA", "fraction": 0.5 }, ...] }
+     * where `ledger` counts closes from the start of the run, `buy`/`sell`
+     * names the token the taker acquires or gives up, `quote` optionally
+     * narrows the counter asset and `amount` (token units) or `fraction`
+     * (of the best offer) sizes the fill.
+     */
+    loadScript(scriptPath) {
+        if (!scriptPath) {
+            throw new Error('PAPER_TAKERS=script requires PAPER_TAKER_SCRIPT');
+        }
+
+        const script = JSON.parse(fs.readFileSync(path.resolve(scriptPath), 'utf8'));
+        const takers = (script.takers || []).map((entry, index) => {
+            if (!(entry.ledger >= 1) || (!entry.buy === !entry.sell)) {
+                throw new Error(`Taker script entry ${index} needs a ledger >= 1 and exactly one of buy/sell`);
+            }
+            return { ...entry, done: false };
+        });
+
+        return takers.sort((a, b) => a.ledger - b.ledger);
+    }
+
+    /**
+     * Preload ledger state
+     *
+     * The state is { "ledgerIndex": 1000, "accounts": [...], "trustLines": [...],
+     * "offers": [...] }. Accounts and offers use AccountRoot and Offer field
+     * names (Balance in drops); trust lines are { holder, currency, issuer,
+     * balance, authorized, frozen } from the holder's side. Offer owners' Sequence
+     * and OwnerCount are raised to cover their offers.
+     */
+    loadState(state = {}) {
+        if (state.ledgerIndex) {
+            this.ledgerIndex = parseInt(state.ledgerIndex);
+        }
+
+        for (const entry of state.accounts || []) {
+            const account = this.getAccount(entry.Account);
+            Object.assign(account, entry, {
+                Balance: entry.Balance !== undefined ? parseInt(entry.Balance) : account.Balance,
+                Sequence: entry.Sequence !== undefined ? parseInt(entry.Sequence) : account.Sequence,
+                Flags: entry.Flags !== undefined ? entry.Flags >>> 0 : account.Flags
+            });
+        }
+
+        for (const line of state.trustLines || []) {
+            if (!line.holder || !line.currency || !line.issuer) {
+                throw new Error('Ledger state trust lines need a holder, currency and issuer');
+            }
+            const key = `${line.holder}|${line.currency}|${line.issuer}`;
+            this.lines.set(key, parseFloat(line.balance || '0'));
+            if (line.authorized) {
+                this.authorizedLines.add(key);
+            }
+            if (line.frozen) {
+                this.frozenLines.add(key);
+            }
+        }
+
+        for (const entry of state.offers || []) {
+            if (!entry.Account || !(entry.Sequence > 0) || !entry.TakerGets || !entry.TakerPays) {
+                throw new Error('Ledger state offers need an Account, Sequence, TakerGets and TakerPays');
+            }
+
+            const account = this.getAccount(entry.Account);
+            const offer = {
+                LedgerEntryType: 'Offer',
+                index: xrpl.hashes.hashOfferId(entry.Account, entry.Sequence),
+                Account: entry.Account,
+                Sequence: entry.Sequence,
+                TakerGets: entry.TakerGets,
+                TakerPays: entry.TakerPays,
+                Flags: entry.Flags || 0
+            };
+
+            this.offers.set(offer.index, offer);
+            account.OwnerCount++;
+            account.Sequence = Math.max(account.Sequence, entry.Sequence + 1);
+        }
+    }
+
+    /**
+     * Start closing ledgers
+     */
+    async connect() {
+        if (this.connected) {
+            return;
+        }
+
+        this.connected = true;
+        if (this.ledgerInterval > 0) {
+            this.closeTimer = setInterval(() => this.closeLedger(), this.ledgerInterval);
+        }
+        this.emit('connected');
+    }
+
+    /**
+     * Stop closing ledgers
+     */
+    async disconnect() {
+        if (!this.connected) {
+            return;
+        }
+
+        this.connected = false;
+        if (this.closeTimer) {
+            clearInterval(this.closeTimer);
+            this.closeTimer = null;
+        }
+        this.emit('disconnected', 1000);
+    }
+
+    /**
+     * Check whether the simulated connection is open
+     */
+    isConnected() {
+        return this.connected;
+    }
+
+    /**
+     * Get the last validated ledger index
+     */
+    async getLedgerIndex() {
+        this.assertConnected();
+        return this.ledgerIndex;
+    }
+
+    /**
+     * Fill in the fields a server would (Sequence and LastLedgerSequence are set by the submitter)
+     */
+    async autofill(transaction) {
+        this.assertConnected();
+
+        const prepared = { Flags: 0, ...transaction };
+        if (prepared.Fee === undefined) {
+            prepared.Fee = String(Math.ceil(BASE_FEE_DROPS * 1.2));
+        }
+        if (prepared.Sequence === undefined) {
+            prepared.Sequence = this.getAccount(prepared.Account).Sequence;
+        }
+        if (prepared.LastLedgerSequence === undefined) {
+            prepared.LastLedgerSequence = this.ledgerIndex + 20;
+        }
+        return prepared;
+    }
+
+    /**
+     * Answer a request the way rippled would (API v2 shapes)
+     */
+    async request(request) {
+        this.assertConnected();
+
+        switch (request.command) {
+            case 'server_info':
+                return this.respond({ info: this.getServerInfo() });
+            case 'fee':
+                return this.respond({
+                    current_ledger_size: String(this.openLedger.length),
+                    current_queue_size: '0',
+                    drops: {
+                        base_fee: String(BASE_FEE_DROPS),
+                        median_fee: String(BASE_FEE_DROPS * 500),
+                        minimum_fee: String(BASE_FEE_DROPS),
+                        open_ledger_fee: String(BASE_FEE_DROPS)
+                    },
+                    ledger_current_index: this.ledgerIndex + 1
+                });
+            case 'server_state':
+                return this.respond({ state: this.getServerState() });
+            case 'ping':
+                return this.respond({});
+            case 'ledger_accept':
+                // Standalone-mode admin command: close the ledger now
+                this.closeLedger();
+                return this.respond({ ledger_current_index: this.ledgerIndex + 1 });
+            case 'ledger':
+                return this.respond({
+                    ledger_index: this.ledgerIndex,
+                    validated: true,
+                    ledger: { ledger_index: this.ledgerIndex, close_time_iso: new Date(this.closedAt).toISOString(), closed: true }
+                });
+            case 'account_info':
+                return this.respond({
+                    account_data: { ...this.getAccount(request.account), Balance: String(this.getAccount(request.account).Balance) },
+                    ledger_current_index: this.ledgerIndex + 1,
+                    validated: request.ledger_index !== 'current'
+                });
+            case 'account_offers':
+                return this.respond({
+                    account: request.account,
+                    offers: this.getOffersOf(request.account).map(offer => ({
+                        flags: offer.Flags,
+                        seq: offer.Sequence,
+                        taker_gets: offer.TakerGets,
+                        taker_pays: offer.TakerPays,
+                        quality: String(SimulatedLedger.quality(offer))
+                    }))
+                });
+            case 'account_lines': {
+                const lines = this.getLinesOf(request.account).filter(line => !request.peer || line.account === request.peer);
+                // Markers are plain offsets here; rippled's are opaque
+                const start = request.marker ? parseInt(request.marker) : 0;
+                const end = request.limit ? start + request.limit : lines.length;
+                return this.respond({
+                    account: request.account,
+                    ledger_index: this.ledgerIndex,
+                    lines: lines.slice(start, end),
+                    ...(end < lines.length && { marker: String(end) })
+                });
+            }
+            case 'gateway_balances':
+                return this.respond(this.getGatewayBalances(request));
+            case 'book_offers':
+                return this.respond({ offers: this.getBook(request.taker_gets, request.taker_pays).slice(0, request.limit || undefined) });
+            case 'account_tx':
+                return this.respond({ account: request.account, transactions: this.getAccountTransactions(request) });
+            case 'tx':
+                return this.respond(this.getTransaction(request.transaction));
+            case 'submit':
+                return this.respond(this.submit(request.tx_blob));
+            case 'subscribe':
+                (request.accounts || []).forEach(account => this.subscriptions.add(account));
+                return this.respond({ ledger_index: this.ledgerIndex, ledger_time: SimulatedLedger.rippleTime(this.closedAt) });
+            case 'unsubscribe':
+                (request.accounts || []).forEach(account => this.subscriptions.delete(account));
+                return this.respond({});
+            case 'amm_info':
+                throw SimulatedLedger.requestError('actNotFound', 'AMM pools are not simulated');
+            default:
+                throw SimulatedLedger.requestError('unknownCmd', `${request.command} is not simulated`);
+        }
+    }
+
+    /**
+     * Apply a signed transaction to the open ledger
+     */
+    submit(txBlob) {
+        const transaction = xrpl.decode(txBlob);
+        const hash = xrpl.hashes.hashSignedTx(txBlob);
+        const account = this.getAccount(transaction.Account);
+        this.stats.submitted++;
+
+        const reject = (engineResult, message) => ({
+            engine_result: engineResult,
+            engine_result_message: message,
+            tx_blob: txBlob,
+            tx_json: { ...transaction, hash: hash },
+            accepted: false,
+            applied: false
+        });
+
+        // tem results are never applied: no fee, no Sequence
+        if (!SUPPORTED_TYPES.has(transaction.TransactionType)) {
+            return reject('temDISABLED', `${transaction.TransactionType} is not simulated in paper trading.`);
+        }
+        if (this.transactions.has(hash)) {
+            return reject('tefALREADY', 'The exact transaction was already in this ledger.');
+        }
+        if (transaction.Sequence < account.Sequence) {
+            return reject('tefPAST_SEQ', 'This sequence number has already passed.');
+        }
+        if (transaction.Sequence > account.Sequence) {
+            return reject('terPRE_SEQ', 'Missing/inapplicable prior transaction.');
+        }
+        if (transaction.LastLedgerSequence && transaction.LastLedgerSequence <= this.ledgerIndex) {
+            return reject('tefMAX_LEDGER', 'Ledger sequence too high.');
+        }
+        if (transaction.TransactionType === 'TrustSet' && (transaction.Flags & TF_SET_AUTH) && !(account.Flags & LSF_REQUIRE_AUTH)) {
+            return reject('tefNO_AUTH_REQUIRED', 'Auth is not required.');
+        }
+
+        const fee = parseInt(transaction.Fee);
+        if (!(fee >= BASE_FEE_DROPS)) {
+            return reject('telINSUF_FEE_P', 'Fee insufficient.');
+        }
+        if (account.Balance < fee) {
+            return reject('terINSUF_FEE_B', 'Account balance can\'t pay fee.');
+        }
+
+        const nodes = [];
+        const previousRoot = { Balance: String(account.Balance), Sequence: account.Sequence, OwnerCount: account.OwnerCount };
+        account.Balance -= fee;
+        account.Sequence++;
+
+        const [engineResult, message] = this.applyTransaction(transaction, account, nodes);
+
+        nodes.unshift(this.accountRootNode(account, previousRoot));
+        this.record(hash, transaction, { TransactionResult: engineResult, AffectedNodes: nodes });
+
+        return {
+            engine_result: engineResult,
+            engine_result_message: message,
+            tx_blob: txBlob,
+            tx_json: { ...transaction, hash: hash },
+            accepted: true,
+            applied: true
+        };
+    }
+
+    /**
+     * Apply the transaction-specific effects; the fee and Sequence are already taken
+     */
+    applyTransaction(transaction, account, nodes) {
+        switch (transaction.TransactionType) {
+            case 'OfferCreate':
+                return this.applyOfferCreate(transaction, account, nodes);
+            case 'OfferCancel':
+                this.removeOffer(transaction.Account, transaction.OfferSequence, account, nodes);
+                return ['tesSUCCESS', 'The transaction was applied.'];
+            case 'AccountSet':
+                this.applyAccountSet(transaction, account);
+                return ['tesSUCCESS', 'The transaction was applied.'];
+            case 'TrustSet':
+                return this.applyTrustSet(transaction, nodes);
+            case 'Clawback':
+                return this.applyClawback(transaction, account, nodes);
+            case 'Payment':
+                return this.applyPayment(transaction, account, nodes);
+            default:
+                return ['temDISABLED', `${transaction.TransactionType} is not simulated in paper trading.`];
+        }
+    }
+
+    /**
+     * Place an offer, replacing OfferSequence when given
+     *
+     * Only simulated takers cross resting offers, so a new offer always rests.
+     */
+    applyOfferCreate(transaction, account, nodes) {
+        if (transaction.OfferSequence) {
+            this.removeOffer(transaction.Account, transaction.OfferSequence, account, nodes);
+        }
+
+        const reserve = RESERVE_BASE_DROPS + RESERVE_INCREMENT_DROPS * (account.OwnerCount + 1);
+        if (account.Balance < reserve) {
+            return ['tecINSUF_RESERVE_OFFER', 'Insufficient reserve to create offer.'];
+        }
+
+        const offer = {
+            LedgerEntryType: 'Offer',
+            index: xrpl.hashes.hashOfferId(transaction.Account, transaction.Sequence),
+            Account: transaction.Account,
+            Sequence: transaction.Sequence,
+            TakerGets: transaction.TakerGets,
+            TakerPays: transaction.TakerPays,
+            Flags: 0
+        };
+
+        this.offers.set(offer.index, offer);
+        account.OwnerCount++;
+        nodes.push({
+            CreatedNode: {
+                LedgerEntryType: 'Offer',
+                LedgerIndex: offer.index,
+                NewFields: {
+                    Account: offer.Account,
+                    Sequence: offer.Sequence,
+                    TakerGets: offer.TakerGets,
+                    TakerPays: offer.TakerPays
+                }
+            }
+        });
+
+        return ['tesSUCCESS', 'The transaction was applied.'];
+    }
+
+    /**
+     * Delete an account's offer (a missing offer is not an error, as on the ledger)
+     */
+    removeOffer(owner, sequence, account, nodes) {
+        const index = xrpl.hashes.hashOfferId(owner, sequence);
+        const offer = this.offers.get(index);
+
+        if (!offer) {
+            return;
+        }
+
+        this.offers.delete(index);
+        account.OwnerCount = Math.max(0, account.OwnerCount - 1);
+        nodes.push({
+            DeletedNode: {
+                LedgerEntryType: 'Offer',
+                LedgerIndex: index,
+                FinalFields: this.offerFields(offer)
+            }
+        });
+    }
+
+    /**
+     * Apply AccountSet fields and flags
+     */
+    applyAccountSet(transaction, account) {
+        for (const field of ACCOUNT_SET_FIELDS) {
+            if (transaction[field] !== undefined) {
+                if (transaction[field] === '' || transaction[field] === 0) {
+                    delete account[field];
+                } else {
+                    account[field] = transaction[field];
+                }
+            }
+        }
+
+        if (ACCOUNT_FLAGS[transaction.SetFlag]) {
+            account.Flags = (account.Flags | ACCOUNT_FLAGS[transaction.SetFlag]) >>> 0;
+        }
+        if (ACCOUNT_FLAGS[transaction.ClearFlag]) {
+            account.Flags = (account.Flags & ~ACCOUNT_FLAGS[transaction.ClearFlag]) >>> 0;
+        }
+    }
+
+    /**
+     * Open a trust line, or (from the issuer) authorize, freeze or unfreeze a holder's line
+     *
+     * Limits and the other trust line flags are not simulated.
+     */
+    applyTrustSet(transaction, nodes) {
+        const limit = transaction.LimitAmount;
+        if (!limit || typeof limit !== 'object' || limit.issuer === transaction.Account) {
+            return ['temDST_IS_SRC', 'Destination may not be source.'];
+        }
+
+        // From the issuer's side LimitAmount.issuer is the holder
+        const issuerKey = `${limit.issuer}|${limit.currency}|${transaction.Account}`;
+        const flags = transaction.Flags || 0;
+
+        if ((flags & (TF_SET_AUTH | TF_SET_FREEZE | TF_CLEAR_FREEZE)) || this.lines.has(issuerKey)) {
+            if (flags & TF_SET_AUTH) {
+                this.authorizedLines.add(issuerKey);
+            }
+            if (flags & TF_SET_FREEZE) {
+                this.frozenLines.add(issuerKey);
+            }
+            if (flags & TF_CLEAR_FREEZE) {
+                this.frozenLines.delete(issuerKey);
+            }
+            nodes.push(this.adjustLine(limit.issuer, limit.currency, transaction.Account, 0));
+        } else {
+            nodes.push(this.adjustLine(transaction.Account, limit.currency, limit.issuer, 0));
+        }
+
+        return ['tesSUCCESS', 'The transaction was applied.'];
+    }
+
+    /**
+     * Claw a holder's tokens back to the issuer (at most the holder's balance)
+     */
+    applyClawback(transaction, account, nodes) {
+        const amount = transaction.Amount;
+        if (!amount || typeof amount !== 'object' || !(parseFloat(amount.value) > 0) || amount.issuer === transaction.Account) {
+            return ['temBAD_AMOUNT', 'Can only claw back a positive amount of an issued token.'];
+        }
+        if (!(account.Flags & LSF_ALLOW_CLAWBACK)) {
+            return ['tecNO_PERMISSION', 'No permission to perform requested operation.'];
+        }
+
+        // Amount.issuer names the holder
+        const key = `${amount.issuer}|${amount.currency}|${transaction.Account}`;
+        if (!this.lines.has(key)) {
+            return ['tecNO_LINE', 'No such line.'];
+        }
+
+        const clawed = Math.min(parseFloat(amount.value), this.lines.get(key));
+        if (clawed > 0) {
+            nodes.push(this.adjustLine(amount.issuer, amount.currency, transaction.Account, -clawed));
+        }
+
+        return ['tesSUCCESS', 'The transaction was applied.'];
+    }
+
+    /**
+     * Deliver a direct payment
+     *
+     * XRP moves between account roots and an issuer's own token moves on the
+     * holder's trust line; third-party tokens are assumed funded and delivered.
+     */
+    applyPayment(transaction, account, nodes) {
+        const amount = transaction.Amount;
+        if (!transaction.Destination || transaction.Destination === transaction.Account) {
+            return ['temREDUNDANT', 'Sends same currency to self.'];
+        }
+
+        const destination = this.getAccount(transaction.Destination);
+
+        if (typeof amount === 'string') {
+            const drops = parseInt(amount);
+            if (account.Balance - drops < RESERVE_BASE_DROPS + RESERVE_INCREMENT_DROPS * account.OwnerCount) {
+                return ['tecUNFUNDED_PAYMENT', 'Insufficient XRP balance to send.'];
+            }
+            const previousDestination = { Balance: String(destination.Balance) };
+            this.transfer(transaction.Account, transaction.Destination, amount, account, destination, nodes, false);
+            nodes.push(this.accountRootNode(destination, previousDestination));
+            return ['tesSUCCESS', 'The transaction was applied.'];
+        }
+
+        const issues = amount.issuer === transaction.Account;
+        if (issues || amount.issuer === transaction.Destination) {
+            const holder = issues ? transaction.Destination : transaction.Account;
+            const key = this.lineKey(holder, amount);
+            if (issues && (account.Flags & LSF_REQUIRE_AUTH) && !this.authorizedLines.has(key)) {
+                return ['tecNO_AUTH', 'Not authorized to hold asset.'];
+            }
+            if (!issues && this.getLineBalance(holder, amount) < SimulatedLedger.value(amount)) {
+                return ['tecPATH_PARTIAL', 'Path could not send full amount.'];
+            }
+            this.transfer(transaction.Account, transaction.Destination, amount, account, destination, nodes, true);
+        }
+
+        return ['tesSUCCESS', 'The transaction was applied.'];
+    }
+
+    /**
+     * Close the open ledger: run takers, validate, and stream the results
+     */
+    closeLedger() {
+        if (!this.connected) {
+            return null;
+        }
+
+        this.runTakers(this.ledgerIndex + 1);
+
+        this.ledgerIndex++;
+        this.closedAt = Date.now();
+        this.stats.ledgersClosed++;
+
+        const closeTimeIso = new Date(this.closedAt).toISOString();
+        const validated = this.openLedger.map(hash => this.transactions.get(hash));
+        this.openLedger = [];
+
+        validated.forEach((entry, position) => {
+            entry.ledger_index = this.ledgerIndex;
+            entry.validated = true;
+            entry.close_time_iso = closeTimeIso;
+            entry.tx_json.date = SimulatedLedger.rippleTime(this.closedAt);
+            entry.meta.TransactionIndex = position;
+        });
+
+        for (const entry of validated) {
+            if (this.isSubscribed(entry)) {
+                this.emit('transaction', {
+                    type: 'transaction',
+                    engine_result: entry.meta.TransactionResult,
+                    validated: true,
+                    ledger_index: entry.ledger_index,
+                    close_time_iso: entry.close_time_iso,
+                    hash: entry.hash,
+                    tx_json: entry.tx_json,
+                    meta: entry.meta
+                });
+            }
+        }
+
+        this.emit('ledgerClosed', {
+            type: 'ledgerClosed',
+            ledger_index: this.ledgerIndex,
+            ledger_time: SimulatedLedger.rippleTime(this.closedAt),
+            txn_count: validated.length,
+            fee_base: BASE_FEE_DROPS,
+            reserve_base: RESERVE_BASE_DROPS,
+            reserve_inc: RESERVE_INCREMENT_DROPS,
+            validated_ledgers: `${this.startLedgerIndex}-${this.ledgerIndex}`
+        });
+
+        return this.ledgerIndex;
+    }
+
+    /**
+     * Let simulated takers cross resting offers in the ledger being closed
+     */
+    runTakers(ledgerIndex) {
+        if (this.takerMode === 'random') {
+            if (this.offers.size > 0 && Math.random() < this.takerProbability) {
+                const offers = Array.from(this.offers.values());
+                const offer = offers[Math.floor(Math.random() * offers.length)];
+                const fraction = this.minFillFraction + Math.random() * (1 - this.minFillFraction);
+                if (this.take(offer, fraction, null)) {
+                    this.stats.takerFills++;
+                }
+            }
+            return;
+        }
+
+        const closesSinceStart = ledgerIndex - this.startLedgerIndex;
+        for (const entry of this.script) {
+            if (entry.done || entry.ledger > closesSinceStart) {
+                continue;
+            }
+            entry.done = true;
+
+            const offer = this.findScriptedOffer(entry);
+            if (!offer) {
+                console.log(`📝 Scripted taker at ledger ${entry.ledger}: no ${entry.buy ? `${entry.buy} ask` : `${entry.sell} bid`} on the book`);
+                continue;
+            }
+
+            const token = entry.buy ? offer.TakerGets : offer.TakerPays;
+            const fraction = entry.amount !== undefined ?
+                Math.min(1, parseFloat(entry.amount) / SimulatedLedger.value(token)) :
+                Math.min(1, parseFloat(entry.fraction || 1));
+
+            if (this.take(offer, fraction, entry.account || null)) {
+                this.stats.takerFills++;
+                this.stats.scriptedFills++;
+            }
+        }
+    }
+
+    /**
+     * Find the best-priced offer matching a scripted taker
+     */
+    findScriptedOffer(entry) {
+        const matches = Array.from(this.offers.values()).filter(offer => {
+            const token = entry.buy ? offer.TakerGets : offer.TakerPays;
+            const counter = entry.buy ? offer.TakerPays : offer.TakerGets;
+            const counterCurrency = typeof counter === 'string' ? 'XRP' : counter.currency;
+            return typeof token === 'object' && token.currency === (entry.buy || entry.sell) &&
+                (!entry.quote || entry.quote === counterCurrency);
+        });
+
+        // Lowest TakerPays per TakerGets is the best deal for the taker on either side
+        matches.sort((a, b) => SimulatedLedger.quality(a) - SimulatedLedger.quality(b));
+        return matches[0] || null;
+    }
+
+    /**
+     * Cross a fraction of an offer with a taker's OfferCreate
+     *
+     * Takers selling a token back to its issuer can give no more than they
+     * hold. Returns the taker transaction hash, or null when nothing crossed.
+     */
+    take(offer, fraction, takerAccount) {
+        const owner = offer.Account;
+        // Tokens the owner issues, or holds on a tracked line (a distribution account)
+        const givesOwnToken = SimulatedLedger.isIssuedBy(offer.TakerGets, owner) || this.holdsToken(owner, offer.TakerGets);
+        const takesOwnToken = SimulatedLedger.isIssuedBy(offer.TakerPays, owner) || this.holdsToken(owner, offer.TakerPays);
+
+        if (givesOwnToken && offer.TakerGets.issuer !== owner) {
+            // A holder can only sell what it holds
+            fraction = Math.min(fraction, this.getLineBalance(owner, offer.TakerGets) / SimulatedLedger.value(offer.TakerGets));
+        }
+
+        let taker = takerAccount;
+        if (takesOwnToken) {
+            // Pick a holder with tokens to sell
+            const holders = this.takers.filter(account => this.getLineBalance(account, offer.TakerPays) > 0);
+            taker = taker || holders[Math.floor(Math.random() * holders.length)];
+            if (!taker) {
+                return null;
+            }
+            const holding = this.getLineBalance(taker, offer.TakerPays);
+            fraction = Math.min(fraction, holding / SimulatedLedger.value(offer.TakerPays));
+        }
+        if (givesOwnToken && (this.getAccount(offer.TakerGets.issuer).Flags & LSF_REQUIRE_AUTH)) {
+            // Only authorized lines can receive the token; anyone else opens
+            // a trust line and waits for the issuer to authorize it
+            const authorized = this.takers.filter(account => this.authorizedLines.has(this.lineKey(account, offer.TakerGets)));
+            const candidate = taker || authorized[Math.floor(Math.random() * authorized.length)] ||
+                this.takers[Math.floor(Math.random() * this.takers.length)];
+            if (!this.authorizedLines.has(this.lineKey(candidate, offer.TakerGets))) {
+                const key = this.lineKey(candidate, offer.TakerGets);
+                this.lines.set(key, this.lines.get(key) || 0);
+                return null;
+            }
+            taker = candidate;
+        }
+        taker = taker || this.takers[Math.floor(Math.random() * this.takers.length)];
+
+        if (!(fraction > 0)) {
+            return null;
+        }
+
+        const gets = SimulatedLedger.scale(offer.TakerGets, fraction);
+        const pays = SimulatedLedger.scale(offer.TakerPays, fraction);
+        if (SimulatedLedger.value(gets) <= 0 || SimulatedLedger.value(pays) <= 0) {
+            return null;
+        }
+
+        const takerRoot = this.getAccount(taker);
+        const ownerRoot = this.getAccount(owner);
+        const previousTakerRoot = { Balance: String(takerRoot.Balance), Sequence: takerRoot.Sequence, OwnerCount: takerRoot.OwnerCount };
+        const previousOwnerRoot = { Balance: String(ownerRoot.Balance), Sequence: ownerRoot.Sequence, OwnerCount: ownerRoot.OwnerCount };
+        const fee = Math.ceil(BASE_FEE_DROPS * 1.2);
+        const transaction = {
+            TransactionType: 'OfferCreate',
+            Account: taker,
+            TakerGets: pays,
+            TakerPays: gets,
+            Fee: String(fee),
+            Sequence: takerRoot.Sequence,
+            // tfImmediateOrCancel: takers never rest on the book
+            Flags: 0x00020000
+        };
+
+        takerRoot.Balance -= fee;
+        takerRoot.Sequence++;
+
+        const nodes = [];
+        const previousFields = { TakerGets: offer.TakerGets, TakerPays: offer.TakerPays };
+        offer.TakerGets = SimulatedLedger.subtract(offer.TakerGets, gets);
+        offer.TakerPays = SimulatedLedger.subtract(offer.TakerPays, pays);
+        const consumed = fraction >= 1 || SimulatedLedger.value(offer.TakerGets) <= 0 || SimulatedLedger.value(offer.TakerPays) <= 0;
+
+        if (consumed) {
+            this.offers.delete(offer.index);
+            ownerRoot.OwnerCount = Math.max(0, ownerRoot.OwnerCount - 1);
+        }
+        nodes.push({
+            [consumed ? 'DeletedNode' : 'ModifiedNode']: {
+                LedgerEntryType: 'Offer',
+                LedgerIndex: offer.index,
+                FinalFields: this.offerFields(offer),
+                PreviousFields: previousFields
+            }
+        });
+
+        // The owner gives TakerGets to the taker and receives TakerPays from it
+        this.transfer(owner, taker, gets, ownerRoot, takerRoot, nodes, givesOwnToken);
+        this.transfer(taker, owner, pays, takerRoot, ownerRoot, nodes, takesOwnToken);
+
+        nodes.unshift(this.accountRootNode(takerRoot, previousTakerRoot));
+        if (ownerRoot.Balance !== parseInt(previousOwnerRoot.Balance) || ownerRoot.OwnerCount !== previousOwnerRoot.OwnerCount) {
+            nodes.push(this.accountRootNode(ownerRoot, previousOwnerRoot));
+        }
+
+        const hash = crypto.randomBytes(32).toString('hex').toUpperCase();
+        this.record(hash, transaction, { TransactionResult: 'tesSUCCESS', AffectedNodes: nodes });
+        return hash;
+    }
+
+    /**
+     * Move an amount between two accounts
+     *
+     * XRP moves between AccountRoots; a token moves on the trust line between
+     * its issuer and the holder. Third-party quote assets are not tracked.
+     */
+    transfer(from, to, amount, fromRoot, toRoot, nodes, issuedByOwner) {
+        if (typeof amount === 'string') {
+            const drops = parseInt(amount);
+            fromRoot.Balance -= drops;
+            toRoot.Balance += drops;
+            return;
+        }
+
+        if (!issuedByOwner) {
+            return;
+        }
+
+        if (amount.issuer !== from && amount.issuer !== to) {
+            // Between two holders the token ripples through its issuer
+            nodes.push(this.adjustLine(from, amount.currency, amount.issuer, -SimulatedLedger.value(amount)));
+            nodes.push(this.adjustLine(to, amount.currency, amount.issuer, SimulatedLedger.value(amount)));
+            return;
+        }
+
+        const holder = amount.issuer === from ? to : from;
+        const delta = amount.issuer === from ? SimulatedLedger.value(amount) : -SimulatedLedger.value(amount);
+        nodes.push(this.adjustLine(holder, amount.currency, amount.issuer, delta));
+    }
+
+    /**
+     * Change a holder's trust line balance and describe it as a RippleState node
+     */
+    adjustLine(holder, currency, issuer, delta) {
+        const key = `${holder}|${currency}|${issuer}`;
+        const existed = this.lines.has(key);
+        const issuerIsLow = SimulatedLedger.isLowAccount(issuer, holder);
+        const flags = (this.authorizedLines.has(key) ? (issuerIsLow ? LSF_LOW_AUTH : LSF_HIGH_AUTH) : 0) |
+            (this.frozenLines.has(key) ? (issuerIsLow ? LSF_LOW_FREEZE : LSF_HIGH_FREEZE) : 0);
+        const previous = this.lines.get(key) || 0;
+        const next = SimulatedLedger.round(previous + delta);
+        this.lines.set(key, next);
+
+        // Balances are stored from the low account's side
+        const holderIsLow = SimulatedLedger.isLowAccount(holder, issuer);
+        const toLowSide = (holderBalance) => ({
+            currency: currency,
+            issuer: 'rrrrrrrrrrrrrrrrrrrrBZbvji',
+            value: SimulatedLedger.format(holderIsLow ? holderBalance : -holderBalance)
+        });
+        const limits = {
+            LowLimit: { currency, issuer: holderIsLow ? holder : issuer, value: holderIsLow ? '1000000000' : '0' },
+            HighLimit: { currency, issuer: holderIsLow ? issuer : holder, value: holderIsLow ? '0' : '1000000000' }
+        };
+        const index = xrpl.hashes.hashTrustline(holder, issuer, currency);
+
+        if (!existed) {
+            return {
+                CreatedNode: {
+                    LedgerEntryType: 'RippleState',
+                    LedgerIndex: index,
+                    NewFields: { Balance: toLowSide(next), ...limits, Flags: flags }
+                }
+            };
+        }
+
+        return {
+            ModifiedNode: {
+                LedgerEntryType: 'RippleState',
+                LedgerIndex: index,
+                FinalFields: { Balance: toLowSide(next), ...limits, Flags: flags },
+                PreviousFields: { Balance: toLowSide(previous) }
+            }
+        };
+    }
+
+    /**
+     * Store a transaction in the open ledger
+     */
+    record(hash, transaction, meta) {
+        this.transactions.set(hash, {
+            hash: hash,
+            tx_json: { ...transaction },
+            meta: meta,
+            ledger_index: null,
+            validated: false,
+            close_time_iso: null
+        });
+        this.openLedger.push(hash);
+    }
+
+    /**
+     * Get (creating and funding on first use) an account root
+     */
+    getAccount(address) {
+        if (!address) {
+            throw SimulatedLedger.requestError('actMalformed', 'Account malformed.');
+        }
+
+        if (!this.accounts.has(address)) {
+            this.accounts.set(address, {
+                LedgerEntryType: 'AccountRoot',
+                Account: address,
+                Balance: this.startingBalance,
+                Sequence: this.ledgerIndex,
+                OwnerCount: 0,
+                Flags: 0
+            });
+        }
+
+        return this.accounts.get(address);
+    }
+
+    /**
+     * Build the ModifiedNode for an account root
+     */
+    accountRootNode(account, previous) {
+        const final = { ...account, Balance: String(account.Balance) };
+        delete final.LedgerEntryType;
+
+        const changed = {};
+        for (const field of Object.keys(previous)) {
+            if (String(previous[field]) !== String(final[field])) {
+                changed[field] = previous[field];
+            }
+        }
+
+        return {
+            ModifiedNode: {
+                LedgerEntryType: 'AccountRoot',
+                LedgerIndex: xrpl.hashes.hashAccountRoot(account.Account),
+                FinalFields: final,
+                PreviousFields: changed
+            }
+        };
+    }
+
+    /**
+     * Get the ledger fields of an offer
+     */
+    offerFields(offer) {
+        return {
+            Account: offer.Account,
+            Sequence: offer.Sequence,
+            TakerGets: offer.TakerGets,
+            TakerPays: offer.TakerPays,
+            Flags: offer.Flags
+        };
+    }
+
+    /**
+     * Get an account's offers in Sequence order
+     */
+    getOffersOf(account) {
+        return Array.from(this.offers.values())
+            .filter(offer => offer.Account === account)
+            .sort((a, b) => a.Sequence - b.Sequence);
+    }
+
+    /**
+     * Get an account's trust lines in account_lines form
+     */
+    getLinesOf(account) {
+        const lines = [];
+
+        for (const [key, balance] of this.lines) {
+            const [holder, currency, issuer] = key.split('|');
+            const authorized = this.authorizedLines.has(key);
+            const frozen = this.frozenLines.has(key);
+            if (holder === account) {
+                lines.push({ account: issuer, balance: SimulatedLedger.format(balance), currency, limit: '1000000000', limit_peer: '0', ...(authorized && { peer_authorized: true }), ...(frozen && { freeze_peer: true }) });
+            } else if (issuer === account) {
+                lines.push({ account: holder, balance: SimulatedLedger.format(-balance), currency, limit: '0', limit_peer: '1000000000', ...(authorized && { authorized: true }), ...(frozen && { freeze: true }) });
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * Total what an issuer owes, keeping its hot wallets' balances apart
+     */
+    getGatewayBalances(request) {
+        const hotWallets = [].concat(request.hotwallet || []);
+        const obligations = {};
+        const balances = {};
+
+        for (const [key, balance] of this.lines) {
+            const [holder, currency, issuer] = key.split('|');
+            if (issuer !== request.account || balance <= 0) {
+                continue;
+            }
+            if (hotWallets.includes(holder)) {
+                (balances[holder] = balances[holder] || []).push({ currency, value: SimulatedLedger.format(balance) });
+            } else {
+                obligations[currency] = (obligations[currency] || 0) + balance;
+            }
+        }
+
+        return {
+            account: request.account,
+            ledger_index: this.ledgerIndex,
+            validated: true,
+            ...(Object.keys(obligations).length > 0 && {
+                obligations: Object.fromEntries(Object.entries(obligations).map(([currency, total]) => [currency, SimulatedLedger.format(total)]))
+            }),
+            ...(Object.keys(balances).length > 0 && { balances })
+        };
+    }
+
+    /**
+     * Check whether an account holds a tracked trust line for a token amount
+     */
+    holdsToken(account, amount) {
+        return typeof amount === 'object' && this.lines.has(this.lineKey(account, amount));
+    }
+
+    /**
+     * Get a holder's balance of a token
+     */
+    getLineBalance(holder, amount) {
+        return this.lines.get(this.lineKey(holder, amount)) || 0;
+    }
+
+    /**
+     * Get the key of a holder's trust line for a token amount
+     */
+    lineKey(holder, amount) {
+        return `${holder}|${amount.currency}|${amount.issuer}`;
+    }
+
+    /**
+     * Get offers of one book, best quality first
+     */
+    getBook(takerGets, takerPays) {
+        const matches = (amount, asset) => asset.currency === 'XRP' ?
+            typeof amount === 'string' :
+            typeof amount === 'object' && amount.currency === asset.currency && amount.issuer === asset.issuer;
+
+        return Array.from(this.offers.values())
+            .filter(offer => matches(offer.TakerGets, takerGets) && matches(offer.TakerPays, takerPays))
+            .sort((a, b) => SimulatedLedger.quality(a) - SimulatedLedger.quality(b))
+            .map(offer => ({ ...this.offerFields(offer), index: offer.index, quality: String(SimulatedLedger.quality(offer)) }));
+    }
+
+    /**
+     * Get validated transactions touching an account
+     */
+    getAccountTransactions(request) {
+        const from = request.ledger_index_min > 0 ? request.ledger_index_min : 0;
+        const to = request.ledger_index_max > 0 ? request.ledger_index_max : Infinity;
+
+        const entries = Array.from(this.transactions.values()).filter(entry =>
+            entry.validated && entry.ledger_index >= from && entry.ledger_index <= to &&
+            this.involves(entry, request.account));
+
+        if (!request.forward) {
+            entries.reverse();
+        }
+
+        return entries.slice(0, request.limit || entries.length).map(entry => ({
+            hash: entry.hash,
+            ledger_index: entry.ledger_index,
+            validated: true,
+            close_time_iso: entry.close_time_iso,
+            tx_json: entry.tx_json,
+            meta: entry.meta
+        }));
+    }
+
+    /**
+     * Look up a transaction by hash
+     */
+    getTransaction(hash) {
+        const entry = this.transactions.get(hash);
+
+        if (!entry) {
+            throw SimulatedLedger.requestError('txnNotFound', 'Transaction not found.');
+        }
+
+        return {
+            hash: entry.hash,
+            ledger_index: entry.ledger_index || undefined,
+            validated: entry.validated,
+            close_time_iso: entry.close_time_iso || undefined,
+            tx_json: entry.tx_json,
+            meta: entry.meta
+        };
+    }
+
+    /**
+     * Check whether a stream subscriber should see a transaction
+     */
+    isSubscribed(entry) {
+        for (const account of this.subscriptions) {
+            if (this.involves(entry, account)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Check whether a transaction touches an account (as sender or via its ledger entries)
+     */
+    involves(entry, account) {
+        if (entry.tx_json.Account === account) {
+            return true;
+        }
+
+        return entry.meta.AffectedNodes.some(node => {
+            const ledgerEntry = node.ModifiedNode || node.DeletedNode || node.CreatedNode;
+            const fields = ledgerEntry.FinalFields || ledgerEntry.NewFields || {};
+            return fields.Account === account ||
+                (fields.LowLimit && fields.LowLimit.issuer === account) ||
+                (fields.HighLimit && fields.HighLimit.issuer === account);
+        });
+    }
+
+    /**
+     * Describe the simulated server
+     */
+    getServerInfo() {
+        return {
+            build_version: 'paper-trading',
+            server_state: 'full',
+            complete_ledgers: `${this.startLedgerIndex}-${this.ledgerIndex}`,
+            load_factor: 1,
+            validated_ledger: {
+                seq: this.ledgerIndex,
+                age: Math.floor((Date.now() - this.closedAt) / 1000),
+                base_fee_xrp: BASE_FEE_DROPS / 1000000,
+                reserve_base_xrp: RESERVE_BASE_DROPS / 1000000,
+                reserve_inc_xrp: RESERVE_INCREMENT_DROPS / 1000000
+            }
+        };
+    }
+
+    /**
+     * Describe the simulated server in server_state form (drops)
+     */
+    getServerState() {
+        return {
+            build_version: 'paper-trading',
+            server_state: 'full',
+            complete_ledgers: `${this.startLedgerIndex}-${this.ledgerIndex}`,
+            load_base: 256,
+            load_factor: 256,
+            validated_ledger: {
+                seq: this.ledgerIndex,
+                close_time: SimulatedLedger.rippleTime(this.closedAt),
+                base_fee: BASE_FEE_DROPS,
+                reserve_base: RESERVE_BASE_DROPS,
+                reserve_inc: RESERVE_INCREMENT_DROPS
+            }
+        };
+    }
+
+    /**
+     * Get simulated ledger status
+     */
+    getStatus() {
+        return {
+            url: SimulatedLedger.URL,
+            connected: this.connected,
+            ledgerIndex: this.ledgerIndex,
+            ledgerIntervalMs: this.ledgerInterval,
+            takers: this.takerMode,
+            takerProbability: this.takerMode === 'random' ? this.takerProbability : null,
+            scriptedTakersPending: this.script.filter(entry => !entry.done).length,
+            accounts: this.accounts.size,
+            offers: this.offers.size,
+            trustLines: this.lines.size,
+            authorizedTrustLines: this.authorizedLines.size,
+            frozenTrustLines: this.frozenLines.size,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Throw the error xrpl.js throws on a closed connection
+     */
+    assertConnected() {
+        if (!this.connected) {
+            throw new Error('Simulated ledger is not connected');
+        }
+    }
+
+    /**
+     * Wrap a result like a rippled response
+     */
+    respond(result) {
+        return { type: 'response', result: { ...result, validated: result.validated !== undefined ? result.validated : true } };
+    }
+
+    /**
+     * Build an error shaped like xrpl.js RippledError (`data.error`)
+     */
+    static requestError(code, message) {
+        const error = new Error(message);
+        error.data = { error: code, error_message: message, status: 'error' };
+        return error;
+    }
+
+    /**
+     * Check whether an amount is a token issued by an account
+     */
+    static isIssuedBy(amount, account) {
+        return typeof amount === 'object' && amount.issuer === account;
+    }
+
+    /**
+     * Get the numeric value of an amount (drops for XRP)
+     */
+    static value(amount) {
+        return typeof amount === 'string' ? parseInt(amount) : parseFloat(amount.value);
+    }
+
+    /**
+     * Scale an amount by a fraction
+     */
+    static scale(amount, fraction) {
+        if (typeof amount === 'string') {
+            return String(Math.floor(parseInt(amount) * fraction));
+        }
+        return { ...amount, value: SimulatedLedger.format(parseFloat(amount.value) * fraction) };
+    }
+
+    /**
+     * Subtract one amount from another of the same asset
+     */
+    static subtract(amount, taken) {
+        if (typeof amount === 'string') {
+            return String(Math.max(0, parseInt(amount) - parseInt(taken)));
+        }
+        return { ...amount, value: SimulatedLedger.format(Math.max(0, parseFloat(amount.value) - parseFloat(taken.value))) };
+    }
+
+    /**
+     * Get an offer's quality (TakerPays per TakerGets)
+     */
+    static quality(offer) {
+        const gets = SimulatedLedger.value(offer.TakerGets);
+        return gets > 0 ? SimulatedLedger.value(offer.TakerPays) / gets : Infinity;
+    }
+
+    /**
+     * Round to the 15 significant digits issued amounts carry
+     */
+    static round(value) {
+        return parseFloat(value.toPrecision(15));
+    }
+
+    /**
+     * Format an issued amount value
+     */
+    static format(value) {
+        return String(SimulatedLedger.round(value) || 0);
+    }
+
+    /**
+     * Order two accounts the way trust lines do (by account ID)
+     */
+    static isLowAccount(a, b) {
+        return Buffer.compare(Buffer.from(xrpl.decodeAccountID(a)), Buffer.from(xrpl.decodeAccountID(b))) < 0;
+    }
+
+    /**
+     * Convert a Unix timestamp (ms) to Ripple epoch seconds
+     */
+    static rippleTime(ms) {
+        return Math.floor(ms / 1000) - RIPPLE_EPOCH_OFFSET;
+    }
+}
+
+// Endpoint name the connection manager reports for the simulated ledger
+SimulatedLedger.URL = 'paper://simulated-ledger';
+
+module.exports = SimulatedLedger;
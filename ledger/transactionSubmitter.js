@@ -0,0 +1,563 @@
+/**
+ * ledger/transactionSubmitter.js - Transaction Submission Service
+ *
+ * The one path by which the bot signs and submits transactions. Submissions
+ * are queued per account so two transactions never race for the same
+ * Sequence; each one gets its Sequence and LastLedgerSequence assigned here,
+ * is resubmitted when it expires or is only queued locally, and ends with a
+ * result classified as success, retryable or fatal. Fees are set by the fee
+ * policy, which may defer non-urgent transactions while the network is
+ * congested. Every submission keeps a status record that the rest of the bot
+ * can query. Transactions signed elsewhere (an offline cold wallet) are
+ * submitted as signed and only awaited, since they cannot be re-signed.
+ */
+
+const xrpl = require('xrpl');
+
+const FeePolicy = require('./feePolicy');
+
+// Results meaning our Sequence is out of step with the ledger
+const SEQUENCE_RESULTS = new Set(['tefPAST_SEQ', 'terPRE_SEQ']);
+
+class TransactionSubmitter {
+    constructor(config = {}) {
+        // () => connected xrpl.Client (the bot swaps clients on reconnect)
+        this.getClient = config.getClient;
+        this.maxAttempts = parseInt(config.maxAttempts || process.env.TX_MAX_ATTEMPTS || '4');
+        this.retryDelay = parseInt(config.retryDelayMs || process.env.TX_RETRY_DELAY_MS || '2000');
+        this.ledgerOffset = parseInt(config.ledgerOffset || process.env.TX_LAST_LEDGER_OFFSET || '20');
+        this.pollInterval = parseInt(config.pollIntervalMs || process.env.TX_POLL_INTERVAL_MS || '1000');
+        this.historyLimit = parseInt(config.historyLimit || process.env.TX_HISTORY_LIMIT || '500');
+        this.feePolicy = config.feePolicy || new FeePolicy();
+
+        if (typeof this.getClient !== 'function') {
+            throw new Error('Transaction submitter requires a client provider');
+        }
+
+        this.queues = new Map();    // account -> promise chain
+        this.sequences = new Map(); // account -> next Sequence
+        this.records = new Map();   // id -> status record
+        this.nextId = 1;
+
+        this.stats = {
+            submitted: 0,
+            succeeded: 0,
+            failed: 0,
+            retries: 0,
+            expired: 0,
+            deferred: 0,
+            sequenceResyncs: 0
+        };
+    }
+
+    /**
+     * Queue a transaction for signing and submission
+     *
+     * Resolves with { id, hash, sequence, resultCode, ledgerIndex, meta } once
+     * validated with tesSUCCESS; rejects with an error carrying `resultCode`,
+     * `retryable` and the status `record` otherwise. Transactions submitted
+     * with `deferrable` reject with `deferred` set when fees are above the
+     * policy ceiling. An `onSigned(record)` callback is awaited after each
+     * attempt is signed and before it is sent, so the caller can persist its
+     * hash and LastLedgerSequence first.
+     */
+    submit(transaction, options = {}) {
+        const wallet = options.wallet;
+        if (!wallet) {
+            throw new Error('Transaction submission requires a wallet');
+        }
+
+        const record = this.createRecord(transaction, wallet.address, options.label);
+        record.deferrable = !!options.deferrable;
+        const queue = this.queues.get(wallet.address) || Promise.resolve();
+
+        const run = queue.then(() => this.process(record, transaction, wallet, options.onSigned));
+        this.queues.set(wallet.address, run.catch(() => {}));
+        return run;
+    }
+
+    /**
+     * Queue a transaction signed elsewhere for submission
+     *
+     * The blob is submitted as is, and again on local or temporary results,
+     * until it validates or its LastLedgerSequence passes; a Sequence already
+     * used or an expired blob fails, as a new one must be signed. Resolves
+     * and rejects as submit() does.
+     */
+    submitSigned(txBlob, options = {}) {
+        const transaction = xrpl.decode(txBlob);
+        const record = this.createRecord(transaction, transaction.Account, options.label);
+        record.sequence = transaction.Sequence;
+        record.fee = transaction.Fee;
+        record.lastLedgerSequence = transaction.LastLedgerSequence || null;
+        record.hash = xrpl.hashes.hashSignedTx(txBlob);
+        record.hashes.push(record.hash);
+        const queue = this.queues.get(transaction.Account) || Promise.resolve();
+
+        const run = queue.then(() => this.processSigned(record, txBlob));
+        this.queues.set(transaction.Account, run.catch(() => {}));
+        return run;
+    }
+
+    /**
+     * Submit a signed blob, resubmitting it until it validates or cannot
+     */
+    async processSigned(record, txBlob) {
+        while (record.attempts < this.maxAttempts) {
+            record.attempts++;
+
+            let outcome;
+            try {
+                outcome = await this.attemptSigned(record, txBlob);
+            } catch (error) {
+                outcome = { status: 'RETRY', resultCode: null, error: error.message };
+            }
+
+            if (outcome.status === 'VALIDATED') {
+                this.complete(record, 'VALIDATED', outcome.resultCode, 'SUCCESS');
+                this.stats.succeeded++;
+                return {
+                    id: record.id,
+                    hash: record.hash,
+                    sequence: record.sequence,
+                    resultCode: outcome.resultCode,
+                    ledgerIndex: record.ledgerIndex,
+                    meta: outcome.meta
+                };
+            }
+
+            if (outcome.status === 'FATAL' || outcome.status === 'EXPIRED') {
+                this.complete(record, 'FAILED', outcome.resultCode, 'FATAL', outcome.error);
+                throw this.buildError(record, false);
+            }
+
+            record.resultCode = outcome.resultCode;
+            record.lastError = outcome.error || outcome.resultCode;
+
+            if (record.attempts < this.maxAttempts) {
+                this.stats.retries++;
+                record.status = 'RETRYING';
+                console.warn(`🔁 ${record.label}: ${record.lastError} - resubmitting (${record.attempts}/${this.maxAttempts})`);
+                await this.sleep(this.retryDelay * record.attempts);
+            }
+        }
+
+        this.complete(record, 'FAILED', record.resultCode, 'RETRYABLE', record.lastError);
+        throw this.buildError(record, true);
+    }
+
+    /**
+     * Submit a signed blob once and await its outcome
+     */
+    async attemptSigned(record, txBlob) {
+        const client = this.getClient();
+
+        const previous = await this.findValidated(client, record.hashes);
+        if (previous) {
+            return this.settle(record, record.account, previous);
+        }
+
+        record.status = 'SUBMITTED';
+        record.submittedAt = new Date().toISOString();
+        this.stats.submitted++;
+
+        const response = await client.request({ command: 'submit', tx_blob: txBlob });
+        const engineResult = response.result.engine_result;
+        record.engineResult = engineResult;
+
+        // Without a new signature a used Sequence or passed LastLedgerSequence is final
+        const classification = engineResult === 'tefPAST_SEQ' || engineResult === 'tefMAX_LEDGER' ?
+            'FATAL' : TransactionSubmitter.classify(engineResult);
+
+        if (classification === 'FATAL') {
+            return { status: 'FATAL', resultCode: engineResult, error: response.result.engine_result_message };
+        }
+
+        if (classification === 'RETRY') {
+            return { status: 'RETRY', resultCode: engineResult };
+        }
+
+        record.status = 'PENDING';
+        const validated = record.lastLedgerSequence ? await this.waitForValidation(client, record) : await this.lookup(client, record.hash);
+
+        if (!validated || !validated.validated) {
+            return record.lastLedgerSequence ?
+                { status: 'EXPIRED', resultCode: 'EXPIRED', error: `not validated by ledger ${record.lastLedgerSequence}` } :
+                { status: 'RETRY', resultCode: engineResult, error: 'not validated yet' };
+        }
+
+        return this.settle(record, record.account, validated);
+    }
+
+    /**
+     * Submit one transaction, retrying until validated or out of attempts
+     */
+    async process(record, transaction, wallet, onSigned = null) {
+        while (record.attempts < this.maxAttempts) {
+            record.attempts++;
+
+            let outcome;
+            try {
+                outcome = await this.attempt(record, transaction, wallet, onSigned);
+            } catch (error) {
+                // Connection drops and request timeouts are worth another try
+                outcome = { status: 'RETRY', resultCode: null, error: error.message };
+            }
+
+            if (outcome.status === 'VALIDATED') {
+                this.complete(record, 'VALIDATED', outcome.resultCode, 'SUCCESS');
+                this.stats.succeeded++;
+                return {
+                    id: record.id,
+                    hash: record.hash,
+                    sequence: record.sequence,
+                    resultCode: outcome.resultCode,
+                    ledgerIndex: record.ledgerIndex,
+                    meta: outcome.meta
+                };
+            }
+
+            if (outcome.status === 'DEFERRED') {
+                this.complete(record, 'DEFERRED', null, 'DEFERRED', outcome.error);
+                this.stats.deferred++;
+                throw this.buildError(record, true);
+            }
+
+            if (outcome.status === 'FATAL') {
+                this.complete(record, 'FAILED', outcome.resultCode, 'FATAL', outcome.error);
+                throw this.buildError(record, false);
+            }
+
+            // RETRY or EXPIRED
+            record.resultCode = outcome.resultCode;
+            record.lastError = outcome.error || outcome.resultCode;
+            if (outcome.status === 'EXPIRED') {
+                this.stats.expired++;
+            }
+
+            if (record.attempts < this.maxAttempts) {
+                this.stats.retries++;
+                record.status = 'RETRYING';
+                console.warn(`🔁 ${record.label}: ${record.lastError} - retrying (${record.attempts}/${this.maxAttempts})`);
+                await this.sleep(this.retryDelay * record.attempts);
+            }
+        }
+
+        this.complete(record, 'FAILED', record.resultCode, 'RETRYABLE', record.lastError);
+        throw this.buildError(record, true);
+    }
+
+    /**
+     * Prepare, sign, submit and await one attempt
+     */
+    async attempt(record, transaction, wallet, onSigned = null) {
+        const client = this.getClient();
+        const account = wallet.address;
+
+        // An earlier attempt may have validated after all (e.g. the connection dropped while waiting)
+        const previous = await this.findValidated(client, record.hashes);
+        if (previous) {
+            return this.settle(record, account, previous);
+        }
+
+        // Once signed, an attempt may still validate, so only unsent transactions are deferred
+        const fee = await this.feePolicy.decide(client, transaction, {
+            deferrable: record.deferrable && record.hashes.length === 0
+        });
+        if (fee.deferred) {
+            return { status: 'DEFERRED', error: fee.reason };
+        }
+
+        const sequence = await this.getNextSequence(client, account);
+        const validatedLedger = await client.getLedgerIndex();
+        const prepared = await client.autofill({
+            ...transaction,
+            Account: account,
+            Sequence: sequence,
+            LastLedgerSequence: validatedLedger + this.ledgerOffset,
+            ...(fee.drops ? { Fee: fee.drops } : {})
+        });
+        const signed = wallet.sign(prepared);
+
+        record.status = 'SUBMITTED';
+        record.sequence = sequence;
+        record.fee = prepared.Fee;
+        record.feeCapped = fee.capped;
+        record.lastLedgerSequence = prepared.LastLedgerSequence;
+        record.hash = signed.hash;
+        record.hashes.push(signed.hash);
+        if (onSigned) {
+            await onSigned({ ...record });
+        }
+
+        record.submittedAt = new Date().toISOString();
+        this.stats.submitted++;
+
+        const response = await client.request({ command: 'submit', tx_blob: signed.tx_blob });
+        const engineResult = response.result.engine_result;
+        record.engineResult = engineResult;
+
+        const classification = TransactionSubmitter.classify(engineResult);
+
+        if (classification === 'FATAL') {
+            // Not applied: the Sequence is still free
+            return { status: 'FATAL', resultCode: engineResult, error: response.result.engine_result_message };
+        }
+
+        if (classification === 'RETRY') {
+            if (SEQUENCE_RESULTS.has(engineResult)) {
+                this.sequences.delete(account);
+                this.stats.sequenceResyncs++;
+            }
+            return { status: 'RETRY', resultCode: engineResult };
+        }
+
+        // Provisionally applied or queued: the outcome is decided by the validated ledger
+        record.status = 'PENDING';
+        const validated = await this.waitForValidation(client, record);
+
+        if (!validated) {
+            // Past LastLedgerSequence without validating: the Sequence was never used
+            return { status: 'EXPIRED', resultCode: 'EXPIRED', error: `not validated by ledger ${record.lastLedgerSequence}` };
+        }
+
+        return this.settle(record, account, validated);
+    }
+
+    /**
+     * Turn a validated transaction into the attempt outcome
+     */
+    settle(record, account, validated) {
+        const transaction = validated.tx_json || validated;
+        const resultCode = validated.meta.TransactionResult;
+
+        // Attempts reuse their Sequence unless another signer took it, so at most one validates
+        this.sequences.set(account, transaction.Sequence + 1);
+        record.hash = validated.hash;
+        record.sequence = transaction.Sequence;
+        record.ledgerIndex = validated.ledger_index;
+
+        // tec results consume the fee too
+        this.feePolicy.recordSpend(record.transactionType, transaction.Fee);
+
+        if (resultCode !== 'tesSUCCESS') {
+            // tec results are final and consume the fee; resubmitting would repeat the failure
+            return { status: 'FATAL', resultCode: resultCode, error: `${record.transactionType} failed: ${resultCode}` };
+        }
+
+        return { status: 'VALIDATED', resultCode: resultCode, meta: validated.meta };
+    }
+
+    /**
+     * Find an earlier attempt that made it into a validated ledger
+     */
+    async findValidated(client, hashes) {
+        for (const hash of hashes) {
+            const result = await this.lookup(client, hash);
+            if (result && result.validated) {
+                return result;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Look up a transaction by hash, or null when the server has not seen it
+     */
+    async lookup(client, hash) {
+        try {
+            const response = await client.request({ command: 'tx', transaction: hash });
+            return response.result;
+        } catch (error) {
+            if (error.data && error.data.error === 'txnNotFound') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Poll until the transaction is validated or its LastLedgerSequence passes
+     */
+    async waitForValidation(client, record) {
+        for (;;) {
+            const result = await this.lookup(client, record.hash);
+            if (result && result.validated) {
+                return result;
+            }
+
+            if (await client.getLedgerIndex() > record.lastLedgerSequence) {
+                return null;
+            }
+
+            await this.sleep(this.pollInterval);
+        }
+    }
+
+    /**
+     * Get the next Sequence for an account, syncing from the ledger when unknown
+     */
+    async getNextSequence(client, account) {
+        if (!this.sequences.has(account)) {
+            const response = await client.request({
+                command: 'account_info',
+                account: account,
+                ledger_index: 'current'
+            });
+            this.sequences.set(account, response.result.account_data.Sequence);
+        }
+
+        return this.sequences.get(account);
+    }
+
+    /**
+     * Forget cached sequences (e.g. after another signer used the account)
+     */
+    resetSequences() {
+        this.sequences.clear();
+    }
+
+    /**
+     * Create and store the status record for a submission
+     */
+    createRecord(transaction, account, label) {
+        const record = {
+            id: `tx-${Date.now()}-${this.nextId++}`,
+            label: label || transaction.TransactionType,
+            account: account,
+            transactionType: transaction.TransactionType,
+            status: 'QUEUED',
+            classification: null,
+            attempts: 0,
+            deferrable: false,
+            sequence: null,
+            fee: null,
+            feeCapped: false,
+            lastLedgerSequence: null,
+            hash: null,
+            hashes: [],
+            engineResult: null,
+            resultCode: null,
+            ledgerIndex: null,
+            lastError: null,
+            queuedAt: new Date().toISOString(),
+            submittedAt: null,
+            completedAt: null
+        };
+
+        this.records.set(record.id, record);
+
+        // Bound memory; the oldest records go first
+        if (this.records.size > this.historyLimit) {
+            this.records.delete(this.records.keys().next().value);
+        }
+
+        return record;
+    }
+
+    /**
+     * Mark a record finished
+     */
+    complete(record, status, resultCode, classification, error = null) {
+        record.status = status;
+        record.resultCode = resultCode;
+        record.classification = classification;
+        record.lastError = error;
+        record.completedAt = new Date().toISOString();
+
+        if (status === 'FAILED') {
+            this.stats.failed++;
+            console.error(`💥 ${record.label} failed (${classification}): ${resultCode || error}`);
+        } else if (status === 'DEFERRED') {
+            console.warn(`⏸️ ${record.label} deferred: ${error}`);
+        }
+    }
+
+    /**
+     * Build the error thrown for a failed submission
+     */
+    buildError(record, retryable) {
+        const deferred = record.status === 'DEFERRED';
+        const error = new Error(`${record.transactionType} ${deferred ? 'deferred' : 'failed'}: ${record.resultCode || record.lastError}`);
+        error.resultCode = record.resultCode;
+        error.retryable = retryable;
+        error.deferred = deferred;
+        error.record = { ...record };
+        return error;
+    }
+
+    /**
+     * Get a submission status record by id
+     */
+    getRecord(id) {
+        const record = this.records.get(id);
+        return record ? { ...record } : null;
+    }
+
+    /**
+     * Get recent submission records, newest first
+     */
+    getRecords(filter = {}) {
+        let records = Array.from(this.records.values()).reverse();
+
+        if (filter.status) {
+            records = records.filter(record => record.status === filter.status);
+        }
+        if (filter.account) {
+            records = records.filter(record => record.account === filter.account);
+        }
+        if (filter.transactionType) {
+            records = records.filter(record => record.transactionType === filter.transactionType);
+        }
+
+        return records.slice(0, filter.limit || records.length).map(record => ({ ...record }));
+    }
+
+    /**
+     * Get submission service status
+     */
+    getStatus() {
+        const inFlight = Array.from(this.records.values())
+            .filter(record => !record.completedAt).length;
+
+        return {
+            inFlight: inFlight,
+            accounts: Array.from(this.sequences.entries()).map(([account, nextSequence]) => ({ account, nextSequence })),
+            ...this.stats,
+            fees: this.feePolicy.getStatus(),
+            recent: this.getRecords({ limit: 10 })
+        };
+    }
+
+    /**
+     * Classify a preliminary engine result as PENDING, RETRY or FATAL
+     *
+     * PENDING results (tes, tec, terQUEUED, tefALREADY) may still make it into
+     * a validated ledger and are awaited. tel (local) and other ter results
+     * were not applied and may succeed later, as may a stale Sequence or an
+     * expired LastLedgerSequence. tem (malformed) and remaining tef results
+     * never will.
+     */
+    static classify(engineResult) {
+        const prefix = engineResult ? engineResult.slice(0, 3) : '';
+
+        if (prefix === 'tes' || prefix === 'tec' || engineResult === 'terQUEUED' || engineResult === 'tefALREADY') {
+            return 'PENDING';
+        }
+
+        if (prefix === 'tel' || prefix === 'ter' || SEQUENCE_RESULTS.has(engineResult) || engineResult === 'tefMAX_LEDGER') {
+            return 'RETRY';
+        }
+
+        return 'FATAL';
+    }
+
+    /**
+     * Utility sleep function
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = TransactionSubmitter;
@@ -0,0 +1,309 @@
+/**
+ * ledger/trustLineAuthorizer.js - Trust Line Authorization Workflow
+ *
+ * With RequireAuth set on the issuer (see ledger/issuerProfile.js), a trust
+ * line cannot hold the token until the issuer authorizes it. This module
+ * reads the issuer's trust lines from account_lines, registers accounts
+ * that opened one without a review as pending in the holder registry, and
+ * authorizes (TrustSet with tfSetfAuth) only lines of KYC-approved holders.
+ * Authorized lines whose holder's approval has since expired or been
+ * rejected are reported as exceptions; authorization cannot be revoked on
+ * the ledger.
+ *
+ *   node ledger/trustLineAuthorizer.js list [pending|approved|rejected|expired]
+ *   node ledger/trustLineAuthorizer.js approve <account> --reference <kyc ref> --by <reviewer> [--expires YYYY-MM-DD] [--name <name>]
+ *   node ledger/trustLineAuthorizer.js reject <account> --reason <text> --by <reviewer>
+ *   node ledger/trustLineAuthorizer.js pending
+ *   node ledger/trustLineAuthorizer.js authorize [account]
+ */
+
+const xrpl = require('xrpl');
+
+class TrustLineAuthorizer {
+    constructor(config = {}) {
+        if (!config.registry) {
+            throw new Error('Trust line authorizer requires a holder registry');
+        }
+
+        this.registry = config.registry;
+        // Token codes whose trust lines are reviewed
+        this.currencies = config.currencies || [];
+        // Issuer-operated accounts (a distribution wallet) are not holders
+        this.excludeAccounts = new Set(config.excludeAccounts || []);
+        this.reviewInterval = parseInt(config.reviewInterval || process.env.TRUSTLINE_REVIEW_INTERVAL || '900000');
+
+        this.lastReview = null;
+
+        this.stats = {
+            reviews: 0,
+            authorized: 0,
+            authorizationFailures: 0
+        };
+    }
+
+    /**
+     * Get every trust line of the issuer for the reviewed tokens
+     */
+    async getTrustLines(client, issuer) {
+        const lines = [];
+        let marker;
+
+        do {
+            const response = await client.request({
+                command: 'account_lines',
+                account: issuer,
+                ledger_index: 'validated',
+                limit: 400,
+                marker: marker
+            });
+            lines.push(...response.result.lines);
+            marker = response.result.marker;
+        } while (marker);
+
+        return lines
+            .filter(line => this.currencies.length === 0 || this.currencies.includes(line.currency))
+            .filter(line => !this.excludeAccounts.has(line.account))
+            .map(line => ({
+                holder: line.account,
+                currency: line.currency,
+                // account_lines shows the issuer's side; holders have a negative balance
+                balance: -parseFloat(line.balance) || 0,
+                authorized: line.authorized === true,
+                kycStatus: this.registry.getKycStatus(line.account)
+            }));
+    }
+
+    /**
+     * Review the issuer's trust lines against the registry
+     *
+     * Accounts that opened a line without a review are registered as
+     * pending. Returns the authorized and pending lines, the pending lines of
+     * approved holders (ready to authorize) and authorized lines whose holder
+     * no longer has a current approval.
+     */
+    async review(client, issuer) {
+        const accountInfo = await client.request({
+            command: 'account_info',
+            account: issuer,
+            ledger_index: 'validated'
+        });
+        const flags = xrpl.parseAccountRootFlags(accountInfo.result.account_data.Flags || 0);
+
+        const lines = await this.getTrustLines(client, issuer);
+        let registered = 0;
+
+        for (const line of lines) {
+            if (this.registry.noteTrustLine(line.holder, line.currency)) {
+                registered++;
+            }
+            line.kycStatus = this.registry.getKycStatus(line.holder);
+        }
+
+        if (registered > 0) {
+            await this.registry.save();
+        }
+
+        const pending = lines.filter(line => !line.authorized);
+
+        this.stats.reviews++;
+        this.lastReview = {
+            issuer: issuer,
+            requireAuth: !!flags.lsfRequireAuth,
+            lines: lines.length,
+            authorized: lines.filter(line => line.authorized),
+            pending: pending,
+            readyToAuthorize: pending.filter(line => line.kycStatus === 'approved'),
+            awaitingReview: pending.filter(line => line.kycStatus === 'pending'),
+            authorizedWithoutKyc: lines.filter(line => line.authorized && line.kycStatus !== 'approved'),
+            newlyRegistered: registered,
+            reviewedAt: new Date().toISOString()
+        };
+
+        return this.lastReview;
+    }
+
+    /**
+     * Authorize one holder's trust line with a TrustSet carrying tfSetfAuth
+     */
+    async authorize(submitter, wallet, holder, currency) {
+        if (!this.registry.isApproved(holder)) {
+            throw new Error(`${holder} has no current KYC approval (${this.registry.getKycStatus(holder)})`);
+        }
+
+        const trustSet = {
+            TransactionType: 'TrustSet',
+            Account: wallet.address,
+            // The issuer's side of the line: limit 0, peer is the holder
+            LimitAmount: {
+                currency: currency,
+                issuer: holder,
+                value: '0'
+            },
+            Flags: xrpl.TrustSetFlags.tfSetfAuth
+        };
+
+        const result = await submitter.submit(trustSet, {
+            wallet: wallet,
+            label: `Authorize ${currency} trust line of ${holder}`
+        });
+
+        this.registry.recordAuthorization(holder, currency, result.hash);
+        await this.registry.save();
+        this.stats.authorized++;
+
+        return result;
+    }
+
+    /**
+     * Review, then authorize every pending line of a KYC-approved holder
+     */
+    async authorizeApproved(client, submitter, wallet, onlyHolder = null) {
+        const review = await this.review(client, wallet.address);
+        const authorized = [];
+        const failed = [];
+
+        if (!review.requireAuth) {
+            return { review: review, authorized: authorized, failed: failed, skipped: 'RequireAuth is not set on the issuer' };
+        }
+
+        const ready = review.readyToAuthorize.filter(line => !onlyHolder || line.holder === onlyHolder);
+
+        for (const line of ready) {
+            try {
+                const result = await this.authorize(submitter, wallet, line.holder, line.currency);
+                authorized.push({ holder: line.holder, currency: line.currency, hash: result.hash });
+            } catch (error) {
+                this.stats.authorizationFailures++;
+                failed.push({ holder: line.holder, currency: line.currency, error: error.message });
+            }
+        }
+
+        return { review: review, authorized: authorized, failed: failed, skipped: null };
+    }
+
+    /**
+     * Get authorization counts for the compliance report
+     */
+    getComplianceData() {
+        const review = this.lastReview;
+
+        return {
+            requireAuth: review ? review.requireAuth : null,
+            registry: this.registry.getSummary(),
+            trustLines: review ? {
+                total: review.lines,
+                authorized: review.authorized.length,
+                pending: review.pending.length,
+                awaitingReview: review.awaitingReview.length,
+                readyToAuthorize: review.readyToAuthorize.length,
+                authorizedWithoutKyc: review.authorizedWithoutKyc.length
+            } : null,
+            exceptions: review ? review.authorizedWithoutKyc.map(line => ({
+                holder: line.holder,
+                currency: line.currency,
+                balance: line.balance,
+                kycStatus: line.kycStatus
+            })) : [],
+            reviewedAt: review ? review.reviewedAt : null
+        };
+    }
+
+    /**
+     * Get authorizer status
+     */
+    getStatus() {
+        return {
+            currencies: this.currencies,
+            reviewInterval: this.reviewInterval,
+            registry: this.registry.getStatus(),
+            ...this.getComplianceData(),
+            ...this.stats
+        };
+    }
+}
+
+// Run standalone
+if (require.main === module) {
+    require('dotenv').config();
+    const HolderRegistry = require('../storage/holderRegistry');
+    const ManagedProperty = require('../portfolio/managedProperty');
+    const ConnectionManager = require('./connectionManager');
+    const TransactionSubmitter = require('./transactionSubmitter');
+
+    const [command, account] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const option = (name) => {
+        const index = process.argv.indexOf(`--${name}`);
+        return index > 0 ? process.argv[index + 1] : undefined;
+    };
+    const printLine = (line) => console.log(`   ${line.holder} ${line.currency} balance ${line.balance} - KYC ${line.kycStatus}`);
+
+    (async () => {
+        const registry = new HolderRegistry();
+        await registry.load();
+
+        if (command === 'list') {
+            const status = account || null;
+            registry.list(status).forEach(holder => console.log(
+                `${holder.address} ${registry.getKycStatus(holder.address)}${holder.name ? ` (${holder.name})` : ''}` +
+                `${holder.expiresAt ? ` expires ${holder.expiresAt.split('T')[0]}` : ''}` +
+                ` - lines: ${holder.trustLines.join(', ') || 'none'}, authorized: ${holder.authorizations.map(entry => entry.currency).join(', ') || 'none'}`));
+            console.log(`📇 ${JSON.stringify(registry.getSummary())}`);
+            return;
+        }
+
+        if (command === 'approve' || command === 'reject') {
+            const holder = command === 'approve' ?
+                registry.approve(account, { reference: option('reference'), reviewedBy: option('by'), expiresAt: option('expires'), name: option('name') }) :
+                registry.reject(account, { reason: option('reason'), reviewedBy: option('by') });
+            await registry.save();
+            console.log(`✅ ${holder.address} ${holder.kycStatus}${holder.expiresAt ? ` until ${holder.expiresAt}` : ''}`);
+            return;
+        }
+
+        if (command !== 'pending' && command !== 'authorize') {
+            throw new Error('Usage: trustLineAuthorizer.js list|approve|reject|pending|authorize (see the header of ledger/trustLineAuthorizer.js)');
+        }
+
+        const authorizer = new TrustLineAuthorizer({
+            registry: registry,
+            currencies: ManagedProperty.loadAll().map(property => property.tokenCode)
+        });
+        const connectionManager = new ConnectionManager();
+        const client = await connectionManager.connect();
+        const wallet = xrpl.Wallet.fromSeed(process.env.ISSUER_SEED);
+
+        try {
+            if (command === 'pending') {
+                const review = await authorizer.review(client, wallet.address);
+                console.log(`🔐 RequireAuth ${review.requireAuth ? 'set' : 'NOT set'} on ${wallet.address} - ${review.lines} trust line(s), ${review.authorized.length} authorized`);
+                console.log(`⏳ Awaiting KYC review: ${review.awaitingReview.length}`);
+                review.awaitingReview.forEach(printLine);
+                console.log(`✅ Approved, not yet authorized: ${review.readyToAuthorize.length}`);
+                review.readyToAuthorize.forEach(printLine);
+                if (review.authorizedWithoutKyc.length > 0) {
+                    console.warn(`🚨 Authorized without a current KYC approval: ${review.authorizedWithoutKyc.length}`);
+                    review.authorizedWithoutKyc.forEach(printLine);
+                }
+                return;
+            }
+
+            const submitter = new TransactionSubmitter({ getClient: () => connectionManager.getClient() });
+            const result = await authorizer.authorizeApproved(client, submitter, wallet, account || null);
+            if (result.skipped) {
+                console.warn(`⚠️ Nothing authorized: ${result.skipped}`);
+            }
+            result.authorized.forEach(entry => console.log(`✅ ${entry.holder} ${entry.currency}: ${entry.hash}`));
+            result.failed.forEach(entry => console.error(`❌ ${entry.holder} ${entry.currency}: ${entry.error}`));
+            if (account && result.authorized.length === 0 && result.failed.length === 0 && !result.skipped) {
+                console.warn(`⚠️ ${account} has no pending trust line ready to authorize (KYC ${registry.getKycStatus(account)})`);
+            }
+        } finally {
+            await connectionManager.disconnect();
+        }
+    })().catch(error => {
+        console.error('💥 Trust line authorization failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = TrustLineAuthorizer;
@@ -11,6 +11,9 @@ class OracleManager {
         this.config = config;
         this.oracle = new PropertyOracle(config);
         this.updateInterval = parseInt(config.updateInterval || process.env.ORACLE_UPDATE_INTERVAL || '3600000');
+        // Valuation change (fraction) that triggers an on-chain update and repricing;
+        // 0 acts on every change
+        this.changeThreshold = parseFloat(config.changeThreshold ?? (process.env.ORACLE_CHANGE_THRESHOLD || '0.01'));
         this.isRunning = false;
         this.lastValuation = null;
         this.updateTimer = null;
@@ -19,6 +22,10 @@ class OracleManager {
         this.onPriceUpdate = config.onPriceUpdate || (() => {});
         this.onError = config.onError || ((error) => console.error('Oracle error:', error));
         
+        if (!(this.changeThreshold >= 0)) {
+            throw new Error(`Invalid oracle change threshold: ${this.changeThreshold}`);
+        }
+        
         console.log(`🔮 Oracle Manager configured with ${this.updateInterval / 1000}s update interval`);
     }
 
@@ -121,7 +128,7 @@ class OracleManager {
             console.log(`📊 Confidence: ${(newValuation.confidence * 100).toFixed(1)}%`);
             console.log(`🔍 Sources: ${newValuation.sourceCount}`);
             
-            if (Math.abs(priceChange) > 0.01) { // 1% threshold
+            if (this.isSignificantChange(priceChange)) {
                 console.log(`🚨 Significant price change detected: ${priceChangePercent > 0 ? '+' : ''}${priceChangePercent.toFixed(2)}%`);
                 
                 // Update on-chain data if wallet is configured
@@ -160,6 +167,13 @@ class OracleManager {
         return (newVal.currentValue - oldVal.currentValue) / oldVal.currentValue;
     }
 
+    /**
+     * Check whether a valuation change passes the update threshold
+     */
+    isSignificantChange(priceChange) {
+        return Math.abs(priceChange) > this.changeThreshold;
+    }
+
     /**
      * Get current property valuation
      */
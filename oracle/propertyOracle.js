@@ -7,6 +7,7 @@
 
 const axios = require('axios');
 const xrpl = require('xrpl');
+const TransactionSubmitter = require('../ledger/transactionSubmitter');
 
 class PropertyOracle {
     constructor(config = {}) {
@@ -24,9 +25,17 @@ class PropertyOracle {
         this.xrplNetwork = config.xrplNetwork || process.env.XRPL_NETWORK;
         this.oracleSeed = config.oracleSeed || process.env.ORACLE_SEED;
         this.minConfidence = parseFloat(config.minConfidence || process.env.MIN_CONFIDENCE_THRESHOLD || '0.70');
+        // Offline oracles (paper trading) never call the valuation APIs
+        this.offline = config.offline === true;
+        // Account whose Domain is managed elsewhere (the issuer profile); valuations go in a memo
+        this.reservedDomainAccount = config.reservedDomainAccount || null;
         
         this.client = null;
+        // Shared with the bot so the oracle does not hold a second connection
+        this.connectionManager = config.connectionManager || null;
         this.wallet = null;
+        // Shared with the bot so AccountSet never races its offers for a Sequence
+        this.submitter = config.submitter || null;
         this.lastUpdate = null;
         this.cachedValuation = null;
     }
@@ -35,9 +44,15 @@ class PropertyOracle {
         try {
             console.log('🔮 Initializing Property Oracle...');
             
-            // Initialize XRPL connection
-            this.client = new xrpl.Client(this.xrplNetwork);
-            await this.client.connect();
+            // Initialize XRPL connection (standalone use only)
+            if (!this.connectionManager) {
+                this.client = new xrpl.Client(this.xrplNetwork);
+                await this.client.connect();
+            }
+            
+            if (!this.submitter) {
+                this.submitter = new TransactionSubmitter({ getClient: () => this.getClient() });
+            }
             
             // Load oracle wallet (optional - for on-chain updates)
             if (this.oracleSeed) {
@@ -61,7 +76,7 @@ class PropertyOracle {
         try {
             console.log('🔍 Fetching property valuations from multiple sources...');
             
-            const valuationPromises = [
+            const valuationPromises = this.offline ? [] : [
                 this.getRealtyMoleValuation(),
                 this.getZillowValuation(),
                 this.getCoreLogicValuation(),
@@ -269,7 +284,7 @@ class PropertyOracle {
      * Update XRPL ledger with new valuation data
      */
     async updateOnChainValuation(valuation) {
-        if (!this.wallet || !this.client) {
+        if (!this.wallet || !this.getClient()) {
             console.log('⚠️ Oracle wallet not configured, skipping on-chain update');
             return null;
         }
@@ -287,23 +302,36 @@ class PropertyOracle {
 
             const accountSet = {
                 TransactionType: 'AccountSet',
-                Account: this.wallet.address,
-                Domain: this.stringToHex(JSON.stringify(valuationData))
+                Account: this.wallet.address
             };
 
-            const prepared = await this.client.autofill(accountSet);
-            const signed = this.wallet.sign(prepared);
-            const result = await this.client.submitAndWait(signed.tx_blob);
-
-            if (result.result.meta.TransactionResult === 'tesSUCCESS') {
-                console.log(`✅ On-chain valuation updated: $${valuation.currentValue.toLocaleString()}`);
-                console.log(`   Transaction: ${result.result.hash}`);
-                return result;
+            if (this.wallet.address === this.reservedDomainAccount) {
+                accountSet.Memos = [{
+                    Memo: {
+                        MemoType: this.stringToHex('valuation'),
+                        MemoData: this.stringToHex(JSON.stringify(valuationData))
+                    }
+                }];
             } else {
-                throw new Error(`Transaction failed: ${result.result.meta.TransactionResult}`);
+                accountSet.Domain = this.stringToHex(JSON.stringify(valuationData));
             }
 
+            const result = await this.submitter.submit(accountSet, {
+                wallet: this.wallet,
+                label: `Oracle AccountSet ${this.propertyId}`,
+                // Valuation updates can wait for fees to come down
+                deferrable: true
+            });
+
+            console.log(`✅ On-chain valuation updated: $${valuation.currentValue.toLocaleString()}`);
+            console.log(`   Transaction: ${result.hash}`);
+            return result;
+
         } catch (error) {
+            if (error.deferred) {
+                console.log(`⏸️ On-chain valuation update deferred: ${error.record.lastError}`);
+                return null;
+            }
             console.error('❌ Failed to update on-chain valuation:', error.message);
             return null;
         }
@@ -359,18 +387,26 @@ class PropertyOracle {
      */
     getStatus() {
         return {
-            initialized: this.client !== null,
-            connected: this.client && this.client.isConnected(),
+            initialized: this.getClient() !== null,
+            connected: !!this.getClient() && this.getClient().isConnected(),
             hasWallet: this.wallet !== null,
             lastUpdate: this.lastUpdate,
             hasCachedData: this.cachedValuation !== null
         };
     }
 
+    /**
+     * Get the XRPL client (the shared connection when one is managed)
+     */
+    getClient() {
+        return this.connectionManager ? this.connectionManager.getClient() : this.client;
+    }
+
     /**
      * Cleanup resources
      */
     async cleanup() {
+        // The shared connection is closed by its owner
         if (this.client && this.client.isConnected()) {
             await this.client.disconnect();
             console.log('🔌 Oracle XRPL connection closed');
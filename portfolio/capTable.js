@@ -0,0 +1,431 @@
+/**
+ * portfolio/capTable.js - On-Ledger Cap Table
+ *
+ * Builds each token's holder list from the issuer's trust lines (paging
+ * account_lines with markers), saves it as a timestamped snapshot
+ * (CAP_TABLE_DIR, default ./logs/captable) and computes concentration:
+ * the largest holder's and the top 10 holders' share of tokens held, and
+ * the Herfindahl-Hirschman index (sum of squared percentage shares, 0 to
+ * 10000). Accounts in CAP_TABLE_EXCLUDE (treasury or distribution wallets)
+ * are listed apart and left out of the metrics. Snapshots can be diffed
+ * and exported as CSV.
+ *
+ *   node portfolio/capTable.js snapshot
+ *   node portfolio/capTable.js list
+ *   node portfolio/capTable.js diff [older.json] [newer.json]
+ *   node portfolio/capTable.js export [snapshot.json] [--out file.csv]
+ *
+ * diff defaults to the two latest snapshots and export to the latest.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SNAPSHOT_VERSION = 1;
+const TOP_HOLDERS = 10;
+
+class CapTable {
+    constructor(config = {}) {
+        this.directory = config.directory || process.env.CAP_TABLE_DIR || './logs/captable';
+        // Token codes to tabulate (every currency on the issuer's lines when empty)
+        this.currencies = config.currencies || [];
+        this.excludeAccounts = new Set(config.excludeAccounts ||
+            (process.env.CAP_TABLE_EXCLUDE || '').split(',').map(account => account.trim()).filter(Boolean));
+        this.snapshotInterval = parseInt(config.snapshotInterval || process.env.CAP_TABLE_SNAPSHOT_INTERVAL || '86400000');
+        this.pageLimit = parseInt(config.pageLimit || '400');
+
+        this.latest = null;
+        this.previous = null;
+    }
+
+    /**
+     * Page through the issuer's trust lines
+     *
+     * Resolves to { ledgerIndex, lines } with every page read at the same
+     * validated ledger.
+     */
+    async fetchLines(client, issuer) {
+        const lines = [];
+        let marker;
+        let ledgerIndex = 'validated';
+
+        do {
+            const response = await client.request({
+                command: 'account_lines',
+                account: issuer,
+                ledger_index: ledgerIndex,
+                limit: this.pageLimit,
+                marker: marker
+            });
+            lines.push(...response.result.lines);
+            marker = response.result.marker;
+            // Later pages must come from the ledger the first one was read at
+            ledgerIndex = response.result.ledger_index || ledgerIndex;
+        } while (marker);
+
+        return { ledgerIndex: typeof ledgerIndex === 'number' ? ledgerIndex : null, lines: lines };
+    }
+
+    /**
+     * Build a snapshot of every token's holders from the ledger
+     */
+    async build(client, issuer) {
+        const { ledgerIndex, lines } = await this.fetchLines(client, issuer);
+        const byCurrency = new Map(this.currencies.map(currency => [currency, []]));
+
+        for (const line of lines) {
+            if (this.currencies.length > 0 && !this.currencies.includes(line.currency)) {
+                continue;
+            }
+            if (!byCurrency.has(line.currency)) {
+                byCurrency.set(line.currency, []);
+            }
+            // account_lines shows the issuer's side; holders have a negative balance
+            byCurrency.get(line.currency).push({ account: line.account, balance: -parseFloat(line.balance) || 0 });
+        }
+
+        const tokens = {};
+        for (const [currency, entries] of byCurrency) {
+            tokens[currency] = CapTable.tabulate(entries, this.excludeAccounts);
+        }
+
+        return {
+            version: SNAPSHOT_VERSION,
+            issuer: issuer,
+            ledgerIndex: ledgerIndex,
+            takenAt: new Date().toISOString(),
+            excludedAccounts: Array.from(this.excludeAccounts),
+            tokens: tokens
+        };
+    }
+
+    /**
+     * Build and save a snapshot
+     */
+    async takeSnapshot(client, issuer) {
+        const snapshot = await this.build(client, issuer);
+        snapshot.file = await this.save(snapshot);
+
+        this.previous = this.latest;
+        this.latest = snapshot;
+        return snapshot;
+    }
+
+    /**
+     * Save a snapshot under its timestamp
+     */
+    async save(snapshot) {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        const file = path.join(this.directory, `captable_${snapshot.takenAt.replace(/[:.]/g, '-')}.json`);
+        const tempFile = `${file}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify({ ...snapshot, file: undefined }, null, 2));
+        await fs.rename(tempFile, file);
+
+        return file;
+    }
+
+    /**
+     * List saved snapshot files, oldest first
+     */
+    async listSnapshots() {
+        try {
+            const files = await fs.readdir(this.directory);
+            return files
+                .filter(file => file.startsWith('captable_') && file.endsWith('.json'))
+                .sort()
+                .map(file => path.join(this.directory, file));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Read a saved snapshot
+     */
+    async loadSnapshot(file) {
+        const snapshot = JSON.parse(await fs.readFile(file, 'utf8'));
+        if (snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported cap table snapshot version ${snapshot.version} in ${file}`);
+        }
+        return { ...snapshot, file: file };
+    }
+
+    /**
+     * Load the two latest saved snapshots
+     *
+     * Resolves to the latest snapshot, or null when there is none.
+     */
+    async loadLatest() {
+        const files = await this.listSnapshots();
+
+        this.latest = files.length > 0 ? await this.loadSnapshot(files[files.length - 1]) : null;
+        this.previous = files.length > 1 ? await this.loadSnapshot(files[files.length - 2]) : null;
+        return this.latest;
+    }
+
+    /**
+     * Check whether the latest snapshot is older than the snapshot interval
+     */
+    isStale() {
+        return !this.latest || Date.now() - Date.parse(this.latest.takenAt) >= this.snapshotInterval;
+    }
+
+    /**
+     * Get holder counts and concentration for the compliance report
+     */
+    getComplianceData() {
+        if (!this.latest) {
+            return null;
+        }
+
+        const changes = this.previous ? CapTable.diff(this.previous, this.latest) : null;
+        const tokens = {};
+
+        for (const [currency, token] of Object.entries(this.latest.tokens)) {
+            const change = changes && changes.tokens[currency];
+            tokens[currency] = {
+                holderCount: token.holderCount,
+                totalHeld: token.totalHeld,
+                excludedHeld: token.excludedHeld,
+                emptyLines: token.emptyLines,
+                ...token.metrics,
+                topHolders: token.holders.slice(0, TOP_HOLDERS),
+                changeSincePrevious: change ? {
+                    since: changes.from,
+                    holderCount: change.holderCountChange,
+                    totalHeld: change.totalHeldChange,
+                    newHolders: change.added.length,
+                    exitedHolders: change.removed.length,
+                    hhi: change.hhiChange
+                } : null
+            };
+        }
+
+        return {
+            takenAt: this.latest.takenAt,
+            ledgerIndex: this.latest.ledgerIndex,
+            snapshot: this.latest.file || null,
+            tokens: tokens
+        };
+    }
+
+    /**
+     * Get cap table status
+     */
+    getStatus() {
+        return {
+            directory: this.directory,
+            snapshotInterval: this.snapshotInterval,
+            excludedAccounts: Array.from(this.excludeAccounts),
+            latest: this.latest ? { takenAt: this.latest.takenAt, file: this.latest.file || null } : null
+        };
+    }
+
+    /**
+     * Tabulate one token's holders, largest first, with shares and metrics
+     *
+     * Lines with no balance are only counted; excluded accounts are listed
+     * apart and left out of the shares.
+     */
+    static tabulate(entries, excludeAccounts = new Set()) {
+        const held = entries.filter(entry => entry.balance > 0);
+        const holders = held.filter(entry => !excludeAccounts.has(entry.account));
+        const excluded = held.filter(entry => excludeAccounts.has(entry.account));
+        const totalHeld = CapTable.round(holders.reduce((sum, entry) => sum + entry.balance, 0));
+
+        holders.sort((a, b) => b.balance - a.balance || a.account.localeCompare(b.account));
+
+        return {
+            holderCount: holders.length,
+            totalHeld: totalHeld,
+            excludedHeld: CapTable.round(excluded.reduce((sum, entry) => sum + entry.balance, 0)),
+            emptyLines: entries.length - held.length,
+            metrics: CapTable.computeMetrics(holders.map(entry => entry.balance)),
+            holders: holders.map(entry => ({
+                account: entry.account,
+                balance: entry.balance,
+                share: totalHeld > 0 ? CapTable.round(entry.balance / totalHeld) : 0
+            })),
+            excluded: excluded.map(entry => ({ account: entry.account, balance: entry.balance }))
+        };
+    }
+
+    /**
+     * Compute concentration metrics from holder balances
+     *
+     * Shares are fractions of the total held; the HHI uses percentage
+     * shares, so one holder scores 10000.
+     */
+    static computeMetrics(balances) {
+        const total = balances.reduce((sum, balance) => sum + balance, 0);
+        if (!(total > 0)) {
+            return { largestHolderShare: 0, top10Share: 0, hhi: 0 };
+        }
+
+        const shares = balances.map(balance => balance / total).sort((a, b) => b - a);
+
+        return {
+            largestHolderShare: CapTable.round(shares[0]),
+            top10Share: CapTable.round(shares.slice(0, TOP_HOLDERS).reduce((sum, share) => sum + share, 0)),
+            hhi: Math.round(shares.reduce((sum, share) => sum + Math.pow(share * 100, 2), 0) * 100) / 100
+        };
+    }
+
+    /**
+     * Compare two snapshots token by token
+     */
+    static diff(older, newer) {
+        const tokens = {};
+        const currencies = new Set([...Object.keys(older.tokens), ...Object.keys(newer.tokens)]);
+        const empty = { holders: [], holderCount: 0, totalHeld: 0, metrics: { hhi: 0, top10Share: 0 } };
+
+        for (const currency of currencies) {
+            const before = older.tokens[currency] || empty;
+            const after = newer.tokens[currency] || empty;
+            const beforeBalances = new Map(before.holders.map(entry => [entry.account, entry.balance]));
+            const afterBalances = new Map(after.holders.map(entry => [entry.account, entry.balance]));
+
+            const added = after.holders.filter(entry => !beforeBalances.has(entry.account))
+                .map(entry => ({ account: entry.account, balance: entry.balance }));
+            const removed = before.holders.filter(entry => !afterBalances.has(entry.account))
+                .map(entry => ({ account: entry.account, balance: entry.balance }));
+            const changed = after.holders
+                .filter(entry => beforeBalances.has(entry.account) && beforeBalances.get(entry.account) !== entry.balance)
+                .map(entry => ({
+                    account: entry.account,
+                    before: beforeBalances.get(entry.account),
+                    after: entry.balance,
+                    change: CapTable.round(entry.balance - beforeBalances.get(entry.account))
+                }));
+
+            tokens[currency] = {
+                holderCountChange: after.holderCount - before.holderCount,
+                totalHeldChange: CapTable.round(after.totalHeld - before.totalHeld),
+                top10ShareChange: CapTable.round(after.metrics.top10Share - before.metrics.top10Share),
+                hhiChange: Math.round((after.metrics.hhi - before.metrics.hhi) * 100) / 100,
+                added: added,
+                removed: removed,
+                changed: changed
+            };
+        }
+
+        return { from: older.takenAt, to: newer.takenAt, tokens: tokens };
+    }
+
+    /**
+     * Export a snapshot's holders as CSV
+     */
+    static toCsv(snapshot) {
+        const rows = [['taken_at', 'ledger_index', 'currency', 'rank', 'account', 'balance', 'share', 'excluded']];
+
+        for (const [currency, token] of Object.entries(snapshot.tokens)) {
+            token.holders.forEach((entry, index) => rows.push([
+                snapshot.takenAt, snapshot.ledgerIndex, currency, index + 1, entry.account, entry.balance, entry.share, false
+            ]));
+            token.excluded.forEach(entry => rows.push([
+                snapshot.takenAt, snapshot.ledgerIndex, currency, '', entry.account, entry.balance, '', true
+            ]));
+        }
+
+        return rows.map(row => row.map(value => value === null ? '' : value).join(',')).join('\n') + '\n';
+    }
+
+    /**
+     * Export a snapshot diff as CSV, one row per holder whose balance moved
+     */
+    static diffToCsv(diff) {
+        const rows = [['from', 'to', 'currency', 'account', 'change_type', 'before', 'after', 'change']];
+
+        for (const [currency, token] of Object.entries(diff.tokens)) {
+            token.added.forEach(entry => rows.push([diff.from, diff.to, currency, entry.account, 'added', 0, entry.balance, entry.balance]));
+            token.removed.forEach(entry => rows.push([diff.from, diff.to, currency, entry.account, 'removed', entry.balance, 0, -entry.balance]));
+            token.changed.forEach(entry => rows.push([diff.from, diff.to, currency, entry.account, 'changed', entry.before, entry.after, entry.change]));
+        }
+
+        return rows.map(row => row.join(',')).join('\n') + '\n';
+    }
+
+    /**
+     * Round token amounts and shares to 8 decimals
+     */
+    static round(value) {
+        return Math.round(value * 1e8) / 1e8;
+    }
+}
+
+// Run standalone
+if (require.main === module) {
+    require('dotenv').config();
+    const xrpl = require('xrpl');
+    const ManagedProperty = require('./managedProperty');
+
+    const args = process.argv.slice(2);
+    const outIndex = args.indexOf('--out');
+    const out = outIndex >= 0 ? args[outIndex + 1] : null;
+    const [command, ...files] = outIndex >= 0 ? args.filter((arg, index) => index !== outIndex && index !== outIndex + 1) : args;
+    const write = async (content) => {
+        if (out) {
+            await fs.writeFile(out, content);
+            console.log(`✅ Written to ${out}`);
+        } else {
+            process.stdout.write(content);
+        }
+    };
+
+    (async () => {
+        const capTable = new CapTable({ currencies: ManagedProperty.loadAll().map(property => property.tokenCode) });
+
+        if (command === 'snapshot') {
+            const ConnectionManager = require('../ledger/connectionManager');
+            const connectionManager = new ConnectionManager();
+            const client = await connectionManager.connect();
+            const issuer = process.env.ISSUER_ADDRESS || xrpl.Wallet.fromSeed(process.env.ISSUER_SEED).address;
+
+            try {
+                const snapshot = await capTable.takeSnapshot(client, issuer);
+                for (const [currency, token] of Object.entries(snapshot.tokens)) {
+                    console.log(`📊 ${currency}: ${token.holderCount} holder(s), ${token.totalHeld} held - top 10 ${(token.metrics.top10Share * 100).toFixed(1)}%, HHI ${token.metrics.hhi}`);
+                }
+                console.log(`✅ Snapshot at ledger ${snapshot.ledgerIndex} saved to ${snapshot.file}`);
+            } finally {
+                await connectionManager.disconnect();
+            }
+            return;
+        }
+
+        if (command === 'list') {
+            for (const file of await capTable.listSnapshots()) {
+                const snapshot = await capTable.loadSnapshot(file);
+                const tokens = Object.entries(snapshot.tokens).map(([currency, token]) => `${currency} ${token.holderCount} holder(s)`);
+                console.log(`${snapshot.takenAt} ledger ${snapshot.ledgerIndex} - ${tokens.join(', ')} (${file})`);
+            }
+            return;
+        }
+
+        if (command === 'diff' || command === 'export') {
+            const saved = await capTable.listSnapshots();
+            const needed = command === 'diff' ? 2 : 1;
+            const chosen = files.length >= needed ? files.slice(0, needed) : saved.slice(-needed);
+            if (chosen.length < needed) {
+                throw new Error(`${command} needs ${needed} snapshot(s); ${saved.length} saved in ${capTable.directory}`);
+            }
+
+            const snapshots = await Promise.all(chosen.map(file => capTable.loadSnapshot(file)));
+            await write(command === 'diff' ?
+                CapTable.diffToCsv(CapTable.diff(snapshots[0], snapshots[1])) :
+                CapTable.toCsv(snapshots[0]));
+            return;
+        }
+
+        throw new Error('Usage: capTable.js snapshot|list|diff|export (see the header of portfolio/capTable.js)');
+    })().catch(error => {
+        console.error('💥 Cap table failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = CapTable;
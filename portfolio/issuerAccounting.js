@@ -0,0 +1,239 @@
+/**
+ * portfolio/issuerAccounting.js - Issuer Inventory and PnL Accounting
+ *
+ * Books every journaled fill against the issuer's token inventory. Tokens
+ * sold from the unsold supply are primary issuance; tokens bought back form
+ * a repurchased position carried at average cost, which later sales draw
+ * down first to realize a gain or loss. Each fill is also compared to the
+ * NAV token price at the time it executed, so the report shows how far the
+ * book traded above or below NAV.
+ */
+
+class IssuerAccounting {
+    constructor(properties = []) {
+        // propertyId -> book
+        this.books = new Map();
+        this.appliedIds = new Set();
+        this.skipped = 0;
+
+        for (const property of properties) {
+            this.books.set(property.id, IssuerAccounting.emptyBook(property));
+        }
+    }
+
+    /**
+     * Rebuild every book from the trade journal
+     */
+    async rebuild(tradeJournal) {
+        const records = await tradeJournal.query();
+        const applied = this.applyAll(records);
+
+        console.log(`🧮 Issuer accounting rebuilt from ${applied} journaled fill(s)`);
+        return applied;
+    }
+
+    /**
+     * Apply journal records, returning how many were new
+     */
+    applyAll(records) {
+        return records.reduce((applied, record) => applied + (this.apply(record) ? 1 : 0), 0);
+    }
+
+    /**
+     * Apply one journal record to its property's book
+     */
+    apply(record) {
+        if (!record.id || this.appliedIds.has(record.id)) {
+            return false;
+        }
+
+        const book = this.books.get(record.propertyId);
+        const tokenAmount = parseFloat(record.rlaAmount) || 0;
+        const usdAmount = parseFloat(record.usdAmount) || 0;
+
+        if (!book || tokenAmount <= 0) {
+            // Fills of properties no longer configured stay in the journal only
+            this.skipped++;
+            return false;
+        }
+
+        this.appliedIds.add(record.id);
+
+        const navPrice = record.navPrice > 0 ? record.navPrice : null;
+        const quote = book.quotes[record.quoteCurrency] || (book.quotes[record.quoteCurrency] = {
+            received: 0,
+            spent: 0
+        });
+
+        book.fills++;
+        book.lastFillAt = record.executedAt;
+
+        if (record.side === 'bid') {
+            this.applyBuy(book, tokenAmount, usdAmount, navPrice);
+            quote.spent += parseFloat(record.quoteAmount) || 0;
+        } else {
+            this.applySale(book, tokenAmount, usdAmount, navPrice);
+            quote.received += parseFloat(record.quoteAmount) || 0;
+        }
+
+        return true;
+    }
+
+    /**
+     * Book a sale: repurchased tokens at average cost first, then primary supply
+     */
+    applySale(book, tokenAmount, usdAmount, navPrice) {
+        const price = usdAmount / tokenAmount;
+        const fromRepurchased = Math.min(tokenAmount, book.repurchased.tokens);
+
+        if (fromRepurchased > 0) {
+            const averageCost = book.repurchased.cost / book.repurchased.tokens;
+            book.realizedPnl += (price - averageCost) * fromRepurchased;
+            book.repurchased.cost -= averageCost * fromRepurchased;
+            book.repurchased.tokens -= fromRepurchased;
+        }
+
+        const primary = tokenAmount - fromRepurchased;
+        book.primary.tokens += primary;
+        book.primary.proceeds += price * primary;
+
+        book.inventory -= tokenAmount;
+        book.sold.tokens += tokenAmount;
+        book.sold.usd += usdAmount;
+
+        if (navPrice) {
+            book.sold.navTokens += tokenAmount;
+            book.sold.navValue += navPrice * tokenAmount;
+            book.sold.navUsd += usdAmount;
+        }
+    }
+
+    /**
+     * Book a buyback into the repurchased position
+     */
+    applyBuy(book, tokenAmount, usdAmount, navPrice) {
+        book.inventory += tokenAmount;
+        book.repurchased.tokens += tokenAmount;
+        book.repurchased.cost += usdAmount;
+        book.bought.tokens += tokenAmount;
+        book.bought.usd += usdAmount;
+
+        if (navPrice) {
+            book.bought.navTokens += tokenAmount;
+            book.bought.navValue += navPrice * tokenAmount;
+            book.bought.navUsd += usdAmount;
+        }
+    }
+
+    /**
+     * Get one property's accounting, marked to its current NAV price
+     */
+    getPropertyReport(propertyId, navPrice) {
+        const book = this.books.get(propertyId);
+        if (!book) {
+            return null;
+        }
+
+        const repurchasedAverageCost = book.repurchased.tokens > 0 ?
+            book.repurchased.cost / book.repurchased.tokens : null;
+        const averageSalePrice = book.sold.tokens > 0 ? book.sold.usd / book.sold.tokens : null;
+        const averageNavAtSale = book.sold.navTokens > 0 ? book.sold.navValue / book.sold.navTokens : null;
+        const averageBuyPrice = book.bought.tokens > 0 ? book.bought.usd / book.bought.tokens : null;
+        const averageNavAtBuy = book.bought.navTokens > 0 ? book.bought.navValue / book.bought.navTokens : null;
+
+        return {
+            propertyId: book.propertyId,
+            tokenCode: book.tokenCode,
+            navPrice: navPrice,
+            inventory: {
+                openingTokens: book.openingInventory,
+                tokens: book.inventory,
+                circulating: book.totalSupply - book.inventory,
+                navValue: navPrice ? book.inventory * navPrice : null
+            },
+            sales: {
+                tokens: book.sold.tokens,
+                proceedsUsd: book.sold.usd,
+                averagePrice: averageSalePrice,
+                averageNavAtSale: averageNavAtSale,
+                // Positive when sales cleared above NAV
+                premiumToNavUsd: book.sold.navTokens > 0 ? book.sold.navUsd - book.sold.navValue : null,
+                premiumToNavPercent: averageNavAtSale ?
+                    ((book.sold.navUsd / book.sold.navTokens) / averageNavAtSale - 1) * 100 : null,
+                primaryTokens: book.primary.tokens,
+                primaryProceedsUsd: book.primary.proceeds
+            },
+            buybacks: {
+                tokens: book.bought.tokens,
+                costUsd: book.bought.usd,
+                averagePrice: averageBuyPrice,
+                averageNavAtBuy: averageNavAtBuy,
+                // Positive when buybacks cleared below NAV
+                discountToNavUsd: book.bought.navTokens > 0 ? book.bought.navValue - book.bought.navUsd : null
+            },
+            repurchasedPosition: {
+                tokens: book.repurchased.tokens,
+                costUsd: book.repurchased.cost,
+                averageCost: repurchasedAverageCost
+            },
+            quoteProceeds: book.quotes,
+            netCashUsd: book.sold.usd - book.bought.usd,
+            realizedPnlUsd: book.realizedPnl,
+            unrealizedPnlUsd: navPrice && book.repurchased.tokens > 0 ?
+                (navPrice - repurchasedAverageCost) * book.repurchased.tokens : 0,
+            fills: book.fills,
+            lastFillAt: book.lastFillAt
+        };
+    }
+
+    /**
+     * Get the accounting report for every property
+     *
+     * navPrices maps propertyId to the current NAV token price in USD.
+     */
+    getReport(navPrices = {}) {
+        const properties = Array.from(this.books.keys())
+            .map(propertyId => this.getPropertyReport(propertyId, navPrices[propertyId] || null));
+        const sum = (select) => properties.reduce((total, property) => total + (select(property) || 0), 0);
+
+        return {
+            totals: {
+                proceedsUsd: sum(property => property.sales.proceedsUsd),
+                buybackCostUsd: sum(property => property.buybacks.costUsd),
+                netCashUsd: sum(property => property.netCashUsd),
+                premiumToNavUsd: sum(property => property.sales.premiumToNavUsd),
+                realizedPnlUsd: sum(property => property.realizedPnlUsd),
+                unrealizedPnlUsd: sum(property => property.unrealizedPnlUsd),
+                inventoryNavValue: sum(property => property.inventory.navValue),
+                fills: sum(property => property.fills)
+            },
+            skippedFills: this.skipped,
+            properties: properties
+        };
+    }
+
+    /**
+     * Get an empty book for a property
+     */
+    static emptyBook(property) {
+        const openingCirculating = property.openingCirculating || 0;
+
+        return {
+            propertyId: property.id,
+            tokenCode: property.tokenCode,
+            totalSupply: property.totalSupply,
+            openingInventory: property.totalSupply - openingCirculating,
+            inventory: property.totalSupply - openingCirculating,
+            sold: { tokens: 0, usd: 0, navTokens: 0, navValue: 0, navUsd: 0 },
+            bought: { tokens: 0, usd: 0, navTokens: 0, navValue: 0, navUsd: 0 },
+            primary: { tokens: 0, proceeds: 0 },
+            repurchased: { tokens: 0, cost: 0 },
+            quotes: {},
+            realizedPnl: 0,
+            fills: 0,
+            lastFillAt: null
+        };
+    }
+}
+
+module.exports = IssuerAccounting;
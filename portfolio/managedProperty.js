@@ -0,0 +1,284 @@
+/**
+ * portfolio/managedProperty.js - Tokenized Property Definition
+ *
+ * Describes one tokenized building managed by the bot: its token code and
+ * supply, its PropertyOracle configuration, the trading pairs quoting its
+ * token and per-property statistics. Properties are loaded from a portfolio
+ * config file; without one, a single property is built from the PROPERTY_*
+ * and RLA_* environment variables.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TradingPair = require('../trading/tradingPair');
+
+class ManagedProperty {
+    constructor(config = {}) {
+        this.id = config.id || config.tokenCode;
+        this.name = config.name || config.address || this.id;
+        this.address = config.address || null;
+        this.zip = config.zip || null;
+        this.tokenCode = config.tokenCode;
+        this.totalSupply = parseFloat(config.totalSupply);
+        // Tokens already held outside the issuer before the bot started trading
+        this.openingCirculating = parseFloat(config.openingCirculating || 0);
+
+        // USD per token used until (or without) an oracle valuation
+        this.fallbackPrice = config.referencePrice !== undefined ? parseFloat(config.referencePrice) : null;
+        // Token price change (fraction) that makes an oracle update reprice the offers
+        this.repriceThreshold = parseFloat(config.repriceThreshold ?? (process.env.REPRICE_THRESHOLD || '0.01'));
+
+        // PropertyOracle settings for this building
+        const oracleConfig = config.oracle || {};
+        this.oracleEnabled = oracleConfig.enabled !== undefined ?
+            oracleConfig.enabled : process.env.ORACLE_ENABLED === 'true';
+        this.oracleConfig = {
+            ...oracleConfig,
+            propertyId: oracleConfig.propertyId || this.id,
+            propertyAddress: oracleConfig.propertyAddress || this.address,
+            propertyZip: oracleConfig.propertyZip || this.zip
+        };
+
+        if (!this.id || !this.tokenCode) {
+            throw new Error('Managed property requires an id and tokenCode');
+        }
+
+        if (!(this.totalSupply > 0)) {
+            throw new Error(`Property ${this.id} requires a positive totalSupply`);
+        }
+
+        if (!(this.openingCirculating >= 0) || this.openingCirculating > this.totalSupply) {
+            throw new Error(`Property ${this.id} openingCirculating must be between 0 and totalSupply`);
+        }
+
+        if (!(this.repriceThreshold >= 0)) {
+            throw new Error(`Property ${this.id} repriceThreshold must be zero or more: ${this.repriceThreshold}`);
+        }
+
+        if (!this.oracleEnabled && !(this.fallbackPrice > 0)) {
+            throw new Error(`Property ${this.id} requires a referencePrice when its oracle is disabled`);
+        }
+
+        const scope = { propertyId: this.id, tokenCode: this.tokenCode };
+        this.pairs = config.pairs ?
+            TradingPair.fromConfigList(config.pairs, scope, `property ${this.id}`) :
+            TradingPair.loadAll({ configPath: config.pairsConfigPath, scope });
+
+        this.oracleManager = null;
+        this.currentPrice = null;
+        this.restoredValuation = null;
+        this.lastRepriceReport = null;
+
+        this.stats = {
+            priceUpdates: 0,
+            swaps: 0,
+            lastPriceUpdate: null
+        };
+    }
+
+    /**
+     * Calculate the token price from a property valuation
+     */
+    calculateTokenPrice(propertyValue) {
+        return propertyValue / this.totalSupply;
+    }
+
+    /**
+     * Get the reference (NAV) token price in USD
+     */
+    getReferencePrice() {
+        // Use current price if available from oracle, otherwise the configured rate
+        return this.currentPrice || this.fallbackPrice;
+    }
+
+    /**
+     * Check whether a new token price differs enough to reprice the offers
+     */
+    needsRepricing(newTokenPrice) {
+        const currentPrice = this.getReferencePrice();
+        return Math.abs(newTokenPrice - currentPrice) / currentPrice > this.repriceThreshold;
+    }
+
+    /**
+     * Record an oracle-driven token price
+     */
+    setTokenPrice(tokenPrice) {
+        this.currentPrice = tokenPrice;
+        this.stats.priceUpdates++;
+        this.stats.lastPriceUpdate = new Date();
+    }
+
+    /**
+     * Get the property value implied by the reference price
+     */
+    getPropertyValue() {
+        const valuation = this.oracleManager?.lastValuation;
+        return valuation ? valuation.currentValue : this.getReferencePrice() * this.totalSupply;
+    }
+
+    /**
+     * Get the trading pairs that are currently enabled
+     */
+    getEnabledPairs() {
+        return this.pairs.filter(pair => pair.enabled);
+    }
+
+    /**
+     * Get a trading pair by id
+     */
+    getPair(pairId) {
+        return this.pairs.find(pair => pair.id === pairId) || null;
+    }
+
+    /**
+     * Get the property's compliance report section
+     *
+     * Pair metrics may be supplied from the trade journal; by default the
+     * in-session pair statistics are used.
+     */
+    getComplianceSection(pairMetrics = null) {
+        const valuation = this.oracleManager?.lastValuation || null;
+        const metrics = pairMetrics || this.pairs.map(pair => pair.getMetrics());
+
+        return {
+            propertyId: this.id,
+            name: this.name,
+            address: this.address,
+            tokenCode: this.tokenCode,
+            totalSupply: this.totalSupply,
+            tokenPrice: this.getReferencePrice(),
+            propertyValue: this.getPropertyValue(),
+            valuation: valuation ? {
+                currentValue: valuation.currentValue,
+                confidence: valuation.confidence,
+                sourceCount: valuation.sourceCount,
+                timestamp: valuation.timestamp
+            } : null,
+            priceSource: this.currentPrice ? 'ORACLE' : 'CONFIGURED',
+            trading: {
+                swaps: this.stats.swaps,
+                rlaSold: metrics.reduce((sum, pair) => sum + pair.rlaSold, 0),
+                rlaBought: metrics.reduce((sum, pair) => sum + pair.rlaBought, 0),
+                activeOffers: this.pairs.reduce((sum, pair) => sum + pair.offerTracker.getSequences().length, 0),
+                pairs: metrics
+            },
+            lastRepricing: this.lastRepriceReport?.timestamp || null
+        };
+    }
+
+    /**
+     * Get property status
+     */
+    getStatus() {
+        return {
+            id: this.id,
+            name: this.name,
+            address: this.address,
+            zip: this.zip,
+            tokenCode: this.tokenCode,
+            totalSupply: this.totalSupply,
+            tokenPrice: this.getReferencePrice(),
+            priceSource: this.currentPrice ? 'oracle' : 'configured',
+            propertyValue: this.getPropertyValue(),
+            oracle: this.oracleManager ? this.oracleManager.getHealthStatus() : { status: 'DISABLED' },
+            statistics: {
+                ...this.stats,
+                lastPriceUpdate: this.stats.lastPriceUpdate?.toISOString() || null
+            },
+            pairs: this.pairs.map(pair => pair.getStatus()),
+            lastRepriceReport: this.lastRepriceReport
+        };
+    }
+
+    /**
+     * Export runtime state for the state snapshot
+     */
+    exportState() {
+        return {
+            currentPrice: this.currentPrice,
+            lastValuation: this.oracleManager?.lastValuation || this.restoredValuation,
+            lastRepriceReport: this.lastRepriceReport,
+            stats: {
+                ...this.stats,
+                lastPriceUpdate: this.stats.lastPriceUpdate?.toISOString() || null
+            },
+            pairs: this.pairs.reduce((byPair, pair) => {
+                byPair[pair.id] = pair.exportState();
+                return byPair;
+            }, {})
+        };
+    }
+
+    /**
+     * Restore runtime state from a state snapshot
+     *
+     * The oracle valuation is kept aside until the oracle manager exists.
+     */
+    restoreState(state = {}) {
+        // A property whose oracle was switched off goes back to its configured price
+        if (this.oracleEnabled) {
+            this.currentPrice = state.currentPrice || null;
+            this.restoredValuation = state.lastValuation || null;
+        }
+        this.lastRepriceReport = state.lastRepriceReport || null;
+        this.stats = {
+            ...this.stats,
+            ...state.stats,
+            lastPriceUpdate: state.stats?.lastPriceUpdate ? new Date(state.stats.lastPriceUpdate) : null
+        };
+
+        for (const pair of this.pairs) {
+            if (state.pairs && state.pairs[pair.id]) {
+                pair.restoreState(state.pairs[pair.id]);
+            }
+        }
+    }
+
+    /**
+     * Load properties from the portfolio config file or the environment
+     */
+    static loadAll(options = {}) {
+        const configPath = options.configPath || process.env.PORTFOLIO_CONFIG_PATH || './config/portfolio.json';
+        const resolvedPath = path.resolve(configPath);
+
+        if (!fs.existsSync(resolvedPath)) {
+            // Legacy single-property deployment from PROPERTY_* / RLA_* variables
+            return [new ManagedProperty({
+                id: process.env.PROPERTY_ID,
+                address: process.env.PROPERTY_ADDRESS,
+                zip: process.env.PROPERTY_ZIP,
+                tokenCode: process.env.RLA_TOKEN_CODE,
+                totalSupply: process.env.TOTAL_TOKEN_SUPPLY || process.env.RLA_AMOUNT,
+                openingCirculating: process.env.OPENING_CIRCULATING_SUPPLY,
+                referencePrice: parseFloat(process.env.USDT_AMOUNT) / parseFloat(process.env.RLA_AMOUNT)
+            })];
+        }
+
+        const config = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+        const properties = (config.properties || []).map(propertyConfig => new ManagedProperty(propertyConfig));
+
+        const ids = new Set();
+        const tokenCodes = new Set();
+        for (const property of properties) {
+            if (ids.has(property.id)) {
+                throw new Error(`Duplicate property id in ${configPath}: ${property.id}`);
+            }
+            // Offers are attributed to a property by token code alone
+            if (tokenCodes.has(property.tokenCode)) {
+                throw new Error(`Duplicate property token code in ${configPath}: ${property.tokenCode}`);
+            }
+            ids.add(property.id);
+            tokenCodes.add(property.tokenCode);
+        }
+
+        if (properties.length === 0) {
+            throw new Error(`No properties defined in ${configPath}`);
+        }
+
+        console.log(`🏢 Loaded ${properties.length} propert${properties.length === 1 ? 'y' : 'ies'} from ${configPath}`);
+        return properties;
+    }
+}
+
+module.exports = ManagedProperty;
@@ -0,0 +1,663 @@
+/**
+ * portfolio/rentalDistribution.js - Pro-Rata Rental Income Distribution
+ *
+ * Pays a property's rental income to its token holders in proportion to
+ * their holdings at a record date. Holders come from a cap table snapshot
+ * (a fresh one, or the latest saved one at or before the record date);
+ * the issuer, the paying account (RENT_PAYER_SEED, or the issuer), cap
+ * table exclusions and DISTRIBUTION_EXCLUDE accounts (treasury) receive
+ * nothing; with WALLET_MODE=distribution neither does the distribution
+ * account (DISTRIBUTION_WALLET_ADDRESS, or that of DISTRIBUTION_WALLET_SEED)
+ * holding the issuer's unsold tokens. Shares are rounded down to
+ * DISTRIBUTION_DECIMALS, so the payout never exceeds the amount; the
+ * rounding remainder and holders below DISTRIBUTION_MIN_PAYMENT stay with
+ * the payer.
+ *
+ * A run is a job file (DISTRIBUTION_DIR, default ./logs/distributions)
+ * saved after every batch of DISTRIBUTION_BATCH_SIZE payments, so a
+ * stopped run resumes where it left off. Every payment carries a memo
+ * naming the job and holder, and the hash and LastLedgerSequence of every
+ * signed attempt are saved before it is sent. On resume the payer's account
+ * history is searched for those memos and the saved hashes are looked up;
+ * a payment left in flight is only sent again once the validated ledger is
+ * past its own LastLedgerSequence with none of its attempts applied, so no
+ * holder is paid twice. A finished job writes a statement per holder to the
+ * compliance folder.
+ *
+ *   node portfolio/rentalDistribution.js preview --amount 5000 [--property id] [--record-date 2026-09-30T23:59:59Z]
+ *   node portfolio/rentalDistribution.js start --amount 5000 [--property id] [--record-date ...]
+ *   node portfolio/rentalDistribution.js resume <job id> [--retry-failed]
+ *   node portfolio/rentalDistribution.js status [job id]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const JOB_VERSION = 1;
+const MEMO_TYPE = 'distribution';
+
+class RentalDistribution {
+    constructor(config = {}) {
+        this.directory = config.directory || process.env.DISTRIBUTION_DIR || './logs/distributions';
+        this.statementDirectory = config.statementDirectory || './logs/compliance';
+        this.capTable = config.capTable;
+        this.complianceReporter = config.complianceReporter || null;
+
+        this.payoutCurrency = config.payoutCurrency || process.env.DISTRIBUTION_CURRENCY || process.env.USDT_TOKEN_CODE || 'USD';
+        this.payoutIssuer = config.payoutIssuer || process.env.DISTRIBUTION_ISSUER || process.env.USDT_ISSUER;
+        this.decimals = parseInt(config.decimals || process.env.DISTRIBUTION_DECIMALS || '6');
+        this.minPayment = parseFloat(config.minPayment || process.env.DISTRIBUTION_MIN_PAYMENT || '0.01');
+        this.batchSize = parseInt(config.batchSize || process.env.DISTRIBUTION_BATCH_SIZE || '10');
+        this.excludeAccounts = new Set(config.excludeAccounts ||
+            (process.env.DISTRIBUTION_EXCLUDE || '').split(',').map(account => account.trim()).filter(Boolean));
+
+        if (!this.capTable) {
+            throw new Error('Rental distribution requires a cap table');
+        }
+        if (!this.payoutIssuer) {
+            throw new Error('Rental distribution requires a payout issuer (DISTRIBUTION_ISSUER or USDT_ISSUER)');
+        }
+    }
+
+    /**
+     * Get the record date snapshot
+     *
+     * Without a record date the ledger is read now; otherwise the latest
+     * saved snapshot taken at or before it is used.
+     */
+    async resolveSnapshot(client, issuer, recordDate = null) {
+        if (!recordDate) {
+            return this.capTable.build(client, issuer);
+        }
+
+        const cutoff = Date.parse(recordDate);
+        if (isNaN(cutoff)) {
+            throw new Error(`Invalid record date: ${recordDate}`);
+        }
+
+        const files = await this.capTable.listSnapshots();
+        for (const file of files.reverse()) {
+            const snapshot = await this.capTable.loadSnapshot(file);
+            if (Date.parse(snapshot.takenAt) <= cutoff && snapshot.issuer === issuer) {
+                return snapshot;
+            }
+        }
+
+        throw new Error(`No cap table snapshot of ${issuer} at or before ${recordDate} in ${this.capTable.directory}`);
+    }
+
+    /**
+     * Work out every holder's payment without submitting anything
+     *
+     * Allocates from `options.snapshot` when given (e.g. one just saved for
+     * a new job), otherwise from the record date snapshot.
+     */
+    async preview(client, options) {
+        const { issuer, payer, tokenCode, amount, recordDate } = options;
+        const total = parseFloat(amount);
+        if (!(total > 0)) {
+            throw new Error(`Distribution amount must be positive: ${amount}`);
+        }
+
+        const snapshot = options.snapshot || await this.resolveSnapshot(client, issuer, recordDate);
+        const token = snapshot.tokens[tokenCode];
+        if (!token) {
+            throw new Error(`Snapshot at ${snapshot.takenAt} has no ${tokenCode} holders`);
+        }
+
+        const excluded = new Set([issuer, payer, ...this.excludeAccounts]);
+        const eligible = token.holders.filter(holder => !excluded.has(holder.account));
+        const allocation = RentalDistribution.allocate(eligible, total, this.decimals, this.minPayment);
+
+        return {
+            tokenCode: tokenCode,
+            issuer: issuer,
+            payer: payer,
+            recordDate: snapshot.takenAt,
+            snapshotFile: snapshot.file || null,
+            ledgerIndex: snapshot.ledgerIndex,
+            amount: total,
+            payout: { currency: this.payoutCurrency, issuer: this.payoutIssuer },
+            excludedAccounts: token.holders.filter(holder => excluded.has(holder.account))
+                .map(holder => ({ account: holder.account, balance: holder.balance }))
+                .concat(token.excluded || []),
+            eligibleTokens: allocation.eligibleTokens,
+            amountPerToken: allocation.eligibleTokens > 0 ? total / allocation.eligibleTokens : 0,
+            allocated: allocation.allocated,
+            remainder: allocation.remainder,
+            belowMinimum: allocation.belowMinimum,
+            payments: allocation.payments
+        };
+    }
+
+    /**
+     * Create a job from a preview and save it
+     */
+    async createJob(plan, ledgerIndex) {
+        const stamp = plan.recordDate.split('T')[0].replace(/-/g, '');
+        const job = {
+            version: JOB_VERSION,
+            id: `dist-${plan.tokenCode}-${stamp}-${crypto.randomBytes(3).toString('hex')}`,
+            status: 'CREATED',
+            ...plan,
+            // Payments of this job can only be in ledgers from here on
+            startLedger: ledgerIndex,
+            createdAt: new Date().toISOString(),
+            completedAt: null,
+            payments: plan.payments.map(payment => ({
+                ...payment,
+                status: 'PENDING',
+                hash: null,
+                // Every signed attempt, and the last ledger the latest one can validate in
+                hashes: [],
+                lastLedgerSequence: null,
+                ledgerIndex: null,
+                attempts: 0,
+                error: null,
+                paidAt: null
+            }))
+        };
+
+        await this.saveJob(job);
+        return job;
+    }
+
+    /**
+     * Pay every pending holder of a job, one batch at a time
+     *
+     * Payments sent before a restart are reconciled from the payer's account
+     * history first. Resolves to the job; its status is COMPLETED,
+     * COMPLETED_WITH_FAILURES or WAITING (payments still in flight).
+     */
+    async run(job, client, submitter, wallet, options = {}) {
+        if (wallet.address !== job.payer) {
+            throw new Error(`Job ${job.id} pays from ${job.payer}, not ${wallet.address}`);
+        }
+
+        if (options.retryFailed) {
+            job.payments.filter(payment => payment.status === 'FAILED')
+                .forEach(payment => Object.assign(payment, { status: 'PENDING', error: null }));
+        }
+
+        job.status = 'RUNNING';
+        await this.reconcile(job, client, submitter);
+
+        if (job.payments.some(payment => payment.status === 'SUBMITTING')) {
+            job.status = 'WAITING';
+            await this.saveJob(job);
+            console.warn(`⏳ ${job.id}: payment(s) from before the restart may still validate - resume after their last ledger`);
+            return job;
+        }
+
+        const pending = job.payments.filter(payment => payment.status === 'PENDING');
+        await this.checkFunding(job, client, pending);
+
+        for (let start = 0; start < pending.length; start += this.batchSize) {
+            const batch = pending.slice(start, start + this.batchSize);
+
+            // Checkpoint before sending, so a crash leaves the batch marked in flight
+            batch.forEach(payment => { payment.status = 'SUBMITTING'; });
+            await this.saveJob(job);
+
+            await Promise.all(batch.map(payment => this.pay(job, payment, submitter, wallet)));
+            await this.saveJob(job);
+
+            const paid = job.payments.filter(payment => payment.status === 'PAID').length;
+            console.log(`💸 ${job.id}: batch ${Math.floor(start / this.batchSize) + 1} done - ${paid}/${job.payments.length} holder(s) paid`);
+        }
+
+        const failed = job.payments.filter(payment => payment.status === 'FAILED');
+        job.status = failed.length > 0 ? 'COMPLETED_WITH_FAILURES' : 'COMPLETED';
+        job.completedAt = new Date().toISOString();
+        await this.saveJob(job);
+        await this.writeStatements(job);
+
+        return job;
+    }
+
+    /**
+     * Make sure the payer holds enough of the payout currency for the pending payments
+     */
+    async checkFunding(job, client, pending) {
+        const needed = RentalDistribution.round(pending.reduce((sum, payment) => sum + payment.amount, 0), this.decimals);
+        if (needed === 0 || job.payer === job.payout.issuer) {
+            return;
+        }
+
+        const response = await client.request({
+            command: 'account_lines',
+            account: job.payer,
+            peer: job.payout.issuer,
+            ledger_index: 'validated'
+        });
+        const line = response.result.lines.find(entry => entry.currency === job.payout.currency);
+
+        if (!line) {
+            console.warn(`⚠️ ${job.payer} has no ${job.payout.currency} trust line to ${job.payout.issuer} - payments will fail unless it can be funded`);
+            return;
+        }
+
+        if (parseFloat(line.balance) < needed) {
+            throw new Error(`${job.payer} holds ${line.balance} ${job.payout.currency}, ${needed} needed for ${pending.length} payment(s) of ${job.id}`);
+        }
+    }
+
+    /**
+     * Submit one holder's payment and record the outcome
+     *
+     * Each signed attempt is saved to the job before it is sent.
+     */
+    async pay(job, payment, submitter, wallet) {
+        payment.attempts++;
+
+        try {
+            const result = await submitter.submit({
+                TransactionType: 'Payment',
+                Account: wallet.address,
+                Destination: payment.account,
+                Amount: {
+                    currency: job.payout.currency,
+                    issuer: job.payout.issuer,
+                    value: String(payment.amount)
+                },
+                Memos: [RentalDistribution.memo(job.id, payment.account)]
+            }, {
+                wallet: wallet,
+                label: `Distribution ${job.id} to ${payment.account}`,
+                onSigned: async (record) => {
+                    Object.assign(payment, { hash: record.hash, hashes: record.hashes.slice(), lastLedgerSequence: record.lastLedgerSequence });
+                    await this.saveJob(job);
+                }
+            });
+            Object.assign(payment, { status: 'PAID', hash: result.hash, ledgerIndex: result.ledgerIndex, error: null, paidAt: new Date().toISOString() });
+        } catch (error) {
+            Object.assign(payment, { status: 'FAILED', error: error.message });
+        }
+    }
+
+    /**
+     * Settle payments left unfinished by a previous run
+     *
+     * A memo match in the payer's history marks a holder paid. An in-flight
+     * payment is settled by looking up its saved hashes; one none of whose
+     * attempts validated goes back to pending only once the validated ledger
+     * is past its LastLedgerSequence (at once if it was never signed).
+     */
+    async reconcile(job, client, submitter) {
+        const open = job.payments.filter(payment => payment.status === 'SUBMITTING' || payment.status === 'PENDING');
+        if (open.length === 0 || !job.startLedger) {
+            return;
+        }
+
+        // Read before the lookups, so an attempt that validates meanwhile is not taken as expired
+        const ledgerIndex = await RentalDistribution.getValidatedLedger(client);
+        const found = await this.findJobPayments(job, client);
+
+        for (const payment of open) {
+            const entry = found.get(payment.account);
+
+            if (entry && entry.resultCode === 'tesSUCCESS') {
+                Object.assign(payment, { status: 'PAID', hash: entry.hash, ledgerIndex: entry.ledgerIndex, error: null, paidAt: entry.closedAt });
+                console.log(`🔁 ${job.id}: ${payment.account} was already paid (${entry.hash})`);
+                continue;
+            }
+
+            if (payment.status !== 'SUBMITTING') {
+                continue;
+            }
+
+            const validated = await submitter.findValidated(client, payment.hashes || []);
+            if (validated && validated.meta.TransactionResult === 'tesSUCCESS') {
+                Object.assign(payment, { status: 'PAID', hash: validated.hash, ledgerIndex: validated.ledger_index, error: null, paidAt: validated.close_time_iso || null });
+                console.log(`🔁 ${job.id}: ${payment.account} was already paid (${validated.hash})`);
+            } else if (validated) {
+                Object.assign(payment, { status: 'FAILED', hash: validated.hash, ledgerIndex: validated.ledger_index, error: `Payment failed: ${validated.meta.TransactionResult}` });
+            } else if (!payment.lastLedgerSequence || ledgerIndex > payment.lastLedgerSequence) {
+                payment.status = 'PENDING';
+                payment.error = null;
+            }
+        }
+
+        await this.saveJob(job);
+    }
+
+    /**
+     * Find this job's payments in the payer's validated history, by memo
+     */
+    async findJobPayments(job, client) {
+        const found = new Map();
+        const prefix = `${job.id}:`;
+        let marker;
+
+        do {
+            const response = await client.request({
+                command: 'account_tx',
+                account: job.payer,
+                ledger_index_min: job.startLedger,
+                ledger_index_max: -1,
+                limit: 200,
+                marker: marker
+            });
+
+            for (const entry of response.result.transactions) {
+                const tx = entry.tx_json || entry.tx;
+                const memoData = RentalDistribution.readMemo(tx);
+                if (tx.TransactionType !== 'Payment' || !memoData || !memoData.startsWith(prefix)) {
+                    continue;
+                }
+
+                const account = memoData.slice(prefix.length);
+                const resultCode = entry.meta.TransactionResult;
+                // A success wins over an earlier failed attempt
+                if (!found.has(account) || resultCode === 'tesSUCCESS') {
+                    found.set(account, {
+                        hash: entry.hash || tx.hash,
+                        ledgerIndex: entry.ledger_index,
+                        resultCode: resultCode,
+                        closedAt: entry.close_time_iso || null
+                    });
+                }
+            }
+
+            marker = response.result.marker;
+        } while (marker);
+
+        return found;
+    }
+
+    /**
+     * Write the per-holder statements of a job to the compliance folder
+     */
+    async writeStatements(job) {
+        await fs.mkdir(this.statementDirectory, { recursive: true });
+
+        const statements = job.payments.map(payment => ({
+            jobId: job.id,
+            holder: payment.account,
+            token: job.tokenCode,
+            issuer: job.issuer,
+            recordDate: job.recordDate,
+            recordLedger: job.ledgerIndex,
+            tokensHeld: payment.balance,
+            share: payment.share,
+            amount: payment.amount,
+            currency: job.payout.currency,
+            currencyIssuer: job.payout.issuer,
+            status: payment.status,
+            transactionHash: payment.hash,
+            ledgerIndex: payment.ledgerIndex,
+            paidAt: payment.paidAt,
+            error: payment.error
+        }));
+
+        const basename = path.join(this.statementDirectory, `distribution_${job.id}`);
+        await fs.writeFile(`${basename}_statements.json`, JSON.stringify({
+            jobId: job.id,
+            status: job.status,
+            token: job.tokenCode,
+            recordDate: job.recordDate,
+            amount: job.amount,
+            allocated: job.allocated,
+            paid: RentalDistribution.round(statements.filter(statement => statement.status === 'PAID')
+                .reduce((sum, statement) => sum + statement.amount, 0), job.decimals || this.decimals),
+            remainder: job.remainder,
+            belowMinimum: job.belowMinimum,
+            excludedAccounts: job.excludedAccounts,
+            statements: statements
+        }, null, 2));
+        await fs.writeFile(`${basename}_statements.csv`, RentalDistribution.toCsv(statements));
+
+        if (this.complianceReporter) {
+            try {
+                await this.complianceReporter.generateAdHocReport('Rental Distribution', {
+                    jobId: job.id,
+                    status: job.status,
+                    token: job.tokenCode,
+                    recordDate: job.recordDate,
+                    amount: job.amount,
+                    holdersPaid: statements.filter(statement => statement.status === 'PAID').length,
+                    holdersFailed: statements.filter(statement => statement.status === 'FAILED').length,
+                    statements: `${basename}_statements.json`
+                });
+            } catch (error) {
+                console.warn('⚠️ Could not report the distribution:', error.message);
+            }
+        }
+
+        console.log(`🧾 Statements for ${statements.length} holder(s) written to ${basename}_statements.json`);
+        return `${basename}_statements.json`;
+    }
+
+    /**
+     * Atomically replace a job file
+     */
+    async saveJob(job) {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        const file = path.join(this.directory, `${job.id}.json`);
+        const tempFile = `${file}.tmp`;
+        job.updatedAt = new Date().toISOString();
+        await fs.writeFile(tempFile, JSON.stringify(job, null, 2));
+        await fs.rename(tempFile, file);
+        return file;
+    }
+
+    /**
+     * Read a job file
+     */
+    async loadJob(id) {
+        const job = JSON.parse(await fs.readFile(path.join(this.directory, `${id}.json`), 'utf8'));
+        if (job.version !== JOB_VERSION) {
+            throw new Error(`Unsupported distribution job version ${job.version} for ${id}`);
+        }
+        return job;
+    }
+
+    /**
+     * List saved jobs, oldest first
+     */
+    async listJobs() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const jobs = await Promise.all(files.filter(file => file.endsWith('.json'))
+            .map(file => this.loadJob(file.replace(/\.json$/, ''))));
+        return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Split an amount over holders pro rata, rounding every share down
+     */
+    static allocate(holders, total, decimals, minPayment) {
+        const eligibleTokens = holders.reduce((sum, holder) => sum + holder.balance, 0);
+        const unit = Math.pow(10, decimals);
+        const payments = [];
+        const belowMinimum = [];
+
+        for (const holder of holders) {
+            const share = eligibleTokens > 0 ? holder.balance / eligibleTokens : 0;
+            const amount = Math.floor(total * share * unit + 1e-9) / unit;
+            const entry = { account: holder.account, balance: holder.balance, share: RentalDistribution.round(share, 10), amount: amount };
+
+            if (amount >= minPayment && amount > 0) {
+                payments.push(entry);
+            } else {
+                belowMinimum.push(entry);
+            }
+        }
+
+        const allocated = RentalDistribution.round(payments.reduce((sum, payment) => sum + payment.amount, 0), decimals);
+
+        return {
+            eligibleTokens: eligibleTokens,
+            payments: payments,
+            belowMinimum: belowMinimum,
+            allocated: allocated,
+            remainder: RentalDistribution.round(total - allocated, decimals)
+        };
+    }
+
+    /**
+     * Build the memo that ties a payment to its job and holder
+     */
+    static memo(jobId, account) {
+        return {
+            Memo: {
+                MemoType: Buffer.from(MEMO_TYPE, 'utf8').toString('hex').toUpperCase(),
+                MemoData: Buffer.from(`${jobId}:${account}`, 'utf8').toString('hex').toUpperCase()
+            }
+        };
+    }
+
+    /**
+     * Read the distribution memo of a transaction (null when it has none)
+     */
+    static readMemo(tx) {
+        const type = Buffer.from(MEMO_TYPE, 'utf8').toString('hex').toUpperCase();
+        const memo = (tx.Memos || []).find(entry => entry.Memo && (entry.Memo.MemoType || '').toUpperCase() === type);
+        return memo && memo.Memo.MemoData ? Buffer.from(memo.Memo.MemoData, 'hex').toString('utf8') : null;
+    }
+
+    /**
+     * Get the latest validated ledger index
+     */
+    static async getValidatedLedger(client) {
+        const response = await client.request({ command: 'ledger', ledger_index: 'validated' });
+        return response.result.ledger_index;
+    }
+
+    /**
+     * Export statements as CSV
+     */
+    static toCsv(statements) {
+        const columns = ['jobId', 'holder', 'token', 'recordDate', 'tokensHeld', 'share', 'amount', 'currency', 'status', 'transactionHash', 'ledgerIndex', 'paidAt'];
+        const rows = statements.map(statement => columns.map(column => statement[column] === null ? '' : statement[column]).join(','));
+        return [columns.join(','), ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Round to a number of decimals
+     */
+    static round(value, decimals) {
+        const unit = Math.pow(10, decimals);
+        return Math.round(value * unit) / unit;
+    }
+}
+
+// Run standalone
+if (require.main === module) {
+    require('dotenv').config();
+    const xrpl = require('xrpl');
+    const CapTable = require('./capTable');
+    const ManagedProperty = require('./managedProperty');
+    const ComplianceReporter = require('../fireblocks/complianceReporter');
+    const ConnectionManager = require('../ledger/connectionManager');
+    const TransactionSubmitter = require('../ledger/transactionSubmitter');
+
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+    const valueOptions = ['--amount', '--property', '--record-date'];
+    const [command, jobId] = args.filter((arg, index) => !arg.startsWith('--') && !valueOptions.includes(args[index - 1]));
+    const printPlan = (plan) => {
+        console.log(`📋 ${plan.tokenCode} distribution of ${plan.amount} ${plan.payout.currency} - record date ${plan.recordDate} (ledger ${plan.ledgerIndex})`);
+        console.log(`   ${plan.payments.length} holder(s) paid ${plan.allocated}, ${(plan.amountPerToken).toFixed(8)} per token; remainder ${plan.remainder} stays with ${plan.payer}`);
+        plan.payments.forEach(payment => console.log(`   ${payment.account} ${payment.balance} ${plan.tokenCode} (${(payment.share * 100).toFixed(4)}%) → ${payment.amount}`));
+        plan.belowMinimum.forEach(payment => console.log(`   ${payment.account} ${payment.balance} ${plan.tokenCode} → ${payment.amount} below the minimum payment, not paid`));
+        plan.excludedAccounts.forEach(entry => console.log(`   ${entry.account} ${entry.balance} ${plan.tokenCode} excluded`));
+    };
+
+    (async () => {
+        const properties = ManagedProperty.loadAll();
+        const property = option('property') ?
+            properties.find(entry => entry.id === option('property') || entry.tokenCode === option('property')) :
+            properties[0];
+        if (!property) {
+            throw new Error(`Unknown property: ${option('property')}`);
+        }
+
+        const complianceReporter = new ComplianceReporter();
+        const distribution = new RentalDistribution({
+            capTable: new CapTable({ currencies: properties.map(entry => entry.tokenCode) }),
+            complianceReporter: complianceReporter,
+            statementDirectory: complianceReporter.config.outputDirectory
+        });
+        if (process.env.WALLET_MODE === 'distribution') {
+            // Unsold inventory of the cold issuer, not a holder
+            const inventory = process.env.DISTRIBUTION_WALLET_ADDRESS || xrpl.Wallet.fromSeed(process.env.DISTRIBUTION_WALLET_SEED).address;
+            distribution.excludeAccounts.add(inventory);
+            distribution.capTable.excludeAccounts.add(inventory);
+        }
+
+        if (command === 'status') {
+            const jobs = jobId ? [await distribution.loadJob(jobId)] : await distribution.listJobs();
+            jobs.forEach(job => {
+                const counts = job.payments.reduce((byStatus, payment) => ({ ...byStatus, [payment.status]: (byStatus[payment.status] || 0) + 1 }), {});
+                console.log(`${job.id} ${job.status} - ${job.amount} ${job.payout.currency} to ${job.payments.length} holder(s) of ${job.tokenCode} (record ${job.recordDate}) ${JSON.stringify(counts)}`);
+            });
+            return;
+        }
+
+        if (!['preview', 'start', 'resume'].includes(command)) {
+            throw new Error('Usage: rentalDistribution.js preview|start|resume|status (see the header of portfolio/rentalDistribution.js)');
+        }
+
+        const connectionManager = new ConnectionManager();
+        const client = await connectionManager.connect();
+        const wallet = xrpl.Wallet.fromSeed(process.env.RENT_PAYER_SEED || process.env.ISSUER_SEED);
+        const issuer = process.env.ISSUER_ADDRESS || xrpl.Wallet.fromSeed(process.env.ISSUER_SEED).address;
+
+        try {
+            let job;
+            if (command === 'resume') {
+                job = await distribution.loadJob(jobId);
+            } else {
+                // A new job without a record date pays from holdings saved now, and the plan comes from that same snapshot
+                const snapshot = command === 'start' && !option('record-date') ?
+                    await distribution.capTable.takeSnapshot(client, issuer) : null;
+                const plan = await distribution.preview(client, {
+                    issuer: issuer,
+                    payer: wallet.address,
+                    tokenCode: property.tokenCode,
+                    amount: option('amount'),
+                    recordDate: option('record-date'),
+                    snapshot: snapshot
+                });
+                printPlan(plan);
+
+                if (command === 'preview') {
+                    console.log('🔍 Dry run - nothing submitted');
+                    return;
+                }
+
+                job = await distribution.createJob(plan, await RentalDistribution.getValidatedLedger(client));
+                console.log(`🆕 Job ${job.id} created`);
+            }
+
+            await complianceReporter.ensureOutputDirectory();
+            const submitter = new TransactionSubmitter({ getClient: () => connectionManager.getClient() });
+            job = await distribution.run(job, client, submitter, wallet, { retryFailed: args.includes('--retry-failed') });
+
+            const failed = job.payments.filter(payment => payment.status === 'FAILED');
+            console.log(`${failed.length > 0 ? '⚠️' : '✅'} ${job.id} ${job.status}`);
+            failed.forEach(payment => console.error(`   ❌ ${payment.account}: ${payment.error}`));
+        } finally {
+            await connectionManager.disconnect();
+        }
+    })().catch(error => {
+        console.error('💥 Rental distribution failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = RentalDistribution;
@@ -0,0 +1,311 @@
+/**
+ * portfolio/supplyReconciliation.js - Token Supply Reconciliation
+ *
+ * Token prices are property value divided by the configured supply
+ * (TOTAL_TOKEN_SUPPLY or the portfolio's totalSupply), so that number has
+ * to agree with the ledger. Each run compares, per token:
+ *
+ *   - the configured supply
+ *   - what the issuer owes holders on the ledger (gateway_balances
+ *     obligations, plus any hot wallet balances)
+ *   - tokens the bot has on offer, which must fit in what is left to sell
+ *   - tokens custody reports holding, against that account's ledger balance
+ *
+ * Any mismatch beyond SUPPLY_TOLERANCE is reported; while one stands the
+ * bot blocks trading (unless SUPPLY_MISMATCH_BLOCKS_TRADING=false) and
+ * resumes once a later run reconciles.
+ *
+ *   node portfolio/supplyReconciliation.js
+ */
+
+const xrpl = require('xrpl');
+
+class SupplyReconciliation {
+    constructor(config = {}) {
+        // Managed properties: tokenCode and configured totalSupply
+        this.properties = config.properties || [];
+        // Resolves to the custody verification (optional)
+        this.getCustody = config.getCustody || null;
+        // Issuer-owned operational accounts holding issued tokens
+        this.hotWallets = config.hotWallets || [];
+        this.tolerance = parseFloat(config.tolerance || process.env.SUPPLY_TOLERANCE || '0.000001');
+        this.checkInterval = parseInt(config.checkInterval || process.env.SUPPLY_RECONCILIATION_INTERVAL || '900000');
+        this.blockTrading = config.blockTrading !== undefined ?
+            config.blockTrading : process.env.SUPPLY_MISMATCH_BLOCKS_TRADING !== 'false';
+
+        this.lastResult = null;
+        this.blockedSince = null;
+
+        this.stats = {
+            runs: 0,
+            mismatchedRuns: 0,
+            failures: 0
+        };
+    }
+
+    /**
+     * Reconcile every token's supply against the ledger and custody
+     *
+     * offerAccount is the account the bot trades from; offers of the issuer
+     * itself draw on the unissued supply, those of any other account on its
+     * own balance.
+     */
+    async reconcile(client, issuer, offerAccount = issuer) {
+        try {
+            const balances = await client.request({
+                command: 'gateway_balances',
+                account: issuer,
+                ledger_index: 'validated',
+                ...(this.hotWallets.length > 0 && { hotwallet: this.hotWallets })
+            });
+            const obligations = balances.result.obligations || {};
+            const hotBalances = balances.result.balances || {};
+
+            const offersHeld = await this.getOfferedTokens(client, issuer, offerAccount);
+            const custody = this.getCustody ? await this.getCustody() : null;
+            const tokens = {};
+
+            for (const property of this.properties) {
+                const tokenCode = property.tokenCode;
+                const outstanding = parseFloat(obligations[tokenCode] || '0');
+                const hotWalletHeld = SupplyReconciliation.round(Object.values(hotBalances)
+                    .reduce((sum, entries) => sum + entries
+                        .filter(entry => entry.currency === tokenCode)
+                        .reduce((total, entry) => total + parseFloat(entry.value), 0), 0));
+                const issued = SupplyReconciliation.round(outstanding + hotWalletHeld);
+                const inOffers = offersHeld[tokenCode] || 0;
+                const available = offerAccount === issuer ?
+                    Math.max(0, SupplyReconciliation.round(property.totalSupply - issued)) :
+                    this.getHotWalletBalance(hotBalances, offerAccount, tokenCode);
+
+                const token = {
+                    propertyId: property.id,
+                    configuredSupply: property.totalSupply,
+                    outstanding: outstanding,
+                    hotWalletHeld: hotWalletHeld,
+                    issued: issued,
+                    unissued: SupplyReconciliation.round(property.totalSupply - issued),
+                    inOffers: inOffers,
+                    availableForOffers: available,
+                    custody: await this.checkCustody(client, issuer, tokenCode, custody),
+                    mismatches: []
+                };
+
+                if (issued > property.totalSupply + this.tolerance) {
+                    token.mismatches.push({
+                        check: 'ISSUED_EXCEEDS_SUPPLY',
+                        message: `${issued} ${tokenCode} issued on the ledger, configured supply is ${property.totalSupply}`,
+                        expected: property.totalSupply,
+                        actual: issued
+                    });
+                }
+
+                if (inOffers > available + this.tolerance) {
+                    token.mismatches.push({
+                        check: 'OFFERS_EXCEED_AVAILABLE',
+                        message: `${inOffers} ${tokenCode} on offer from ${offerAccount}, only ${available} available`,
+                        expected: available,
+                        actual: inOffers
+                    });
+                }
+
+                if (token.custody.status === 'MISMATCH') {
+                    token.mismatches.push({
+                        check: 'CUSTODY_MISMATCH',
+                        message: `Custody reports ${token.custody.reported} ${tokenCode} at ${token.custody.address}, the ledger shows ${token.custody.ledger}`,
+                        expected: token.custody.ledger,
+                        actual: token.custody.reported
+                    });
+                }
+
+                tokens[tokenCode] = token;
+            }
+
+            const mismatches = Object.entries(tokens).flatMap(([tokenCode, token]) =>
+                token.mismatches.map(mismatch => ({ tokenCode: tokenCode, ...mismatch })));
+
+            this.stats.runs++;
+            if (mismatches.length > 0) {
+                this.stats.mismatchedRuns++;
+                this.blockedSince = this.blockedSince || new Date().toISOString();
+            } else {
+                this.blockedSince = null;
+            }
+
+            this.lastResult = {
+                issuer: issuer,
+                offerAccount: offerAccount,
+                ledgerIndex: balances.result.ledger_index,
+                reconciled: mismatches.length === 0,
+                tokens: tokens,
+                mismatches: mismatches,
+                custodySource: custody ? custody.custodian : null,
+                checkedAt: new Date().toISOString()
+            };
+
+            return this.lastResult;
+
+        } catch (error) {
+            this.stats.failures++;
+            throw error;
+        }
+    }
+
+    /**
+     * Total the tokens of this issuer an account is offering for sale
+     */
+    async getOfferedTokens(client, issuer, account) {
+        const offered = {};
+        let marker;
+
+        do {
+            const response = await client.request({
+                command: 'account_offers',
+                account: account,
+                ledger_index: 'validated',
+                limit: 400,
+                marker: marker
+            });
+
+            for (const offer of response.result.offers) {
+                const gets = offer.taker_gets;
+                if (typeof gets === 'object' && gets.issuer === issuer) {
+                    offered[gets.currency] = SupplyReconciliation.round((offered[gets.currency] || 0) + parseFloat(gets.value));
+                }
+            }
+
+            marker = response.result.marker;
+        } while (marker);
+
+        return offered;
+    }
+
+    /**
+     * Compare what custody reports holding of a token with the ledger
+     *
+     * Custody assets match by id (the token code, or the code followed by
+     * an underscore and a network suffix). Mock custody data and assets
+     * without an XRPL address cannot be verified and never block trading.
+     */
+    async checkCustody(client, issuer, tokenCode, custody) {
+        const asset = custody && !custody.isMockData && (custody.assets || []).find(entry =>
+            entry.assetId === tokenCode || String(entry.assetId).startsWith(`${tokenCode}_`));
+
+        if (!asset) {
+            return { status: 'NOT_REPORTED', reported: null, ledger: null, address: null };
+        }
+
+        const reported = parseFloat(asset.balance.total);
+        if (!xrpl.isValidClassicAddress(asset.address || '')) {
+            return { status: 'UNVERIFIABLE', reported: reported, ledger: null, address: asset.address || null };
+        }
+
+        const response = await client.request({
+            command: 'account_lines',
+            account: asset.address,
+            peer: issuer,
+            ledger_index: 'validated'
+        });
+        const line = response.result.lines.find(entry => entry.currency === tokenCode);
+        const ledger = line ? parseFloat(line.balance) : 0;
+
+        return {
+            status: Math.abs(reported - ledger) > this.tolerance ? 'MISMATCH' : 'MATCHED',
+            reported: reported,
+            ledger: ledger,
+            address: asset.address
+        };
+    }
+
+    /**
+     * Get a hot wallet's balance of a token from gateway_balances
+     */
+    getHotWalletBalance(hotBalances, account, tokenCode) {
+        return (hotBalances[account] || [])
+            .filter(entry => entry.currency === tokenCode)
+            .reduce((sum, entry) => sum + parseFloat(entry.value), 0);
+    }
+
+    /**
+     * Check whether an unresolved mismatch blocks trading
+     */
+    isBlocking() {
+        return this.blockTrading && this.lastResult !== null && !this.lastResult.reconciled;
+    }
+
+    /**
+     * Get the last reconciliation for the compliance report
+     */
+    getComplianceData() {
+        return this.lastResult ? {
+            ...this.lastResult,
+            tradingBlocked: this.isBlocking(),
+            blockedSince: this.blockedSince
+        } : null;
+    }
+
+    /**
+     * Get reconciliation status
+     */
+    getStatus() {
+        return {
+            checkInterval: this.checkInterval,
+            tolerance: this.tolerance,
+            blockTrading: this.blockTrading,
+            tradingBlocked: this.isBlocking(),
+            blockedSince: this.blockedSince,
+            reconciled: this.lastResult ? this.lastResult.reconciled : null,
+            mismatches: this.lastResult ? this.lastResult.mismatches : [],
+            checkedAt: this.lastResult ? this.lastResult.checkedAt : null,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Round token amounts to the ledger's 15 significant digits
+     */
+    static round(value) {
+        return parseFloat(value.toPrecision(15));
+    }
+}
+
+// Run standalone
+if (require.main === module) {
+    require('dotenv').config();
+    const ManagedProperty = require('./managedProperty');
+    const FireblocksCustodyManager = require('../fireblocks/custodyManager');
+    const ConnectionManager = require('../ledger/connectionManager');
+
+    (async () => {
+        const custodyManager = new FireblocksCustodyManager();
+        await custodyManager.initialize();
+
+        const reconciliation = new SupplyReconciliation({
+            properties: ManagedProperty.loadAll(),
+            getCustody: () => custodyManager.getCustodyVerification()
+        });
+        const connectionManager = new ConnectionManager();
+        const client = await connectionManager.connect();
+        const issuer = process.env.ISSUER_ADDRESS || xrpl.Wallet.fromSeed(process.env.ISSUER_SEED).address;
+
+        try {
+            const result = await reconciliation.reconcile(client, issuer);
+
+            for (const [tokenCode, token] of Object.entries(result.tokens)) {
+                console.log(`🧮 ${tokenCode}: supply ${token.configuredSupply}, issued ${token.issued} (${token.outstanding} with holders, ${token.hotWalletHeld} in hot wallets), ${token.unissued} unissued`);
+                console.log(`   On offer: ${token.inOffers} of ${token.availableForOffers} available - custody ${token.custody.status}${token.custody.reported !== null ? ` (${token.custody.reported} reported, ${token.custody.ledger} on ledger)` : ''}`);
+            }
+            result.mismatches.forEach(mismatch => console.error(`🚨 ${mismatch.check}: ${mismatch.message}`));
+            console.log(result.reconciled ? `✅ Supply reconciled at ledger ${result.ledgerIndex}` : `❌ ${result.mismatches.length} supply mismatch(es) at ledger ${result.ledgerIndex}`);
+            process.exitCode = result.reconciled ? 0 : 2;
+        } finally {
+            await connectionManager.disconnect();
+            await custodyManager.cleanup();
+        }
+    })().catch(error => {
+        console.error('💥 Supply reconciliation failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = SupplyReconciliation;
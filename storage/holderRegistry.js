@@ -0,0 +1,293 @@
+/**
+ * storage/holderRegistry.js - KYC Holder Registry
+ *
+ * Keeps one record per holder account: KYC status (pending, approved or
+ * rejected), the KYC reference and reviewer, when the approval expires and
+ * whether the issuer has authorized the account's trust line. Accounts that
+ * open a trust line before they are reviewed are registered as pending, so
+ * the registry doubles as the review queue. Every status change is kept in
+ * the record's history. The registry file is replaced atomically, as the
+ * bot state snapshot is.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const xrpl = require('xrpl');
+
+const REGISTRY_VERSION = 1;
+const KYC_STATUSES = ['pending', 'approved', 'rejected'];
+
+class HolderRegistry {
+    constructor(config = {}) {
+        this.directory = config.directory || process.env.HOLDER_REGISTRY_DIR || './logs/registry';
+        this.registryFile = path.join(this.directory, 'holders.json');
+        this.now = config.now || Date.now;
+
+        this.holders = new Map(); // address -> holder record
+        this.writeQueue = Promise.resolve();
+        this.loaded = false;
+        this.lastSavedAt = null;
+    }
+
+    /**
+     * Load the registry file (an empty registry when there is none)
+     */
+    async load() {
+        let registry;
+
+        try {
+            registry = JSON.parse(await fs.readFile(this.registryFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Holder registry ${this.registryFile} unreadable: ${error.message}`);
+            }
+            registry = { version: REGISTRY_VERSION, holders: [] };
+        }
+
+        if (registry.version !== REGISTRY_VERSION) {
+            throw new Error(`Unsupported holder registry version ${registry.version} in ${this.registryFile}`);
+        }
+
+        this.holders = new Map(registry.holders.map(holder => [holder.address, holder]));
+        this.loaded = true;
+        return this.holders.size;
+    }
+
+    /**
+     * Atomically replace the registry file
+     */
+    save() {
+        const run = this.writeQueue.then(() => this.writeRegistry());
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Write, sync and rename the registry into place
+     */
+    async writeRegistry() {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        const savedAt = new Date(this.now()).toISOString();
+        const tempFile = `${this.registryFile}.tmp`;
+        const handle = await fs.open(tempFile, 'w');
+
+        try {
+            await handle.writeFile(JSON.stringify({
+                version: REGISTRY_VERSION,
+                savedAt: savedAt,
+                holders: Array.from(this.holders.values())
+            }, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        await fs.rename(tempFile, this.registryFile);
+        this.lastSavedAt = savedAt;
+        return savedAt;
+    }
+
+    /**
+     * Get a holder record (null when the account is unknown)
+     */
+    get(address) {
+        return this.holders.get(address) || null;
+    }
+
+    /**
+     * List holder records, optionally only those with one effective KYC status
+     */
+    list(status = null) {
+        const holders = Array.from(this.holders.values());
+        return status ? holders.filter(holder => this.getKycStatus(holder.address) === status) : holders;
+    }
+
+    /**
+     * Add an account for review, or return its existing record
+     */
+    register(address, details = {}) {
+        HolderRegistry.assertAddress(address);
+
+        if (this.holders.has(address)) {
+            return this.holders.get(address);
+        }
+
+        const at = new Date(this.now()).toISOString();
+        const holder = {
+            address: address,
+            name: details.name || null,
+            kycStatus: 'pending',
+            kycReference: null,
+            reviewedBy: null,
+            reviewedAt: null,
+            expiresAt: null,
+            trustLines: [],
+            authorizations: [],
+            registeredAt: at,
+            source: details.source || 'manual',
+            history: [{ at: at, status: 'pending', by: details.by || null, note: details.note || `Registered (${details.source || 'manual'})` }]
+        };
+
+        this.holders.set(address, holder);
+        return holder;
+    }
+
+    /**
+     * Record an approved KYC review
+     */
+    approve(address, review = {}) {
+        if (!review.reference || !review.reviewedBy) {
+            throw new Error('A KYC approval needs a reference and a reviewer');
+        }
+
+        const expiresAt = review.expiresAt ? new Date(review.expiresAt) : null;
+        if (expiresAt && isNaN(expiresAt.getTime())) {
+            throw new Error(`Invalid KYC expiry: ${review.expiresAt}`);
+        }
+
+        const holder = this.register(address, { source: 'review', by: review.reviewedBy });
+        return this.setStatus(holder, 'approved', {
+            kycReference: review.reference,
+            reviewedBy: review.reviewedBy,
+            expiresAt: expiresAt ? expiresAt.toISOString() : null,
+            name: review.name || holder.name
+        }, review.note);
+    }
+
+    /**
+     * Record a rejected KYC review
+     */
+    reject(address, review = {}) {
+        if (!review.reason || !review.reviewedBy) {
+            throw new Error('A KYC rejection needs a reason and a reviewer');
+        }
+
+        const holder = this.register(address, { source: 'review', by: review.reviewedBy });
+        return this.setStatus(holder, 'rejected', {
+            reviewedBy: review.reviewedBy,
+            expiresAt: null
+        }, review.reason);
+    }
+
+    /**
+     * Change a holder's KYC status and keep the change in its history
+     */
+    setStatus(holder, status, fields, note) {
+        if (!KYC_STATUSES.includes(status)) {
+            throw new Error(`Unknown KYC status: ${status}`);
+        }
+
+        const at = new Date(this.now()).toISOString();
+        Object.assign(holder, fields, { kycStatus: status, reviewedAt: at });
+        holder.history.push({ at: at, status: status, by: fields.reviewedBy || null, note: note || null });
+        return holder;
+    }
+
+    /**
+     * Note a trust line an account opened to one of the tokens
+     *
+     * Unknown accounts are registered as pending review.
+     */
+    noteTrustLine(address, currency) {
+        const holder = this.register(address, { source: 'trust line', note: `Opened a ${currency} trust line` });
+
+        if (!holder.trustLines.includes(currency)) {
+            holder.trustLines.push(currency);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Record the issuer's authorization of a holder's trust line
+     */
+    recordAuthorization(address, currency, hash) {
+        const holder = this.get(address);
+        if (!holder) {
+            throw new Error(`Unknown holder: ${address}`);
+        }
+
+        const at = new Date(this.now()).toISOString();
+        holder.authorizations = holder.authorizations.filter(entry => entry.currency !== currency);
+        holder.authorizations.push({ currency: currency, hash: hash, authorizedAt: at });
+        holder.history.push({ at: at, status: holder.kycStatus, by: null, note: `${currency} trust line authorized (${hash})` });
+        return holder;
+    }
+
+    /**
+     * Add a note (e.g. an issuer control action) to a known holder's history
+     *
+     * Returns false when the account is not in the registry.
+     */
+    addNote(address, note, by = null) {
+        const holder = this.get(address);
+        if (!holder) {
+            return false;
+        }
+
+        holder.history.push({ at: new Date(this.now()).toISOString(), status: holder.kycStatus, by: by, note: note });
+        return true;
+    }
+
+    /**
+     * Get a holder's KYC status, reporting an approval past its expiry as expired
+     */
+    getKycStatus(address) {
+        const holder = this.get(address);
+        if (!holder) {
+            return 'unknown';
+        }
+
+        if (holder.kycStatus === 'approved' && holder.expiresAt && Date.parse(holder.expiresAt) <= this.now()) {
+            return 'expired';
+        }
+        return holder.kycStatus;
+    }
+
+    /**
+     * Check whether an account holds a current KYC approval
+     */
+    isApproved(address) {
+        return this.getKycStatus(address) === 'approved';
+    }
+
+    /**
+     * Count holders by effective KYC status
+     */
+    getSummary() {
+        const summary = { holders: this.holders.size, approved: 0, pending: 0, rejected: 0, expired: 0, authorized: 0 };
+
+        for (const holder of this.holders.values()) {
+            summary[this.getKycStatus(holder.address)]++;
+            if (holder.authorizations.length > 0) {
+                summary.authorized++;
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Get registry status
+     */
+    getStatus() {
+        return {
+            file: this.registryFile,
+            loaded: this.loaded,
+            lastSavedAt: this.lastSavedAt,
+            ...this.getSummary()
+        };
+    }
+
+    /**
+     * Reject anything that is not a classic XRPL address
+     */
+    static assertAddress(address) {
+        if (!xrpl.isValidClassicAddress(address)) {
+            throw new Error(`Invalid XRPL account: ${address}`);
+        }
+    }
+}
+
+module.exports = HolderRegistry;
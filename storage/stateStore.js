@@ -0,0 +1,93 @@
+/**
+ * storage/stateStore.js - Crash-Safe Bot State Store
+ *
+ * Persists a snapshot of the bot's in-memory state (statistics, reference
+ * prices, oracle valuations, tracked offers, inventory and the last seen
+ * ledger) so a restart or redeploy resumes where the previous process
+ * stopped. Snapshots are written to a temporary file, synced and renamed
+ * over the previous one, so a crash mid-write never leaves a torn file.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const STATE_VERSION = 1;
+
+class StateStore {
+    constructor(config = {}) {
+        this.directory = config.directory || process.env.STATE_DIR || './logs/state';
+        this.stateFile = path.join(this.directory, 'bot-state.json');
+        this.writeQueue = Promise.resolve();
+        this.lastSavedAt = null;
+        this.saves = 0;
+    }
+
+    /**
+     * Load the last snapshot, or null when there is none usable
+     */
+    async load() {
+        let snapshot;
+
+        try {
+            snapshot = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ Bot state snapshot unreadable - starting fresh: ${error.message}`);
+            }
+            return null;
+        }
+
+        if (snapshot.version !== STATE_VERSION || !snapshot.state) {
+            console.warn(`⚠️ Ignoring bot state snapshot with version ${snapshot.version}`);
+            return null;
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Atomically replace the snapshot
+     */
+    save(state) {
+        const run = this.writeQueue.then(() => this.writeSnapshot(state));
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Write, sync and rename a snapshot into place
+     */
+    async writeSnapshot(state) {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        const savedAt = new Date().toISOString();
+        const tempFile = `${this.stateFile}.tmp`;
+        const handle = await fs.open(tempFile, 'w');
+
+        try {
+            await handle.writeFile(JSON.stringify({ version: STATE_VERSION, savedAt: savedAt, state: state }, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        await fs.rename(tempFile, this.stateFile);
+
+        this.lastSavedAt = savedAt;
+        this.saves++;
+        return savedAt;
+    }
+
+    /**
+     * Get state store status
+     */
+    getStatus() {
+        return {
+            file: this.stateFile,
+            lastSavedAt: this.lastSavedAt,
+            saves: this.saves
+        };
+    }
+}
+
+module.exports = StateStore;
@@ -0,0 +1,353 @@
+/**
+ * storage/tradeJournal.js - Append-Only Trade Journal
+ *
+ * Keeps every fill forever as one JSON line in an append-only file, with a
+ * rebuildable index (byte offsets, execution time, counterparty, running
+ * totals per pair) for time-range and counterparty queries. Writes are
+ * serialized within the process and the index is recovered from the journal
+ * itself after a crash, so no entry is ever lost or rewritten.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const INDEX_VERSION = 1;
+
+class TradeJournal {
+    constructor(config = {}) {
+        this.directory = config.directory || process.env.TRADE_JOURNAL_DIR || './logs/journal';
+        this.journalFile = path.join(this.directory, 'trades.jsonl');
+        this.indexFile = path.join(this.directory, 'trades.index.json');
+        this.indexFlushInterval = parseInt(config.indexFlushMs || process.env.TRADE_JOURNAL_INDEX_FLUSH_MS || '5000');
+
+        this.index = TradeJournal.emptyIndex();
+        this.ids = new Set();
+        this.byCounterparty = new Map();
+        this.writeQueue = Promise.resolve();
+        this.indexTimer = null;
+        this.initialized = false;
+    }
+
+    /**
+     * Open the journal, recovering the index from the file if needed
+     */
+    async initialize() {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        const size = await this.getJournalSize();
+        const index = await this.loadIndex();
+
+        if (index && index.size <= size) {
+            this.index = index;
+        } else if (index) {
+            console.warn('⚠️ Trade journal is shorter than its index - rebuilding index');
+        }
+
+        this.index.entries.forEach(entry => this.trackEntry(entry));
+
+        if (this.index.size < size) {
+            // Entries appended after the last index flush (or no index at all)
+            const recovered = await this.scanFrom(this.index.size);
+            if (recovered > 0) {
+                console.log(`🔁 Indexed ${recovered} trade journal entr${recovered === 1 ? 'y' : 'ies'} from ${this.journalFile}`);
+            }
+            await this.saveIndex();
+        }
+
+        this.initialized = true;
+        console.log(`📒 Trade journal ready: ${this.index.count} fill(s) in ${this.journalFile}`);
+    }
+
+    /**
+     * Append fills, skipping any already journaled
+     *
+     * Resolves to the number of new entries written.
+     */
+    append(records) {
+        const run = this.writeQueue.then(() => this.writeRecords(records));
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Write records to the end of the journal and index them
+     */
+    async writeRecords(records) {
+        if (!this.initialized) {
+            throw new Error('Trade journal is not initialized');
+        }
+
+        const fresh = records.filter(record => record.id && !this.ids.has(record.id));
+        if (fresh.length === 0) {
+            return 0;
+        }
+
+        const lines = fresh.map(record => JSON.stringify({ ...record, recordedAt: new Date().toISOString() }) + '\n');
+        const handle = await fs.open(this.journalFile, 'a');
+
+        try {
+            await handle.write(lines.join(''));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        let offset = this.index.size;
+        lines.forEach((line, i) => {
+            const length = Buffer.byteLength(line);
+            this.indexRecord(fresh[i], offset, length);
+            offset += length;
+        });
+
+        this.scheduleIndexFlush();
+        return fresh.length;
+    }
+
+    /**
+     * Query fills by execution time range, counterparty, property or pair
+     */
+    async query(filter = {}) {
+        const from = filter.from ? new Date(filter.from).getTime() : -Infinity;
+        const to = filter.to ? new Date(filter.to).getTime() : Infinity;
+
+        let entries = filter.counterparty ?
+            (this.byCounterparty.get(filter.counterparty) || []) :
+            this.index.entries;
+
+        entries = entries.filter(entry => {
+            const [, , time, , , pairKey] = entry;
+            return time >= from && time <= to &&
+                (!filter.pairKey || pairKey === filter.pairKey) &&
+                (!filter.propertyId || pairKey.startsWith(`${filter.propertyId}/`));
+        });
+
+        if (filter.limit) {
+            entries = entries.slice(-filter.limit);
+        }
+
+        return this.readEntries(entries);
+    }
+
+    /**
+     * Get all-time totals per pair
+     */
+    getTotals(pairKey = null) {
+        return pairKey ? (this.index.totals[pairKey] || null) : this.index.totals;
+    }
+
+    /**
+     * Get journal summary
+     */
+    getSummary() {
+        const totals = Object.values(this.index.totals);
+
+        return {
+            file: this.journalFile,
+            fills: this.index.count,
+            counterparties: this.byCounterparty.size,
+            firstFillAt: this.index.firstTime ? new Date(this.index.firstTime).toISOString() : null,
+            lastFillAt: this.index.lastTime ? new Date(this.index.lastTime).toISOString() : null,
+            usdVolume: totals.reduce((sum, pair) => sum + pair.usdVolume, 0),
+            tokenVolume: totals.reduce((sum, pair) => sum + pair.rlaSold + pair.rlaBought, 0)
+        };
+    }
+
+    /**
+     * Read journal lines for index entries
+     */
+    async readEntries(entries) {
+        if (entries.length === 0) {
+            return [];
+        }
+
+        const handle = await fs.open(this.journalFile, 'r');
+
+        try {
+            const records = [];
+            for (const [offset, length] of entries) {
+                const buffer = Buffer.alloc(length);
+                await handle.read(buffer, 0, length, offset);
+                records.push(JSON.parse(buffer.toString('utf8')));
+            }
+            return records;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Index journal lines from a byte offset to the end of the file
+     */
+    async scanFrom(startOffset) {
+        const content = await fs.readFile(this.journalFile);
+        let offset = startOffset;
+        let recovered = 0;
+
+        while (offset < content.length) {
+            const newline = content.indexOf(0x0a, offset);
+
+            if (newline === -1) {
+                // A write torn by a crash; drop it so the next append starts on a clean line
+                console.warn(`⚠️ Truncating incomplete trade journal entry at byte ${offset}`);
+                await fs.truncate(this.journalFile, offset);
+                break;
+            }
+
+            const length = newline + 1 - offset;
+            const record = JSON.parse(content.toString('utf8', offset, newline));
+            if (!this.ids.has(record.id)) {
+                this.indexRecord(record, offset, length);
+                recovered++;
+            }
+            offset += length;
+        }
+
+        this.index.size = offset;
+        return recovered;
+    }
+
+    /**
+     * Add a journaled record to the index and running totals
+     */
+    indexRecord(record, offset, length) {
+        const time = new Date(record.executedAt || record.recordedAt).getTime();
+        const pairKey = `${record.propertyId}/${record.pairId}`;
+        const entry = [offset, length, time, record.counterparty || null, record.id, pairKey];
+
+        this.index.entries.push(entry);
+        this.index.size = Math.max(this.index.size, offset + length);
+        this.index.count++;
+        this.index.firstTime = this.index.firstTime === null ? time : Math.min(this.index.firstTime, time);
+        this.index.lastTime = this.index.lastTime === null ? time : Math.max(this.index.lastTime, time);
+        this.trackEntry(entry);
+
+        const totals = this.index.totals[pairKey] || (this.index.totals[pairKey] = {
+            propertyId: record.propertyId,
+            pairId: record.pairId,
+            tokenCode: record.tokenCode,
+            quoteCurrency: record.quoteCurrency,
+            fills: 0,
+            rlaSold: 0,
+            rlaBought: 0,
+            quoteReceived: 0,
+            quoteSpent: 0,
+            usdVolume: 0,
+            lastFillAt: null
+        });
+
+        const rlaAmount = parseFloat(record.rlaAmount) || 0;
+        const quoteAmount = parseFloat(record.quoteAmount) || 0;
+
+        totals.fills++;
+        totals.usdVolume += parseFloat(record.usdAmount) || 0;
+        if (record.side === 'bid') {
+            totals.rlaBought += rlaAmount;
+            totals.quoteSpent += quoteAmount;
+        } else {
+            totals.rlaSold += rlaAmount;
+            totals.quoteReceived += quoteAmount;
+        }
+        if (!totals.lastFillAt || time > new Date(totals.lastFillAt).getTime()) {
+            totals.lastFillAt = new Date(time).toISOString();
+        }
+    }
+
+    /**
+     * Track an index entry in the in-memory lookups
+     */
+    trackEntry(entry) {
+        const [, , , counterparty, id] = entry;
+        this.ids.add(id);
+
+        if (counterparty) {
+            const list = this.byCounterparty.get(counterparty) || [];
+            list.push(entry);
+            this.byCounterparty.set(counterparty, list);
+        }
+    }
+
+    /**
+     * Flush the index shortly after writes instead of on every fill
+     */
+    scheduleIndexFlush() {
+        if (this.indexTimer) {
+            return;
+        }
+
+        this.indexTimer = setTimeout(() => {
+            this.indexTimer = null;
+            this.saveIndex().catch(error => console.warn('⚠️ Could not save trade journal index:', error.message));
+        }, this.indexFlushInterval);
+    }
+
+    /**
+     * Atomically write the index file
+     */
+    async saveIndex() {
+        const tempFile = `${this.indexFile}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(this.index));
+        await fs.rename(tempFile, this.indexFile);
+    }
+
+    /**
+     * Load the index file, or null when missing or unreadable
+     */
+    async loadIndex() {
+        try {
+            const index = JSON.parse(await fs.readFile(this.indexFile, 'utf8'));
+            return index.version === INDEX_VERSION ? index : null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('⚠️ Trade journal index unreadable - rebuilding:', error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Get the journal file size in bytes
+     */
+    async getJournalSize() {
+        try {
+            return (await fs.stat(this.journalFile)).size;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return 0;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Flush pending writes and the index
+     */
+    async close() {
+        await this.writeQueue;
+
+        if (this.indexTimer) {
+            clearTimeout(this.indexTimer);
+            this.indexTimer = null;
+        }
+
+        if (this.initialized) {
+            await this.saveIndex();
+        }
+    }
+
+    /**
+     * Get an empty index
+     */
+    static emptyIndex() {
+        return {
+            version: INDEX_VERSION,
+            size: 0,
+            count: 0,
+            firstTime: null,
+            lastTime: null,
+            entries: [],
+            totals: {}
+        };
+    }
+}
+
+module.exports = TradeJournal;
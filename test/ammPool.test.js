@@ -0,0 +1,151 @@
+/**
+ * test/ammPool.test.js - AMM Pool Manager Test
+ *
+ * Feeds AmmPool amm_info answers from a stub client and records what it
+ * would submit. Checks the reserves read in either asset order, the bounded
+ * rebalance plan towards NAV in both directions, and the AMM transactions
+ * built for deposits, withdrawals and fee votes.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const xrpl = require('xrpl');
+
+const TradingPair = require('../trading/tradingPair');
+
+const issuer = xrpl.Wallet.generate();
+const quoteIssuer = xrpl.Wallet.generate().address;
+const ammAccount = xrpl.Wallet.generate().address;
+const lpToken = { currency: '03930D02208264E2E40EC1B0C09E4DB96EE197B1', issuer: ammAccount };
+
+/**
+ * Build a pair with a managed AMM pool
+ */
+function createPool(amm = {}) {
+    const pair = new TradingPair({
+        id: 'USDT',
+        tokenCode: 'RLA',
+        quoteCurrency: 'USD',
+        quoteIssuer: quoteIssuer,
+        rlaAmount: 100,
+        ladder: { levels: 1 },
+        amm: { enabled: true, maxDeviationPercent: 2, maxRebalancePercent: 10, ...amm }
+    });
+    return pair.ammPool;
+}
+
+/**
+ * Stub client answering amm_info with the quote asset listed first
+ */
+function ammClient(tokenReserve, quoteReserve, lpTokenBalance) {
+    return {
+        request: async (request) => ({
+            result: {
+                amm: {
+                    account: ammAccount,
+                    amount: { currency: 'USD', issuer: quoteIssuer, value: String(quoteReserve) },
+                    amount2: { currency: 'RLA', issuer: issuer.address, value: String(tokenReserve) },
+                    lp_token: { ...lpToken, value: request.account ? String(lpTokenBalance) : '1000' },
+                    trading_fee: 300
+                }
+            }
+        })
+    };
+}
+
+/**
+ * Stub submitter keeping what it was given
+ */
+function recordingSubmitter() {
+    return {
+        submitted: [],
+        async submit(transaction, options) {
+            this.submitted.push({ transaction, options });
+            return { hash: `HASH${this.submitted.length}`, resultCode: 'tesSUCCESS' };
+        }
+    };
+}
+
+describe('AmmPool', () => {
+    it('reads reserves whatever the pool asset order', async () => {
+        const pool = createPool();
+        const snapshot = await pool.refresh(ammClient(1000, 800, 50), issuer.address, 0.7);
+
+        assert.equal(snapshot.tokenReserve, 1000);
+        assert.equal(snapshot.quoteReserve, 800);
+        assert.equal(snapshot.impliedPrice, 0.8);
+        assert.equal(snapshot.lpShare, 0.05);
+        assert.ok(Math.abs(snapshot.deviationPercent - 100 / 7) < 1e-9);
+    });
+
+    it('records a missing pool', async () => {
+        const pool = createPool();
+        const error = new Error('Account not found.');
+        error.data = { error: 'actNotFound' };
+
+        const snapshot = await pool.refresh({ request: async () => { throw error; } }, issuer.address, 0.7);
+        assert.equal(snapshot.exists, false);
+        assert.equal(pool.planRebalance(), null);
+    });
+
+    it('deposits tokens when the pool trades above NAV, bounded per move', async () => {
+        const pool = createPool();
+        await pool.refresh(ammClient(1000, 800, 50), issuer.address, 0.7);
+
+        const plan = pool.planRebalance();
+        assert.equal(plan.action, 'deposit');
+        assert.equal(plan.tokenAmount, 100);
+        assert.equal(plan.bounded, true);
+        assert.ok(Math.abs(plan.expectedPrice - 800 / 1100) < 1e-9);
+
+        const submitter = recordingSubmitter();
+        const rebalance = await pool.rebalance(submitter, issuer);
+        const [{ transaction, options }] = submitter.submitted;
+        assert.equal(transaction.TransactionType, 'AMMDeposit');
+        assert.equal(transaction.Flags, xrpl.AMMDepositFlags.tfSingleAsset);
+        assert.deepEqual(transaction.Amount, { currency: 'RLA', issuer: issuer.address, value: '100' });
+        assert.equal(options.deferrable, true);
+        assert.equal(rebalance.hash, 'HASH1');
+
+        // Cooling down until the next window
+        assert.equal(pool.planRebalance(), null);
+    });
+
+    it('withdraws no more than its own share when the pool trades below NAV', async () => {
+        const pool = createPool();
+        await pool.refresh(ammClient(1000, 600, 50), issuer.address, 0.7);
+
+        const plan = pool.planRebalance();
+        assert.equal(plan.action, 'withdraw');
+        assert.equal(plan.tokenAmount, 50);
+    });
+
+    it('leaves a pool inside the deviation band alone', async () => {
+        const pool = createPool();
+        await pool.refresh(ammClient(1000, 710, 50), issuer.address, 0.7);
+
+        assert.equal(pool.planRebalance(), null);
+    });
+
+    it('builds LP token withdrawals and fee votes', async () => {
+        const pool = createPool({ tradingFee: 0 });
+        const submitter = recordingSubmitter();
+
+        await assert.rejects(pool.withdraw(submitter, issuer, { lpTokens: 10 }), /must be refreshed/);
+        await pool.refresh(ammClient(1000, 700, 50), issuer.address, 0.7);
+        await pool.withdraw(submitter, issuer, { lpTokens: 10 });
+        assert.deepEqual(submitter.submitted[0].transaction.LPTokenIn, { ...lpToken, value: '10' });
+        assert.equal(submitter.submitted[0].transaction.Flags, xrpl.AMMWithdrawFlags.tfLPToken);
+
+        // An explicit 0 fee is kept and differs from the pool's 0.3%
+        assert.equal(pool.needsVote(), true);
+        await pool.vote(submitter, issuer);
+        assert.equal(submitter.submitted[1].transaction.TradingFee, 0);
+        assert.equal(pool.needsVote(), false);
+    });
+
+    it('rejects invalid settings', () => {
+        assert.throws(() => createPool({ tradingFee: 1001 }), /Invalid AMM trading fee/);
+        assert.throws(() => createPool({ maxRebalancePercent: 150 }), /Invalid AMM rebalance bounds/);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * test/backtestRunner.test.js - Backtest Runner Tests
+ *
+ * Replays a short valuation series against a one-property portfolio: the
+ * simulated asks stop once the supply is sold, zero oracle and reprice
+ * thresholds act on every valuation change, and the CSV summary names the
+ * fee spend column apart from the feeDrops parameter.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xrpl = require('xrpl');
+
+const BacktestRunner = require('../backtest/backtestRunner');
+
+const DAY_MS = 86400000;
+const start = Date.parse('2025-01-01T00:00:00.000Z');
+
+// Valuations moving 0.014% a day, well under the 1% default thresholds
+const valuations = [700000, 700100, 700200].map((value, day) => ({
+    timestamp: start + day * DAY_MS,
+    currentValue: value,
+    confidence: 0.9,
+    isReliable: null,
+    sourceCount: null
+}));
+
+// Buyers paying any price for 1500 RLA in all, more than the supply
+const takers = [600, 600, 300].map((rlaAmount, index) => ({
+    timestamp: start + (index + 1) * 6 * 3600000,
+    side: 'buy',
+    rlaAmount: rlaAmount,
+    limitPrice: 10000,
+    edgePercent: null,
+    pairId: null
+}));
+
+describe('BacktestRunner', () => {
+    let directory;
+
+    /**
+     * Write a one-property portfolio and get its path
+     */
+    const writePortfolio = (name, property = {}) => {
+        const portfolioPath = path.join(directory, `${name}.json`);
+        fs.writeFileSync(portfolioPath, JSON.stringify({
+            properties: [{
+                id: 'PROP-TEST',
+                tokenCode: 'RLA',
+                totalSupply: 1000,
+                referencePrice: 700,
+                oracle: { enabled: true },
+                pairs: [{
+                    id: 'USDT',
+                    quoteCurrency: 'USD',
+                    quoteIssuer: xrpl.Wallet.generate().address,
+                    rlaAmount: 600,
+                    ladder: { levels: 2, stepPercent: 0.5, sizes: [300, 300] },
+                    replenish: { replenishThreshold: 0.9, replenishCooldownSeconds: 0 }
+                }],
+                ...property
+            }]
+        }));
+        return portfolioPath;
+    };
+
+    before(() => {
+        // Progress logs would share stdout with the test runner's own reports
+        mock.method(console, 'log', () => {});
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-runner-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('stops selling once the supply is sold', () => {
+        const runner = new BacktestRunner({ valuations, takers, portfolioPath: writePortfolio('supply') });
+        const { metrics } = runner.run();
+
+        assert.equal(metrics.rlaSold, 1000);
+        assert.equal(metrics.endingInventory, 0);
+        assert.equal(metrics.takers.partial, 1);
+        assert.equal(metrics.takers.unfilled, 1);
+    });
+
+    it('acts on every change with zero thresholds from the portfolio', () => {
+        const runner = new BacktestRunner({
+            valuations,
+            takers: [],
+            portfolioPath: writePortfolio('zero', { repriceThreshold: 0, oracle: { enabled: true, changeThreshold: 0 } })
+        });
+        const result = runner.run();
+
+        assert.equal(result.params.oracleThreshold, 0);
+        assert.equal(result.params.repriceThreshold, 0);
+        assert.equal(result.metrics.oracleUpdates, 2);
+        assert.equal(result.metrics.reprices.oracle, 2);
+    });
+
+    it('sweeps a zero threshold against the defaults', () => {
+        const runner = new BacktestRunner({ valuations, takers: [], portfolioPath: writePortfolio('sweep') });
+        const [zero, defaults] = runner.sweep({ oracleThreshold: [0, 0.01], repriceThreshold: [0] })
+            .sort((a, b) => a.params.oracleThreshold - b.params.oracleThreshold);
+
+        assert.equal(zero.metrics.oracleUpdates, 2);
+        assert.equal(defaults.metrics.oracleUpdates, 0);
+        assert.equal(defaults.metrics.reprices.oracle, 0);
+    });
+
+    it('names the fee spend column apart from the feeDrops parameter', () => {
+        const runner = new BacktestRunner({ valuations, takers, portfolioPath: writePortfolio('csv') });
+        const [header, row] = BacktestRunner.toCsv([runner.run()]).trim().split('\n').map(line => line.split(','));
+
+        assert.equal(header.filter(name => name === 'feeDrops').length, 1);
+        assert.equal(header.length, new Set(header).size);
+        const transactions = parseInt(row[header.indexOf('transactions')]);
+        assert.equal(parseInt(row[header.indexOf('feeSpendDrops')]), transactions * parseInt(row[header.indexOf('feeDrops')]));
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * test/capTable.test.js - On-Ledger Cap Table Test
+ *
+ * Builds snapshots from an issuer's trust lines on a SimulatedLedger, two
+ * lines per account_lines page. Every page must be read at the first page's
+ * ledger, excluded accounts kept out of the concentration metrics, and two
+ * snapshots diffed and exported holder by holder.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xrpl = require('xrpl');
+
+const SimulatedLedger = require('../ledger/simulatedLedger');
+const CapTable = require('../portfolio/capTable');
+
+describe('CapTable', () => {
+    const issuer = xrpl.Wallet.generate().address;
+    const distribution = xrpl.Wallet.generate().address;
+    const [alice, bob, carol, dave] = Array.from({ length: 4 }, () => xrpl.Wallet.generate().address);
+    const requests = [];
+    let directory;
+    let ledger;
+    let client;
+    let capTable;
+    let first;
+
+    const line = (holder, balance, currency = 'RLA') => ({ holder, currency, issuer, balance: String(balance) });
+
+    before(async () => {
+        // Progress logs would share stdout with the test runner's own reports
+        mock.method(console, 'log', () => {});
+
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cap-table-test-'));
+        ledger = new SimulatedLedger({ ledgerIntervalMs: 0, takers: 'none' });
+        ledger.loadState({
+            trustLines: [line(alice, 50), line(bob, 30), line(carol, 20), line(dave, 0), line(distribution, 900), line(alice, 5, 'OTH')]
+        });
+        await ledger.connect();
+
+        client = {
+            request: (request) => {
+                requests.push(request);
+                return ledger.request(request);
+            }
+        };
+        capTable = new CapTable({ directory: directory, currencies: ['RLA'], excludeAccounts: [distribution], pageLimit: 2 });
+    });
+
+    after(async () => {
+        await ledger.disconnect();
+        fs.rmSync(directory, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('pages every trust line at one ledger', async () => {
+        const ledgerIndex = ledger.getStatus().ledgerIndex;
+        first = await capTable.takeSnapshot(client, issuer);
+
+        assert.equal(requests.length, 3);
+        assert.deepEqual(requests.map(request => request.ledger_index), ['validated', ledgerIndex, ledgerIndex]);
+        assert.equal(first.ledgerIndex, ledgerIndex);
+        assert.deepEqual(Object.keys(first.tokens), ['RLA']);
+    });
+
+    it('keeps excluded accounts out of the concentration metrics', () => {
+        const token = first.tokens.RLA;
+
+        assert.equal(token.holderCount, 3);
+        assert.equal(token.totalHeld, 100);
+        assert.equal(token.excludedHeld, 900);
+        assert.equal(token.emptyLines, 1);
+        assert.deepEqual(token.holders.map(entry => [entry.account, entry.share]), [[alice, 0.5], [bob, 0.3], [carol, 0.2]]);
+        // 50² + 30² + 20²
+        assert.deepEqual(token.metrics, { largestHolderShare: 0.5, top10Share: 1, hhi: 3800 });
+    });
+
+    it('diffs the two latest snapshots', async () => {
+        ledger.loadState({ trustLines: [line(alice, 40), line(carol, 0), line(dave, 25)] });
+        ledger.closeLedger();
+        // Snapshot files are named by the millisecond they were taken
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await capTable.takeSnapshot(client, issuer);
+
+        const reloaded = new CapTable({ directory: directory });
+        await reloaded.loadLatest();
+        const change = reloaded.getComplianceData().tokens.RLA.changeSincePrevious;
+        // (40² + 30² + 25²) / 95² × 10000 = 3462.6, down from 3800
+        assert.deepEqual(change, { since: first.takenAt, holderCount: 0, totalHeld: -5, newHolders: 1, exitedHolders: 1, hhi: -337.4 });
+
+        const diff = CapTable.diff(reloaded.previous, reloaded.latest);
+        assert.deepEqual(diff.tokens.RLA.added, [{ account: dave, balance: 25 }]);
+        assert.deepEqual(diff.tokens.RLA.removed, [{ account: carol, balance: 20 }]);
+        assert.deepEqual(diff.tokens.RLA.changed, [{ account: alice, before: 50, after: 40, change: -10 }]);
+    });
+
+    it('exports holders and excluded accounts as CSV', () => {
+        const rows = CapTable.toCsv(first).trim().split('\n');
+
+        assert.equal(rows[0], 'taken_at,ledger_index,currency,rank,account,balance,share,excluded');
+        assert.equal(rows[1], `${first.takenAt},${first.ledgerIndex},RLA,1,${alice},50,0.5,false`);
+        assert.equal(rows[4], `${first.takenAt},${first.ledgerIndex},RLA,,${distribution},900,,true`);
+        assert.equal(rows.length, 5);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * test/complianceReporter.test.js - Ad-Hoc Compliance Report Test
+ *
+ * Claws tokens back through IssuerControls on a SimulatedLedger and checks
+ * that the ad-hoc compliance report saved for it carries the action: who
+ * was clawed back, how much, why, who approved it and the court reference,
+ * in both the JSON report and its text summary.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xrpl = require('xrpl');
+
+const ComplianceReporter = require('../fireblocks/complianceReporter');
+const IssuerControls = require('../ledger/issuerControls');
+const SimulatedLedger = require('../ledger/simulatedLedger');
+const TransactionSubmitter = require('../ledger/transactionSubmitter');
+
+// AccountRoot lsfAllowTrustLineClawback
+const LSF_ALLOW_CLAWBACK = 0x80000000;
+
+describe('ComplianceReporter ad-hoc reports', () => {
+    const issuer = xrpl.Wallet.generate();
+    const holder = xrpl.Wallet.generate().address;
+    let directory;
+    let ledger;
+    let entry;
+
+    before(async () => {
+        // Progress logs would share stdout with the test runner's own reports
+        mock.method(console, 'log', () => {});
+
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'compliance-reporter-test-'));
+
+        ledger = new SimulatedLedger({ ledgerIntervalMs: 50, takers: 'none' });
+        ledger.loadState({
+            accounts: [{ Account: issuer.address, Balance: '100000000', Flags: LSF_ALLOW_CLAWBACK }],
+            trustLines: [{ holder: holder, currency: 'RLA', issuer: issuer.address, balance: '2500' }]
+        });
+        await ledger.connect();
+
+        const complianceReporter = new ComplianceReporter({ outputDirectory: path.join(directory, 'compliance') });
+        await complianceReporter.initialize();
+
+        const controls = new IssuerControls({ directory: path.join(directory, 'controls'), complianceReporter: complianceReporter });
+        const submitter = new TransactionSubmitter({ getClient: () => ledger, pollIntervalMs: 20 });
+
+        entry = await controls.clawback(ledger, submitter, issuer, holder, 'RLA', '1000', {
+            reason: 'court order',
+            approvedBy: 'General Counsel',
+            reference: 'Case 2026-CV-0042'
+        });
+    });
+
+    after(async () => {
+        if (ledger) {
+            await ledger.disconnect();
+        }
+        fs.rmSync(directory, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('saves the issuer control action in the report', () => {
+        const files = fs.readdirSync(path.join(directory, 'compliance'));
+        const reportFile = files.find(file => file.startsWith('compliance_adhoc_issuer_control_clawback_') && file.endsWith('.json'));
+        assert.ok(reportFile, 'no ad-hoc report was saved');
+
+        const report = JSON.parse(fs.readFileSync(path.join(directory, 'compliance', reportFile), 'utf8'));
+        const action = report.additionalData.issuerControlAction;
+
+        assert.equal(report.metadata.type, 'AD_HOC_COMPLIANCE');
+        assert.equal(report.metadata.reason, 'Issuer Control Clawback');
+        assert.equal(action.id, entry.id);
+        assert.equal(action.action, 'Clawback');
+        assert.equal(action.status, 'EXECUTED');
+        assert.equal(action.account, issuer.address);
+        assert.equal(action.holder, holder);
+        assert.equal(action.currency, 'RLA');
+        assert.equal(action.amount, 1000);
+        assert.equal(action.reason, 'court order');
+        assert.equal(action.approvedBy, 'General Counsel');
+        assert.equal(action.reference, 'Case 2026-CV-0042');
+        assert.equal(action.hash, entry.hash);
+    });
+
+    it('prints the action in the report summary', () => {
+        const files = fs.readdirSync(path.join(directory, 'compliance'));
+        const summaryFile = files.find(file => file.startsWith('compliance_adhoc_issuer_control_clawback_') && file.endsWith('_summary.txt'));
+        assert.ok(summaryFile, 'no ad-hoc report summary was saved');
+
+        const summary = fs.readFileSync(path.join(directory, 'compliance', summaryFile), 'utf8');
+        assert.match(summary, /AD-HOC COMPLIANCE REPORT SUMMARY/);
+        assert.match(summary, /Reason: Issuer Control Clawback/);
+        for (const value of [holder, 'court order', 'General Counsel', 'Case 2026-CV-0042']) {
+            assert.ok(summary.includes(value), `summary is missing ${value}`);
+        }
+    });
+
+    it('books the clawback on the ledger', async () => {
+        const response = await ledger.request({ command: 'account_lines', account: holder });
+        assert.equal(parseFloat(response.result.lines[0].balance), 1500);
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * test/connectionManager.test.js - XRPL Connection Failover Test
+ *
+ * Gives the ConnectionManager stub clients for three endpoints whose
+ * reachability and ledger position the tests control. It must connect to
+ * the healthiest endpoint, close the standby connections it probed, and
+ * switch endpoints (telling its listeners) when the active one drops.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+
+const ConnectionManager = require('../ledger/connectionManager');
+
+/**
+ * Stub of the xrpl.Client surface the manager uses
+ */
+class StubClient extends EventEmitter {
+    constructor(url, server) {
+        super();
+        this.url = url;
+        this.server = server;
+        this.connected = false;
+    }
+
+    async connect() {
+        if (!this.server.reachable) {
+            throw new Error(`${this.url} refused the connection`);
+        }
+        this.connected = true;
+    }
+
+    async disconnect() {
+        this.connected = false;
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    async request(request) {
+        assert.equal(request.command, 'server_info');
+        return { result: { info: { server_state: 'full', validated_ledger: { seq: this.server.ledgerIndex, age: 2 } } } };
+    }
+}
+
+describe('ConnectionManager', () => {
+    const servers = {
+        'wss://a.example': { reachable: false, ledgerIndex: 1000 },
+        'wss://b.example': { reachable: true, ledgerIndex: 995 },
+        'wss://c.example': { reachable: true, ledgerIndex: 1000 }
+    };
+    const clients = [];
+    const switches = [];
+    let manager;
+
+    before(() => {
+        // Progress logs would share stdout with the test runner's own reports
+        mock.method(console, 'log', () => {});
+
+        manager = new ConnectionManager({
+            endpoints: Object.keys(servers),
+            healthCheckInterval: 0,
+            createClient: (url) => {
+                const client = new StubClient(url, servers[url]);
+                clients.push(client);
+                return client;
+            }
+        });
+        manager.addSwitchListener((client, entry) => switches.push({ url: client.url, ...entry }));
+    });
+
+    after(async () => {
+        await manager.disconnect();
+        mock.restoreAll();
+    });
+
+    it('connects to the healthiest endpoint and closes the standbys', async () => {
+        const client = await manager.connect();
+
+        assert.equal(client.url, 'wss://c.example');
+        assert.equal(manager.getActiveUrl(), 'wss://c.example');
+        assert.deepEqual(clients.filter(entry => entry.isConnected()).map(entry => entry.url), ['wss://c.example']);
+
+        const status = manager.getStatus();
+        const [a, b, c] = status.endpoints;
+        assert.equal(a.totalErrors, 1);
+        assert.ok(b.score < c.score, 'a lagging endpoint must score lower');
+        assert.equal(c.active, true);
+        assert.deepEqual(switches.map(entry => [entry.from, entry.to]), [[null, 'wss://c.example']]);
+    });
+
+    it('keeps the active endpoint while it is the best', async () => {
+        const client = manager.getClient();
+
+        assert.equal(await manager.checkHealth(), client);
+        assert.equal(switches.length, 1);
+    });
+
+    it('fails over once when the active endpoint drops', async () => {
+        const dropped = manager.getClient();
+        servers['wss://c.example'].reachable = false;
+        await dropped.disconnect();
+        dropped.emit('disconnected', 1006);
+
+        // Concurrent checks share one failover
+        const [first, second] = await Promise.all([manager.checkHealth(), manager.checkHealth()]);
+
+        assert.equal(first, second);
+        assert.equal(first.url, 'wss://b.example');
+        assert.equal(manager.getClient(), first);
+        assert.equal(switches.length, 2);
+        assert.equal(switches[1].url, 'wss://b.example');
+        assert.equal(switches[1].from, 'wss://c.example');
+        assert.match(switches[1].reason, /disconnected/);
+    });
+
+    it('fails when no endpoint is reachable', async () => {
+        Object.values(servers).forEach(server => { server.reachable = false; });
+        await manager.getClient().disconnect();
+
+        await assert.rejects(manager.checkHealth(), /No XRPL endpoint reachable/);
+    });
+
+    it('scores latency, lag and errors', () => {
+        const endpoint = { ...ConnectionManager.emptyHealth('wss://d.example'), ledgerIndex: 998, latencyMs: 500, ledgerAge: 2, errors: 1 };
+
+        // 100 - 10 (latency) - 20 (two ledgers behind) - 10 (one error)
+        assert.equal(manager.score(endpoint, 1000), 60);
+        assert.equal(manager.score({ ...endpoint, ledgerIndex: null }, 1000), 0);
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * test/distributionWallet.test.js - Cold Issuer and Distribution Wallet Test
+ *
+ * Funds a distribution account from a cold issuer on a SimulatedLedger
+ * through prepared requests signed away from the network. Signed blobs must
+ * match their request field for field, requests must go in Sequence order,
+ * and a request past its ledger window must not be submitted.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xrpl = require('xrpl');
+
+const SimulatedLedger = require('../ledger/simulatedLedger');
+const TransactionSubmitter = require('../ledger/transactionSubmitter');
+const DistributionWallet = require('../ledger/distributionWallet');
+
+describe('DistributionWallet', () => {
+    const issuer = xrpl.Wallet.generate();
+    const distribution = xrpl.Wallet.generate();
+    const reports = [];
+    let directory;
+    let ledger;
+    let submitter;
+    let wallet;
+    let fund;
+    let refill;
+
+    /**
+     * Wait for the simulated ledger to close past an index
+     */
+    async function waitForLedger(index) {
+        while (ledger.getStatus().ledgerIndex <= index) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+
+    before(async () => {
+        // Progress logs would share stdout with the test runner's own reports
+        mock.method(console, 'log', () => {});
+
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'distribution-wallet-test-'));
+        ledger = new SimulatedLedger({ ledgerIntervalMs: 20, takers: 'none' });
+        ledger.loadState({
+            accounts: [
+                { Account: issuer.address, Balance: '100000000' },
+                { Account: distribution.address, Balance: '100000000' }
+            ]
+        });
+        await ledger.connect();
+
+        submitter = new TransactionSubmitter({ getClient: () => ledger, pollIntervalMs: 10 });
+        wallet = new DistributionWallet({
+            issuer: issuer.address,
+            directory: directory,
+            currencies: ['RLA'],
+            refillThreshold: 100,
+            refillTarget: 500,
+            feeDrops: '12',
+            complianceReporter: { generateAdHocReport: async (title, data) => reports.push({ title, ...data }) }
+        });
+    });
+
+    after(async () => {
+        await ledger.disconnect();
+        fs.rmSync(directory, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('opens the distribution trust line once', async () => {
+        const first = await wallet.setupTrustLines(ledger, submitter, distribution);
+        const second = await wallet.setupTrustLines(ledger, submitter, distribution);
+
+        assert.deepEqual(first.submitted.map(entry => entry.currency), ['RLA']);
+        assert.deepEqual(second, { submitted: [], existing: ['RLA'] });
+
+        const check = await wallet.check(ledger, distribution.address);
+        assert.deepEqual(check.tokens.RLA, { trustLine: true, authorized: true, balance: 0, limit: '1000000000', needsRefill: true, refillAmount: 500 });
+    });
+
+    it('prepares requests on consecutive issuer Sequences', async () => {
+        fund = await wallet.prepare(ledger, 'fund', { account: distribution.address });
+        refill = await wallet.prepare(ledger, 'refill', { account: distribution.address, amount: 50 });
+
+        assert.equal(fund.transaction.Amount.value, '500');
+        assert.equal(refill.transaction.Sequence, fund.transaction.Sequence + 1);
+        assert.equal(fund.status, 'AWAITING_SIGNATURE');
+
+        // An open request of the same kind is returned, not prepared again
+        assert.equal((await wallet.prepare(ledger, 'fund', { account: distribution.address })).id, fund.id);
+    });
+
+    it('refuses a blob that differs from its request', () => {
+        const altered = issuer.sign({ ...fund.transaction, Amount: { ...fund.transaction.Amount, value: '5000' } });
+
+        assert.throws(() => wallet.verifySigned(fund, altered.tx_blob), /signed Amount .* does not match the request/);
+        assert.throws(() => DistributionWallet.sign(fund, distribution), /is for .*, not /);
+    });
+
+    it('holds a request until the one before it is submitted', async () => {
+        await assert.rejects(wallet.submit(ledger, submitter, DistributionWallet.sign(refill, issuer)),
+            /waits for the issuer's Sequence/);
+    });
+
+    it('submits signed requests in Sequence order', async () => {
+        for (const request of [refill, fund]) {
+            fs.writeFileSync(wallet.getSignedFile(request.id), JSON.stringify(DistributionWallet.sign(request, issuer)));
+        }
+
+        const results = await wallet.submitSignedRequests(ledger, submitter);
+
+        assert.deepEqual(results.map(request => [request.kind, request.status, request.resultCode]),
+            [['fund', 'SUBMITTED', 'tesSUCCESS'], ['refill', 'SUBMITTED', 'tesSUCCESS']]);
+        assert.equal(ledger.getLineBalance(distribution.address, { currency: 'RLA', issuer: issuer.address }), 550);
+        assert.deepEqual(reports.map(report => report.title), ['Cold Wallet fund', 'Cold Wallet refill']);
+        assert.equal((await wallet.check(ledger, distribution.address)).tokens.RLA.needsRefill, false);
+    });
+
+    it('expires a request past its ledger window', async () => {
+        const shortLived = new DistributionWallet({ issuer: issuer.address, directory: directory, currencies: ['RLA'], ledgerWindow: 1 });
+        const request = await shortLived.prepare(ledger, 'refill', { account: distribution.address, amount: 10 });
+        await waitForLedger(request.expiresAfterLedger);
+
+        await assert.rejects(shortLived.submit(ledger, submitter, DistributionWallet.sign(request, issuer)), /expired at ledger/);
+        assert.equal((await shortLived.loadRequest(request.id)).status, 'EXPIRED');
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * test/enterpriseBot.test.js - Bot Integration Test
+ *
+ * Starts a MockXrplServer on a free port and points the bot at it over
+ * XRPL_NETWORK, like any other server. The bot places its ask ladder, a
+ * taker crosses one rung, and the fill must be parsed, journaled and
+ * replenished in place (OfferCreate with OfferSequence) before the bot
+ * shuts down without leaving a connection open. The bot runs in a scratch
+ * directory so no .env, config or logs of the checkout are read or written.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xrpl = require('xrpl');
+
+const MockXrplServer = require('../ledger/mockXrplServer');
+
+const issuer = xrpl.Wallet.generate();
+const quoteIssuer = xrpl.Wallet.generate();
+
+/**
+ * Poll until a condition holds
+ */
+async function waitFor(condition, label, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await condition())) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${label}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+describe('EnterpriseRealEstateBot against the mock XRPL server', () => {
+    const originalDirectory = process.cwd();
+    let directory;
+    let server;
+    let bot;
+    let placed;
+    let monitoring;
+
+    // Resting RLA offers of the issuer, by Sequence
+    const restingOffers = () => new Map(server.ledger.getOffersOf(issuer.address)
+        .filter(offer => typeof offer.TakerGets === 'object' && offer.TakerGets.currency === 'RLA')
+        .map(offer => [offer.Sequence, offer]));
+
+    before(async () => {
+        // Progress logs would share stdout with the test runner's own reports
+        mock.method(console, 'log', () => {});
+
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'enterprise-bot-test-'));
+        process.chdir(directory);
+
+        server = new MockXrplServer({
+            port: 0,
+            ledgerIntervalMs: 100,
+            takers: 'none',
+            state: { accounts: [{ Account: issuer.address, Balance: '1000000000' }] }
+        });
+        const url = await server.start();
+
+        Object.assign(process.env, {
+            DOTENV_CONFIG_QUIET: 'true',
+            XRPL_NETWORK: url,
+            WALLET_MODE: 'issuer',
+            ISSUER_SEED: issuer.seed,
+            PROPERTY_ID: 'test-property',
+            RLA_TOKEN_CODE: 'RLA',
+            TOTAL_TOKEN_SUPPLY: '1000',
+            RLA_AMOUNT: '100',
+            USDT_AMOUNT: '70',
+            USDT_TOKEN_CODE: 'USD',
+            USDT_ISSUER: quoteIssuer.address,
+            CHECK_INTERVAL_SECONDS: '1',
+            OFFER_LADDER_LEVELS: '2',
+            REPLENISH_THRESHOLD: '0.9',
+            REPLENISH_COOLDOWN_SECONDS: '1',
+            ORACLE_ENABLED: 'false',
+            FIREBLOCKS_ENABLED: 'false',
+            ENABLE_COMPLIANCE_REPORTING: 'false',
+            STATE_SNAPSHOT_INTERVAL: '0',
+            TX_POLL_INTERVAL_MS: '50',
+            TX_RETRY_DELAY_MS: '50'
+        });
+
+        const EnterpriseRealEstateBot = require('../enterpriseBot');
+        bot = new EnterpriseRealEstateBot();
+        await bot.initialize();
+        // Resolves once shutdown stops the offer monitoring loop
+        monitoring = bot.startMonitoring();
+    });
+
+    after(async () => {
+        if (bot && bot.isRunning) {
+            await bot.shutdown();
+        }
+        if (server) {
+            await server.stop();
+        }
+        process.chdir(originalDirectory);
+        fs.rmSync(directory, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('places one ask offer per ladder rung', async () => {
+        const pair = bot.getEnabledPairs()[0];
+        // Offers are tracked once their OfferCreate validates
+        await waitFor(() => pair.offerTracker.getAll().length === 2, 'the ladder offers');
+
+        placed = restingOffers();
+
+        assert.equal(placed.size, 2);
+        for (const offer of placed.values()) {
+            assert.equal(offer.TakerGets.value, '50');
+            assert.equal(offer.TakerGets.issuer, issuer.address);
+            assert.equal(offer.TakerPays.currency, 'USD');
+            assert.equal(offer.TakerPays.issuer, quoteIssuer.address);
+        }
+        assert.deepEqual(pair.offerTracker.getAll().map(tracked => tracked.sequence).sort(),
+            Array.from(placed.keys()).sort());
+    });
+
+    it('parses a taker fill and journals it', async () => {
+        const [sequence, offer] = placed.entries().next().value;
+        server.ledger.take(offer, 0.5, null);
+
+        await waitFor(() => bot.stats.instantSwaps === 1, 'the fill to be detected');
+        const pair = bot.getEnabledPairs()[0];
+        assert.equal(pair.stats.rlaSold, 25);
+
+        // The fill is journaled after it is counted
+        await waitFor(async () => (await bot.queryTrades()).length === 1, 'the fill to be journaled');
+        const [record] = await bot.queryTrades();
+        assert.equal(record.side, 'ask');
+        assert.equal(record.offerConsumed, false);
+        assert.equal(record.offerSequence, sequence);
+        assert.equal(parseFloat(record.rlaAmount), 25);
+        assert.equal(parseFloat(record.quoteAmount), 17.5);
+    });
+
+    it('replenishes the filled offer in place', async () => {
+        const [sequence] = placed.keys();
+        const tracker = bot.getEnabledPairs()[0].offerTracker;
+
+        // OfferSequence cancels the partly filled offer in the same transaction
+        const replacement = () => Array.from(server.ledger.transactions.values()).find(entry =>
+            entry.validated && entry.tx_json.TransactionType === 'OfferCreate' && entry.tx_json.OfferSequence === sequence);
+        await waitFor(() => replacement(), 'the in-place replenish');
+        const replacementSequence = replacement().tx_json.Sequence;
+        await waitFor(() => tracker.getAll().some(tracked => tracked.sequence === replacementSequence),
+            'the replacement to be tracked');
+
+        const offers = restingOffers();
+        assert.equal(offers.size, 2);
+        assert.equal(offers.has(sequence), false);
+        assert.equal(offers.get(replacementSequence).TakerGets.value, '50');
+    });
+
+    it('shuts down cleanly', async () => {
+        await bot.shutdown();
+
+        assert.equal(bot.isRunning, false);
+        assert.equal(bot.stats.errors, 0);
+        assert.equal(bot.client.isConnected(), false);
+        await monitoring;
+        await waitFor(() => server.getStatus().clients === 0, 'the bot to disconnect');
+    });
+});
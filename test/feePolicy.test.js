@@ -0,0 +1,113 @@
+/**
+ * test/feePolicy.test.js - Fee Policy Test
+ *
+ * Quotes fees from a stub client: under the ceiling a transaction pays the
+ * open-ledger fee, above it deferrable transactions wait and urgent ones pay
+ * the ceiling. A deferred submission must never be signed, and the spend
+ * of validated transactions is kept per UTC day.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const xrpl = require('xrpl');
+
+const FeePolicy = require('../ledger/feePolicy');
+const TransactionSubmitter = require('../ledger/transactionSubmitter');
+
+/**
+ * Stub client quoting an open-ledger fee in drops
+ */
+function feeClient(openLedgerFee) {
+    return {
+        request: async () => ({
+            result: {
+                current_queue_size: '3',
+                ledger_current_index: 1001,
+                drops: { base_fee: '10', median_fee: '5000', minimum_fee: '10', open_ledger_fee: String(openLedgerFee) }
+            }
+        })
+    };
+}
+
+describe('FeePolicy', () => {
+    before(() => {
+        // The deferred submission warns on purpose
+        mock.method(console, 'warn', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('pays the open ledger fee under the ceiling', async () => {
+        const policy = new FeePolicy({ maxFeeDrops: 2000 });
+
+        assert.deepEqual(await policy.decide(feeClient(12), { TransactionType: 'OfferCreate' }),
+            { drops: '12', deferred: false, capped: false, reason: null });
+        assert.equal(policy.getStatus().congested, false);
+    });
+
+    it('defers non-urgent transactions and caps urgent ones above the ceiling', async () => {
+        const policy = new FeePolicy({ maxFeeDrops: 2000 });
+        const client = feeClient(2500);
+
+        const deferred = await policy.decide(client, { TransactionType: 'OfferCreate' }, { deferrable: true });
+        assert.equal(deferred.deferred, true);
+        assert.equal(deferred.drops, null);
+        assert.match(deferred.reason, /2500 drops above ceiling 2000/);
+
+        const urgent = await policy.decide(client, { TransactionType: 'OfferCancel' });
+        assert.deepEqual({ drops: urgent.drops, capped: urgent.capped }, { drops: '2000', capped: true });
+
+        const status = policy.getStatus();
+        assert.equal(status.congested, true);
+        assert.equal(status.today.deferred, 1);
+        assert.equal(status.today.capped, 1);
+    });
+
+    it('leaves reserve-scaled fees to autofill', async () => {
+        const policy = new FeePolicy({ maxFeeDrops: 2000 });
+
+        assert.equal((await policy.decide(feeClient(2500), { TransactionType: 'AMMCreate' })).drops, null);
+        assert.equal(policy.lastQuote, null);
+    });
+
+    it('keeps a deferred submission unsigned', async () => {
+        const wallet = xrpl.Wallet.generate();
+        const client = feeClient(2500);
+        const submitter = new TransactionSubmitter({ getClient: () => client, feePolicy: new FeePolicy({ maxFeeDrops: 2000 }) });
+
+        const error = await submitter.submit({ TransactionType: 'OfferCancel', OfferSequence: 1 }, { wallet: wallet, deferrable: true })
+            .catch(rejection => rejection);
+
+        assert.equal(error.deferred, true);
+        assert.equal(error.retryable, true);
+        assert.equal(error.record.hash, null);
+        assert.equal(submitter.stats.submitted, 0);
+        assert.equal(submitter.stats.deferred, 1);
+    });
+
+    it('accounts spend per day and restores it', () => {
+        const policy = new FeePolicy({ maxFeeDrops: 2000, historyDays: 2 });
+        policy.recordSpend('OfferCreate', '12');
+        policy.recordSpend('OfferCreate', '15');
+        policy.recordSpend('Payment', '10');
+
+        const [today] = policy.getDailySpend();
+        assert.equal(today.drops, 37);
+        assert.equal(today.transactions, 3);
+        assert.deepEqual(today.byType, { OfferCreate: 27, Payment: 10 });
+
+        const restored = new FeePolicy({ maxFeeDrops: 2000, historyDays: 2 });
+        restored.restoreState({ daily: [{ ...FeePolicy.emptyDay('2026-01-01'), drops: 5 }, ...policy.exportState().daily] });
+        assert.equal(restored.getDay().drops, 37);
+
+        // A third day pushes the oldest out of the two-day history
+        restored.getDay('2026-01-02');
+        assert.deepEqual(restored.getDailySpend().map(day => day.date).sort(), ['2026-01-02', today.date]);
+    });
+
+    it('rejects a ceiling that is not positive', () => {
+        assert.throws(() => new FeePolicy({ maxFeeDrops: 'none' }), /TX_MAX_FEE_DROPS must be a positive number/);
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * test/fillParser.test.js - Fill Parser Test
+ *
+ * Parses hand-built transaction metadata in the API v1 and v2 shapes.
+ * Amounts must come from the consumed Offer nodes and the counterparty from
+ * the token trust line that moved, whoever submitted the transaction.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const xrpl = require('xrpl');
+
+const FillParser = require('../trading/fillParser');
+const TradingPair = require('../trading/tradingPair');
+
+const issuer = xrpl.Wallet.generate().address;
+const quoteIssuer = xrpl.Wallet.generate().address;
+const sender = xrpl.Wallet.generate().address;
+const taker = xrpl.Wallet.generate().address;
+
+const pair = new TradingPair({
+    id: 'USDT',
+    propertyId: 'test-property',
+    tokenCode: 'RLA',
+    quoteCurrency: 'USD',
+    quoteIssuer: quoteIssuer,
+    rlaAmount: 100,
+    ladder: { levels: 1 }
+});
+
+const parser = new FillParser({
+    account: issuer,
+    matchOffer: (offer) => ({ pair: pair, side: typeof offer.TakerGets === 'object' && offer.TakerGets.currency === 'RLA' ? 'ask' : 'bid' })
+});
+
+const rla = (value) => ({ currency: 'RLA', issuer: issuer, value: String(value) });
+const usd = (value) => ({ currency: 'USD', issuer: quoteIssuer, value: String(value) });
+
+/**
+ * Build an Offer node of the issuer
+ */
+function offerNode(type, sequence, previous, final) {
+    return {
+        [type]: {
+            LedgerEntryType: 'Offer',
+            FinalFields: { Account: issuer, Sequence: sequence, ...final },
+            ...(previous && { PreviousFields: previous })
+        }
+    };
+}
+
+/**
+ * Build an RLA trust line node between the issuer and a holder
+ */
+function trustLineNode(holder, issuerIsLow, previousBalance, finalBalance) {
+    const low = issuerIsLow ? issuer : holder;
+    const high = issuerIsLow ? holder : issuer;
+    return {
+        ModifiedNode: {
+            LedgerEntryType: 'RippleState',
+            FinalFields: {
+                Balance: { currency: 'RLA', issuer: 'rrrrrrrrrrrrrrrrrrrrBZbvji', value: String(finalBalance) },
+                LowLimit: { currency: 'RLA', issuer: low, value: '0' },
+                HighLimit: { currency: 'RLA', issuer: high, value: '1000000' }
+            },
+            PreviousFields: { Balance: { currency: 'RLA', issuer: 'rrrrrrrrrrrrrrrrrrrrBZbvji', value: String(previousBalance) } }
+        }
+    };
+}
+
+describe('FillParser', () => {
+    it('takes a partial ask fill from the offer node and the counterparty from the trust line', () => {
+        // API v2 stream message: a payment from one account delivering RLA to another
+        const parsed = parser.parse({
+            hash: 'HASH1',
+            ledger_index: 100,
+            validated: true,
+            close_time_iso: '2026-10-01T12:00:00Z',
+            tx_json: { TransactionType: 'Payment', Account: sender, Destination: taker, Fee: '12' },
+            meta: {
+                TransactionResult: 'tesSUCCESS',
+                delivered_amount: rla(40),
+                AffectedNodes: [
+                    offerNode('ModifiedNode', 7, { TakerGets: rla(100), TakerPays: usd(70) }, { TakerGets: rla(60), TakerPays: usd(42) }),
+                    trustLineNode(taker, false, 0, 40)
+                ]
+            }
+        });
+
+        assert.equal(parsed.executedAt, '2026-10-01T12:00:00Z');
+        assert.deepEqual(parsed.deliveredAmount, { currency: 'RLA', issuer: issuer, value: '40' });
+        assert.equal(parsed.fills.length, 1);
+
+        const [fill] = parsed.fills;
+        assert.equal(fill.side, 'ask');
+        assert.equal(fill.offerSequence, 7);
+        assert.equal(fill.rlaAmount, '40');
+        assert.equal(fill.quoteAmount, '28');
+        assert.equal(fill.effectivePrice, 0.7);
+        assert.equal(fill.offerConsumed, false);
+        assert.equal(fill.counterparty, taker);
+        assert.equal(fill.propertyId, 'test-property');
+    });
+
+    it('parses a fully consumed bid in the API v1 shape', () => {
+        // account_tx entry (API v1): the taker's OfferCreate sells RLA into our bid
+        const parsed = parser.parse({
+            transaction: { hash: 'HASH2', TransactionType: 'OfferCreate', Account: taker, Fee: '12', date: 812548800, ledger_index: 101 },
+            meta: {
+                TransactionResult: 'tesSUCCESS',
+                AffectedNodes: [
+                    offerNode('DeletedNode', 8, { TakerGets: usd(65), TakerPays: rla(100) }, { TakerGets: usd(0), TakerPays: rla(0) }),
+                    trustLineNode(taker, true, -100, 0)
+                ]
+            },
+            validated: true
+        });
+
+        assert.equal(parsed.hash, 'HASH2');
+        assert.equal(parsed.ledgerIndex, 101);
+        assert.equal(parsed.executedAt, '2025-09-30T12:00:00.000Z');
+
+        const [fill] = parsed.fills;
+        assert.equal(fill.side, 'bid');
+        assert.equal(fill.rlaAmount, '100');
+        assert.equal(fill.quoteAmount, '65');
+        assert.equal(fill.offerConsumed, true);
+        assert.equal(fill.counterparty, taker);
+    });
+
+    it('ignores cancelled offers and offers of other accounts', () => {
+        const parsed = parser.parse({
+            hash: 'HASH3',
+            ledger_index: 102,
+            tx_json: { TransactionType: 'OfferCreate', Account: issuer, OfferSequence: 7 },
+            meta: {
+                AffectedNodes: [
+                    offerNode('DeletedNode', 7, null, { TakerGets: rla(60), TakerPays: usd(42) }),
+                    {
+                        ModifiedNode: {
+                            LedgerEntryType: 'Offer',
+                            FinalFields: { Account: taker, Sequence: 3, TakerGets: rla(5), TakerPays: usd(3.5) },
+                            PreviousFields: { TakerGets: rla(10), TakerPays: usd(7) }
+                        }
+                    }
+                ]
+            }
+        });
+
+        assert.equal(parsed.fills.length, 0);
+    });
+
+    it('reads XRP and unavailable delivered amounts', () => {
+        assert.deepEqual(FillParser.parseAmount('1500000'), { currency: 'XRP', issuer: null, value: '1.5' });
+        assert.equal(FillParser.parseAmount('unavailable'), null);
+    });
+});
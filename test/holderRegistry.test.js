@@ -0,0 +1,72 @@
+/**
+ * test/holderRegistry.test.js - KYC Holder Registry Test
+ *
+ * Reviews holders in a registry with a controlled clock. An approval must
+ * lapse at its expiry, reviews must be recorded with a reference or reason,
+ * and the registry must survive a save and reload.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xrpl = require('xrpl');
+
+const HolderRegistry = require('../storage/holderRegistry');
+
+describe('HolderRegistry', () => {
+    const investor = xrpl.Wallet.generate().address;
+    const applicant = xrpl.Wallet.generate().address;
+    let now = Date.parse('2026-10-01T00:00:00Z');
+    let directory;
+    let registry;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'holder-registry-test-'));
+        registry = new HolderRegistry({ directory: directory, now: () => now });
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('queues accounts that open a trust line for review', () => {
+        assert.equal(registry.noteTrustLine(applicant, 'RLA'), true);
+        assert.equal(registry.noteTrustLine(applicant, 'RLA'), false);
+
+        assert.equal(registry.getKycStatus(applicant), 'pending');
+        assert.equal(registry.getKycStatus(investor), 'unknown');
+        assert.equal(registry.get(applicant).source, 'trust line');
+    });
+
+    it('records reviews and lapses approvals at their expiry', () => {
+        assert.throws(() => registry.approve(investor, { reviewedBy: 'compliance' }), /needs a reference and a reviewer/);
+        assert.throws(() => registry.reject(applicant, { reviewedBy: 'compliance' }), /needs a reason and a reviewer/);
+
+        registry.approve(investor, { reference: 'KYC-1', reviewedBy: 'compliance', expiresAt: '2026-12-31' });
+        registry.reject(applicant, { reason: 'Sanctions match', reviewedBy: 'compliance' });
+        assert.equal(registry.isApproved(investor), true);
+        assert.deepEqual(registry.get(applicant).history.map(entry => entry.status), ['pending', 'rejected']);
+
+        now = Date.parse('2027-01-01T00:00:00Z');
+        assert.equal(registry.getKycStatus(investor), 'expired');
+        assert.deepEqual(registry.list('expired').map(holder => holder.address), [investor]);
+    });
+
+    it('reloads the saved registry', async () => {
+        registry.recordAuthorization(investor, 'RLA', 'HASH1');
+        await registry.save();
+
+        const reloaded = new HolderRegistry({ directory: directory, now: () => now });
+        assert.equal(await reloaded.load(), 2);
+        assert.deepEqual(reloaded.getSummary(), { holders: 2, approved: 0, pending: 0, rejected: 1, expired: 1, authorized: 1 });
+        assert.deepEqual(fs.readdirSync(directory), ['holders.json']);
+    });
+
+    it('refuses a registry of another version', async () => {
+        fs.writeFileSync(path.join(directory, 'holders.json'), JSON.stringify({ version: 2, holders: [] }));
+
+        await assert.rejects(new HolderRegistry({ directory: directory }).load(), /Unsupported holder registry version 2/);
+    });
+});
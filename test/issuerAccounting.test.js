@@ -0,0 +1,95 @@
+/**
+ * test/issuerAccounting.test.js - Issuer PnL Accounting Test
+ *
+ * Books buybacks and sales against one property and checks the average-cost
+ * realized PnL: sales draw down the repurchased position first, at its
+ * average cost, and only the rest counts as primary issuance.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const IssuerAccounting = require('../portfolio/issuerAccounting');
+
+const property = { id: 'test-property', tokenCode: 'RLA', totalSupply: 1000 };
+
+/**
+ * Build a journaled fill of the test property
+ */
+function fill(id, side, rlaAmount, usdAmount, navPrice = null) {
+    return {
+        id: id,
+        propertyId: property.id,
+        pairId: 'RLA-USD',
+        quoteCurrency: 'USD',
+        side: side,
+        rlaAmount: String(rlaAmount),
+        quoteAmount: String(usdAmount),
+        usdAmount: String(usdAmount),
+        navPrice: navPrice,
+        executedAt: '2026-10-01T00:00:00.000Z'
+    };
+}
+
+/**
+ * Compare USD amounts up to float rounding
+ */
+function assertUsd(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+describe('IssuerAccounting', () => {
+    it('realizes sales of repurchased tokens at their average cost', () => {
+        const accounting = new IssuerAccounting([property]);
+        accounting.applyAll([
+            // 200 tokens bought back at an average cost of 0.70
+            fill('buy-1', 'bid', 100, 60),
+            fill('buy-2', 'bid', 100, 80),
+            // All from the repurchased position: (0.90 - 0.70) * 150
+            fill('sell-1', 'ask', 150, 135)
+        ]);
+
+        let report = accounting.getPropertyReport(property.id, 1);
+        assertUsd(report.realizedPnlUsd, 30);
+        assert.equal(report.repurchasedPosition.tokens, 50);
+        assertUsd(report.repurchasedPosition.averageCost, 0.7);
+        assertUsd(report.unrealizedPnlUsd, 15);
+        assert.equal(report.sales.primaryTokens, 0);
+
+        // 50 repurchased at (1.00 - 0.70), the other 50 from the primary supply
+        accounting.apply(fill('sell-2', 'ask', 100, 100));
+
+        report = accounting.getPropertyReport(property.id, 1);
+        assertUsd(report.realizedPnlUsd, 45);
+        assert.equal(report.repurchasedPosition.tokens, 0);
+        assertUsd(report.repurchasedPosition.costUsd, 0);
+        assert.equal(report.repurchasedPosition.averageCost, null);
+        assert.equal(report.sales.primaryTokens, 50);
+        assertUsd(report.sales.primaryProceedsUsd, 50);
+        assert.equal(report.inventory.tokens, 950);
+        assertUsd(report.netCashUsd, 95);
+    });
+
+    it('books primary sales without realized PnL', () => {
+        const accounting = new IssuerAccounting([property]);
+        accounting.apply(fill('sell-1', 'ask', 100, 80, 0.75));
+
+        const report = accounting.getPropertyReport(property.id, 0.75);
+        assert.equal(report.realizedPnlUsd, 0);
+        assert.equal(report.sales.primaryTokens, 100);
+        assertUsd(report.sales.premiumToNavUsd, 5);
+        assert.equal(report.inventory.circulating, 100);
+    });
+
+    it('applies each fill once and skips unknown properties', () => {
+        const accounting = new IssuerAccounting([property]);
+
+        assert.equal(accounting.applyAll([fill('buy-1', 'bid', 100, 60), fill('buy-1', 'bid', 100, 60)]), 1);
+        assert.equal(accounting.apply({ ...fill('other-1', 'ask', 10, 10), propertyId: 'other-property' }), false);
+
+        const report = accounting.getReport({ [property.id]: 0.7 });
+        assert.equal(report.skippedFills, 1);
+        assert.equal(report.totals.fills, 1);
+        assertUsd(report.totals.unrealizedPnlUsd, 10);
+    });
+});
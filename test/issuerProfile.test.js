@@ -0,0 +1,94 @@
+/**
+ * test/issuerProfile.test.js - Issuer Account Profile Test
+ *
+ * Applies a profile to a fresh issuer on a SimulatedLedger, then lets
+ * another writer overwrite the Domain. The check must report exactly that
+ * drift, and applying again must bring the account back in one AccountSet.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const xrpl = require('xrpl');
+
+const SimulatedLedger = require('../ledger/simulatedLedger');
+const TransactionSubmitter = require('../ledger/transactionSubmitter');
+const IssuerProfile = require('../ledger/issuerProfile');
+
+describe('IssuerProfile', () => {
+    const wallet = xrpl.Wallet.generate();
+    const profile = new IssuerProfile({
+        profile: { defaultRipple: true, requireAuth: true, transferFeePercent: 0.5, tickSize: 5, domain: 'example.com' }
+    });
+    let ledger;
+    let submitter;
+
+    before(async () => {
+        // Progress logs would share stdout with the test runner's own reports
+        mock.method(console, 'log', () => {});
+
+        ledger = new SimulatedLedger({ ledgerIntervalMs: 20, takers: 'none' });
+        ledger.loadState({ accounts: [{ Account: wallet.address, Balance: '100000000' }] });
+        await ledger.connect();
+        submitter = new TransactionSubmitter({ getClient: () => ledger, pollIntervalMs: 10 });
+    });
+
+    after(async () => {
+        await ledger.disconnect();
+        mock.restoreAll();
+    });
+
+    it('reports every unmet setting of a fresh account', async () => {
+        const check = await profile.check(ledger, wallet.address);
+
+        assert.equal(check.inSync, false);
+        assert.deepEqual(check.drift.map(entry => entry.setting).sort(),
+            ['defaultRipple', 'domain', 'requireAuth', 'tickSize', 'transferFeePercent']);
+    });
+
+    it('applies the profile with one AccountSet per flag', async () => {
+        const result = await profile.apply(ledger, submitter, wallet);
+
+        assert.equal(result.inSync, true);
+        assert.deepEqual(result.failed, []);
+        assert.deepEqual(result.submitted.map(entry => entry.change),
+            ['Domain, TransferRate, TickSize', 'set asfDefaultRipple', 'set asfRequireAuth']);
+
+        const { result: { account_data: account } } = await ledger.request({ command: 'account_info', account: wallet.address });
+        assert.equal(account.TransferRate, 1005000000);
+    });
+
+    it('detects a Domain overwritten by another writer', async () => {
+        await submitter.submit({
+            TransactionType: 'AccountSet',
+            Account: wallet.address,
+            Domain: Buffer.from('valuation.example', 'utf8').toString('hex').toUpperCase()
+        }, { wallet: wallet });
+
+        const check = await profile.check(ledger, wallet.address);
+        assert.deepEqual(check.drift, [{ setting: 'domain', expected: 'example.com', actual: 'valuation.example' }]);
+        // The first check, apply's check before submitting, and this one
+        assert.equal(profile.getStatus().driftDetected, 3);
+
+        const result = await profile.apply(ledger, submitter, wallet);
+        assert.equal(result.inSync, true);
+        assert.deepEqual(result.submitted.map(entry => entry.change), ['Domain']);
+    });
+
+    it('clears flags and removes a transfer fee of 0', () => {
+        const transactions = profile.buildTransactions(wallet.address, [
+            { setting: 'requireAuth', expected: false, actual: true },
+            { setting: 'transferFeePercent', expected: 0, actual: 0.5 }
+        ]);
+
+        assert.deepEqual(transactions, [
+            { TransactionType: 'AccountSet', Account: wallet.address, TransferRate: 0 },
+            { TransactionType: 'AccountSet', Account: wallet.address, ClearFlag: xrpl.AccountSetAsfFlags.asfRequireAuth }
+        ]);
+    });
+
+    it('rejects unknown settings and out-of-range values', () => {
+        assert.throws(() => new IssuerProfile({ profile: { globalFreeze: true } }), /Unknown issuer profile setting/);
+        assert.throws(() => new IssuerProfile({ profile: { tickSize: 2 } }), /tickSize must be 0/);
+        assert.throws(() => new IssuerProfile({ profile: { transferFeePercent: 101 } }), /between 0 and 100/);
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * test/managedProperty.test.js - Portfolio Property Test
+ *
+ * Loads a two-property portfolio config and checks that each property
+ * prices and scopes its own pairs, reprices past its own threshold and
+ * restores its state, and that ambiguous portfolios are rejected.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xrpl = require('xrpl');
+
+const ManagedProperty = require('../portfolio/managedProperty');
+
+const quoteIssuer = xrpl.Wallet.generate().address;
+
+/**
+ * Build a property config with one USD pair
+ */
+function propertyConfig(overrides = {}) {
+    return {
+        id: 'main-street',
+        tokenCode: 'RLA',
+        totalSupply: 1000,
+        referencePrice: 0.7,
+        repriceThreshold: 0.05,
+        oracle: { enabled: false },
+        pairs: [{ id: 'USDT', quoteCurrency: 'USD', quoteIssuer: quoteIssuer, rlaAmount: 100, ladder: { levels: 1 } }],
+        ...overrides
+    };
+}
+
+describe('ManagedProperty', () => {
+    let directory;
+
+    // Write a portfolio config and load it
+    const loadPortfolio = (properties) => {
+        const configPath = path.join(directory, 'portfolio.json');
+        fs.writeFileSync(configPath, JSON.stringify({ properties: properties }));
+        return ManagedProperty.loadAll({ configPath: configPath });
+    };
+
+    before(() => {
+        // Progress logs would share stdout with the test runner's own reports
+        mock.method(console, 'log', () => {});
+
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'managed-property-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('loads every property with its own pairs', () => {
+        const [main, harbor] = loadPortfolio([
+            propertyConfig(),
+            propertyConfig({ id: 'harbor-view', tokenCode: 'RLB', totalSupply: 2000, referencePrice: 1.25 })
+        ]);
+
+        assert.equal(main.getReferencePrice(), 0.7);
+        assert.equal(harbor.getReferencePrice(), 1.25);
+        assert.equal(harbor.getPropertyValue(), 2500);
+        assert.deepEqual(harbor.pairs.map(pair => [pair.id, pair.propertyId, pair.tokenCode]), [['USDT', 'harbor-view', 'RLB']]);
+        assert.equal(main.getPair('USDT').tokenCode, 'RLA');
+    });
+
+    it('reprices only past its threshold', () => {
+        const property = new ManagedProperty(propertyConfig());
+
+        assert.equal(property.calculateTokenPrice(720), 0.72);
+        assert.equal(property.needsRepricing(0.72), false);
+        assert.equal(property.needsRepricing(0.75), true);
+
+        property.setTokenPrice(0.75);
+        assert.equal(property.getReferencePrice(), 0.75);
+        assert.equal(property.getComplianceSection().priceSource, 'ORACLE');
+    });
+
+    it('reprices on any change with a 0 threshold', () => {
+        const property = new ManagedProperty(propertyConfig({ repriceThreshold: 0 }));
+
+        assert.equal(property.repriceThreshold, 0);
+        assert.equal(property.needsRepricing(0.7001), true);
+        assert.equal(property.needsRepricing(0.7), false);
+    });
+
+    it('restores an oracle price only while its oracle is enabled', () => {
+        const configured = new ManagedProperty(propertyConfig());
+        configured.restoreState({ currentPrice: 0.9, stats: { priceUpdates: 3 } });
+        assert.equal(configured.getReferencePrice(), 0.7);
+        assert.equal(configured.stats.priceUpdates, 3);
+
+        const oracle = new ManagedProperty(propertyConfig({ oracle: { enabled: true } }));
+        oracle.restoreState({ currentPrice: 0.9, pairs: { USDT: { stats: { swaps: 2 } } } });
+        assert.equal(oracle.getReferencePrice(), 0.9);
+        assert.equal(oracle.getPair('USDT').stats.swaps, 2);
+    });
+
+    it('rejects ambiguous or incomplete portfolios', () => {
+        assert.throws(() => loadPortfolio([propertyConfig(), propertyConfig({ tokenCode: 'RLB' })]), /Duplicate property id/);
+        assert.throws(() => loadPortfolio([propertyConfig(), propertyConfig({ id: 'harbor-view' })]), /Duplicate property token code/);
+        assert.throws(() => loadPortfolio([]), /No properties defined/);
+        assert.throws(() => new ManagedProperty(propertyConfig({ referencePrice: undefined })), /requires a referencePrice/);
+        assert.throws(() => new ManagedProperty(propertyConfig({ openingCirculating: 2000 })), /openingCirculating must be between/);
+        assert.throws(() => new ManagedProperty(propertyConfig({ repriceThreshold: -1 })), /repriceThreshold must be zero or more/);
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * test/offerLadder.test.js - Offer Ladder Test
+ *
+ * Builds ask and bid ladders from explicit settings and checks rung prices,
+ * sizes, amount formatting and which offers a rung claims.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const OfferLadder = require('../trading/offerLadder');
+
+describe('OfferLadder', () => {
+    it('steps ask prices up and bid prices down from the reference', () => {
+        const asks = new OfferLadder({ side: 'ask', levels: 3, stepPercent: 1, startPercent: 0.5, sizes: [100, 200, 300] });
+        const bids = new OfferLadder({ side: 'bid', levels: 2, stepPercent: 1, startPercent: 0.5, sizes: [100] });
+
+        const askRungs = asks.buildRungs(0.7);
+        assert.deepEqual(askRungs.map(rung => rung.id), ['ask-1', 'ask-2', 'ask-3']);
+        assert.deepEqual(askRungs.map(rung => rung.offsetPercent), [0.5, 1.5, 2.5]);
+        assert.deepEqual(askRungs.map(rung => rung.rlaAmount), ['100', '200', '300']);
+        assert.equal(askRungs[1].quoteAmount, OfferLadder.formatAmount(200 * 0.7 * 1.015));
+
+        const bidRungs = bids.buildRungs(0.7);
+        assert.deepEqual(bidRungs.map(rung => rung.offsetPercent), [-0.5, -1.5]);
+        assert.ok(bidRungs[1].price < bidRungs[0].price && bidRungs[0].price < 0.7);
+    });
+
+    it('pads sizes with the last one and splits a default size evenly', () => {
+        assert.deepEqual(new OfferLadder({ levels: 3, sizes: '50,25' }).sizes, [50, 25, 25]);
+        assert.deepEqual(new OfferLadder({ levels: 2, sizes: [10, 20, 30] }).sizes, [10, 20]);
+        assert.deepEqual(new OfferLadder({ levels: 4, defaultSize: '100' }).sizes, [25, 25, 25, 25]);
+        assert.equal(new OfferLadder({ levels: 4, defaultSize: '100' }).getTotalSize(), 100);
+    });
+
+    it('keeps an explicit 0 start offset', () => {
+        const ladder = new OfferLadder({ levels: 1, stepPercent: 1, startPercent: 0, sizes: [10] });
+        assert.equal(ladder.buildRungs(0.7)[0].price, 0.7);
+    });
+
+    it('formats amounts within 15 significant digits', () => {
+        assert.equal(OfferLadder.formatAmount(0.1 + 0.2), '0.3');
+        assert.equal(OfferLadder.formatAmount(1 / 3), '0.333333333333333');
+        assert.equal(OfferLadder.formatAmount(70), '70');
+    });
+
+    it('claims offers within half a step of a rung', () => {
+        const ladder = new OfferLadder({ levels: 2, stepPercent: 1, sizes: [100] });
+        const [first, second] = ladder.buildRungs(1);
+
+        assert.equal(ladder.offerMatchesRung(100, 100.4, first), true);
+        assert.equal(ladder.offerMatchesRung(100, 100.6, first), false);
+        assert.equal(ladder.offerMatchesRung(100, 100.6, second), true);
+        assert.equal(ladder.offerMatchesRung(0, 100, first), false);
+    });
+
+    it('rejects invalid settings', () => {
+        assert.throws(() => new OfferLadder({ side: 'both', sizes: [10] }), /Invalid ladder side/);
+        assert.throws(() => new OfferLadder({ levels: 0, sizes: [10] }), /Invalid ladder level count/);
+        assert.throws(() => new OfferLadder({ stepPercent: 'wide', sizes: [10] }), /Invalid ladder step/);
+        assert.throws(() => new OfferLadder({ levels: 1 }), /requires OFFER_LADDER_SIZES/);
+        assert.throws(() => new OfferLadder({ sizes: [10] }).buildRungs(0), /Invalid reference price/);
+    });
+});
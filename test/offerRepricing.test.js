@@ -0,0 +1,129 @@
+/**
+ * test/offerRepricing.test.js - Atomic Offer Repricing Test
+ *
+ * Posts the bot's ask ladder on a MockXrplServer, then reprices it after an
+ * oracle price update. Every rung must be replaced in place by one
+ * OfferCreate naming the old offer in OfferSequence, so the book never holds
+ * both prices and no separate OfferCancel is sent.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xrpl = require('xrpl');
+
+const MockXrplServer = require('../ledger/mockXrplServer');
+
+const issuer = xrpl.Wallet.generate();
+const quoteIssuer = xrpl.Wallet.generate();
+
+describe('EnterpriseRealEstateBot offer repricing', () => {
+    const originalDirectory = process.cwd();
+    let directory;
+    let server;
+    let bot;
+    let posted;
+
+    // Resting offers of the issuer, by Sequence
+    const restingOffers = () => new Map(server.ledger.getOffersOf(issuer.address)
+        .map(offer => [offer.Sequence, offer]));
+    // Validated transactions of one type
+    const transactionsOf = (type) => Array.from(server.ledger.transactions.values())
+        .filter(entry => entry.validated && entry.tx_json.TransactionType === type)
+        .map(entry => entry.tx_json);
+
+    before(async () => {
+        // Progress logs would share stdout with the test runner's own reports
+        mock.method(console, 'log', () => {});
+
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'offer-repricing-test-'));
+        process.chdir(directory);
+
+        server = new MockXrplServer({
+            port: 0,
+            ledgerIntervalMs: 100,
+            takers: 'none',
+            state: { accounts: [{ Account: issuer.address, Balance: '1000000000' }] }
+        });
+        const url = await server.start();
+
+        Object.assign(process.env, {
+            DOTENV_CONFIG_QUIET: 'true',
+            XRPL_NETWORK: url,
+            WALLET_MODE: 'issuer',
+            ISSUER_SEED: issuer.seed,
+            PROPERTY_ID: 'test-property',
+            RLA_TOKEN_CODE: 'RLA',
+            TOTAL_TOKEN_SUPPLY: '1000',
+            RLA_AMOUNT: '100',
+            USDT_AMOUNT: '70',
+            USDT_TOKEN_CODE: 'USD',
+            USDT_ISSUER: quoteIssuer.address,
+            OFFER_LADDER_LEVELS: '2',
+            OFFER_LADDER_STEP_PERCENT: '1',
+            ORACLE_ENABLED: 'false',
+            FIREBLOCKS_ENABLED: 'false',
+            ENABLE_COMPLIANCE_REPORTING: 'false',
+            STATE_SNAPSHOT_INTERVAL: '0',
+            TX_POLL_INTERVAL_MS: '50',
+            TX_RETRY_DELAY_MS: '50'
+        });
+
+        const EnterpriseRealEstateBot = require('../enterpriseBot');
+        bot = new EnterpriseRealEstateBot();
+        await bot.initialize();
+    });
+
+    after(async () => {
+        if (bot) {
+            await bot.shutdown();
+        }
+        if (server) {
+            await server.stop();
+        }
+        process.chdir(originalDirectory);
+        fs.rmSync(directory, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('posts a rung offer where none rests', async () => {
+        const report = await bot.repriceOffers('Initial ladder', bot.getAllPairs());
+
+        assert.deepEqual(report.created.map(entry => entry.rungId), ['ask-1', 'ask-2']);
+        assert.equal(report.replaced.length, 0);
+
+        posted = restingOffers();
+        assert.equal(posted.size, 2);
+        assert.deepEqual(report.created.map(entry => entry.newSequence).sort(), Array.from(posted.keys()).sort());
+    });
+
+    it('replaces every rung in place at the new price', async () => {
+        const property = bot.properties[0];
+        await bot.handlePriceUpdate(property, {
+            priceChangePercent: 14.29,
+            oldValuation: { currentValue: 700 },
+            newValuation: { currentValue: 800 }
+        });
+
+        const report = bot.lastRepriceReport;
+        assert.deepEqual(report.replaced.map(entry => entry.rungId), ['ask-1', 'ask-2']);
+        assert.deepEqual(report.replaced.map(entry => entry.oldSequence).sort(), Array.from(posted.keys()).sort());
+        assert.equal(report.created.length + report.cancelled.length + report.failed.length, 0);
+
+        const offers = restingOffers();
+        assert.equal(offers.size, 2);
+        for (const entry of report.replaced) {
+            const offer = offers.get(entry.newSequence);
+            assert.ok(offer, `${entry.rungId} has no resting offer`);
+            assert.equal(posted.has(entry.newSequence), false);
+            assert.ok(Math.abs(parseFloat(offer.TakerPays.value) / parseFloat(offer.TakerGets.value) - entry.newPrice) < 1e-9);
+            assert.ok(Math.abs(entry.oldPrice - entry.newPrice * 0.7 / 0.8) < 1e-9);
+        }
+
+        const replacements = transactionsOf('OfferCreate').filter(tx => tx.OfferSequence);
+        assert.deepEqual(replacements.map(tx => tx.OfferSequence).sort(), Array.from(posted.keys()).sort());
+        assert.equal(transactionsOf('OfferCancel').length, 0);
+    });
+});
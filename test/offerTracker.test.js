@@ -0,0 +1,67 @@
+/**
+ * test/offerTracker.test.js - Offer Tracker Tests
+ *
+ * Replenish threshold and cooldown settings, including an explicit 0 that
+ * turns the cooldown off, and the fill ratio that decides a replenish.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const OfferTracker = require('../trading/offerTracker');
+
+const rung = { id: 'ask-1', side: 'ask', price: 0.7, rlaAmount: '100' };
+
+describe('OfferTracker', () => {
+    it('lets an explicit 0 cooldown turn the cooldown off', () => {
+        const tracker = new OfferTracker({ replenishThreshold: 0.9, replenishCooldownSeconds: 0, now: () => 1000 });
+
+        tracker.track(rung, 7);
+        tracker.markReplenished('ask-1');
+
+        assert.equal(tracker.replenishCooldown, 0);
+        assert.equal(tracker.isCoolingDown(tracker.get('ask-1')), false);
+    });
+
+    it('holds a replenished rung for the cooldown', () => {
+        let now = 1000;
+        const tracker = new OfferTracker({ replenishThreshold: 0.9, replenishCooldownSeconds: 60, now: () => now });
+
+        tracker.track(rung, 7);
+        tracker.markReplenished('ask-1');
+        now += 59000;
+        assert.equal(tracker.isCoolingDown(tracker.get('ask-1')), true);
+        now += 1000;
+        assert.equal(tracker.isCoolingDown(tracker.get('ask-1')), false);
+    });
+
+    it('rejects a 0 or out of range threshold instead of defaulting it', () => {
+        assert.throws(() => new OfferTracker({ replenishThreshold: 0 }), /Invalid replenish threshold: 0/);
+        assert.throws(() => new OfferTracker({ replenishThreshold: 1.5 }), /Invalid replenish threshold/);
+        assert.throws(() => new OfferTracker({ replenishThreshold: 0.9, replenishCooldownSeconds: -1 }), /Invalid replenish cooldown/);
+    });
+
+    it('replenishes once the remaining share drops below the threshold', () => {
+        const tracker = new OfferTracker({ replenishThreshold: 0.9, replenishCooldownSeconds: 0 });
+        const tracked = tracker.track(rung, 7);
+
+        tracker.updateRemaining('ask-1', '95');
+        assert.equal(tracker.needsReplenish(tracked), false);
+        tracker.updateRemaining('ask-1', '89');
+        assert.equal(tracker.needsReplenish(tracked), true);
+    });
+
+    it('keeps the last replenish time when a rung is tracked again', () => {
+        let now = 1000;
+        const tracker = new OfferTracker({ replenishThreshold: 0.9, replenishCooldownSeconds: 60, now: () => now });
+
+        tracker.track(rung, 7);
+        tracker.markReplenished('ask-1');
+        now += 1000;
+        const replaced = tracker.track(rung, 8);
+
+        assert.equal(replaced.lastReplenishAt, 1000);
+        assert.equal(tracker.findBySequence(8).rungId, 'ask-1');
+        assert.equal(tracker.findBySequence(7), null);
+    });
+});
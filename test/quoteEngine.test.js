@@ -0,0 +1,174 @@
+/**
+ * test/quoteEngine.test.js - Quote Engine Tests
+ *
+ * Inventory skew, settings read with an explicit 0, fitting bid rungs to
+ * the treasury budget and ask rungs to the supply left to sell.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const OfferLadder = require('../trading/offerLadder');
+const QuoteEngine = require('../trading/quoteEngine');
+
+/**
+ * Build a sell-only quote engine with a two-rung ask ladder
+ */
+function createEngine(config = {}) {
+    return new QuoteEngine({
+        askLadder: new OfferLadder({ side: 'ask', levels: 2, stepPercent: 1, startPercent: 0, defaultSize: '100' }),
+        bidEnabled: false,
+        ...config
+    });
+}
+
+/**
+ * Build a two-sided quote engine with two-rung ladders of 50 RLA each
+ */
+function createTwoSidedEngine(config = {}) {
+    return createEngine({
+        bidLadder: new OfferLadder({ side: 'bid', levels: 2, stepPercent: 1, startPercent: 0, defaultSize: '100' }),
+        bidEnabled: true,
+        targetSpreadPercent: 2,
+        maxSkewPercent: 1,
+        inventoryLimit: 1000,
+        targetInventory: 0,
+        requoteThresholdPercent: 0.25,
+        treasuryBudget: 1000,
+        ...config
+    });
+}
+
+describe('QuoteEngine settings', () => {
+    it('keeps an explicit 0 instead of the default', () => {
+        const engine = createTwoSidedEngine({ maxSkewPercent: 0, inventoryLimit: 0, treasuryBudget: 0 });
+
+        assert.equal(engine.maxSkewPercent, 0);
+        assert.equal(engine.inventoryLimit, 0);
+        assert.equal(engine.treasuryBudget, 0);
+    });
+
+    it('rejects a 0 spread when the bid side is enabled', () => {
+        assert.throws(() => createTwoSidedEngine({ targetSpreadPercent: 0 }), /must be positive when the bid side is enabled/);
+        assert.equal(createEngine({ targetSpreadPercent: 0 }).targetSpreadPercent, 0);
+    });
+
+    it('rejects negative, non-numeric and zero-threshold settings', () => {
+        assert.throws(() => createTwoSidedEngine({ maxSkewPercent: -1 }), /maxSkewPercent must be zero or more/);
+        assert.throws(() => createTwoSidedEngine({ inventoryLimit: 'lots' }), /inventoryLimit must be zero or more/);
+        assert.throws(() => createTwoSidedEngine({ treasuryBudget: -5 }), /treasuryBudget must be zero or more/);
+        assert.throws(() => createTwoSidedEngine({ targetInventory: 'none' }), /targetInventory must be a number/);
+        assert.throws(() => createTwoSidedEngine({ requoteThresholdPercent: 0 }), /requoteThresholdPercent must be positive/);
+    });
+});
+
+describe('QuoteEngine inventory skew', () => {
+    it('lowers both quotes when long and raises them when short', () => {
+        const engine = createTwoSidedEngine();
+
+        engine.applyFill({ side: 'bid', rlaAmount: '500', quoteAmount: '350' });
+        assert.equal(engine.getSkewPercent(), -0.5);
+        const long = engine.getQuoteCenters(1);
+        assert.equal(long.mid, 0.995);
+        assert.ok(Math.abs(long.ask - 0.995 * 1.01) < 1e-12);
+        assert.ok(Math.abs(long.bid - 0.995 * 0.99) < 1e-12);
+
+        engine.applyFill({ side: 'ask', rlaAmount: '1000', quoteAmount: '700' });
+        assert.equal(engine.getSkewPercent(), 0.5);
+    });
+
+    it('clamps the skew at the maximum', () => {
+        const engine = createTwoSidedEngine();
+        engine.applyFill({ side: 'ask', rlaAmount: '5000', quoteAmount: '3500' });
+
+        assert.equal(engine.getSkewPercent(), 1);
+    });
+
+    it('does not skew with a 0 inventory limit or a sell-only book', () => {
+        const unlimited = createTwoSidedEngine({ inventoryLimit: 0 });
+        unlimited.applyFill({ side: 'bid', rlaAmount: '500', quoteAmount: '350' });
+        assert.equal(unlimited.getSkewPercent(), 0);
+
+        const sellOnly = createEngine();
+        sellOnly.applyFill({ side: 'ask', rlaAmount: '500', quoteAmount: '350' });
+        assert.equal(sellOnly.getSkewPercent(), 0);
+    });
+
+    it('requotes once the skew moves by the threshold', () => {
+        const engine = createTwoSidedEngine();
+        const quoted = engine.getSkewPercent();
+
+        engine.applyFill({ side: 'bid', rlaAmount: '200', quoteAmount: '140' });
+        assert.equal(engine.needsRequote(quoted), false);
+        engine.applyFill({ side: 'bid', rlaAmount: '50', quoteAmount: '35' });
+        assert.equal(engine.needsRequote(quoted), true);
+    });
+
+    it('applies a replayed fill once', () => {
+        const engine = createTwoSidedEngine();
+        const fill = { hash: 'ABC', offerSequence: 7, side: 'bid', rlaAmount: '10', quoteAmount: '7' };
+
+        assert.equal(engine.applyFill(fill), true);
+        assert.equal(engine.applyFill(fill), false);
+        assert.equal(engine.netInventory, 10);
+        assert.equal(engine.treasurySpent, 7);
+    });
+});
+
+describe('QuoteEngine.fitBidsToBudget', () => {
+    const rungs = [
+        { id: 'bid-1', side: 'bid', price: 0.7, rlaAmount: '50', quoteAmount: '35' },
+        { id: 'bid-2', side: 'bid', price: 0.5, rlaAmount: '50', quoteAmount: '25' }
+    ];
+
+    it('keeps every rung the budget covers', () => {
+        assert.deepEqual(createTwoSidedEngine({ treasuryBudget: 60 }).fitBidsToBudget(rungs), rungs);
+    });
+
+    it('shrinks the first rung the budget cannot cover and drops the rest', () => {
+        const fitted = createTwoSidedEngine({ treasuryBudget: 40 }).fitBidsToBudget(rungs);
+
+        assert.equal(fitted.length, 2);
+        assert.equal(fitted[0], rungs[0]);
+        assert.equal(fitted[1].rlaAmount, '10');
+        assert.equal(fitted[1].quoteAmount, '5');
+    });
+
+    it('counts what fills already spent', () => {
+        const engine = createTwoSidedEngine({ treasuryBudget: 40 });
+        engine.applyFill({ side: 'bid', rlaAmount: '50', quoteAmount: '39.5' });
+
+        assert.equal(engine.getRemainingBudget(), 0.5);
+        assert.deepEqual(engine.fitBidsToBudget(rungs), []);
+    });
+
+    it('quotes bids only within the budget', () => {
+        const quotes = createTwoSidedEngine({ treasuryBudget: 0 }).buildQuotes(0.7);
+
+        assert.equal(quotes.asks.length, 2);
+        assert.deepEqual(quotes.bids, []);
+    });
+});
+
+describe('QuoteEngine.fitAskToSupply', () => {
+    const rung = { id: 'ask-1', side: 'ask', price: 0.7, rlaAmount: '50', quoteAmount: '35' };
+
+    it('keeps a rung the supply covers', () => {
+        assert.equal(createEngine().fitAskToSupply(rung, 50), rung);
+    });
+
+    it('shrinks a rung to the whole tokens left', () => {
+        const fitted = createEngine().fitAskToSupply(rung, 20.6);
+
+        assert.equal(fitted.id, 'ask-1');
+        assert.equal(fitted.price, 0.7);
+        assert.equal(fitted.rlaAmount, '20');
+        assert.equal(fitted.quoteAmount, '14');
+        assert.equal(rung.rlaAmount, '50');
+    });
+
+    it('drops a rung with less than one token left', () => {
+        assert.equal(createEngine().fitAskToSupply(rung, 0.99), null);
+        assert.equal(createEngine().fitAskToSupply(rung, 0), null);
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * test/rentalDistribution.test.js - Rental Distribution Resume Test
+ *
+ * Pays rental income to three holders on a SimulatedLedger, with the payer
+ * issuing the payout currency itself. A new job must allocate from the one
+ * snapshot it saves, and every payment must keep its own hash and
+ * LastLedgerSequence. Resuming a job left in flight must settle payments
+ * from their saved hashes, hold back any whose last ledger is still ahead,
+ * and send again only those that can no longer validate.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xrpl = require('xrpl');
+
+const CapTable = require('../portfolio/capTable');
+const RentalDistribution = require('../portfolio/rentalDistribution');
+const SimulatedLedger = require('../ledger/simulatedLedger');
+const TransactionSubmitter = require('../ledger/transactionSubmitter');
+
+describe('RentalDistribution', () => {
+    const issuer = xrpl.Wallet.generate().address;
+    const payer = xrpl.Wallet.generate();
+    const holders = [xrpl.Wallet.generate().address, xrpl.Wallet.generate().address, xrpl.Wallet.generate().address];
+    let directory;
+    let ledger;
+    let submitter;
+    let distribution;
+    let snapshot;
+
+    // Validated payments of a job to a holder
+    const paymentsTo = (job, holder) => Array.from(ledger.transactions.values()).filter(entry =>
+        entry.validated && entry.tx_json.TransactionType === 'Payment' && entry.tx_json.Destination === holder &&
+        RentalDistribution.readMemo(entry.tx_json) === `${job.id}:${holder}`);
+
+    const createJob = async () => {
+        const plan = await distribution.preview(ledger, {
+            issuer: issuer,
+            payer: payer.address,
+            tokenCode: 'RLA',
+            amount: '1000',
+            snapshot: snapshot
+        });
+        return distribution.createJob(plan, await RentalDistribution.getValidatedLedger(ledger));
+    };
+
+    before(async () => {
+        // Progress logs would share stdout with the test runner's own reports
+        mock.method(console, 'log', () => {});
+
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rental-distribution-test-'));
+
+        ledger = new SimulatedLedger({ ledgerIntervalMs: 50, takers: 'none' });
+        ledger.loadState({
+            accounts: [
+                { Account: issuer, Balance: '100000000' },
+                { Account: payer.address, Balance: '100000000' }
+            ],
+            trustLines: [
+                { holder: holders[0], currency: 'RLA', issuer: issuer, balance: '600' },
+                { holder: holders[1], currency: 'RLA', issuer: issuer, balance: '300' },
+                { holder: holders[2], currency: 'RLA', issuer: issuer, balance: '100' }
+            ]
+        });
+        await ledger.connect();
+
+        submitter = new TransactionSubmitter({ getClient: () => ledger, pollIntervalMs: 20, retryDelayMs: 20 });
+        distribution = new RentalDistribution({
+            capTable: new CapTable({ directory: path.join(directory, 'captable'), currencies: ['RLA'] }),
+            directory: path.join(directory, 'distributions'),
+            statementDirectory: path.join(directory, 'compliance'),
+            payoutCurrency: 'USD',
+            payoutIssuer: payer.address,
+            excludeAccounts: []
+        });
+        snapshot = await distribution.capTable.takeSnapshot(ledger, issuer);
+    });
+
+    after(async () => {
+        if (ledger) {
+            await ledger.disconnect();
+        }
+        fs.rmSync(directory, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('plans a new job from the snapshot it saved', async () => {
+        const job = await createJob();
+
+        assert.equal(job.snapshotFile, snapshot.file);
+        assert.equal(job.recordDate, snapshot.takenAt);
+        assert.deepEqual((await distribution.capTable.listSnapshots()), [snapshot.file]);
+        assert.deepEqual(job.payments.map(payment => [payment.account, payment.amount]),
+            [[holders[0], 600], [holders[1], 300], [holders[2], 100]]);
+    });
+
+    it('saves the hash and last ledger of every payment', async () => {
+        const job = await distribution.run(await createJob(), ledger, submitter, payer);
+        assert.equal(job.status, 'COMPLETED');
+
+        const saved = await distribution.loadJob(job.id);
+        for (const payment of saved.payments) {
+            assert.equal(payment.status, 'PAID');
+            assert.deepEqual(payment.hashes, [payment.hash]);
+            assert.ok(payment.lastLedgerSequence >= payment.ledgerIndex);
+            assert.equal(paymentsTo(job, payment.account).length, 1);
+        }
+    });
+
+    it('settles an in-flight payment from its saved hash', async () => {
+        const job = await createJob();
+        const payment = job.payments[0];
+        await distribution.pay(job, payment, submitter, payer);
+        const hash = payment.hash;
+        // As if stopped before the batch was saved
+        Object.assign(payment, { status: 'SUBMITTING', ledgerIndex: null, paidAt: null });
+        // Nor found in the account history
+        mock.method(distribution, 'findJobPayments', async () => new Map(), { times: 1 });
+
+        await distribution.reconcile(job, ledger, submitter);
+
+        assert.equal(payment.status, 'PAID');
+        assert.equal(payment.hash, hash);
+        assert.equal(paymentsTo(job, payment.account).length, 1);
+    });
+
+    it('waits for a payment whose last ledger is still ahead', async () => {
+        const job = await createJob();
+        const ledgerIndex = await RentalDistribution.getValidatedLedger(ledger);
+        Object.assign(job.payments[0], { status: 'SUBMITTING', hash: 'AB'.repeat(32), hashes: ['AB'.repeat(32)], lastLedgerSequence: ledgerIndex + 100 });
+
+        const result = await distribution.run(job, ledger, submitter, payer);
+
+        assert.equal(result.status, 'WAITING');
+        assert.equal(job.payments[0].status, 'SUBMITTING');
+        assert.deepEqual(job.payments.slice(1).map(payment => payment.status), ['PENDING', 'PENDING']);
+        assert.equal(holders.every(holder => paymentsTo(job, holder).length === 0), true);
+    });
+
+    it('sends again only payments that can no longer validate', async () => {
+        const job = await createJob();
+        const ledgerIndex = await RentalDistribution.getValidatedLedger(ledger);
+        // Expired unapplied, and checkpointed but never signed
+        Object.assign(job.payments[0], { status: 'SUBMITTING', hash: 'CD'.repeat(32), hashes: ['CD'.repeat(32)], lastLedgerSequence: ledgerIndex - 1 });
+        job.payments[1].status = 'SUBMITTING';
+
+        await distribution.reconcile(job, ledger, submitter);
+        assert.deepEqual(job.payments.map(payment => payment.status), ['PENDING', 'PENDING', 'PENDING']);
+
+        const result = await distribution.run(job, ledger, submitter, payer);
+        assert.equal(result.status, 'COMPLETED');
+        for (const holder of holders) {
+            assert.equal(paymentsTo(job, holder).length, 1);
+        }
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * test/repriceOffers.test.js - Repricing With No Supply Left
+ *
+ * Points the bot at a MockXrplServer where holders already hold the whole
+ * configured supply, so no ask rung can be posted. An oracle price update
+ * must still reprice without throwing, list the rungs as exhausted rather
+ * than deferred for fees, and save its ad-hoc compliance report.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xrpl = require('xrpl');
+
+const MockXrplServer = require('../ledger/mockXrplServer');
+
+const issuer = xrpl.Wallet.generate();
+const holder = xrpl.Wallet.generate();
+const quoteIssuer = xrpl.Wallet.generate();
+
+describe('EnterpriseRealEstateBot repricing with the supply sold out', () => {
+    const originalDirectory = process.cwd();
+    let directory;
+    let server;
+    let bot;
+
+    before(async () => {
+        // Progress logs would share stdout with the test runner's own reports
+        mock.method(console, 'log', () => {});
+
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reprice-offers-test-'));
+        process.chdir(directory);
+
+        server = new MockXrplServer({
+            port: 0,
+            ledgerIntervalMs: 100,
+            takers: 'none',
+            state: {
+                accounts: [{ Account: issuer.address, Balance: '1000000000' }],
+                trustLines: [{ holder: holder.address, currency: 'RLA', issuer: issuer.address, balance: '1000' }]
+            }
+        });
+        const url = await server.start();
+
+        Object.assign(process.env, {
+            DOTENV_CONFIG_QUIET: 'true',
+            XRPL_NETWORK: url,
+            WALLET_MODE: 'issuer',
+            ISSUER_SEED: issuer.seed,
+            PROPERTY_ID: 'test-property',
+            RLA_TOKEN_CODE: 'RLA',
+            TOTAL_TOKEN_SUPPLY: '1000',
+            RLA_AMOUNT: '100',
+            USDT_AMOUNT: '70',
+            USDT_TOKEN_CODE: 'USD',
+            USDT_ISSUER: quoteIssuer.address,
+            OFFER_LADDER_LEVELS: '2',
+            ORACLE_ENABLED: 'false',
+            FIREBLOCKS_ENABLED: 'false',
+            ENABLE_COMPLIANCE_REPORTING: 'false',
+            STATE_SNAPSHOT_INTERVAL: '0',
+            TX_POLL_INTERVAL_MS: '50',
+            TX_RETRY_DELAY_MS: '50'
+        });
+
+        const EnterpriseRealEstateBot = require('../enterpriseBot');
+        bot = new EnterpriseRealEstateBot();
+        await bot.initialize();
+    });
+
+    after(async () => {
+        if (bot) {
+            await bot.shutdown();
+        }
+        if (server) {
+            await server.stop();
+        }
+        process.chdir(originalDirectory);
+        fs.rmSync(directory, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('reports the ask rungs as exhausted', async () => {
+        const report = await bot.repriceOffers('Inventory skew', bot.getAllPairs());
+
+        assert.deepEqual(report.exhausted.map(entry => entry.rungId), ['ask-1', 'ask-2']);
+        for (const entry of report.exhausted) {
+            assert.equal(entry.oldSequence, null);
+            assert.equal(entry.rlaAmount, '0');
+            assert.equal(entry.error, 'no RLA left to sell');
+        }
+        assert.equal(report.deferred.length, 0);
+        assert.equal(report.created.length, 0);
+        assert.equal(report.failed.length, 0);
+        assert.equal(server.ledger.getOffersOf(issuer.address).length, 0);
+    });
+
+    it('saves the ad-hoc report of an oracle reprice', async () => {
+        const property = bot.properties[0];
+        await bot.handlePriceUpdate(property, {
+            priceChangePercent: 14.29,
+            oldValuation: { currentValue: 700 },
+            newValuation: { currentValue: 800 }
+        });
+
+        assert.equal(property.getReferencePrice(), 0.8);
+        assert.equal(bot.lastRepriceReport.reason, 'Oracle price update (test-property)');
+
+        const reportFile = fs.readdirSync(path.join(directory, 'logs', 'compliance'))
+            .find(file => file.startsWith('compliance_adhoc_offer_repricing_') && file.endsWith('.json'));
+        assert.ok(reportFile, 'no repricing report was saved');
+
+        const report = JSON.parse(fs.readFileSync(path.join(directory, 'logs', 'compliance', reportFile), 'utf8'));
+        assert.equal(report.additionalData.repricing.exhausted.length, 2);
+    });
+});
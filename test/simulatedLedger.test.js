@@ -0,0 +1,139 @@
+/**
+ * test/simulatedLedger.test.js - Simulated Ledger Test
+ *
+ * Signs transactions against a SimulatedLedger that closes only when told
+ * to. Offers must rest, be replaced and validate with stream messages like a
+ * real server's, and scripted takers must cross them at close, filling a
+ * RequireAuth issuer's offers only for takers whose line it authorized.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xrpl = require('xrpl');
+
+const SimulatedLedger = require('../ledger/simulatedLedger');
+
+describe('SimulatedLedger', () => {
+    const issuer = xrpl.Wallet.generate();
+    const taker = xrpl.Wallet.generate().address;
+    const quoteIssuer = xrpl.Wallet.generate().address;
+    const streamed = [];
+    let directory;
+    let ledger;
+
+    const rla = (value) => ({ currency: 'RLA', issuer: issuer.address, value: String(value) });
+    const usd = (value) => ({ currency: 'USD', issuer: quoteIssuer, value: String(value) });
+
+    /**
+     * Sign a transaction of the issuer and submit it to the open ledger
+     */
+    async function submit(transaction) {
+        const prepared = await ledger.autofill({ Account: issuer.address, ...transaction });
+        const { result } = await ledger.request({ command: 'submit', tx_blob: issuer.sign(prepared).tx_blob });
+        return result;
+    }
+
+    before(async () => {
+        // Progress logs would share stdout with the test runner's own reports
+        mock.method(console, 'log', () => {});
+
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'simulated-ledger-test-'));
+        const scriptPath = path.join(directory, 'takers.json');
+        fs.writeFileSync(scriptPath, JSON.stringify({
+            takers: [
+                { ledger: 2, buy: 'RLA', fraction: 0.5, account: taker },
+                { ledger: 4, buy: 'RLA', amount: 10, account: taker },
+                { ledger: 5, buy: 'RLA', amount: 10, account: taker }
+            ]
+        }));
+
+        ledger = new SimulatedLedger({ ledgerIntervalMs: 0, takers: 'script', scriptPath: scriptPath });
+        ledger.loadState({ accounts: [{ Account: issuer.address, Balance: '100000000' }] });
+        ledger.on('transaction', message => streamed.push(message));
+        await ledger.connect();
+        await ledger.request({ command: 'subscribe', accounts: [issuer.address] });
+    });
+
+    after(async () => {
+        await ledger.disconnect();
+        fs.rmSync(directory, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('rests an offer and validates it at close', async () => {
+        const result = await submit({ TransactionType: 'OfferCreate', TakerGets: rla(100), TakerPays: usd(70) });
+        assert.equal(result.engine_result, 'tesSUCCESS');
+
+        const { result: tx } = await ledger.request({ command: 'tx', transaction: result.tx_json.hash });
+        assert.equal(tx.validated, false);
+
+        const ledgerIndex = ledger.closeLedger();
+        assert.equal(streamed.length, 1);
+        assert.equal(streamed[0].hash, result.tx_json.hash);
+        assert.equal(streamed[0].ledger_index, ledgerIndex);
+        assert.equal(streamed[0].meta.AffectedNodes.some(node => node.CreatedNode && node.CreatedNode.LedgerEntryType === 'Offer'), true);
+
+        const { result: { offers } } = await ledger.request({ command: 'account_offers', account: issuer.address });
+        assert.deepEqual(offers.map(offer => offer.taker_gets.value), ['100']);
+    });
+
+    it('rejects a Sequence that has passed', async () => {
+        const prepared = await ledger.autofill({ TransactionType: 'AccountSet', Account: issuer.address });
+        prepared.Sequence -= 1;
+
+        const { result } = await ledger.request({ command: 'submit', tx_blob: issuer.sign(prepared).tx_blob });
+        assert.equal(result.engine_result, 'tefPAST_SEQ');
+        assert.equal(result.applied, false);
+    });
+
+    it('fills scripted takers at close', async () => {
+        ledger.closeLedger();
+
+        const fill = streamed[streamed.length - 1];
+        assert.equal(fill.tx_json.Account, taker);
+        assert.equal(ledger.getLineBalance(taker, rla(0)), 50);
+
+        const { result: { offers } } = await ledger.request({ command: 'account_offers', account: issuer.address });
+        assert.deepEqual(offers.map(offer => [offer.taker_gets.value, offer.taker_pays.value]), [['50', '35']]);
+        assert.equal(ledger.getStatus().scriptedFills, 1);
+    });
+
+    it('replaces an offer named by OfferSequence', async () => {
+        const { result: { offers: [resting] } } = await ledger.request({ command: 'account_offers', account: issuer.address });
+
+        const result = await submit({ TransactionType: 'OfferCreate', TakerGets: rla(50), TakerPays: usd(40), OfferSequence: resting.seq });
+        assert.equal(result.engine_result, 'tesSUCCESS');
+
+        const { result: { offers } } = await ledger.request({ command: 'account_offers', account: issuer.address });
+        assert.deepEqual(offers.map(offer => offer.taker_pays.value), ['40']);
+        assert.equal((await ledger.request({ command: 'account_info', account: issuer.address })).result.account_data.OwnerCount, 1);
+    });
+
+    it('fills a RequireAuth issuer only for authorized lines', async () => {
+        await submit({ TransactionType: 'AccountSet', SetFlag: xrpl.AccountSetAsfFlags.asfRequireAuth });
+        ledger.closeLedger();
+
+        // The taker's line predates RequireAuth and was never authorized
+        ledger.closeLedger();
+        assert.equal(ledger.getLineBalance(taker, rla(0)), 50);
+        assert.equal(ledger.getStatus().scriptedFills, 1);
+
+        const result = await submit({ TransactionType: 'TrustSet', LimitAmount: { currency: 'RLA', issuer: taker, value: '0' }, Flags: xrpl.TrustSetFlags.tfSetfAuth });
+        assert.equal(result.engine_result, 'tesSUCCESS');
+        ledger.closeLedger();
+
+        assert.equal(ledger.getLineBalance(taker, rla(0)), 60);
+        assert.equal(ledger.getStatus().scriptedFills, 2);
+        assert.equal(ledger.getStatus().scriptedTakersPending, 0);
+    });
+
+    it('rejects a taker script entry without a side', () => {
+        const scriptPath = path.join(directory, 'broken.json');
+        fs.writeFileSync(scriptPath, JSON.stringify({ takers: [{ ledger: 1, fraction: 0.5 }] }));
+
+        assert.throws(() => new SimulatedLedger({ takers: 'script', scriptPath: scriptPath }), /exactly one of buy\/sell/);
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * test/stateStore.test.js - Bot State Store Test
+ *
+ * Saves and reloads bot state snapshots in a scratch directory. Concurrent
+ * saves must land in order with no temporary file left behind, and an
+ * unreadable or foreign snapshot must mean a fresh start, not a crash.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const StateStore = require('../storage/stateStore');
+
+describe('StateStore', () => {
+    let directory;
+    let store;
+
+    before(() => {
+        // The unreadable snapshot test warns on purpose
+        mock.method(console, 'warn', () => {});
+
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'state-store-test-'));
+        store = new StateStore({ directory: path.join(directory, 'state') });
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('starts fresh without a snapshot', async () => {
+        assert.equal(await store.load(), null);
+    });
+
+    it('keeps the last of concurrent saves', async () => {
+        await Promise.all([1, 2, 3].map(ledgerIndex => store.save({ lastLedgerIndex: ledgerIndex })));
+
+        const snapshot = await store.load();
+        assert.deepEqual(snapshot.state, { lastLedgerIndex: 3 });
+        assert.equal(snapshot.savedAt, store.getStatus().lastSavedAt);
+        assert.equal(store.getStatus().saves, 3);
+        assert.deepEqual(fs.readdirSync(path.join(directory, 'state')), ['bot-state.json']);
+    });
+
+    it('ignores an unreadable or foreign snapshot', async () => {
+        fs.writeFileSync(store.stateFile, '{"version": 1, "state": {"lastLedg');
+        assert.equal(await store.load(), null);
+
+        fs.writeFileSync(store.stateFile, JSON.stringify({ version: 99, state: {} }));
+        assert.equal(await store.load(), null);
+    });
+});
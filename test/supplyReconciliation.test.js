@@ -0,0 +1,111 @@
+/**
+ * test/supplyReconciliation.test.js - Token Supply Reconciliation Test
+ *
+ * Reconciles a 1000 RLA supply against a SimulatedLedger where a
+ * distribution hot wallet sells from its own balance. Over-issuance, offers
+ * beyond what is left to sell and a custody balance the ledger disagrees
+ * with must each block trading until a later run reconciles.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const xrpl = require('xrpl');
+
+const SimulatedLedger = require('../ledger/simulatedLedger');
+const SupplyReconciliation = require('../portfolio/supplyReconciliation');
+
+describe('SupplyReconciliation', () => {
+    const issuer = xrpl.Wallet.generate().address;
+    const distribution = xrpl.Wallet.generate().address;
+    const holder = xrpl.Wallet.generate().address;
+    const quoteIssuer = xrpl.Wallet.generate().address;
+    let custodyBalance = '500';
+    let ledger;
+    let reconciliation;
+
+    const line = (account, balance) => ({ holder: account, currency: 'RLA', issuer: issuer, balance: String(balance) });
+    const offer = (account, sequence, value) => ({
+        Account: account,
+        Sequence: sequence,
+        TakerGets: { currency: 'RLA', issuer: issuer, value: String(value) },
+        TakerPays: { currency: 'USD', issuer: quoteIssuer, value: String(value) }
+    });
+
+    before(async () => {
+        ledger = new SimulatedLedger({ ledgerIntervalMs: 0, takers: 'none' });
+        ledger.loadState({
+            trustLines: [line(holder, 300), line(distribution, 500)],
+            offers: [offer(distribution, 1, 150), offer(distribution, 2, 50)]
+        });
+        await ledger.connect();
+
+        reconciliation = new SupplyReconciliation({
+            properties: [{ id: 'test-property', tokenCode: 'RLA', totalSupply: 1000 }],
+            hotWallets: [distribution],
+            getCustody: async () => ({
+                custodian: 'Fireblocks',
+                isMockData: false,
+                assets: [{ assetId: 'RLA_XRPL', address: distribution, balance: { total: custodyBalance } }]
+            })
+        });
+    });
+
+    after(async () => {
+        await ledger.disconnect();
+    });
+
+    it('reconciles supply, offers and custody that agree', async () => {
+        const result = await reconciliation.reconcile(ledger, issuer, distribution);
+        const token = result.tokens.RLA;
+
+        assert.equal(result.reconciled, true);
+        assert.deepEqual(
+            { outstanding: token.outstanding, hotWalletHeld: token.hotWalletHeld, issued: token.issued, unissued: token.unissued },
+            { outstanding: 300, hotWalletHeld: 500, issued: 800, unissued: 200 });
+        assert.deepEqual({ inOffers: token.inOffers, availableForOffers: token.availableForOffers }, { inOffers: 200, availableForOffers: 500 });
+        assert.equal(token.custody.status, 'MATCHED');
+        assert.equal(reconciliation.isBlocking(), false);
+    });
+
+    it('blocks trading on a custody mismatch until it resolves', async () => {
+        custodyBalance = '450';
+        const result = await reconciliation.reconcile(ledger, issuer, distribution);
+
+        assert.deepEqual(result.mismatches.map(mismatch => [mismatch.check, mismatch.expected, mismatch.actual]), [['CUSTODY_MISMATCH', 500, 450]]);
+        assert.equal(reconciliation.isBlocking(), true);
+        const blockedSince = reconciliation.getStatus().blockedSince;
+
+        // A second mismatched run keeps the original block time
+        await reconciliation.reconcile(ledger, issuer, distribution);
+        assert.equal(reconciliation.getStatus().blockedSince, blockedSince);
+        assert.equal(reconciliation.getComplianceData().tradingBlocked, true);
+
+        custodyBalance = '500';
+        await reconciliation.reconcile(ledger, issuer, distribution);
+        assert.equal(reconciliation.isBlocking(), false);
+        assert.equal(reconciliation.getStatus().blockedSince, null);
+    });
+
+    it('flags over-issuance and issuer offers beyond the unissued supply', async () => {
+        ledger.loadState({ trustLines: [line(holder, 600)], offers: [offer(issuer, 1, 50)] });
+
+        const result = await reconciliation.reconcile(ledger, issuer);
+
+        assert.deepEqual(result.mismatches.map(mismatch => mismatch.check), ['ISSUED_EXCEEDS_SUPPLY', 'OFFERS_EXCEED_AVAILABLE']);
+        assert.equal(result.tokens.RLA.issued, 1100);
+        assert.equal(result.tokens.RLA.availableForOffers, 0);
+    });
+
+    it('does not verify mock custody data or block when blocking is off', async () => {
+        const lenient = new SupplyReconciliation({
+            properties: [{ id: 'test-property', tokenCode: 'RLA', totalSupply: 1000 }],
+            blockTrading: false,
+            getCustody: async () => ({ custodian: 'Fireblocks', isMockData: true, assets: [{ assetId: 'RLA', balance: { total: '1' } }] })
+        });
+
+        const result = await lenient.reconcile(ledger, issuer);
+        assert.equal(result.tokens.RLA.custody.status, 'NOT_REPORTED');
+        assert.equal(result.reconciled, false);
+        assert.equal(lenient.isBlocking(), false);
+    });
+});
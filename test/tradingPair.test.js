@@ -0,0 +1,143 @@
+/**
+ * test/tradingPair.test.js - Trading Pair Test
+ *
+ * Builds issued and native XRP quote pairs and checks amount conversion,
+ * NAV price conversion (fixed and order book), fill statistics and the
+ * checks applied to a pairs config.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xrpl = require('xrpl');
+
+const TradingPair = require('../trading/tradingPair');
+
+const quoteIssuer = xrpl.Wallet.generate().address;
+const usdIssuer = xrpl.Wallet.generate().address;
+
+/**
+ * Build a pair config quoting RLA
+ */
+function pairConfig(overrides = {}) {
+    return {
+        id: 'USDT',
+        tokenCode: 'RLA',
+        quoteCurrency: 'USD',
+        quoteIssuer: quoteIssuer,
+        rlaAmount: 100,
+        ladder: { levels: 1 },
+        ...overrides
+    };
+}
+
+describe('TradingPair', () => {
+    let directory;
+
+    before(() => {
+        // Progress logs would share stdout with the test runner's own reports
+        mock.method(console, 'log', () => {});
+
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-pair-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('builds ledger amounts of issued and native quote assets', () => {
+        const usd = new TradingPair(pairConfig());
+        const xrp = new TradingPair(pairConfig({ id: 'XRP', quoteCurrency: 'XRP', quoteIssuer: undefined }));
+
+        assert.deepEqual(usd.toLedgerAmount(12.5), { currency: 'USD', issuer: quoteIssuer, value: '12.5' });
+        assert.equal(usd.fromLedgerAmount({ currency: 'USD', issuer: quoteIssuer, value: '12.5' }), 12.5);
+        assert.equal(xrp.toLedgerAmount(1.2345678), '1234568');
+        assert.equal(xrp.fromLedgerAmount('1234568'), 1.234568);
+
+        assert.equal(usd.isQuoteAmount({ currency: 'USD', issuer: quoteIssuer, value: '1' }), true);
+        assert.equal(usd.isQuoteAmount({ currency: 'USD', issuer: usdIssuer, value: '1' }), false);
+        assert.equal(usd.isQuoteAmount('1000000'), false);
+        assert.equal(xrp.isQuoteAmount('1000000'), true);
+    });
+
+    it('prices rungs in quote units at the fixed conversion rate', () => {
+        const pair = new TradingPair(pairConfig({ propertyId: 'test-property', priceConversion: { type: 'fixed', rate: 2 } }));
+        const [rung] = pair.buildQuotes(0.7).rungs;
+
+        assert.equal(rung.price, 1.4);
+        assert.equal(rung.pairId, 'USDT');
+        assert.equal(rung.propertyId, 'test-property');
+    });
+
+    it('takes the mid of the reference book as the conversion rate', async () => {
+        const pair = new TradingPair(pairConfig({
+            id: 'XRP',
+            quoteCurrency: 'XRP',
+            quoteIssuer: undefined,
+            priceConversion: { type: 'orderbook', currency: 'USD', issuer: usdIssuer }
+        }));
+        // 2 XRP per USD offered, 2.2 XRP per USD bid
+        const client = {
+            request: async (request) => ({
+                result: {
+                    offers: [request.taker_gets.currency === 'XRP' ?
+                        { TakerGets: '2000000', TakerPays: { currency: 'USD', issuer: usdIssuer, value: '1' } } :
+                        { TakerGets: { currency: 'USD', issuer: usdIssuer, value: '1' }, TakerPays: '2200000' }]
+                }
+            })
+        };
+
+        assert.equal(await pair.refreshConversion(client), 2.1);
+        assert.ok(pair.conversionUpdatedAt);
+        assert.equal(pair.convertPrice(1), 2.1);
+    });
+
+    it('counts each fill once', () => {
+        const pair = new TradingPair(pairConfig());
+        const fill = { hash: 'ABC', offerSequence: 5, side: 'ask', rlaAmount: '10', quoteAmount: '7' };
+
+        assert.equal(pair.recordFill(fill), true);
+        assert.equal(pair.recordFill(fill), false);
+        assert.equal(pair.recordFill({ ...fill, hash: 'DEF', side: 'bid', quoteAmount: '6' }), true);
+
+        const metrics = pair.getMetrics();
+        assert.equal(metrics.swaps, 2);
+        assert.equal(metrics.rlaSold, 10);
+        assert.equal(metrics.rlaBought, 10);
+        assert.equal(metrics.averagePrice, 0.65);
+        assert.equal(metrics.netInventory, 0);
+    });
+
+    it('keeps a fixed rate from the config over a restored one', () => {
+        const pair = new TradingPair(pairConfig({ priceConversion: { type: 'fixed', rate: 1.5 } }));
+        pair.restoreState({ conversionRate: 3, stats: { swaps: 4 } });
+
+        assert.equal(pair.conversionRate, 1.5);
+        assert.equal(pair.stats.swaps, 4);
+    });
+
+    it('loads pairs from a config file with the property scope', () => {
+        const configPath = path.join(directory, 'pairs.json');
+        fs.writeFileSync(configPath, JSON.stringify({
+            pairs: [pairConfig(), pairConfig({ id: 'XRP', quoteCurrency: 'XRP', quoteIssuer: undefined, enabled: false })]
+        }));
+
+        const pairs = TradingPair.loadAll({ configPath: configPath, scope: { propertyId: 'test-property', tokenCode: 'RLB' } });
+
+        assert.deepEqual(pairs.map(pair => [pair.id, pair.propertyId, pair.tokenCode, pair.enabled]),
+            [['USDT', 'test-property', 'RLB', true], ['XRP', 'test-property', 'RLB', false]]);
+        // Budgets are per quote asset, never the environment's
+        assert.equal(pairs[0].quoteEngine.treasuryBudget, 0);
+    });
+
+    it('rejects invalid pair configs', () => {
+        assert.throws(() => new TradingPair(pairConfig({ quoteIssuer: undefined })), /requires a quoteIssuer/);
+        assert.throws(() => new TradingPair(pairConfig({ quoteIssuer: 'not-an-address' })), /is not an XRPL address/);
+        assert.throws(() => new TradingPair(pairConfig({ rlaAmount: 0 })), /requires a positive rlaAmount/);
+        assert.throws(() => TradingPair.fromConfigList([pairConfig(), pairConfig()]), /Duplicate trading pair id/);
+        assert.throws(() => TradingPair.fromConfigList([]), /No trading pairs defined/);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * test/transactionStream.test.js - Account Transaction Stream Test
+ *
+ * Streams an account's payments from a SimulatedLedger, drops the
+ * subscription while more payments validate, and attaches again. Every
+ * transaction must be handed on exactly once and in ledger order: the
+ * gap is backfilled from account_tx and repeated deliveries are skipped.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const xrpl = require('xrpl');
+
+const SimulatedLedger = require('../ledger/simulatedLedger');
+const TransactionSubmitter = require('../ledger/transactionSubmitter');
+const TransactionStream = require('../trading/transactionStream');
+
+/**
+ * Poll until a condition holds
+ */
+async function waitFor(condition, label, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${label}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+describe('TransactionStream', () => {
+    const account = xrpl.Wallet.generate();
+    const holder = xrpl.Wallet.generate().address;
+    const handled = [];
+    let ledger;
+    let submitter;
+    let stream;
+
+    // Send the holder an amount of the account's own USD
+    const pay = (value) => submitter.submit({
+        TransactionType: 'Payment',
+        Account: account.address,
+        Destination: holder,
+        Amount: { currency: 'USD', issuer: account.address, value: value }
+    }, { wallet: account });
+
+    before(async () => {
+        // Progress logs would share stdout with the test runner's own reports
+        mock.method(console, 'log', () => {});
+
+        ledger = new SimulatedLedger({ ledgerIntervalMs: 50, takers: 'none' });
+        ledger.loadState({ accounts: [{ Account: account.address, Balance: '100000000' }] });
+        await ledger.connect();
+
+        submitter = new TransactionSubmitter({ getClient: () => ledger, pollIntervalMs: 20 });
+        stream = new TransactionStream({
+            account: account.address,
+            onTransaction: (tx, { backfilled }) => handled.push({ hash: tx.hash, ledgerIndex: tx.ledger_index, backfilled })
+        });
+        await stream.attach(ledger);
+    });
+
+    after(async () => {
+        stream.detach();
+        if (ledger) {
+            await ledger.disconnect();
+        }
+        mock.restoreAll();
+    });
+
+    it('hands on live transactions of the account', async () => {
+        const { hash } = await pay('10');
+        await waitFor(() => handled.length === 1, 'the live payment');
+
+        assert.deepEqual(handled, [{ hash: hash, ledgerIndex: handled[0].ledgerIndex, backfilled: false }]);
+        assert.equal(stream.getStatus().subscribed, true);
+    });
+
+    it('skips a transaction delivered again', async () => {
+        const entry = ledger.transactions.get(handled[0].hash);
+
+        assert.equal(await stream.enqueue({ ...entry }, false), false);
+        assert.equal(stream.stats.duplicates, 1);
+        assert.equal(handled.length, 1);
+    });
+
+    it('backfills the transactions missed while detached', async () => {
+        stream.detach();
+        const missed = [await pay('20'), await pay('30')].map(result => result.hash);
+        assert.equal(handled.length, 1);
+
+        await stream.attach(ledger);
+
+        assert.deepEqual(handled.slice(1).map(entry => entry.hash), missed);
+        assert.equal(handled.slice(1).every(entry => entry.backfilled), true);
+        assert.ok(handled[2].ledgerIndex >= handled[1].ledgerIndex);
+        assert.equal(stream.stats.backfilled, 2);
+        assert.equal(stream.stats.backfills, 1);
+
+        // Live events of the backfilled ledgers are duplicates now
+        for (const hash of missed) {
+            assert.equal(await stream.enqueue({ ...ledger.transactions.get(hash) }, false), false);
+        }
+        assert.equal(handled.length, 3);
+    });
+});
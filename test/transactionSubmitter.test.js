@@ -0,0 +1,133 @@
+/**
+ * test/transactionSubmitter.test.js - Transaction Submission Test
+ *
+ * Submits through a TransactionSubmitter to a SimulatedLedger: concurrent
+ * submissions of one account must take consecutive Sequences, a Sequence
+ * used by another signer must be resynced, an attempt dropped before it
+ * validates must be signed again once its LastLedgerSequence passes, and
+ * final results must not be retried.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const xrpl = require('xrpl');
+
+const SimulatedLedger = require('../ledger/simulatedLedger');
+const TransactionSubmitter = require('../ledger/transactionSubmitter');
+
+describe('TransactionSubmitter', () => {
+    const account = xrpl.Wallet.generate();
+    const holder = xrpl.Wallet.generate().address;
+    let ledger;
+
+    // A payment of the account's own USD to the holder
+    const payment = (value) => ({
+        TransactionType: 'Payment',
+        Account: account.address,
+        Destination: holder,
+        Amount: { currency: 'USD', issuer: account.address, value: value }
+    });
+
+    before(async () => {
+        // Progress logs would share stdout with the test runner's own reports;
+        // the retries and failures below warn and report errors on purpose
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+
+        ledger = new SimulatedLedger({ ledgerIntervalMs: 50, takers: 'none' });
+        ledger.loadState({ accounts: [{ Account: account.address, Balance: '100000000' }] });
+        await ledger.connect();
+    });
+
+    after(async () => {
+        if (ledger) {
+            await ledger.disconnect();
+        }
+        mock.restoreAll();
+    });
+
+    it('gives concurrent submissions consecutive Sequences', async () => {
+        const submitter = new TransactionSubmitter({ getClient: () => ledger, pollIntervalMs: 20 });
+        const { result: { account_data: { Sequence: first } } } = await ledger.request({ command: 'account_info', account: account.address });
+
+        const results = await Promise.all(['1', '2', '3'].map(value => submitter.submit(payment(value), { wallet: account })));
+
+        assert.deepEqual(results.map(result => result.sequence), [first, first + 1, first + 2]);
+        assert.equal(results.every(result => result.resultCode === 'tesSUCCESS'), true);
+        assert.equal(submitter.getStatus().succeeded, 3);
+        assert.equal(submitter.getRecords({ status: 'VALIDATED' }).length, 3);
+    });
+
+    it('resyncs a Sequence used by another signer', async () => {
+        const submitter = new TransactionSubmitter({ getClient: () => ledger, pollIntervalMs: 20, retryDelayMs: 10 });
+        await submitter.submit(payment('1'), { wallet: account });
+
+        // Another process spends the next Sequence behind the submitter's back
+        const other = new TransactionSubmitter({ getClient: () => ledger, pollIntervalMs: 20 });
+        await other.submit(payment('1'), { wallet: account });
+
+        const result = await submitter.submit(payment('2'), { wallet: account });
+        assert.equal(result.resultCode, 'tesSUCCESS');
+        assert.equal(submitter.stats.sequenceResyncs, 1);
+        assert.equal(submitter.getRecord(result.id).attempts, 2);
+    });
+
+    it('signs again once a dropped attempt has expired', async () => {
+        let dropped = false;
+        // The first submit is acknowledged but never makes it into a ledger
+        const client = {
+            getLedgerIndex: () => ledger.getLedgerIndex(),
+            autofill: (transaction) => ledger.autofill(transaction),
+            request: async (request) => {
+                if (request.command === 'submit' && !dropped) {
+                    dropped = true;
+                    return { result: { engine_result: 'terQUEUED', engine_result_message: 'Held until escalated fee drops.' } };
+                }
+                return ledger.request(request);
+            }
+        };
+        const submitter = new TransactionSubmitter({ getClient: () => client, pollIntervalMs: 20, retryDelayMs: 10, ledgerOffset: 2 });
+        const signed = [];
+
+        const result = await submitter.submit(payment('5'), {
+            wallet: account,
+            onSigned: (record) => signed.push({ hash: record.hash, sequence: record.sequence, lastLedgerSequence: record.lastLedgerSequence })
+        });
+
+        assert.equal(signed.length, 2);
+        assert.notEqual(signed[0].hash, signed[1].hash);
+        assert.equal(signed[0].sequence, signed[1].sequence);
+        assert.ok(signed[1].lastLedgerSequence > signed[0].lastLedgerSequence);
+        assert.equal(result.hash, signed[1].hash);
+        assert.equal(submitter.stats.expired, 1);
+        assert.deepEqual(submitter.getRecord(result.id).hashes, signed.map(entry => entry.hash));
+    });
+
+    it('does not retry final results', async () => {
+        const submitter = new TransactionSubmitter({ getClient: () => ledger, pollIntervalMs: 20 });
+
+        // tec: applied and final; the holder has no USD to send back
+        const holderWallet = xrpl.Wallet.generate();
+        ledger.loadState({ accounts: [{ Account: holderWallet.address, Balance: '100000000' }] });
+        const tec = await submitter.submit({ ...payment('1'), Account: holderWallet.address, Destination: account.address }, { wallet: holderWallet })
+            .catch(error => error);
+        assert.equal(tec.resultCode, 'tecPATH_PARTIAL');
+        assert.equal(tec.retryable, false);
+        assert.equal(tec.record.attempts, 1);
+
+        // tem: never applied
+        const tem = await submitter.submit({ TransactionType: 'SetRegularKey', Account: account.address, RegularKey: holder }, { wallet: account })
+            .catch(error => error);
+        assert.equal(tem.resultCode, 'temDISABLED');
+        assert.equal(tem.retryable, false);
+        assert.equal(submitter.stats.failed, 2);
+    });
+
+    it('classifies preliminary results', () => {
+        const classes = ['tesSUCCESS', 'tecUNFUNDED_OFFER', 'terQUEUED', 'tefALREADY', 'telINSUF_FEE_P', 'terPRE_SEQ',
+            'tefPAST_SEQ', 'tefMAX_LEDGER', 'temMALFORMED', 'tefBAD_AUTH'].map(TransactionSubmitter.classify);
+
+        assert.deepEqual(classes, ['PENDING', 'PENDING', 'PENDING', 'PENDING', 'RETRY', 'RETRY', 'RETRY', 'RETRY', 'FATAL', 'FATAL']);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * test/trustLineAuthorizer.test.js - Trust Line Authorization Test
+ *
+ * Reviews the trust lines of a RequireAuth issuer on a SimulatedLedger.
+ * Unreviewed accounts must be queued as pending, only KYC-approved holders
+ * authorized, and an authorized line whose approval lapsed reported as an
+ * exception in the compliance data.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xrpl = require('xrpl');
+
+const SimulatedLedger = require('../ledger/simulatedLedger');
+const TransactionSubmitter = require('../ledger/transactionSubmitter');
+const TrustLineAuthorizer = require('../ledger/trustLineAuthorizer');
+const HolderRegistry = require('../storage/holderRegistry');
+
+describe('TrustLineAuthorizer', () => {
+    const issuer = xrpl.Wallet.generate();
+    const distribution = xrpl.Wallet.generate().address;
+    const approved = xrpl.Wallet.generate().address;
+    const unreviewed = xrpl.Wallet.generate().address;
+    const lapsed = xrpl.Wallet.generate().address;
+    let directory;
+    let ledger;
+    let registry;
+    let authorizer;
+    let submitter;
+
+    before(async () => {
+        // Progress logs would share stdout with the test runner's own reports
+        mock.method(console, 'log', () => {});
+
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'trust-line-authorizer-test-'));
+        registry = new HolderRegistry({ directory: directory });
+        registry.approve(approved, { reference: 'KYC-1', reviewedBy: 'compliance' });
+        registry.approve(lapsed, { reference: 'KYC-2', reviewedBy: 'compliance', expiresAt: '2020-01-01' });
+
+        const line = (holder, currency, balance, authorized) => ({ holder, currency, issuer: issuer.address, balance, authorized });
+        ledger = new SimulatedLedger({ ledgerIntervalMs: 20, takers: 'none' });
+        ledger.loadState({
+            accounts: [{ Account: issuer.address, Balance: '100000000', Flags: 0x00040000 }],
+            trustLines: [
+                line(approved, 'RLA', '0', false),
+                line(unreviewed, 'RLA', '0', false),
+                line(lapsed, 'RLA', '20', true),
+                line(distribution, 'RLA', '1000', true),
+                line(unreviewed, 'OTH', '0', false)
+            ]
+        });
+        await ledger.connect();
+
+        authorizer = new TrustLineAuthorizer({ registry: registry, currencies: ['RLA'], excludeAccounts: [distribution] });
+        submitter = new TransactionSubmitter({ getClient: () => ledger, pollIntervalMs: 10 });
+    });
+
+    after(async () => {
+        await ledger.disconnect();
+        fs.rmSync(directory, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('queues unreviewed holders and reports lapsed authorizations', async () => {
+        const review = await authorizer.review(ledger, issuer.address);
+
+        assert.equal(review.requireAuth, true);
+        assert.equal(review.lines, 3);
+        assert.equal(review.newlyRegistered, 3);
+        assert.deepEqual(review.readyToAuthorize.map(line => line.holder), [approved]);
+        assert.deepEqual(review.awaitingReview.map(line => line.holder), [unreviewed]);
+        assert.deepEqual(review.authorizedWithoutKyc.map(line => [line.holder, line.balance, line.kycStatus]), [[lapsed, 20, 'expired']]);
+        assert.equal(registry.getKycStatus(unreviewed), 'pending');
+    });
+
+    it('authorizes only approved holders', async () => {
+        await assert.rejects(authorizer.authorize(submitter, issuer, unreviewed, 'RLA'), /no current KYC approval \(pending\)/);
+
+        const result = await authorizer.authorizeApproved(ledger, submitter, issuer);
+        assert.deepEqual(result.authorized.map(entry => entry.holder), [approved]);
+        assert.deepEqual(result.failed, []);
+        assert.equal(ledger.authorizedLines.has(`${approved}|RLA|${issuer.address}`), true);
+        assert.equal(registry.get(approved).authorizations[0].hash, result.authorized[0].hash);
+
+        const review = await authorizer.review(ledger, issuer.address);
+        assert.equal(review.readyToAuthorize.length, 0);
+        assert.equal(review.authorized.length, 2);
+    });
+
+    it('reports authorization counts for the compliance report', () => {
+        const data = authorizer.getComplianceData();
+
+        assert.deepEqual(data.trustLines, { total: 3, authorized: 2, pending: 1, awaitingReview: 1, readyToAuthorize: 0, authorizedWithoutKyc: 1 });
+        assert.deepEqual(data.exceptions.map(entry => entry.holder), [lapsed]);
+        assert.equal(data.registry.authorized, 1);
+    });
+
+    it('authorizes nothing without RequireAuth', async () => {
+        ledger.loadState({ accounts: [{ Account: issuer.address, Flags: 0 }] });
+
+        const result = await authorizer.authorizeApproved(ledger, submitter, issuer);
+        assert.match(result.skipped, /RequireAuth is not set/);
+    });
+});
@@ -0,0 +1,365 @@
+/**
+ * trading/ammPool.js - XRPL AMM Pool Manager
+ *
+ * Manages the native XRPL AMM pool between a property token and a trading
+ * pair's quote asset: creates the pool, deposits, withdraws and votes on its
+ * trading fee, watches reserves and LP token holdings via amm_info, and
+ * nudges the pool's implied price back towards NAV with bounded single-asset
+ * token deposits and withdrawals.
+ */
+
+const xrpl = require('xrpl');
+
+const OfferLadder = require('./offerLadder');
+
+// AMM trading fees are expressed in units of 1/100,000 (1000 = 1%)
+const MAX_TRADING_FEE = 1000;
+
+class AmmPool {
+    constructor(pair, config = {}) {
+        this.pair = pair;
+        // Token issuer when the pool is managed from a distribution account
+        // rather than by the issuer itself (set once the wallets are known)
+        this.issuer = config.issuer || null;
+
+        this.tradingFee = parseInt(config.tradingFee ?? process.env.AMM_TRADING_FEE ?? '500');
+        this.autoCreate = config.autoCreate !== undefined ?
+            config.autoCreate : process.env.AMM_AUTO_CREATE === 'true';
+        this.initialRLA = parseFloat(config.initialRLA || process.env.AMM_INITIAL_RLA_AMOUNT || '0');
+        this.initialQuote = parseFloat(config.initialQuote || process.env.AMM_INITIAL_QUOTE_AMOUNT || '0');
+
+        // Rebalance bounds: only act outside the band, and move at most this share of reserves at once
+        this.maxDeviationPercent = parseFloat(config.maxDeviationPercent || process.env.AMM_MAX_DEVIATION_PERCENT || '2');
+        this.maxRebalancePercent = parseFloat(config.maxRebalancePercent || process.env.AMM_MAX_REBALANCE_PERCENT || '10');
+        this.rebalanceCooldown = (parseInt(config.rebalanceCooldownSeconds || process.env.AMM_REBALANCE_COOLDOWN_SECONDS) || 3600) * 1000;
+
+        if (isNaN(this.tradingFee) || this.tradingFee < 0 || this.tradingFee > MAX_TRADING_FEE) {
+            throw new Error(`Invalid AMM trading fee for ${pair.id}: ${this.tradingFee} (0-${MAX_TRADING_FEE})`);
+        }
+
+        if (this.maxDeviationPercent <= 0 || this.maxRebalancePercent <= 0 || this.maxRebalancePercent > 100) {
+            throw new Error(`Invalid AMM rebalance bounds for ${pair.id}`);
+        }
+
+        this.pool = null;
+        this.lastVotedFee = null;
+        this.lastRebalanceAt = null;
+        this.lastRebalance = null;
+
+        this.stats = {
+            creates: 0,
+            deposits: 0,
+            withdrawals: 0,
+            votes: 0,
+            rebalances: 0
+        };
+    }
+
+    /**
+     * Get the property token as an AMM asset
+     */
+    getTokenAsset(account) {
+        return { currency: this.pair.tokenCode, issuer: this.issuer || account };
+    }
+
+    /**
+     * Get the quote asset as an AMM asset
+     */
+    getQuoteAsset() {
+        return this.pair.isNative() ?
+            { currency: 'XRP' } :
+            { currency: this.pair.quoteCurrency, issuer: this.pair.quoteIssuer };
+    }
+
+    /**
+     * Build a ledger amount of the property token
+     */
+    toTokenAmount(account, value) {
+        return { ...this.getTokenAsset(account), value: OfferLadder.formatAmount(value) };
+    }
+
+    /**
+     * Refresh pool reserves, LP holdings and fee from amm_info
+     *
+     * navPrice is in quote units per token; the deviation of the pool's
+     * implied price from it is recorded with the snapshot.
+     */
+    async refresh(client, account, navPrice = null) {
+        const request = {
+            command: 'amm_info',
+            asset: this.getTokenAsset(account),
+            asset2: this.getQuoteAsset()
+        };
+
+        let amm;
+        let holdings;
+        try {
+            [amm, holdings] = await Promise.all([
+                client.request(request),
+                client.request({ ...request, account: account })
+            ]);
+        } catch (error) {
+            if (error.data && error.data.error === 'actNotFound') {
+                this.pool = { exists: false, navPrice: navPrice, updatedAt: new Date().toISOString() };
+                return this.pool;
+            }
+            throw error;
+        }
+
+        const info = amm.result.amm;
+        // amm_info returns the pool's own asset order, not necessarily ours
+        const tokenFirst = typeof info.amount === 'object' && info.amount.currency === this.pair.tokenCode;
+        const tokenReserve = parseFloat((tokenFirst ? info.amount : info.amount2).value);
+        const quoteReserve = this.pair.fromLedgerAmount(tokenFirst ? info.amount2 : info.amount);
+        const lpTokenSupply = parseFloat(info.lp_token.value);
+        const lpTokenBalance = parseFloat(holdings.result.amm.lp_token.value);
+        const impliedPrice = tokenReserve > 0 ? quoteReserve / tokenReserve : null;
+
+        this.pool = {
+            exists: true,
+            account: info.account,
+            tokenReserve: tokenReserve,
+            quoteReserve: quoteReserve,
+            lpToken: { currency: info.lp_token.currency, issuer: info.lp_token.issuer },
+            lpTokenSupply: lpTokenSupply,
+            lpTokenBalance: lpTokenBalance,
+            lpShare: lpTokenSupply > 0 ? lpTokenBalance / lpTokenSupply : 0,
+            tradingFee: info.trading_fee,
+            impliedPrice: impliedPrice,
+            navPrice: navPrice,
+            deviationPercent: impliedPrice && navPrice ? (impliedPrice - navPrice) / navPrice * 100 : null,
+            updatedAt: new Date().toISOString()
+        };
+
+        return this.pool;
+    }
+
+    /**
+     * Create the pool with an initial token / quote deposit
+     */
+    async create(submitter, wallet, tokenAmount, quoteAmount, tradingFee = this.tradingFee) {
+        if (!(tokenAmount > 0) || !(quoteAmount > 0)) {
+            throw new Error(`AMMCreate for ${this.pair.id} requires positive token and quote amounts`);
+        }
+
+        const result = await this.submit(submitter, wallet, {
+            TransactionType: 'AMMCreate',
+            Account: wallet.address,
+            Amount: this.toTokenAmount(wallet.address, tokenAmount),
+            Amount2: this.pair.toLedgerAmount(OfferLadder.formatAmount(quoteAmount)),
+            TradingFee: tradingFee
+        });
+
+        this.stats.creates++;
+        return result;
+    }
+
+    /**
+     * Deposit into the pool
+     *
+     * With both amounts the deposit is proportional (at most the given
+     * amounts); with one amount it is a single-asset deposit.
+     */
+    async deposit(submitter, wallet, { tokenAmount = 0, quoteAmount = 0 } = {}) {
+        const transaction = {
+            TransactionType: 'AMMDeposit',
+            Account: wallet.address,
+            Asset: this.getTokenAsset(wallet.address),
+            Asset2: this.getQuoteAsset()
+        };
+
+        if (tokenAmount > 0 && quoteAmount > 0) {
+            transaction.Amount = this.toTokenAmount(wallet.address, tokenAmount);
+            transaction.Amount2 = this.pair.toLedgerAmount(OfferLadder.formatAmount(quoteAmount));
+            transaction.Flags = xrpl.AMMDepositFlags.tfTwoAsset;
+        } else if (tokenAmount > 0) {
+            transaction.Amount = this.toTokenAmount(wallet.address, tokenAmount);
+            transaction.Flags = xrpl.AMMDepositFlags.tfSingleAsset;
+        } else if (quoteAmount > 0) {
+            transaction.Amount = this.pair.toLedgerAmount(OfferLadder.formatAmount(quoteAmount));
+            transaction.Flags = xrpl.AMMDepositFlags.tfSingleAsset;
+        } else {
+            throw new Error(`AMMDeposit for ${this.pair.id} requires a token or quote amount`);
+        }
+
+        const result = await this.submit(submitter, wallet, transaction);
+        this.stats.deposits++;
+        return result;
+    }
+
+    /**
+     * Withdraw from the pool
+     *
+     * Accepts all (redeem every LP token), lpTokens (proportional redemption)
+     * or a single token or quote amount.
+     */
+    async withdraw(submitter, wallet, { all = false, lpTokens = 0, tokenAmount = 0, quoteAmount = 0 } = {}) {
+        const transaction = {
+            TransactionType: 'AMMWithdraw',
+            Account: wallet.address,
+            Asset: this.getTokenAsset(wallet.address),
+            Asset2: this.getQuoteAsset()
+        };
+
+        if (all) {
+            transaction.Flags = xrpl.AMMWithdrawFlags.tfWithdrawAll;
+        } else if (lpTokens > 0) {
+            if (!this.pool || !this.pool.exists) {
+                throw new Error(`AMM pool for ${this.pair.id} must be refreshed before redeeming LP tokens`);
+            }
+            transaction.LPTokenIn = { ...this.pool.lpToken, value: OfferLadder.formatAmount(lpTokens) };
+            transaction.Flags = xrpl.AMMWithdrawFlags.tfLPToken;
+        } else if (tokenAmount > 0) {
+            transaction.Amount = this.toTokenAmount(wallet.address, tokenAmount);
+            transaction.Flags = xrpl.AMMWithdrawFlags.tfSingleAsset;
+        } else if (quoteAmount > 0) {
+            transaction.Amount = this.pair.toLedgerAmount(OfferLadder.formatAmount(quoteAmount));
+            transaction.Flags = xrpl.AMMWithdrawFlags.tfSingleAsset;
+        } else {
+            throw new Error(`AMMWithdraw for ${this.pair.id} requires all, lpTokens or an amount`);
+        }
+
+        const result = await this.submit(submitter, wallet, transaction);
+        this.stats.withdrawals++;
+        return result;
+    }
+
+    /**
+     * Vote on the pool's trading fee with our LP tokens
+     */
+    async vote(submitter, wallet, tradingFee = this.tradingFee) {
+        if (tradingFee < 0 || tradingFee > MAX_TRADING_FEE) {
+            throw new Error(`Invalid AMM trading fee vote: ${tradingFee} (0-${MAX_TRADING_FEE})`);
+        }
+
+        const result = await this.submit(submitter, wallet, {
+            TransactionType: 'AMMVote',
+            Account: wallet.address,
+            Asset: this.getTokenAsset(wallet.address),
+            Asset2: this.getQuoteAsset(),
+            TradingFee: tradingFee
+        });
+
+        this.stats.votes++;
+        this.lastVotedFee = tradingFee;
+        return result;
+    }
+
+    /**
+     * Check whether our LP position should vote for the configured fee
+     *
+     * Votes are weighted by LP holdings, so the pool fee may never reach our
+     * target; one vote per configured fee is enough.
+     */
+    needsVote() {
+        return !!(this.pool && this.pool.exists && this.pool.lpTokenBalance > 0 &&
+            this.pool.tradingFee !== this.tradingFee && this.lastVotedFee !== this.tradingFee);
+    }
+
+    /**
+     * Plan a rebalance towards NAV within the configured bounds
+     *
+     * Returns null while the pool is inside the deviation band or cooling
+     * down. A positive tokenDelta deposits tokens (pool price above NAV), a
+     * negative one withdraws them (pool price below NAV).
+     */
+    planRebalance() {
+        const pool = this.pool;
+
+        if (!pool || !pool.exists || pool.deviationPercent === null) {
+            return null;
+        }
+
+        if (Math.abs(pool.deviationPercent) <= this.maxDeviationPercent) {
+            return null;
+        }
+
+        if (this.lastRebalanceAt && Date.now() - this.lastRebalanceAt < this.rebalanceCooldown) {
+            return null;
+        }
+
+        // A single-asset change of the token reserve moves the price to quote / tokens
+        const targetTokenReserve = pool.quoteReserve / pool.navPrice;
+        const maxMove = pool.tokenReserve * this.maxRebalancePercent / 100;
+        let tokenDelta = Math.max(-maxMove, Math.min(maxMove, targetTokenReserve - pool.tokenReserve));
+
+        if (tokenDelta < 0) {
+            // Withdrawals are limited to our own share of the pool
+            tokenDelta = Math.max(tokenDelta, -pool.tokenReserve * pool.lpShare);
+        }
+
+        const tokenAmount = parseFloat(OfferLadder.formatAmount(Math.abs(tokenDelta)));
+        if (!(tokenAmount > 0)) {
+            return null;
+        }
+
+        const tokenReserveAfter = pool.tokenReserve + Math.sign(tokenDelta) * tokenAmount;
+
+        return {
+            action: tokenDelta > 0 ? 'deposit' : 'withdraw',
+            tokenAmount: tokenAmount,
+            deviationPercent: pool.deviationPercent,
+            expectedPrice: pool.quoteReserve / tokenReserveAfter,
+            navPrice: pool.navPrice,
+            bounded: Math.abs(targetTokenReserve - pool.tokenReserve) > tokenAmount
+        };
+    }
+
+    /**
+     * Rebalance the pool towards NAV if it drifted outside the band
+     */
+    async rebalance(submitter, wallet) {
+        const plan = this.planRebalance();
+
+        if (!plan) {
+            return null;
+        }
+
+        const result = plan.action === 'deposit' ?
+            await this.deposit(submitter, wallet, { tokenAmount: plan.tokenAmount }) :
+            await this.withdraw(submitter, wallet, { tokenAmount: plan.tokenAmount });
+
+        this.stats.rebalances++;
+        this.lastRebalanceAt = Date.now();
+        this.lastRebalance = {
+            ...plan,
+            hash: result.hash,
+            timestamp: new Date().toISOString()
+        };
+
+        return this.lastRebalance;
+    }
+
+    /**
+     * Submit an AMM transaction through the transaction submitter
+     */
+    async submit(submitter, wallet, transaction) {
+        const result = await submitter.submit(transaction, {
+            wallet: wallet,
+            label: `${transaction.TransactionType} ${this.pair.tokenCode}/${this.pair.id}`,
+            // Pool maintenance can wait for fees to come down
+            deferrable: true
+        });
+
+        return { hash: result.hash, result: result.resultCode };
+    }
+
+    /**
+     * Get AMM pool status
+     */
+    getStatus() {
+        return {
+            tradingFee: this.tradingFee,
+            autoCreate: this.autoCreate,
+            lastVotedFee: this.lastVotedFee,
+            maxDeviationPercent: this.maxDeviationPercent,
+            maxRebalancePercent: this.maxRebalancePercent,
+            rebalanceCooldown: this.rebalanceCooldown,
+            pool: this.pool,
+            lastRebalance: this.lastRebalance,
+            stats: this.stats
+        };
+    }
+}
+
+module.exports = AmmPool;
@@ -0,0 +1,249 @@
+/**
+ * trading/fillParser.js - Offer Fill Parser
+ *
+ * Turns a validated transaction into the fills it executed against the
+ * bot's offers, using only ledger metadata: consumed amounts come from the
+ * Offer nodes in AffectedNodes, the counterparty from the token trust line
+ * balances that moved, and delivered_amount is kept for the transaction as
+ * a whole. Accepts account_tx entries and stream messages in both the
+ * `transaction` (API v1) and `tx_json` (API v2) shapes.
+ */
+
+const xrpl = require('xrpl');
+
+const OfferLadder = require('./offerLadder');
+
+// Seconds between the Unix epoch and the XRPL (Ripple) epoch
+const RIPPLE_EPOCH_OFFSET = 946684800;
+
+class FillParser {
+    constructor(config = {}) {
+        // The account whose offers are parsed
+        this.account = config.account;
+        // The token issuer, when the offers come from a distribution account
+        this.issuer = config.issuer || config.account;
+        // (offerFields) => { pair, side } | null
+        this.matchOffer = config.matchOffer;
+
+        if (!this.account || typeof this.matchOffer !== 'function') {
+            throw new Error('Fill parser requires an account and an offer matcher');
+        }
+    }
+
+    /**
+     * Parse a transaction into its fills against our offers
+     */
+    parse(raw) {
+        const tx = FillParser.normalize(raw);
+        const transaction = tx.transaction;
+        const nodes = (tx.meta && tx.meta.AffectedNodes) || [];
+        const tokenDeltas = this.getTokenHolderDeltas(nodes);
+
+        const parsed = {
+            hash: tx.hash,
+            ledgerIndex: tx.ledger_index,
+            executedAt: FillParser.getExecutionTime(tx),
+            transactionType: transaction.TransactionType,
+            account: transaction.Account,
+            destination: transaction.Destination || null,
+            fee: transaction.Fee,
+            deliveredAmount: FillParser.parseAmount(tx.meta && (tx.meta.delivered_amount || tx.meta.DeliveredAmount)),
+            fills: []
+        };
+
+        for (const node of nodes) {
+            const fill = this.parseOfferNode(node, parsed, tokenDeltas);
+            if (fill) {
+                parsed.fills.push(fill);
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Parse one affected Offer node into a fill
+     */
+    parseOfferNode(node, parsed, tokenDeltas) {
+        const entry = node.ModifiedNode || node.DeletedNode;
+        if (!entry || entry.LedgerEntryType !== 'Offer') {
+            return null;
+        }
+
+        const previous = entry.PreviousFields;
+        const final = entry.FinalFields;
+
+        // Cancelled offers have no PreviousFields amounts
+        if (!previous || !final || final.Account !== this.account ||
+            !previous.TakerGets || !previous.TakerPays) {
+            return null;
+        }
+
+        const match = this.matchOffer(final);
+        if (!match) {
+            return null;
+        }
+
+        const { pair, side } = match;
+        const rlaField = side === 'bid' ? 'TakerPays' : 'TakerGets';
+        const quoteField = side === 'bid' ? 'TakerGets' : 'TakerPays';
+        const rlaConsumed = parseFloat(previous[rlaField].value) - parseFloat(final[rlaField].value);
+        const quoteConsumed = pair.fromLedgerAmount(previous[quoteField]) - pair.fromLedgerAmount(final[quoteField]);
+
+        if (rlaConsumed <= 0 && quoteConsumed <= 0) {
+            return null;
+        }
+
+        return {
+            hash: parsed.hash,
+            ledgerIndex: parsed.ledgerIndex,
+            executedAt: parsed.executedAt,
+            propertyId: pair.propertyId,
+            pairId: pair.id,
+            tokenCode: pair.tokenCode,
+            offerSequence: final.Sequence,
+            side: side,
+            rlaAmount: OfferLadder.formatAmount(rlaConsumed),
+            quoteAmount: OfferLadder.formatAmount(quoteConsumed),
+            quoteCurrency: pair.quoteCurrency,
+            effectivePrice: rlaConsumed > 0 ? quoteConsumed / rlaConsumed : null,
+            offerConsumed: !!node.DeletedNode,
+            counterparty: this.findCounterparty(pair.tokenCode, side, tokenDeltas, parsed)
+        };
+    }
+
+    /**
+     * Get token balance changes per holder from the issuer's trust lines
+     *
+     * Returns Map(tokenCode -> Map(holder -> delta)), from the holder's side.
+     */
+    getTokenHolderDeltas(nodes) {
+        const deltas = new Map();
+
+        for (const node of nodes) {
+            const entry = node.ModifiedNode || node.CreatedNode || node.DeletedNode;
+            if (!entry || entry.LedgerEntryType !== 'RippleState') {
+                continue;
+            }
+
+            const fields = entry.FinalFields || entry.NewFields;
+            if (!fields || !fields.Balance || !fields.HighLimit || !fields.LowLimit) {
+                continue;
+            }
+
+            // Balances are stored from the low account's side
+            let holder;
+            let sign;
+            if (fields.LowLimit.issuer === this.issuer) {
+                holder = fields.HighLimit.issuer;
+                sign = -1;
+            } else if (fields.HighLimit.issuer === this.issuer) {
+                holder = fields.LowLimit.issuer;
+                sign = 1;
+            } else {
+                continue;
+            }
+
+            // A distribution account's own line moves opposite to its counterparty's
+            if (holder === this.account) {
+                continue;
+            }
+
+            const finalBalance = parseFloat(fields.Balance.value);
+            const previousBalance = node.CreatedNode ? 0 :
+                parseFloat(((entry.PreviousFields && entry.PreviousFields.Balance) || fields.Balance).value);
+            const delta = sign * (finalBalance - previousBalance);
+
+            if (delta === 0) {
+                continue;
+            }
+
+            const byHolder = deltas.get(fields.Balance.currency) || new Map();
+            byHolder.set(holder, (byHolder.get(holder) || 0) + delta);
+            deltas.set(fields.Balance.currency, byHolder);
+        }
+
+        return deltas;
+    }
+
+    /**
+     * Find the account that received (asks) or delivered (bids) our token
+     *
+     * The submitter is only the taker on direct OfferCreate crossings; on
+     * payments the token lands with the destination, and on paths through
+     * other books it may end up with someone else entirely.
+     */
+    findCounterparty(tokenCode, side, tokenDeltas, parsed) {
+        const byHolder = tokenDeltas.get(tokenCode);
+        const direction = side === 'bid' ? -1 : 1;
+        let counterparty = null;
+        let largest = 0;
+
+        if (byHolder) {
+            for (const [holder, delta] of byHolder) {
+                if (delta * direction > largest) {
+                    largest = delta * direction;
+                    counterparty = holder;
+                }
+            }
+        }
+
+        if (counterparty) {
+            return counterparty;
+        }
+
+        if (parsed.transactionType === 'Payment' && side !== 'bid' && parsed.destination) {
+            return parsed.destination;
+        }
+
+        return parsed.account;
+    }
+
+    /**
+     * Get the ledger close time of a transaction as an ISO string
+     */
+    static getExecutionTime(tx) {
+        if (tx.close_time_iso) {
+            return tx.close_time_iso;
+        }
+
+        const date = tx.transaction.date;
+        return date ? new Date((date + RIPPLE_EPOCH_OFFSET) * 1000).toISOString() : null;
+    }
+
+    /**
+     * Parse a ledger amount into { currency, issuer, value }
+     */
+    static parseAmount(amount) {
+        if (amount === undefined || amount === null || amount === 'unavailable') {
+            return null;
+        }
+
+        if (typeof amount === 'string') {
+            return { currency: 'XRP', issuer: null, value: String(xrpl.dropsToXrp(amount)) };
+        }
+
+        return { currency: amount.currency, issuer: amount.issuer, value: amount.value };
+    }
+
+    /**
+     * Normalize stream messages and account_tx entries (API v1 and v2)
+     *
+     * Returns { hash, ledger_index, validated, close_time_iso, transaction, meta }.
+     */
+    static normalize(raw) {
+        const transaction = raw.tx_json || raw.transaction || raw.tx || {};
+        const hash = raw.hash || transaction.hash;
+
+        return {
+            hash: hash,
+            ledger_index: raw.ledger_index || transaction.ledger_index,
+            validated: raw.validated !== false,
+            close_time_iso: raw.close_time_iso || null,
+            transaction: { ...transaction, hash: hash },
+            meta: raw.meta || raw.metaData
+        };
+    }
+}
+
+module.exports = FillParser;
@@ -0,0 +1,151 @@
+/**
+ * trading/offerLadder.js - Multi-Level Offer Ladder
+ *
+ * Splits one side of the RLA book into several offers at stepped prices
+ * around a reference price so small and large takers each find a suitable
+ * level. Asks step upwards from the reference, bids step downwards.
+ */
+
+class OfferLadder {
+    constructor(config = {}) {
+        this.side = config.side || 'ask';
+
+        // Asks read OFFER_LADDER_* and bids read BID_LADDER_* unless overridden
+        const envPrefix = config.envPrefix || (this.side === 'bid' ? 'BID_LADDER' : 'OFFER_LADDER');
+        const env = (name) => process.env[`${envPrefix}_${name}`];
+        // An explicit config value (0 included) wins over the environment
+        const setting = (key, name, fallback) => config[key] !== undefined ? config[key] : env(name) || fallback;
+
+        if (this.side !== 'ask' && this.side !== 'bid') {
+            throw new Error(`Invalid ladder side: ${this.side}`);
+        }
+
+        this.levels = parseInt(setting('levels', 'LEVELS', '1'));
+        this.stepPercent = parseFloat(setting('stepPercent', 'STEP_PERCENT', '0.5'));
+        this.startPercent = parseFloat(setting('startPercent', 'START_PERCENT', '0'));
+
+        if (!(this.levels >= 1)) {
+            throw new Error(`Invalid ladder level count: ${this.levels}`);
+        }
+
+        if (isNaN(this.stepPercent) || isNaN(this.startPercent)) {
+            throw new Error(`Invalid ladder step or start percent: ${this.stepPercent}/${this.startPercent}`);
+        }
+
+        this.sizes = this.parseSizes(config.sizes || env('SIZES'), config.defaultSize);
+
+        if (this.sizes.length === 0) {
+            throw new Error(`Offer ladder requires ${envPrefix}_SIZES or a default size`);
+        }
+    }
+
+    /**
+     * Parse comma separated rung sizes, padding with the last size
+     */
+    parseSizes(sizes, defaultSize) {
+        const list = Array.isArray(sizes) ? sizes :
+            (sizes ? String(sizes).split(',') : []);
+
+        const parsed = list
+            .map(size => parseFloat(String(size).trim()))
+            .filter(size => !isNaN(size) && size > 0);
+
+        if (parsed.length === 0 && defaultSize) {
+            // Without explicit sizes the default amount is split evenly across levels
+            const levels = this.levels || 1;
+            const perLevel = parseFloat(defaultSize) / levels;
+            return Array.from({ length: levels }, () => perLevel);
+        }
+
+        while (parsed.length > 0 && parsed.length < this.levels) {
+            parsed.push(parsed[parsed.length - 1]);
+        }
+
+        return parsed.slice(0, this.levels);
+    }
+
+    /**
+     * Build ladder rungs around the reference (NAV) price
+     */
+    buildRungs(referencePrice) {
+        if (!referencePrice || referencePrice <= 0) {
+            throw new Error(`Invalid reference price for offer ladder: ${referencePrice}`);
+        }
+
+        const rungs = [];
+        const direction = this.side === 'bid' ? -1 : 1;
+
+        for (let level = 0; level < this.levels; level++) {
+            const offsetPercent = direction * (this.startPercent + level * this.stepPercent) || 0;
+            const price = referencePrice * (1 + offsetPercent / 100);
+            const rlaAmount = this.sizes[level];
+
+            rungs.push({
+                id: `${this.side}-${level + 1}`,
+                side: this.side,
+                level: level + 1,
+                offsetPercent: offsetPercent,
+                price: price,
+                rlaAmount: OfferLadder.formatAmount(rlaAmount),
+                quoteAmount: OfferLadder.formatAmount(rlaAmount * price)
+            });
+        }
+
+        return rungs;
+    }
+
+    /**
+     * Price tolerance used to attribute a ledger offer to a rung
+     */
+    getPriceTolerance() {
+        // Half a step keeps neighbouring rungs from claiming the same offer
+        return Math.max(this.stepPercent / 2, 0.05) / 100;
+    }
+
+    /**
+     * Check whether an offer is priced at the given rung
+     *
+     * Size is not checked here; partially filled rungs are the offer
+     * tracker's concern.
+     */
+    offerMatchesRung(offerRLA, offerQuote, rung) {
+        if (!offerRLA || offerRLA <= 0) {
+            return false;
+        }
+
+        const offerPrice = offerQuote / offerRLA;
+        const priceDeviation = Math.abs(offerPrice - rung.price) / rung.price;
+
+        return priceDeviation <= this.getPriceTolerance();
+    }
+
+    /**
+     * Get total RLA quoted across all rungs
+     */
+    getTotalSize() {
+        return this.sizes.reduce((sum, size) => sum + size, 0);
+    }
+
+    /**
+     * Get ladder configuration summary
+     */
+    getConfiguration() {
+        return {
+            side: this.side,
+            levels: this.levels,
+            stepPercent: this.stepPercent,
+            startPercent: this.startPercent,
+            sizes: this.sizes,
+            totalSize: this.getTotalSize()
+        };
+    }
+
+    /**
+     * Format an amount within XRPL's 15 significant digit limit
+     */
+    static formatAmount(value) {
+        return parseFloat(Number(value).toPrecision(15)).toString();
+    }
+}
+
+module.exports = OfferLadder;
@@ -0,0 +1,176 @@
+/**
+ * trading/offerTracker.js - Offer Sequence Tracker
+ *
+ * Remembers which ledger offer (by sequence number) backs each ladder rung
+ * and how much of it remains, so partially filled offers are topped back up
+ * in place instead of being stacked next to their leftovers.
+ */
+
+class OfferTracker {
+    constructor(config = {}) {
+        // Replenish once the remaining size drops below this share of the target;
+        // an explicit config value (0 included) wins over the environment
+        this.replenishThreshold = parseFloat(config.replenishThreshold ?? (process.env.REPLENISH_THRESHOLD || '0.9'));
+        this.replenishCooldown = parseFloat(config.replenishCooldownSeconds ?? (process.env.REPLENISH_COOLDOWN_SECONDS || '300')) * 1000;
+        // Clock for placement and cooldown times (backtests run on simulated time)
+        this.now = config.now || Date.now;
+
+        this.offers = new Map(); // rungId -> tracked offer
+
+        if (!(this.replenishThreshold > 0) || this.replenishThreshold > 1) {
+            throw new Error(`Invalid replenish threshold: ${this.replenishThreshold}`);
+        }
+
+        if (!(this.replenishCooldown >= 0)) {
+            throw new Error(`Invalid replenish cooldown: ${this.replenishCooldown / 1000}s`);
+        }
+    }
+
+    /**
+     * Start tracking the offer placed for a rung
+     */
+    track(rung, sequence, remainingRLA = rung.rlaAmount) {
+        const now = this.now();
+        const previous = this.offers.get(rung.id);
+
+        const tracked = {
+            rungId: rung.id,
+            side: rung.side,
+            sequence: sequence,
+            price: rung.price,
+            targetRLA: parseFloat(rung.rlaAmount),
+            remainingRLA: parseFloat(remainingRLA),
+            placedAt: now,
+            lastReplenishAt: previous ? previous.lastReplenishAt : null
+        };
+
+        this.offers.set(rung.id, tracked);
+        return tracked;
+    }
+
+    /**
+     * Record a replenishment of a rung
+     */
+    markReplenished(rungId) {
+        const tracked = this.offers.get(rungId);
+        if (tracked) {
+            tracked.lastReplenishAt = this.now();
+        }
+    }
+
+    /**
+     * Update the remaining size from the ledger
+     */
+    updateRemaining(rungId, remainingRLA) {
+        const tracked = this.offers.get(rungId);
+        if (tracked) {
+            tracked.remainingRLA = parseFloat(remainingRLA);
+        }
+        return tracked;
+    }
+
+    /**
+     * Get the tracked offer for a rung
+     */
+    get(rungId) {
+        return this.offers.get(rungId) || null;
+    }
+
+    /**
+     * Find the rung tracked under a ledger sequence
+     */
+    findBySequence(sequence) {
+        for (const tracked of this.offers.values()) {
+            if (tracked.sequence === sequence) {
+                return tracked;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Stop tracking a rung
+     */
+    untrack(rungId) {
+        this.offers.delete(rungId);
+    }
+
+    /**
+     * Stop tracking everything
+     */
+    clear() {
+        this.offers.clear();
+    }
+
+    /**
+     * Get the remaining share of the target size
+     */
+    getFillRatio(tracked) {
+        if (!tracked || tracked.targetRLA <= 0) {
+            return 0;
+        }
+        return tracked.remainingRLA / tracked.targetRLA;
+    }
+
+    /**
+     * Check whether a rung has been consumed below the replenish threshold
+     */
+    needsReplenish(tracked) {
+        return this.getFillRatio(tracked) < this.replenishThreshold;
+    }
+
+    /**
+     * Check whether the replenish cooldown for a rung has elapsed
+     */
+    isCoolingDown(tracked) {
+        return !!(tracked && tracked.lastReplenishAt &&
+            this.now() - tracked.lastReplenishAt < this.replenishCooldown);
+    }
+
+    /**
+     * Get tracked sequences
+     */
+    getSequences() {
+        return Array.from(this.offers.values()).map(tracked => tracked.sequence);
+    }
+
+    /**
+     * Get every tracked offer
+     */
+    getAll() {
+        return Array.from(this.offers.values());
+    }
+
+    /**
+     * Export tracked offers for the state snapshot
+     */
+    exportState() {
+        return this.getAll().map(tracked => ({ ...tracked }));
+    }
+
+    /**
+     * Restore tracked offers from a state snapshot
+     */
+    restoreState(trackedOffers = []) {
+        this.offers.clear();
+        for (const tracked of trackedOffers) {
+            this.offers.set(tracked.rungId, { ...tracked });
+        }
+    }
+
+    /**
+     * Get tracker status
+     */
+    getStatus() {
+        return {
+            replenishThreshold: this.replenishThreshold,
+            replenishCooldown: this.replenishCooldown,
+            trackedOffers: Array.from(this.offers.values()).map(tracked => ({
+                ...tracked,
+                fillRatio: this.getFillRatio(tracked)
+            }))
+        };
+    }
+}
+
+module.exports = OfferTracker;
@@ -0,0 +1,268 @@
+/**
+ * trading/quoteEngine.js - Two-Sided Quote Engine
+ *
+ * Centers the ask and bid ladders on the oracle NAV, widens them by the
+ * target spread and skews both sides with the bot's net RLA inventory.
+ * Bids are funded from a capped treasury budget in the quote asset; asks
+ * never offer more than the supply left to sell.
+ */
+
+const OfferLadder = require('./offerLadder');
+
+class QuoteEngine {
+    constructor(config = {}) {
+        this.askLadder = config.askLadder;
+        this.bidLadder = config.bidLadder || null;
+
+        this.bidEnabled = config.bidEnabled !== undefined ?
+            config.bidEnabled : process.env.BID_SIDE_ENABLED === 'true';
+        // An explicit config value (0 included) wins over the environment
+        const setting = (key, name, fallback) => parseFloat(config[key] ?? (process.env[name] || fallback));
+
+        this.targetSpreadPercent = setting('targetSpreadPercent', 'QUOTE_TARGET_SPREAD_PERCENT', '1.0');
+        this.maxSkewPercent = setting('maxSkewPercent', 'QUOTE_MAX_SKEW_PERCENT', '1.0');
+        // 0 turns the inventory skew off
+        this.inventoryLimit = setting('inventoryLimit', 'QUOTE_INVENTORY_LIMIT', '10000');
+        this.targetInventory = setting('targetInventory', 'QUOTE_TARGET_INVENTORY', '0');
+        this.requoteThresholdPercent = setting('requoteThresholdPercent', 'QUOTE_REQUOTE_THRESHOLD_PERCENT', '0.25');
+        this.treasuryBudget = setting('treasuryBudget', 'TREASURY_USDT_BUDGET', '0');
+
+        if (!this.askLadder) {
+            throw new Error('Quote engine requires an ask ladder');
+        }
+
+        for (const name of ['targetSpreadPercent', 'maxSkewPercent', 'inventoryLimit', 'treasuryBudget']) {
+            if (!(this[name] >= 0)) {
+                throw new Error(`Quote engine ${name} must be zero or more: ${this[name]}`);
+            }
+        }
+
+        if (!Number.isFinite(this.targetInventory)) {
+            throw new Error(`Quote engine targetInventory must be a number: ${this.targetInventory}`);
+        }
+
+        if (!(this.requoteThresholdPercent > 0)) {
+            // A zero threshold would requote on every check, skew moved or not
+            throw new Error(`Quote engine requoteThresholdPercent must be positive: ${this.requoteThresholdPercent}`);
+        }
+
+        if (this.bidEnabled && !this.bidLadder) {
+            throw new Error('Bid side enabled without a bid ladder');
+        }
+
+        if (this.bidEnabled && this.targetSpreadPercent <= 0) {
+            // Bids at or above our own asks would cross and consume them
+            throw new Error('QUOTE_TARGET_SPREAD_PERCENT must be positive when the bid side is enabled');
+        }
+
+        // Inventory state (positive = bot has bought back more RLA than it sold)
+        this.netInventory = 0;
+        this.rlaSold = 0;
+        this.rlaBought = 0;
+        this.quoteReceived = 0;
+        this.treasurySpent = 0;
+        this.appliedFills = new Set();
+    }
+
+    /**
+     * Get the current inventory skew as a percentage of NAV
+     */
+    getSkewPercent() {
+        // A sell-only book distributes supply and has no inventory to manage
+        if (!this.bidEnabled || this.inventoryLimit <= 0) {
+            return 0;
+        }
+
+        const deviation = (this.netInventory - this.targetInventory) / this.inventoryLimit;
+        const clamped = Math.max(-1, Math.min(1, deviation));
+
+        // Long inventory lowers both quotes to sell more readily and buy less
+        return clamped === 0 ? 0 : -clamped * this.maxSkewPercent;
+    }
+
+    /**
+     * Get ask and bid reference prices around NAV
+     */
+    getQuoteCenters(navPrice) {
+        const skewPercent = this.getSkewPercent();
+        const mid = navPrice * (1 + skewPercent / 100);
+
+        // A one-sided book quotes asks at the mid, as the single offer always did
+        const halfSpread = this.bidEnabled ? this.targetSpreadPercent / 2 : 0;
+
+        return {
+            nav: navPrice,
+            mid: mid,
+            skewPercent: skewPercent,
+            ask: mid * (1 + halfSpread / 100),
+            bid: mid * (1 - halfSpread / 100)
+        };
+    }
+
+    /**
+     * Build both ladders at the current NAV
+     */
+    buildQuotes(navPrice) {
+        const centers = this.getQuoteCenters(navPrice);
+        const asks = this.askLadder.buildRungs(centers.ask);
+        const bids = this.bidEnabled ? this.fitBidsToBudget(this.bidLadder.buildRungs(centers.bid)) : [];
+
+        return { centers, asks, bids, rungs: [...asks, ...bids] };
+    }
+
+    /**
+     * Drop or shrink bid rungs that exceed the remaining treasury budget
+     */
+    fitBidsToBudget(rungs) {
+        let remaining = this.getRemainingBudget();
+        const funded = [];
+
+        for (const rung of rungs) {
+            const cost = parseFloat(rung.quoteAmount);
+
+            if (cost <= remaining) {
+                funded.push(rung);
+                remaining -= cost;
+                continue;
+            }
+
+            const affordableRLA = Math.floor(remaining / rung.price);
+            if (affordableRLA >= 1) {
+                funded.push({
+                    ...rung,
+                    rlaAmount: OfferLadder.formatAmount(affordableRLA),
+                    quoteAmount: OfferLadder.formatAmount(affordableRLA * rung.price)
+                });
+            }
+            break;
+        }
+
+        return funded;
+    }
+
+    /**
+     * Shrink an ask rung to the tokens left to sell, or drop it (null)
+     *
+     * available is what remains of the supply (or the selling account's
+     * balance) after every other resting ask.
+     */
+    fitAskToSupply(rung, available) {
+        if (parseFloat(rung.rlaAmount) <= available) {
+            return rung;
+        }
+
+        const sellableRLA = Math.floor(available);
+        if (sellableRLA < 1) {
+            return null;
+        }
+
+        return {
+            ...rung,
+            rlaAmount: OfferLadder.formatAmount(sellableRLA),
+            quoteAmount: OfferLadder.formatAmount(sellableRLA * rung.price)
+        };
+    }
+
+    /**
+     * Get treasury quote asset still available for bids
+     */
+    getRemainingBudget() {
+        return Math.max(0, this.treasuryBudget - this.treasurySpent);
+    }
+
+    /**
+     * Apply an executed fill to the inventory state
+     */
+    applyFill(fill) {
+        if (fill.hash) {
+            const key = `${fill.hash}:${fill.offerSequence || ''}:${fill.side}`;
+            if (this.appliedFills.has(key)) {
+                return false;
+            }
+            this.appliedFills.add(key);
+
+            // Bound memory; old fills are never replayed this far back
+            if (this.appliedFills.size > 1000) {
+                this.appliedFills.delete(this.appliedFills.values().next().value);
+            }
+        }
+
+        const rlaAmount = parseFloat(fill.rlaAmount) || 0;
+        const quoteAmount = parseFloat(fill.quoteAmount) || 0;
+
+        if (fill.side === 'bid') {
+            this.netInventory += rlaAmount;
+            this.rlaBought += rlaAmount;
+            this.treasurySpent += quoteAmount;
+        } else {
+            this.netInventory -= rlaAmount;
+            this.rlaSold += rlaAmount;
+            this.quoteReceived += quoteAmount;
+        }
+
+        return true;
+    }
+
+    /**
+     * Check whether the skew moved enough to warrant requoting
+     */
+    needsRequote(lastSkewPercent) {
+        if (lastSkewPercent === null || lastSkewPercent === undefined) {
+            return false;
+        }
+        return Math.abs(this.getSkewPercent() - lastSkewPercent) >= this.requoteThresholdPercent;
+    }
+
+    /**
+     * Export inventory state for the state snapshot
+     */
+    exportState() {
+        return {
+            netInventory: this.netInventory,
+            rlaSold: this.rlaSold,
+            rlaBought: this.rlaBought,
+            quoteReceived: this.quoteReceived,
+            treasurySpent: this.treasurySpent,
+            appliedFills: Array.from(this.appliedFills)
+        };
+    }
+
+    /**
+     * Restore inventory state from a state snapshot
+     */
+    restoreState(state = {}) {
+        this.netInventory = state.netInventory || 0;
+        this.rlaSold = state.rlaSold || 0;
+        this.rlaBought = state.rlaBought || 0;
+        this.quoteReceived = state.quoteReceived || 0;
+        this.treasurySpent = state.treasurySpent || 0;
+        // Fills replayed by the post-restart backfill must not move inventory twice
+        this.appliedFills = new Set(state.appliedFills || []);
+    }
+
+    /**
+     * Get quote engine status
+     */
+    getStatus() {
+        return {
+            bidEnabled: this.bidEnabled,
+            targetSpreadPercent: this.targetSpreadPercent,
+            skewPercent: this.getSkewPercent(),
+            inventory: {
+                net: this.netInventory,
+                target: this.targetInventory,
+                limit: this.inventoryLimit,
+                rlaSold: this.rlaSold,
+                rlaBought: this.rlaBought
+            },
+            treasury: {
+                budget: this.treasuryBudget,
+                spent: this.treasurySpent,
+                remaining: this.getRemainingBudget(),
+                quoteReceived: this.quoteReceived
+            }
+        };
+    }
+}
+
+module.exports = QuoteEngine;
@@ -0,0 +1,348 @@
+/**
+ * trading/tradingPair.js - RLA Trading Pair Configuration
+ *
+ * Describes one quote asset the bot makes a market in (USDT, RLUSD, native
+ * XRP, ...) together with its ladders, quote engine, offer tracker and
+ * per-pair statistics. Pairs are loaded from a JSON config file; without
+ * one, a single pair is built from the USDT_* environment variables. Each
+ * pair belongs to one property and quotes that property's token.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const xrpl = require('xrpl');
+
+const OfferLadder = require('./offerLadder');
+const QuoteEngine = require('./quoteEngine');
+const OfferTracker = require('./offerTracker');
+const AmmPool = require('./ammPool');
+
+class TradingPair {
+    constructor(config = {}) {
+        this.id = config.id || config.quoteCurrency;
+        this.propertyId = config.propertyId || null;
+        this.tokenCode = config.tokenCode || process.env.RLA_TOKEN_CODE;
+        this.quoteCurrency = config.quoteCurrency;
+        this.quoteIssuer = this.quoteCurrency === 'XRP' ? null : config.quoteIssuer;
+        this.enabled = config.enabled !== false;
+        this.rlaAmount = String(config.rlaAmount);
+
+        // Quote units per 1 USD of NAV
+        this.priceConversion = config.priceConversion || { type: 'fixed', rate: 1 };
+        this.conversionRate = parseFloat(this.priceConversion.rate || '1');
+        this.conversionUpdatedAt = null;
+
+        if (!this.id || !this.quoteCurrency) {
+            throw new Error('Trading pair requires an id and quoteCurrency');
+        }
+
+        if (!this.isNative() && !this.quoteIssuer) {
+            throw new Error(`Trading pair ${this.id} requires a quoteIssuer`);
+        }
+
+        if (!this.isNative() && !xrpl.isValidClassicAddress(this.quoteIssuer)) {
+            throw new Error(`Trading pair ${this.id} quoteIssuer is not an XRPL address: ${this.quoteIssuer}`);
+        }
+
+        if (!(parseFloat(this.rlaAmount) > 0)) {
+            throw new Error(`Trading pair ${this.id} requires a positive rlaAmount`);
+        }
+
+        const ladderConfig = config.ladder || {};
+        const bidConfig = config.bidLadder || {};
+
+        this.askLadder = new OfferLadder({ ...ladderConfig, side: 'ask', defaultSize: this.rlaAmount });
+        this.bidEnabled = config.bidEnabled !== undefined ?
+            config.bidEnabled : process.env.BID_SIDE_ENABLED === 'true';
+        this.bidLadder = this.bidEnabled ?
+            new OfferLadder({ ...bidConfig, side: 'bid', defaultSize: this.rlaAmount }) : null;
+
+        this.quoteEngine = new QuoteEngine({
+            ...(config.quotes || {}),
+            askLadder: this.askLadder,
+            bidLadder: this.bidLadder,
+            bidEnabled: this.bidEnabled,
+            treasuryBudget: config.treasuryBudget !== undefined ? String(config.treasuryBudget) : undefined
+        });
+        this.offerTracker = new OfferTracker(config.replenish || {});
+        this.lastQuotedSkew = null;
+
+        // Native AMM pool between the property token and this quote asset
+        const ammConfig = config.amm || {};
+        const ammEnabled = ammConfig.enabled !== undefined ?
+            ammConfig.enabled : process.env.AMM_ENABLED === 'true';
+        this.ammPool = ammEnabled ? new AmmPool(this, ammConfig) : null;
+
+        this.stats = {
+            offersCreated: 0,
+            swaps: 0,
+            rlaSold: 0,
+            rlaBought: 0,
+            quoteReceived: 0,
+            quoteSpent: 0,
+            lastSwapTime: null
+        };
+    }
+
+    /**
+     * Check whether the quote asset is native XRP
+     */
+    isNative() {
+        return this.quoteCurrency === 'XRP';
+    }
+
+    /**
+     * Convert a USD NAV price into this pair's quote units
+     */
+    convertPrice(usdPrice) {
+        return usdPrice * this.conversionRate;
+    }
+
+    /**
+     * Refresh the conversion rate for order book based conversions
+     */
+    async refreshConversion(client) {
+        if (this.priceConversion.type !== 'orderbook') {
+            return this.conversionRate;
+        }
+
+        // Mid of the quote asset / USD reference book on the DEX
+        const usd = { currency: this.priceConversion.currency, issuer: this.priceConversion.issuer };
+        const quote = this.isNative() ? { currency: 'XRP' } : { currency: this.quoteCurrency, issuer: this.quoteIssuer };
+
+        const [asks, bids] = await Promise.all([
+            client.request({ command: 'book_offers', taker_gets: quote, taker_pays: usd, limit: 1 }),
+            client.request({ command: 'book_offers', taker_gets: usd, taker_pays: quote, limit: 1 })
+        ]);
+
+        const bestAsk = asks.result.offers[0];
+        const bestBid = bids.result.offers[0];
+
+        if (!bestAsk || !bestBid) {
+            console.warn(`⚠️ No ${this.id}/USD book depth - keeping conversion rate ${this.conversionRate}`);
+            return this.conversionRate;
+        }
+
+        // quote per USD from each side of the book
+        const askRate = this.fromLedgerAmount(bestAsk.TakerGets) / parseFloat(bestAsk.TakerPays.value);
+        const bidRate = this.fromLedgerAmount(bestBid.TakerPays) / parseFloat(bestBid.TakerGets.value);
+
+        this.conversionRate = (askRate + bidRate) / 2;
+        this.conversionUpdatedAt = new Date().toISOString();
+        return this.conversionRate;
+    }
+
+    /**
+     * Build a ledger amount of the quote asset
+     */
+    toLedgerAmount(value) {
+        if (this.isNative()) {
+            return xrpl.xrpToDrops(parseFloat(value).toFixed(6));
+        }
+
+        return {
+            currency: this.quoteCurrency,
+            issuer: this.quoteIssuer,
+            value: String(value)
+        };
+    }
+
+    /**
+     * Read a ledger amount of the quote asset as quote units
+     */
+    fromLedgerAmount(amount) {
+        if (typeof amount === 'string') {
+            return parseFloat(xrpl.dropsToXrp(amount));
+        }
+        return parseFloat(amount.value);
+    }
+
+    /**
+     * Check whether a ledger amount is denominated in this pair's quote asset
+     */
+    isQuoteAmount(amount) {
+        if (this.isNative()) {
+            return typeof amount === 'string';
+        }
+
+        return !!amount && typeof amount === 'object' &&
+               amount.currency === this.quoteCurrency &&
+               amount.issuer === this.quoteIssuer;
+    }
+
+    /**
+     * Build both ladders at the given USD NAV price
+     */
+    buildQuotes(usdPrice) {
+        const quotes = this.quoteEngine.buildQuotes(this.convertPrice(usdPrice));
+
+        quotes.rungs.forEach(rung => {
+            rung.pairId = this.id;
+            rung.propertyId = this.propertyId;
+        });
+
+        return quotes;
+    }
+
+    /**
+     * Record an executed fill in the inventory and pair statistics
+     *
+     * Returns false for fills that were already recorded.
+     */
+    recordFill(fill) {
+        if (!this.quoteEngine.applyFill(fill)) {
+            return false;
+        }
+
+        const rlaAmount = parseFloat(fill.rlaAmount) || 0;
+        const quoteAmount = parseFloat(fill.quoteAmount) || 0;
+
+        this.stats.swaps++;
+        this.stats.lastSwapTime = new Date();
+
+        if (fill.side === 'bid') {
+            this.stats.rlaBought += rlaAmount;
+            this.stats.quoteSpent += quoteAmount;
+        } else {
+            this.stats.rlaSold += rlaAmount;
+            this.stats.quoteReceived += quoteAmount;
+        }
+
+        return true;
+    }
+
+    /**
+     * Get per-pair metrics
+     */
+    getMetrics() {
+        const volume = this.stats.rlaSold + this.stats.rlaBought;
+        const turnover = this.stats.quoteReceived + this.stats.quoteSpent;
+
+        return {
+            pairId: this.id,
+            propertyId: this.propertyId,
+            tokenCode: this.tokenCode,
+            quoteCurrency: this.quoteCurrency,
+            quoteIssuer: this.quoteIssuer,
+            enabled: this.enabled,
+            conversionRate: this.conversionRate,
+            offersCreated: this.stats.offersCreated,
+            swaps: this.stats.swaps,
+            rlaSold: this.stats.rlaSold,
+            rlaBought: this.stats.rlaBought,
+            quoteReceived: this.stats.quoteReceived,
+            quoteSpent: this.stats.quoteSpent,
+            averagePrice: volume > 0 ? turnover / volume : null,
+            netInventory: this.quoteEngine.netInventory,
+            quoteSkewPercent: this.quoteEngine.getSkewPercent(),
+            lastSwapTime: this.stats.lastSwapTime?.toISOString() || null
+        };
+    }
+
+    /**
+     * Get pair status
+     */
+    getStatus() {
+        return {
+            ...this.getMetrics(),
+            priceConversion: this.priceConversion,
+            conversionUpdatedAt: this.conversionUpdatedAt,
+            offerLadder: this.askLadder.getConfiguration(),
+            bidLadder: this.bidLadder ? this.bidLadder.getConfiguration() : null,
+            quotes: this.quoteEngine.getStatus(),
+            offerTracking: this.offerTracker.getStatus(),
+            amm: this.ammPool ? this.ammPool.getStatus() : { status: 'DISABLED' }
+        };
+    }
+
+    /**
+     * Export runtime state for the state snapshot
+     */
+    exportState() {
+        return {
+            stats: {
+                ...this.stats,
+                lastSwapTime: this.stats.lastSwapTime?.toISOString() || null
+            },
+            lastQuotedSkew: this.lastQuotedSkew,
+            conversionRate: this.conversionRate,
+            conversionUpdatedAt: this.conversionUpdatedAt,
+            quotes: this.quoteEngine.exportState(),
+            trackedOffers: this.offerTracker.exportState()
+        };
+    }
+
+    /**
+     * Restore runtime state from a state snapshot
+     */
+    restoreState(state = {}) {
+        this.stats = {
+            ...this.stats,
+            ...state.stats,
+            lastSwapTime: state.stats?.lastSwapTime ? new Date(state.stats.lastSwapTime) : null
+        };
+        this.lastQuotedSkew = state.lastQuotedSkew !== undefined ? state.lastQuotedSkew : null;
+
+        // Fixed rates always come from the config; book rates are kept until the next refresh
+        if (this.priceConversion.type === 'orderbook' && state.conversionRate > 0) {
+            this.conversionRate = state.conversionRate;
+            this.conversionUpdatedAt = state.conversionUpdatedAt || null;
+        }
+
+        this.quoteEngine.restoreState(state.quotes);
+        this.offerTracker.restoreState(state.trackedOffers);
+    }
+
+    /**
+     * Load trading pairs from the pairs config file or the environment
+     *
+     * The scope (owning property id and token code) is applied to every
+     * loaded pair.
+     */
+    static loadAll(options = {}) {
+        const configPath = options.configPath || process.env.PAIRS_CONFIG_PATH || './config/pairs.json';
+        const scope = options.scope || {};
+        const resolvedPath = path.resolve(configPath);
+
+        if (!fs.existsSync(resolvedPath)) {
+            // Legacy single-pair setup from USDT_* variables
+            return [new TradingPair({
+                id: process.env.USDT_TOKEN_CODE,
+                quoteCurrency: process.env.USDT_TOKEN_CODE,
+                quoteIssuer: process.env.USDT_ISSUER,
+                rlaAmount: process.env.RLA_AMOUNT,
+                ...scope
+            })];
+        }
+
+        const config = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+        const pairs = TradingPair.fromConfigList(config.pairs, scope, configPath);
+
+        console.log(`💱 Loaded ${pairs.length} trading pair(s) from ${configPath}`);
+        return pairs;
+    }
+
+    /**
+     * Build trading pairs from a list of pair configs
+     */
+    static fromConfigList(pairConfigs = [], scope = {}, source = 'pairs config') {
+        // Bid budgets are denominated per quote asset, so never inherit the USDT env budget
+        const pairs = pairConfigs.map(pairConfig => new TradingPair({ treasuryBudget: 0, ...pairConfig, ...scope }));
+
+        const ids = new Set();
+        for (const pair of pairs) {
+            if (ids.has(pair.id)) {
+                throw new Error(`Duplicate trading pair id in ${source}: ${pair.id}`);
+            }
+            ids.add(pair.id);
+        }
+
+        if (pairs.length === 0) {
+            throw new Error(`No trading pairs defined in ${source}`);
+        }
+
+        return pairs;
+    }
+}
+
+module.exports = TradingPair;
@@ -0,0 +1,221 @@
+/**
+ * trading/transactionStream.js - Account Transaction Stream
+ *
+ * Subscribes to the validated transaction stream of the bot's account and
+ * hands every transaction to a callback exactly once: hashes are
+ * de-duplicated, and after a reconnect the gap since the last seen ledger is
+ * backfilled from account_tx before live events resume.
+ */
+
+const FillParser = require('./fillParser');
+
+// account_tx pages fetched per backfill before giving up on the gap
+const MAX_BACKFILL_PAGES = 50;
+
+class TransactionStream {
+    constructor(config = {}) {
+        this.account = config.account;
+        this.onTransaction = config.onTransaction || (() => {});
+        this.maxSeenHashes = parseInt(config.maxSeenHashes || process.env.FILL_DEDUPE_WINDOW || '5000');
+
+        if (!this.account) {
+            throw new Error('Transaction stream requires an account');
+        }
+
+        this.client = null;
+        this.listeners = null;
+        this.subscribed = false;
+        this.lastLedgerIndex = null;
+        this.seenHashes = new Set();
+        this.queue = Promise.resolve();
+
+        this.stats = {
+            received: 0,
+            processed: 0,
+            duplicates: 0,
+            backfilled: 0,
+            backfills: 0,
+            lastEventAt: null,
+            lastBackfillAt: null
+        };
+    }
+
+    /**
+     * Attach to a (newly) connected client, subscribe and backfill any gap
+     */
+    async attach(client) {
+        this.detach();
+
+        this.client = client;
+        this.listeners = {
+            transaction: (message) => this.enqueue(message, false),
+            ledgerClosed: (ledger) => this.advanceLedger(ledger.ledger_index),
+            // xrpl.js reconnects on its own; server-side subscriptions do not survive that
+            connected: () => this.resubscribe().catch(error =>
+                console.warn('⚠️ Transaction stream resubscribe failed:', error.message))
+        };
+
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            client.on(event, listener);
+        }
+
+        await this.resubscribe();
+    }
+
+    /**
+     * Remove listeners from the current client
+     */
+    detach() {
+        if (this.client && this.listeners) {
+            for (const [event, listener] of Object.entries(this.listeners)) {
+                this.client.removeListener(event, listener);
+            }
+        }
+
+        this.client = null;
+        this.listeners = null;
+        this.subscribed = false;
+    }
+
+    /**
+     * Subscribe to the account and ledger streams, then backfill the gap
+     */
+    async resubscribe() {
+        const response = await this.client.request({
+            command: 'subscribe',
+            accounts: [this.account],
+            streams: ['ledger']
+        });
+
+        this.subscribed = true;
+        const currentLedger = response.result.ledger_index;
+
+        if (this.lastLedgerIndex === null) {
+            // Nothing seen yet: live events start from the current ledger
+            this.advanceLedger(currentLedger);
+            return;
+        }
+
+        await this.backfill(this.lastLedgerIndex);
+    }
+
+    /**
+     * Replay account transactions from a ledger onwards
+     *
+     * The start ledger is inclusive because its transactions may not all have
+     * been delivered before the connection dropped; duplicates are skipped.
+     */
+    async backfill(fromLedger) {
+        let marker;
+        let pages = 0;
+        let replayed = 0;
+
+        do {
+            const response = await this.client.request({
+                command: 'account_tx',
+                account: this.account,
+                ledger_index_min: fromLedger,
+                ledger_index_max: -1,
+                forward: true,
+                limit: 200,
+                marker: marker
+            });
+
+            for (const tx of response.result.transactions || []) {
+                if (await this.enqueue(tx, true)) {
+                    replayed++;
+                }
+            }
+
+            marker = response.result.marker;
+            pages++;
+        } while (marker && pages < MAX_BACKFILL_PAGES);
+
+        if (marker) {
+            console.warn(`⚠️ Transaction backfill stopped after ${pages} pages - older fills may be missing`);
+        }
+
+        this.stats.backfills++;
+        this.stats.lastBackfillAt = new Date().toISOString();
+
+        if (replayed > 0) {
+            console.log(`🔁 Backfilled ${replayed} transaction(s) from ledger ${fromLedger}`);
+        }
+
+        return replayed;
+    }
+
+    /**
+     * Queue a stream message or account_tx entry for in-order processing
+     *
+     * Resolves to true when the transaction was new and handed on.
+     */
+    enqueue(raw, backfilled) {
+        const result = this.queue.then(() => this.process(raw, backfilled));
+        this.queue = result.catch(() => false);
+        return result;
+    }
+
+    /**
+     * De-duplicate and dispatch one transaction
+     */
+    async process(raw, backfilled) {
+        const tx = FillParser.normalize(raw);
+        this.stats.received++;
+
+        if (!tx.hash || !tx.validated) {
+            return false;
+        }
+
+        this.advanceLedger(tx.ledger_index);
+
+        if (this.seenHashes.has(tx.hash)) {
+            this.stats.duplicates++;
+            return false;
+        }
+
+        this.seenHashes.add(tx.hash);
+        // Bound memory; backfills never reach further back than the last ledger seen
+        if (this.seenHashes.size > this.maxSeenHashes) {
+            this.seenHashes.delete(this.seenHashes.values().next().value);
+        }
+
+        this.stats.processed++;
+        this.stats.lastEventAt = new Date().toISOString();
+        if (backfilled) {
+            this.stats.backfilled++;
+        }
+
+        try {
+            await this.onTransaction(tx, { backfilled });
+        } catch (error) {
+            console.error(`💥 Failed to handle transaction ${tx.hash}:`, error.message);
+        }
+
+        return true;
+    }
+
+    /**
+     * Move the last seen validated ledger forward
+     */
+    advanceLedger(ledgerIndex) {
+        if (ledgerIndex && (this.lastLedgerIndex === null || ledgerIndex > this.lastLedgerIndex)) {
+            this.lastLedgerIndex = ledgerIndex;
+        }
+    }
+
+    /**
+     * Get stream status
+     */
+    getStatus() {
+        return {
+            account: this.account,
+            subscribed: this.subscribed && !!this.client && this.client.isConnected(),
+            lastLedgerIndex: this.lastLedgerIndex,
+            trackedHashes: this.seenHashes.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = TransactionStream;